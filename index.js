@@ -1,3 +1,18 @@
 module.exports = {
-    compiler: require('./lib/transform')
+    compiler: require('./lib/transform'),
+    createRegistry: require('./lib/registry').createRegistry,
+    createTransformStream: require('./lib/stream').createTransformStream,
+    exportSchema: require('./lib/export').exportSchema,
+    invert: require('./lib/invert').invert,
+    registerFilter: require('./lib/filters').registerFilter,
+    unregisterFilter: require('./lib/filters').unregisterFilter,
+    hasFilter: require('./lib/filters').hasFilter,
+    registerType: require('./lib/types').registerType,
+    unregisterType: require('./lib/types').unregisterType,
+    hasType: require('./lib/types').hasType,
+    omitDeep: require('./lib/utilities').omitDeep,
+    validateSchema: require('./lib/validate').validateSchema,
+    SchemaValidationError: require('./lib/validate').SchemaValidationError,
+    CoercionError: require('./lib/types').CoercionError,
+    MissingValueError: require('./lib/types').MissingValueError
 };
@@ -0,0 +1,371 @@
+// This module has no dependencies so its source can be embedded as is in exported schemas
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Compares two sort keys. Null and undefined are sorted after every other value in either direction.
+ *
+ * @method compareKeys
+ * @param {*} a The first key.
+ * @param {*} b The second key.
+ * @param {boolean} descending Are the keys sorted in descending order?
+ * @return {number}
+ */
+function compareKeys(a, b, descending) {
+  let isMissingA = a === null || a === undefined;
+  let isMissingB = b === null || b === undefined;
+  if (isMissingA || isMissingB) {
+    return isMissingA === isMissingB ? 0 : (isMissingA ? 1 : -1);
+  }
+  let result = 0;
+  if (a < b) {
+    result = -1;
+  } else if (a > b) {
+    result = 1;
+  }
+  return descending ? -result : result;
+}
+
+module.exports.internal._compareKeys = compareKeys;
+
+
+/**
+ *  Returns true if the value is not null or undefined.
+ *
+ * @method isPresent
+ * @param {*} value The value.
+ * @return {boolean}
+ */
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+
+/**
+ *  Returns the values that are numbers, NaN is not a number.
+ *
+ * @method getNumbers
+ * @param {Array} values The values.
+ * @return {number[]}
+ */
+function getNumbers(values) {
+  return values.filter((value) => typeof value === 'number' && !isNaN(value));
+}
+
+
+/**
+ *  Returns the sum of the values that are numbers.
+ *
+ * @method sum
+ * @param {Array} values The values.
+ * @return {number}
+ */
+function sum(values) {
+  return getNumbers(values).reduce((total, value) => total + value, 0);
+}
+
+
+/**
+ *  Returns the items of an array or the values of an object, which are the items that are aggregated.
+ *
+ * @method getItems
+ * @param {*} value The value.
+ * @return {Array}
+ */
+function getItems(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'object' ? Object.values(value) : [];
+}
+
+
+/**
+ *  Returns a function that adds each item to the entry of the value of the item in an object.
+ *
+ * @method getGroups
+ * @param {function} add Returns the new entry, given the current entry and the item.
+ * @return {function}
+ */
+function getGroups(add) {
+  return (items, values) => items.reduce((groups, item, index) => {
+    let key = values[index];
+    groups[key] = add(Object.prototype.hasOwnProperty.call(groups, key) ? groups[key] : undefined, item);
+    return groups;
+  }, {});
+}
+
+
+// The aggregations, each is called with the items and the value of each item
+const aggregations = {
+  count: (items, values) => values.filter(isPresent).length,
+  sum: (items, values) => sum(values),
+  avg: (items, values) => {
+    let count = getNumbers(values).length;
+    return count ? sum(values) / count : undefined;
+  },
+  min: (items, values) => values.filter(isPresent).reduce((min, value) => min === undefined || value < min ? value : min, undefined),
+  max: (items, values) => values.filter(isPresent).reduce((max, value) => max === undefined || value > max ? value : max, undefined),
+  first: (items, values) => values[0],
+  last: (items, values) => values[values.length - 1],
+  groupBy: getGroups((group, item) => {
+    group = group || [];
+    group.push(item);
+    return group;
+  }),
+  countBy: getGroups((count) => (count || 0) + 1)
+};
+
+module.exports.aggregations = Object.keys(aggregations);
+
+
+/**
+ *  Sorts the items by each key in order, items with equal keys keep their order.
+ *
+ * @method sortItems
+ * @param {Array} items The items.
+ * @param {Object[]} sortBy The getKey function of each key and whether it is descending.
+ * @param {Array} args The arguments the getKey functions are called with after the item.
+ * @return {Array}
+ */
+function sortItems(items, sortBy, args) {
+  let entries = items.map((item) => ({
+    item,
+    keys: sortBy.map((key) => key.getKey(item, ...args))
+  }));
+  entries.sort((a, b) => {
+    for (let i = 0; i < sortBy.length; i++) {
+      let result = compareKeys(a.keys[i], b.keys[i], sortBy[i].descending);
+      if (result) {
+        return result;
+      }
+    }
+    return 0;
+  });
+  return entries.map((entry) => entry.item);
+}
+
+
+/**
+ *  Returns a function that applies the array operations to the items of an embedded array.
+ *  The operations are applied in the order flatten, filter, uniqBy, sortBy, reverse, offset and limit.
+ *  The functions of the operations are called with (item, null, data, parent, top), like the schema of the items.
+ *  The items are never modified, a new array is returned.
+ *
+ * @method createItemsOperation
+ * @param {Object} operations The array operations.
+ * @param {number} [operations.flatten] The depth the nested arrays are flattened to.
+ * @param {function} [operations.filter] Only the items it returns true for are kept.
+ * @param {function} [operations.uniqBy] Returns the key of an item, only the first item with each key is kept.
+ * @param {Object[]} [operations.sortBy] The keys to sort by, each with a getKey function and whether it is descending.
+ * @param {boolean} [operations.reverse] Should the order of the items be reversed?
+ * @param {number} [operations.offset] The number of items to skip.
+ * @param {number} [operations.limit] The maximum number of items.
+ * @return {function}
+ */
+module.exports.createItemsOperation = function (operations) {
+  return function operateItems(items, data, parent, top) {
+    let args = [null, data, parent, top];
+    let result = items;
+    if (operations.flatten) {
+      result = result.flat(operations.flatten);
+    }
+    if (operations.filter) {
+      result = result.filter((item) => operations.filter(item, ...args));
+    }
+    if (operations.uniqBy) {
+      let keys = new Set();
+      result = result.filter((item) => {
+        let key = operations.uniqBy(item, ...args);
+        if (keys.has(key)) {
+          return false;
+        }
+        keys.add(key);
+        return true;
+      });
+    }
+    if (operations.sortBy) {
+      result = sortItems(result, operations.sortBy, args);
+    }
+    if (operations.reverse) {
+      result = result.slice().reverse();
+    }
+    if (operations.offset || operations.limit !== undefined) {
+      let start = operations.offset || 0;
+      result = result.slice(start, operations.limit === undefined ? undefined : start + operations.limit);
+    }
+    return result;
+  };
+};
+
+
+// The strategies that combine the array in the destination with a new array, unionBy is followed by the path of the key
+const arrayMerges = {
+  append: (oldValue, newValue) => oldValue.concat(newValue),
+  prepend: (oldValue, newValue) => newValue.concat(oldValue),
+  replace: (oldValue, newValue) => newValue,
+  union: (oldValue, newValue) => Array.from(new Set(oldValue.concat(newValue))),
+  unionBy: (oldValue, newValue, getKey) => {
+    let keys = new Set();
+    return oldValue.concat(newValue).filter((item) => {
+      let key = getKey(item, null);
+      if (keys.has(key)) {
+        return false;
+      }
+      keys.add(key);
+      return true;
+    });
+  }
+};
+
+module.exports.arrayMerges = Object.keys(arrayMerges);
+
+
+/**
+ *  Returns a function that combines the array in the destination with a new array, given the old and the new array.
+ *  The new array is returned as is when the destination does not have an array. The union strategies keep the first
+ *  item of each value, or of each key, so the items of the destination win.
+ *
+ * @method createArrayMerge
+ * @param {string} strategy The strategy, one of append, prepend, replace, union or unionBy.
+ * @param {function} [getKey] Returns the key of an item for unionBy, called with (item, null) like the schema of embedded objects.
+ * @return {function}
+ */
+module.exports.createArrayMerge = function (strategy, getKey) {
+  let merge = arrayMerges[strategy];
+  return function mergeArrays(oldValue, newValue) {
+    if (!Array.isArray(oldValue)) {
+      return newValue;
+    }
+    return merge(oldValue, newValue, getKey);
+  };
+};
+
+
+/**
+ *  Returns a function that aggregates the items of a source value, the items of an array or the values of an object.
+ *  The function is called with (source, data, parent, top). The value of each item is read with getValue, which is
+ *  called with (item, null, data, parent, top) like the schema of embedded objects, or is the item itself.
+ *  The result is undefined when the source value is null or undefined.
+ *
+ * @method createAggregation
+ * @param {string} operation The aggregation, one of count, sum, avg, min, max, first, last, groupBy or countBy.
+ * @param {function} [getValue] Returns the value of an item.
+ * @return {function}
+ */
+module.exports.createAggregation = function (operation, getValue) {
+  let aggregate = aggregations[operation];
+  return function aggregation(source, data, parent, top) {
+    if (!isPresent(source)) {
+      return undefined;
+    }
+    let items = getItems(source);
+    let values = getValue ? items.map((item) => getValue(item, null, data, parent, top)) : items;
+    return aggregate(items, values);
+  };
+};
+
+
+/**
+ *  Returns an object with the value of each key, values whose key is null or undefined are left out, as are the
+ *  undefined values of embedded objects that did not match any case of a switch. When keys repeat, the last value is kept.
+ *
+ * @method fromKeys
+ * @param {Array} keys The keys.
+ * @param {Array} values The value of each key.
+ * @return {Object}
+ */
+module.exports.fromKeys = function (keys, values) {
+  let result = {};
+  keys.forEach((key, index) => {
+    if (isPresent(key) && values[index] !== undefined) {
+      result[key] = values[index];
+    }
+  });
+  return result;
+};
+
+
+/**
+ *  Returns the entry of a key of an object. The entry has the key and the value under the names given by toEntries,
+ *  without a value name the key is added to the value.
+ *
+ * @method toEntry
+ * @param {Object} toEntries The names of the key and the value in the entry.
+ * @param {string} toEntries.key The name of the key.
+ * @param {string} [toEntries.value] The name of the value.
+ * @param {string} key The key.
+ * @param {*} value The value.
+ * @return {Object}
+ */
+module.exports.toEntry = function (toEntries, key, value) {
+  let entry = {};
+  entry[toEntries.key] = key;
+  if (toEntries.value) {
+    entry[toEntries.value] = value;
+    return entry;
+  }
+  return Object.assign(entry, value);
+};
+
+
+/**
+ *  Returns the words of a key, which are separated by characters that are not letters or digits and by changes from
+ *  lower to upper case.
+ *
+ * @method getWords
+ * @param {string} key The key.
+ * @return {string[]}
+ */
+function getWords(key) {
+  return String(key)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z\d]+/)
+    .filter((word) => word);
+}
+
+module.exports.internal._getWords = getWords;
+
+
+/**
+ *  Returns the word with the first letter in upper case and the others in lower case.
+ *
+ * @method capitalize
+ * @param {string} word The word.
+ * @return {string}
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+
+// The case conversions of keys, each is called with the words of the key
+const keyCases = {
+  camelCase: (words) => words.map((word, index) => index ? capitalize(word) : word.toLowerCase()).join(''),
+  pascalCase: (words) => words.map(capitalize).join(''),
+  snakeCase: (words) => words.join('_').toLowerCase(),
+  kebabCase: (words) => words.join('-').toLowerCase(),
+  constantCase: (words) => words.join('_').toUpperCase()
+};
+
+module.exports.keyCases = Object.keys(keyCases);
+
+
+/**
+ *  Returns a function that maps the keys of an object to the keys of the result, using a case conversion.
+ *  The keys are kept as they are without one.
+ *
+ * @method getKeyMapping
+ * @param {string} [keyCase] The case conversion, one of camelCase, pascalCase, snakeCase, kebabCase or constantCase.
+ * @return {function}
+ */
+module.exports.getKeyMapping = function (keyCase) {
+  if (!keyCase) {
+    return (key) => key;
+  }
+  let convert = keyCases[keyCase];
+  return (key) => convert(getWords(key));
+};
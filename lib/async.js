@@ -0,0 +1,451 @@
+const _ = require('lodash');
+const {AsyncLocalStorage} = require('async_hooks');
+const arrays = require('./arrays');
+const filters = require('./filters');
+const types = require('./types');
+
+// The asynchronous transformation functions of each compiled transformation function, by concurrency
+const asyncSchemas = new WeakMap();
+// The number of nested named schemas resolved when first used, kept per asynchronous execution
+const lazyDepth = new AsyncLocalStorage();
+// The errors collected with the collect errors mode, kept per asynchronous execution
+const collectedErrors = new AsyncLocalStorage();
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Throws the abort reason when the AbortSignal passed in data has been aborted.
+ *
+ * @method checkAborted
+ * @param {Object} [data] The custom data of the transformation.
+ */
+function checkAborted(data) {
+  if (data && data.signal) {
+    data.signal.throwIfAborted();
+  }
+}
+
+
+/**
+ *  Maps each item with an asynchronous function, running at most concurrency functions at the same time.
+ *  The results are in the same order as the items.
+ *
+ * @method mapConcurrent
+ * @param {Array} items The items.
+ * @param {number} concurrency The maximum number of items that are processed at the same time.
+ * @param {function} iteratee The function that returns the result, or a promise for the result, of an item and its index.
+ * @return {Promise<Array>}
+ */
+async function mapConcurrent(items, concurrency, iteratee) {
+  let results = new Array(items.length);
+  let next = 0;
+  let worker = async () => {
+    while (next < items.length) {
+      let index = next++;
+      results[index] = await iteratee(items[index], index);
+    }
+  };
+  await Promise.all(_.times(Math.min(concurrency, items.length), worker));
+  return results;
+}
+
+module.exports.internal._mapConcurrent = mapConcurrent;
+
+
+/**
+ *  Returns an asynchronous function that retrieves the source value of a field.
+ *  Only a function source path, including the source path of an aggregation, can return a promise, the other
+ *  source paths are read synchronously. A missing value is handled before it is coerced, see getMissingValueHandler.
+ *
+ * @method getGetSourceValue
+ * @param {Object} field The field description.
+ * @param {Object} runtime The functions of the compiler.
+ * @return {function}
+ */
+function getGetSourceValue(field, runtime) {
+  if (field.handleMissing) {
+    let getValue = getGetSourceValue(_.assign({}, field, {dstValueType: undefined, handleMissing: null}), runtime);
+    return async function getFieldValue(src, dst, data, parent, top, key) {
+      let newValue = await getValue(src, dst, data, parent, top, key);
+      if (newValue === undefined) {
+        newValue = field.handleMissing(src, dst, data, parent, top, key);
+        if (newValue === runtime.skippedField) {
+          return newValue;
+        }
+      }
+      return runtime.coerceValue(newValue, field.dstValueType, field.coercion);
+    };
+  }
+  if (field.srcType === 'function') {
+    return async function getSourceValue(src, dst, data, parent, top, key) {
+      let newValue = await field.srcPath(src, dst, data, parent, top, key);
+      return runtime.coerceValue(newValue, field.dstValueType, field.coercion);
+    };
+  }
+  if (field.srcType === 'aggregate' && _.isFunction(field.srcPath.aggregation.srcPath)) {
+    // The source value is awaited before it is aggregated
+    let aggregation = field.srcPath;
+    return async function getAggregateValue(src, dst, data, parent, top, key) {
+      let source = await aggregation.aggregation.srcPath(src, dst, data, parent, top, key);
+      return runtime.coerceValue(aggregation.aggregate(source, data, src, top), field.dstValueType, field.coercion);
+    };
+  }
+  return runtime.getGetSourceValue(field.srcType, field.srcPath, field.dstValueType, undefined, field.coercion);
+}
+
+
+/**
+ *  Returns an asynchronous function that transforms with a named schema that is resolved when first used.
+ *
+ * @method getLazySchema
+ * @param {function} lazySchema The synchronous function of the named schema, see getLazySchema in transform.
+ * @param {Object} runtime The functions of the compiler.
+ * @param {Object} options The async options.
+ * @return {function}
+ */
+function getLazySchema(lazySchema, runtime, options) {
+  return function asyncLazySchema(src, dst, data, parent, top, key) {
+    let transformFunc = compileAsync(lazySchema.resolve(), runtime, options);
+    let depth = lazyDepth.getStore() || 0;
+    runtime.assertDepth(lazySchema, depth);
+    return lazyDepth.run(depth + 1, () => transformFunc(src, dst, data, parent, top, key));
+  };
+}
+
+
+/**
+ *  Returns the asynchronous function that transforms an embedded object with a compiled schema.
+ *
+ * @method getSchema
+ * @param {function} compiledSchema The compiled schema of the field, see getLazySchema and getSwitchSchema in transform.
+ * @param {Object} runtime The functions of the compiler.
+ * @param {Object} options The async options.
+ * @return {function}
+ */
+function getSchema(compiledSchema, runtime, options) {
+  if (compiledSchema.cases) {
+    let cases = _.mapValues(compiledSchema.cases, (caseSchema) => getSchema(caseSchema, runtime, options));
+    let defaultCase = compiledSchema.defaultCase && getSchema(compiledSchema.defaultCase, runtime, options);
+    return async function asyncSwitchSchema(src, dst, data, parent, top, key) {
+      if (_.isNil(src)) {
+        return undefined;
+      }
+      let value = compiledSchema.getDiscriminator(src, dst, data, parent, top, key);
+      let caseSchema = Object.prototype.hasOwnProperty.call(cases, value) ? cases[value] : defaultCase;
+      return caseSchema ? caseSchema(src, dst, data, parent, top, key) : undefined;
+    };
+  }
+  if (compiledSchema.resolve) {
+    return getLazySchema(compiledSchema, runtime, options);
+  }
+  return compileAsync(compiledSchema, runtime, options);
+}
+
+
+/**
+ *  Returns the asynchronous transformation of a single field.
+ *
+ * @method getFieldTransform
+ * @param {Object} field The field description.
+ * @param {Object} runtime The functions of the compiler.
+ * @param {Object} options The async options.
+ * @return {function}
+ */
+function getFieldTransform(field, runtime, options) {
+  switch (field.kind) {
+    case 'remove':
+      return runtime.getRemovalTransform(field.dstType, field.dstPath);
+
+    case 'function': {
+      let setValue = runtime.getSetValue(field.dstType, field.dstPath, field.mergeArrays);
+      return async function functionTransform(src, dst, data, parent, top, key) {
+        setValue(src, dst, await field.func(src, dst, data, parent, top, key));
+      };
+    }
+
+    case 'filter': {
+      let getValue = getGetSourceValue(field, runtime);
+      let setValue = runtime.getSetValue(field.dstType, field.dstPath, field.mergeArrays);
+      // Each filter of a chain receives the value resolved by the previous filter
+      let fieldFilters = filters.resolveFilters(field.filterDefinition);
+      return async function filterTransform(src, dst, data, parent, top, key) {
+        let newValue = await getValue.apply(src, [src, dst, data, parent, top, key]);
+        // The filter is not run for a skipped field
+        if (newValue === runtime.skippedField) {
+          return;
+        }
+        for (let filter of fieldFilters) {
+          newValue = await filter.apply(src, [newValue, src, dst, data, parent, top, key]);
+        }
+        setValue(src, dst, newValue);
+      };
+    }
+
+    case 'schema': {
+      let getItems = runtime.getGetSchemaItems(field.srcPath);
+      let setValue = runtime.getSetSchemaValue(field.dstType, field.dstPath, field.dstValueType, field.coercion, field.mergeArrays);
+      let compiledItemsSchema = getSchema(field.compiledSchema, runtime, options);
+      let operateOn = field.operateItems ? field.operateItems.operations.operateOn : undefined;
+      let getKey = field.getKey;
+      let mapKey = field.mapKey;
+      let keyPath = (itemKey) => field.dstType === 'wildcard' ? String(itemKey) : `${field.dstPath}.${itemKey}`;
+      let transformItem = async (item, path, data, src, top, key) => {
+        let errors = collectedErrors.getStore();
+        // The errors of each embedded object are collected separately since the objects are transformed at the same time
+        let itemErrors = [];
+        try {
+          if (!errors) {
+            return await compiledItemsSchema(item, null, data, src, top, key);
+          }
+          return await collectedErrors.run(itemErrors, () => compiledItemsSchema(item, null, data, src, top, key));
+        } catch (err) {
+          // Coercion errors and missing values report the path of the embedded object
+          throw types.prefixError(err, path);
+        } finally {
+          _.each(itemErrors, (itemError) => {
+            itemError.path = `${path}.${itemError.path}`;
+            errors.push(itemError);
+          });
+        }
+      };
+      let transformCollectionItem = !field.skipItems ? transformItem : async (item, path, data, src, top, key) => {
+        try {
+          return await transformItem(item, path, data, src, top, key);
+        } catch (err) {
+          return runtime.skippedItem;
+        }
+      };
+      return async function schemaTransform(src, dst, data, parent, top, key) {
+        let items = await getItems(src, dst, data, parent, top, key);
+        // only process if the item(s) is not null
+        if (items) {
+          if (_.isArray(items)) {
+            if (operateOn === 'source') {
+              items = field.operateItems(items, data, src, top);
+            }
+            let keys = getKey ? _.map(items, (item) => getKey(item, null, data, src, top)) : undefined;
+            let results = await mapConcurrent(items, options.concurrency, (item, index) => {
+              if (keys) {
+                return transformCollectionItem(item, keyPath(keys[index]), data, src, top, keys[index]);
+              }
+              return transformCollectionItem(item, `${field.dstPath}[${index}]`, data, src, top, index);
+            });
+            if (field.skipItems) {
+              [results, keys] = runtime.removeSkippedItems(results, keys);
+            }
+            if (operateOn === 'result') {
+              results = field.operateItems(results, data, src, top);
+            }
+            setValue(dst, getKey ? arrays.fromKeys(keys, results) : results, true);
+          } else if (mapKey && _.isObject(items)) {
+            let itemKeys = _.keys(items);
+            let keys = _.map(itemKeys, (itemKey) => mapKey(itemKey, items[itemKey]));
+            let results = await mapConcurrent(itemKeys, options.concurrency, (itemKey, index) => {
+              return transformCollectionItem(items[itemKey], keyPath(keys[index]), data, src, top, itemKey);
+            });
+            if (field.skipItems) {
+              [results, keys] = runtime.removeSkippedItems(results, keys);
+            }
+            setValue(dst, arrays.fromKeys(keys, results), true);
+          } else if (field.toEntries && _.isObject(items)) {
+            let keys = _.keys(items);
+            let values = await mapConcurrent(keys, options.concurrency, (entryKey, index) => {
+              return transformCollectionItem(items[entryKey], `${field.dstPath}[${index}]`, data, src, top, entryKey);
+            });
+            if (field.skipItems) {
+              [values, keys] = runtime.removeSkippedItems(values, keys);
+            }
+            let results = _.map(values, (value, index) => arrays.toEntry(field.toEntries, keys[index], value));
+            if (operateOn === 'result') {
+              results = field.operateItems(results, data, src, top);
+            }
+            setValue(dst, results, true);
+          } else {
+            setValue(dst, await transformItem(items, field.dstPath, data, src, top), false);
+          }
+        }
+      };
+    }
+
+    default: {
+      let getValue = getGetSourceValue(field, runtime);
+      let setValue = runtime.getSetValue(field.dstType, field.dstPath, field.mergeArrays);
+      return async function setValueTransform(src, dst, data, parent, top, key) {
+        let newValue = await getValue(src, dst, data, parent, top, key);
+        // A skipped field is not set
+        if (newValue === runtime.skippedField) {
+          return;
+        }
+        if (field.defaultValue !== undefined && !field.handleMissing) {
+          newValue = runtime.applyDefaultValue(newValue, field.defaultValue, [src, dst, data, parent, top, key]);
+        }
+        setValue(src, dst, newValue);
+      };
+    }
+  }
+}
+
+
+/**
+ *  Returns the asynchronous transformation of a field that is only applied when the condition of the field is met.
+ *  The condition can return a promise.
+ *
+ * @method getConditionalTransform
+ * @param {Object} field The field description.
+ * @param {function} transform The asynchronous transformation of the field.
+ * @return {function}
+ */
+function getConditionalTransform(field, transform) {
+  if (!field.condition) {
+    return transform;
+  }
+  return async function conditionalTransform(src, dst, data, parent, top, key) {
+    if (await field.condition(src, dst, data, parent, top, key)) {
+      await transform(src, dst, data, parent, top, key);
+    }
+  };
+}
+
+
+/**
+ *  Returns an asynchronous function that handles the error thrown by a field, or null when the errors are thrown as is.
+ *  Like getErrorHandler in transform, except that the _onError hook can return a promise.
+ *
+ * @method getErrorHandler
+ * @param {Object} definition The definition of the compiled schema.
+ * @param {Object} runtime The functions of the compiler.
+ * @return {function|null}
+ */
+function getErrorHandler(definition, runtime) {
+  let onError = definition.onError;
+  if (!onError && definition.errors !== 'collect') {
+    return null;
+  }
+  return async function handleError(error, field, src, dst, data, parent, top, key) {
+    let fieldError = {path: field.dstPath, srcPath: runtime.getFieldSourcePath(field), error};
+    if (onError) {
+      try {
+        await onError(fieldError, src, dst, data, parent, top, key);
+        return;
+      } catch (err) {
+        fieldError.error = err;
+      }
+    }
+    let errors = collectedErrors.getStore();
+    if (definition.errors === 'collect' && errors) {
+      errors.push(fieldError);
+      return;
+    }
+    throw fieldError.error;
+  };
+}
+
+
+/**
+ *  Returns the asynchronous version of a compiled transformation function.
+ *  Functions that were not compiled from a schema are called and their result is awaited.
+ *
+ * @method compileAsync
+ * @param {function} transformFunc The compiled transformation function.
+ * @param {Object} runtime The functions of the compiler.
+ * @param {Object} options The async options.
+ * @return {function}
+ */
+function compileAsync(transformFunc, runtime, options) {
+  let compiled = asyncSchemas.get(transformFunc);
+  if (!compiled) {
+    compiled = new Map();
+    asyncSchemas.set(transformFunc, compiled);
+  }
+  if (compiled.has(options.concurrency)) {
+    return compiled.get(options.concurrency);
+  }
+
+  let definition = runtime.getDefinition(transformFunc);
+  if (!definition) {
+    let wrappedFunc = async function (src, dst, data, parent, top, key) {
+      checkAborted(data);
+      return transformFunc(src, dst, data, parent, top, key);
+    };
+    compiled.set(options.concurrency, wrappedFunc);
+    return wrappedFunc;
+  }
+
+  let fieldTransformations = [];
+  let onFinished = definition.schema._onFinished;
+  if (_.isString(onFinished)) {
+    onFinished = filters.resolveFilter(onFinished);
+  }
+  let omitValues = runtime.getOmitValues(definition.schema._omit);
+  let asyncTransformFunc = async function asyncTransformFunc(src, dst, data, parent, top, key) {
+    if (src === null || src === undefined) {
+      return undefined;
+    }
+    if (!top) {
+      top = src;
+    }
+
+    dst = dst || {};
+    for (let transform of fieldTransformations) {
+      checkAborted(data);
+      await transform(src, dst, data, parent, top, key);
+    }
+    if (_.isFunction(onFinished)) {
+      checkAborted(data);
+      await onFinished(src, dst, data, parent, top, key);
+    }
+    if (omitValues) {
+      omitValues(dst);
+    }
+    return dst;
+  };
+  // Store the function before the fields are compiled so embedded schemas can refer back to it
+  compiled.set(options.concurrency, asyncTransformFunc);
+  let handleError = getErrorHandler(definition, runtime);
+  fieldTransformations.push(..._.map(definition.fields, (field) => {
+    let transform = getConditionalTransform(field, getFieldTransform(field, runtime, options));
+    if (!handleError) {
+      return transform;
+    }
+    return async function handledTransform(src, dst, data, parent, top, key) {
+      try {
+        await transform(src, dst, data, parent, top, key);
+      } catch (err) {
+        await handleError(err, field, src, dst, data, parent, top, key);
+      }
+    };
+  }));
+  return asyncTransformFunc;
+}
+
+
+/**
+ *  Returns the asynchronous version of a compiled transformation function.
+ *  The result of filters, function fields, source path functions, _onFinished and _onError are awaited.
+ *  With the collect errors mode the function resolves with the result and the errors.
+ *
+ * @method generate
+ * @param {function} transformFunc The compiled transformation function.
+ * @param {Object} runtime The functions of the compiler that are shared with the asynchronous transformation.
+ * @param {Object} [options] The async options.
+ * @param {number} [options.concurrency] The maximum number of embedded objects in an array that are transformed at the same time.
+ * @return {function}
+ */
+module.exports.generate = function (transformFunc, runtime, options) {
+  let concurrency = options && !_.isNil(options.concurrency) ? options.concurrency : Infinity;
+  if (!_.isNumber(concurrency) || !(concurrency >= 1)) {
+    throw new Error('The concurrency must be a number greater than 0.');
+  }
+  let asyncTransformFunc = compileAsync(transformFunc, runtime, {concurrency});
+  let definition = runtime.getDefinition(transformFunc);
+  if (!definition || definition.errors !== 'collect') {
+    return asyncTransformFunc;
+  }
+  return async function collectingTransformFunc(src, dst, data, parent, top, key) {
+    let errors = [];
+    let result = await collectedErrors.run(errors, () => asyncTransformFunc(src, dst, data, parent, top, key));
+    return {result, errors};
+  };
+};
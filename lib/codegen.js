@@ -0,0 +1,794 @@
+const _ = require('lodash');
+const arrays = require('./arrays');
+const paths = require('./paths');
+
+// The same expressions lodash uses to decide if a path is a single key or a deep path
+const reIsDeepProp = /\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/;
+const reIsPlainProp = /^\w*$/;
+const reIsIndex = /^(?:0|[1-9]\d*)$/;
+// lodash refuses to set these keys so those paths are left to the closure engine
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+const specialObjects = {
+  $key: 'key',
+  $parent: 'parent',
+  $self: 'src',
+  $top: 'top'
+};
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Returns true if the path is a single key that does not need to be parsed.
+ *
+ * @method isKey
+ * @param {string} path The path.
+ * @return {boolean}
+ */
+function isKey(path) {
+  return reIsPlainProp.test(path) || !reIsDeepProp.test(path);
+}
+
+module.exports.internal._isKey = isKey;
+
+
+/**
+ *  Returns the javascript expression for a property access.
+ *
+ * @method member
+ * @param {string} objectName The name of the variable holding the object.
+ * @param {string} key The property name.
+ * @return {string}
+ */
+function member(objectName, key) {
+  return `${objectName}[${JSON.stringify(key)}]`;
+}
+
+
+/**
+ *  Returns the statements that read the path from the object into the target variable.
+ *  The statements follow the same rules as _.get so the result will be identical.
+ *
+ * @method getReadPath
+ * @param {string} objectName The name of the variable holding the object. The object may be null or undefined.
+ * @param {string} path The path to read.
+ * @param {string} [defaultName] The expression of the default value.
+ * @param {string} [target] The name of the variable the value is read into, defaults to v.
+ * @return {string[]}
+ */
+function getReadPath(objectName, path, defaultName, target) {
+  target = target || 'v';
+  let lines = [];
+  if (isKey(path)) {
+    lines.push(`${target} = ${objectName} == null ? undefined : ${member(objectName, path)};`);
+  } else {
+    lines.push(`if (${JSON.stringify(path)} in Object(${objectName})) {`);
+    lines.push(`  ${target} = ${member(objectName, path)};`);
+    lines.push('} else {');
+    lines.push(`  ${target} = ${objectName};`);
+    _.each(_.toPath(path), (key) => {
+      lines.push(`  ${target} = ${target} == null ? undefined : ${member(target, key)};`);
+    });
+    lines.push('}');
+  }
+  if (defaultName) {
+    lines.push(`if (${target} === undefined) {`);
+    lines.push(`  ${target} = ${defaultName};`);
+    lines.push('}');
+  }
+  return lines;
+}
+
+module.exports.internal._getReadPath = getReadPath;
+
+
+/**
+ *  Returns the statements that read a source path from the object into v.
+ *  Projections are read with projectPath, which follows the same rules as project in paths, any other path with getReadPath.
+ *
+ * @method getReadSourcePath
+ * @param {string} objectName The name of the variable holding the object. The object may be null or undefined.
+ * @param {string} path The path to read.
+ * @param {string} [defaultName] The expression of the default value.
+ * @return {string[]}
+ */
+function getReadSourcePath(objectName, path, defaultName) {
+  let segments = paths.parsePath(path);
+  if (!segments) {
+    return getReadPath(objectName, path, defaultName);
+  }
+  let lines = [`v = projectPath(${objectName}, ${JSON.stringify(segments)});`];
+  if (defaultName) {
+    lines.push('if (v === undefined) {');
+    lines.push(`  v = ${defaultName};`);
+    lines.push('}');
+  }
+  return lines;
+}
+
+
+/**
+ *  Returns the statements that assign v to the path of dst.
+ *  The statements follow the same rules as _.set so the result will be identical.
+ *  Returns null for paths that lodash refuses to set.
+ *
+ * @method getAssignPath
+ * @param {string} path The path to write.
+ * @return {string[]|null}
+ */
+function getAssignPath(path) {
+  if (isKey(path)) {
+    return [`${member('dst', path)} = v;`];
+  }
+  let segments = paths.parseDestinationPath(path);
+  if (segments) {
+    // The item of the array is selected when the value is set
+    return [`o = resolveDestination(dst, ${JSON.stringify(segments)}, true);`, 'if (o) {', '  o.object[o.key] = v;', '}'];
+  }
+
+  let keys = _.toPath(path);
+  if (_.intersection(keys, unsafeKeys).length) {
+    return null;
+  }
+  let lines = [
+    `if (${JSON.stringify(path)} in dst) {`,
+    `  ${member('dst', path)} = v;`,
+    '} else {',
+    '  o = dst;'
+  ];
+  _.each(_.initial(keys), (key, index) => {
+    let newObject = reIsIndex.test(keys[index + 1]) ? '[]' : '{}';
+    lines.push(`  n = ${member('o', key)};`);
+    lines.push('  if (n === null || (typeof n !== "object" && typeof n !== "function")) {');
+    lines.push(`    n = ${member('o', key)} = ${newObject};`);
+    lines.push('  }');
+    lines.push('  o = n;');
+  });
+  lines.push(`  ${member('o', _.last(keys))} = v;`);
+  lines.push('}');
+  return lines;
+}
+
+module.exports.internal._getAssignPath = getAssignPath;
+
+
+/**
+ *  Returns the statements that read a destination path into o, following the same rules as the destination accessors
+ *  of transform. The paths that select an item of an array are read with resolveDestination.
+ *
+ * @method getReadDestination
+ * @param {string} path The destination path.
+ * @param {string} [defaultName] The expression of the value used when the path is undefined.
+ * @return {string[]}
+ */
+function getReadDestination(path, defaultName) {
+  let segments = paths.parseDestinationPath(path);
+  if (!segments) {
+    return getReadPath('dst', path, defaultName, 'o');
+  }
+  let lines = [`o = resolveDestination(dst, ${JSON.stringify(segments)});`, 'o = o ? o.object[o.key] : undefined;'];
+  if (defaultName) {
+    lines.push('if (o === undefined) {');
+    lines.push(`  o = ${defaultName};`);
+    lines.push('}');
+  }
+  return lines;
+}
+
+
+/**
+ *  Indents the statements.
+ *
+ * @method indent
+ * @param {string[]} lines The statements.
+ * @return {string[]}
+ */
+function indent(lines) {
+  return _.map(lines, (line) => `  ${line}`);
+}
+
+
+/**
+ *  Returns the statements that set v in dst following the same rules as getSetValue.
+ *  Returns null when the value can't be set inline.
+ *
+ * @method getSetValueSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @param {boolean} inline Should every destination be inlined?
+ * @return {string[]|null}
+ */
+function getSetValueSource(field, index, inline) {
+  let assign = getAssignPath(field.dstPath);
+  if (!assign) {
+    // lodash will not set the value so there is nothing to do
+    return inline ? [] : null;
+  }
+  if (!field.mergeArrays) {
+    return ['if (v !== undefined) {', ...indent(assign), '}'];
+  }
+  if (!inline) {
+    return null;
+  }
+  if (field.dstType !== 'array') {
+    return [
+      'if (v !== undefined) {',
+      '  if (Array.isArray(v)) {',
+      ...indent(indent(getReadDestination(field.dstPath))),
+      `    v = r${index}(o, v);`,
+      '  }',
+      ...indent(assign),
+      '}'
+    ];
+  }
+  return [
+    'if (v !== undefined) {',
+    '  // Don\'t push empty objects',
+    '  if (!(isObject(v) && isEmpty(v))) {',
+    '    if (!Array.isArray(v)) {',
+    '      v = [v];',
+    '    }',
+    ...indent(indent(getReadDestination(field.dstPath, '[]'))),
+    `    v = r${index}(o, v);`,
+    ...indent(indent(assign)),
+    '  }',
+    '}'
+  ];
+}
+
+
+/**
+ *  Returns the expression that coerces a value into the type of a field.
+ *  The coercion context is only passed for strict fields since it is only used to report errors.
+ *
+ * @method getCoerceSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @param {string} expression The expression of the value.
+ * @return {string}
+ */
+function getCoerceSource(field, index, expression) {
+  if (!field.dstValueType) {
+    return expression;
+  }
+  let context = isStrict(field) ? `, y${index}` : '';
+  return `coerceValue(${expression}, ${JSON.stringify(field.dstValueType)}${context})`;
+}
+
+
+/**
+ *  Returns true if the coercion errors of the field are thrown.
+ *
+ * @method isStrict
+ * @param {Object} field The field description created by compile.
+ * @return {boolean}
+ */
+function isStrict(field) {
+  return field.coercion.strict;
+}
+
+
+/**
+ *  Returns the statements that read the source value of a field into v, the value is not coerced.
+ *  Returns null when the source can't be read inline.
+ *
+ * @method getReadSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @return {string[]|null}
+ */
+function getReadSource(field, index) {
+  let srcPath = field.srcPath;
+
+  if (field.srcType === 'literal') {
+    return [`v = ${JSON.stringify(srcPath)};`];
+  }
+
+  if (_.isFunction(srcPath)) {
+    return [`v = p${index}(src, dst, data, parent, top, key);`];
+  }
+  if (!_.isString(srcPath)) {
+    return null;
+  }
+  let srcPaths = srcPath.split('.');
+  let objectName = specialObjects[srcPaths[0]];
+  if (objectName) {
+    if (srcPaths.length === 1) {
+      return [`v = ${objectName};`];
+    }
+    return getReadSourcePath(objectName, srcPaths.splice(1).join('.'));
+  }
+  if (field.srcType === 'simple') {
+    return [`v = ${member('src', srcPath)};`];
+  }
+  return getReadSourcePath('src', srcPath);
+}
+
+
+/**
+ *  Returns the expression of the default value of a field, a default value function is called for each object.
+ *
+ * @method getDefaultSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @return {string}
+ */
+function getDefaultSource(field, index) {
+  return _.isFunction(field.defaultValue) ? `d${index}(src, dst, data, parent, top, key)` : `d${index}`;
+}
+
+
+/**
+ *  Returns the statements that handle a missing source value in v following the same rules as getMissingValueHandler.
+ *  A skipped field is left to the caller since the rest of the field has to be skipped.
+ *
+ * @method getMissingSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @return {string[]}
+ */
+function getMissingSource(field, index) {
+  let line;
+  if (field.required) {
+    line = `throw new MissingValueError(${JSON.stringify(field.dstPath)});`;
+  } else if (field.onMissing === 'null') {
+    line = 'v = null;';
+  } else {
+    line = `v = ${getDefaultSource(field, index)};`;
+  }
+  return ['if (v === undefined) {', `  ${line}`, '}'];
+}
+
+
+/**
+ *  Returns the statements that read a path, which may start with $parent, $self or $top, into v.
+ *
+ * @method getPathSource
+ * @param {string} path The path to read.
+ * @return {string[]}
+ */
+function getPathSource(path) {
+  return getReadSource({srcType: 'complex', srcPath: path});
+}
+
+
+/**
+ *  Returns the expression of a function that reads a path, which may start with $parent, $self or $top.
+ *
+ * @method getPathFunctionSource
+ * @param {string} name The name of the function.
+ * @param {string} path The path to read.
+ * @return {string}
+ */
+function getPathFunctionSource(name, path) {
+  return [
+    `function ${name}(src, dst, data, parent, top, key) {`,
+    '  var v;',
+    ...indent(getPathSource(path)),
+    '  return v;',
+    '}'
+  ].join('\n');
+}
+
+module.exports.getPathFunctionSource = getPathFunctionSource;
+
+
+/**
+ *  Returns the expression of a function that follows the same rules as the condition function created by compile.
+ *  Conditions that are functions have to be referenced instead.
+ *
+ * @method getConditionSource
+ * @param {string|Object} when The condition of the field.
+ * @return {string}
+ */
+function getConditionSource(when) {
+  let description = _.isString(when) ? {path: when} : when;
+  let test = '!!v';
+  if (_.has(description, 'equals')) {
+    test = `v === ${JSON.stringify(description.equals)}`;
+  } else if (_.has(description, 'in')) {
+    test = `${JSON.stringify(description.in)}.includes(v)`;
+  } else if (_.has(description, 'exists')) {
+    test = description.exists ? 'v != null' : 'v == null';
+  }
+  return [
+    'function condition(src, dst, data, parent, top, key) {',
+    '  var v;',
+    ...indent(getPathSource(description.path)),
+    `  return ${test};`,
+    '}'
+  ].join('\n');
+}
+
+module.exports.getConditionSource = getConditionSource;
+
+
+/**
+ *  Returns the expression of a function that follows the same rules as the switch schema created by compile.
+ *
+ * @method getSwitchSource
+ * @param {string} path The path of the discriminator.
+ * @param {Object} cases The expression of the schema for each discriminator value.
+ * @param {string} [defaultCase] The expression of the schema used when no case matches.
+ * @return {string}
+ */
+function getSwitchSource(path, cases, defaultCase) {
+  let entries = _.map(cases, (expression, value) => `    ${JSON.stringify(value)}: ${expression}`);
+  return [
+    '(function () {',
+    '  var cases = {',
+    entries.join(',\n'),
+    '  };',
+    '  return function switchSchema(src, dst, data, parent, top, key) {',
+    '    if (src === null || src === undefined) {',
+    '      return undefined;',
+    '    }',
+    '    var v;',
+    ...indent(indent(getPathSource(path))),
+    `    var schema = Object.prototype.hasOwnProperty.call(cases, v) ? cases[v] : ${defaultCase || 'undefined'};`,
+    '    return schema ? schema(src, dst, data, parent, top, key) : undefined;',
+    '  };',
+    '})()'
+  ].join('\n');
+}
+
+module.exports.getSwitchSource = getSwitchSource;
+
+
+/**
+ *  Returns the expression of the object that describes the array operations of a field, see createItemsOperation in arrays.
+ *  The filter, uniqBy and sortBy paths become functions that follow the same rules as the ones created by compile.
+ *
+ * @method getItemsOperationSource
+ * @param {Object} operations The operations property of the function created by getItemsOperation.
+ * @return {string}
+ */
+function getItemsOperationSource(operations) {
+  let getKeySource = (path) => getPathFunctionSource('getKey', path);
+  let entries = _.map(_.omit(operations, 'operateOn'), (value, name) => {
+    switch (name) {
+      case 'filter':
+        return `filter: ${getConditionSource(value)}`;
+      case 'uniqBy':
+        return `uniqBy: ${getKeySource(value)}`;
+      case 'sortBy':
+        return `sortBy: [${_.map(value, (key) => `{getKey: ${getKeySource(key.path)}, descending: ${key.descending}}`).join(', ')}]`;
+      default:
+        return `${name}: ${JSON.stringify(value)}`;
+    }
+  });
+  return ['{', ...indent(entries.join(',\n').split('\n')), '}'].join('\n');
+}
+
+module.exports.getItemsOperationSource = getItemsOperationSource;
+
+
+/**
+ *  Returns the statements for an embedded object or an array of embedded objects following the same rules as getSchemaTransform.
+ *
+ * @method getSchemaSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @return {string[]}
+ */
+function getSchemaSource(field, index) {
+  let lines;
+  let callSchema = (item, target, path, key) => {
+    let call = `${target} = s${index}(${item}, null, data, src, top${key ? `, ${key}` : ''});`;
+    // Coercion errors and missing values report the path of the embedded object
+    return ['try {', `  ${call}`, '} catch (e) {', `  throw prefixError(e, ${path});`, '}'];
+  };
+  if (_.isFunction(field.srcPath)) {
+    lines = [`v = p${index}(src, dst, data, parent, top, key);`];
+  } else {
+    let objectName = 'src';
+    let path = String(field.srcPath);
+    let pathParts = /^(\$parent|\$top|\$self)\.?(.*)$/.exec(path);
+    if (pathParts) {
+      objectName = specialObjects[pathParts[1]];
+      path = pathParts[2];
+    }
+    lines = path ? getReadSourcePath(objectName, path, 'null') : [`v = ${objectName};`];
+  }
+
+  // The values of a wildcard field are merged into the destination
+  let assign = field.dstType === 'wildcard' ? ['Object.assign(dst, v);'] : getAssignPath(field.dstPath) || [];
+  // An array of embedded objects is combined with the array in the destination
+  let assignArray = assign;
+  if (field.mergeArrays) {
+    assignArray = [
+      'if (Array.isArray(v)) {',
+      ...indent(getReadDestination(field.dstPath)),
+      `  v = r${index}(o, v);`,
+      '}',
+      ...assign
+    ];
+  }
+  let single = [];
+  if (field.dstType === 'array') {
+    single.push(...getReadDestination(field.dstPath, '[]'));
+    single.push('// Don\'t push empty objects');
+    single.push(`v = isEmpty(v) ? o : r${index}(o, [v]);`);
+  }
+  single = [
+    ...callSchema('v', 'v', JSON.stringify(field.dstPath)),
+    `v = ${getCoerceSource(field, index, 'v')};`,
+    '// An embedded object that did not match any case of a switch is not set',
+    'if (v !== undefined) {',
+    ...indent(single),
+    ...indent(assign),
+    '}'
+  ];
+
+  let operateOn = field.operateItems ? field.operateItems.operations.operateOn : undefined;
+  let operate = (name) => [`${name} = a${index}(${name}, data, src, top);`];
+  let indexPath = `${JSON.stringify(`${field.dstPath}[`)} + i + "]"`;
+  let keyPath = (key) => field.dstType === 'wildcard' ? `"" + ${key}` : `${JSON.stringify(`${field.dstPath}.`)} + ${key}`;
+  // The transformed objects are coerced once the operations have been applied to them
+  let collect = (expression) => `  o.push(${operateOn === 'result' ? expression : getCoerceSource(field, index, expression)});`;
+  let finish = [];
+  if (operateOn === 'result') {
+    finish.push(...operate('o'));
+    if (field.dstValueType) {
+      finish.push(`o = o.map(function (n) { return ${getCoerceSource(field, index, 'n')}; });`);
+    }
+  }
+  let mapItems = [
+    ...(operateOn === 'source' ? operate('v') : []),
+    ...(field.getKey ? [`k = v.map(function (n) { return g${index}(n, null, data, src, top); });`] : []),
+    'o = [];',
+    'for (var i = 0; i < v.length; i++) {',
+    ...indent(field.getKey ? callSchema('v[i]', 'n', keyPath('k[i]'), 'k[i]') : callSchema('v[i]', 'n', indexPath, 'i')),
+    collect('n'),
+    '}',
+    ...finish,
+    ...(field.getKey ? ['o = arrays.fromKeys(k, o);'] : [])
+  ];
+  let mapEntries = [];
+  if (field.toEntries) {
+    mapEntries = [
+      '} else if (isObject(v)) {',
+      '  k = Object.keys(v);',
+      '  o = [];',
+      '  for (var i = 0; i < k.length; i++) {',
+      ...indent(indent(callSchema('v[k[i]]', 'n', indexPath, 'k[i]'))),
+      `  ${collect(`arrays.toEntry(e${index}, k[i], n)`)}`,
+      '  }',
+      ...indent(finish),
+      '  v = o;',
+      ...indent(assignArray)
+    ];
+  } else if (field.mapKey) {
+    mapEntries = [
+      '} else if (isObject(v)) {',
+      '  k = Object.keys(v);',
+      '  // The keys are mapped once, before the values are transformed',
+      `  var mappedKeys = k.map(function (n) { return m${index}(n, v[n]); });`,
+      '  o = [];',
+      '  for (var i = 0; i < k.length; i++) {',
+      ...indent(indent(callSchema('v[k[i]]', 'n', keyPath('mappedKeys[i]'), 'k[i]'))),
+      `    o.push(${getCoerceSource(field, index, 'n')});`,
+      '  }',
+      '  v = arrays.fromKeys(mappedKeys, o);',
+      ...indent(assign)
+    ];
+  }
+
+  return lines.concat([
+    '// only process if the item(s) is not null',
+    'if (v) {',
+    '  if (Array.isArray(v)) {',
+    ...indent(indent(mapItems)),
+    '    v = o;',
+    ...indent(indent(assignArray)),
+    ...indent(mapEntries),
+    '  } else {',
+    ...indent(indent(single)),
+    '  }',
+    '}'
+  ]);
+}
+
+
+/**
+ *  Returns the statements for a single field, or null when the field has to use its compiled closure.
+ *
+ * @method getFieldSource
+ * @param {Object} field The field description created by compile.
+ * @param {number} index The index of the field.
+ * @param {boolean} inline Should every field be inlined?
+ * @return {string[]|null}
+ */
+function getFieldSource(field, index, inline) {
+  let lines;
+  if (!inline && (field.kind === 'function' || field.kind === 'schema')) {
+    return null;
+  }
+  switch (field.kind) {
+    case 'remove': {
+      if (field.dstType === 'simple') {
+        return [`${member('dst', field.dstPath)} = undefined;`];
+      }
+      if (!inline) {
+        return null;
+      }
+      let segments = paths.parseDestinationPath(field.dstPath);
+      if (segments) {
+        // The selected item is not created to remove its value
+        return [
+          `o = resolveDestination(dst, ${JSON.stringify(segments)});`,
+          'if (o && Object.prototype.hasOwnProperty.call(o.object, o.key)) {',
+          '  o.object[o.key] = undefined;',
+          '}'
+        ];
+      }
+      lines = getAssignPath(field.dstPath) || [];
+      return [
+        `if (hasPath(dst, ${JSON.stringify(field.dstPath)}, ${JSON.stringify(_.toPath(field.dstPath))})) {`,
+        '  v = undefined;',
+        ...indent(lines),
+        '}'
+      ];
+    }
+
+    case 'function':
+      lines = [`v = c${index}(src, dst, data, parent, top, key);`];
+      break;
+
+    case 'schema':
+      return getSchemaSource(field, index);
+
+    default: {
+      let read = getReadSource(field, index);
+      if (!read) {
+        return null;
+      }
+      lines = [];
+      if (field.dstValueType) {
+        lines.push(`v = ${getCoerceSource(field, index, 'v')};`);
+      }
+      if (field.kind === 'filter') {
+        lines.push(`v = f${index}.call(src, v, src, dst, data, parent, top, key);`);
+      } else if (field.defaultValue !== undefined && !field.handleMissing) {
+        // If the value is null or empty for objects or arrays then set to default value.
+        lines.push('if (!(v || v === 0) || (isObject(v) && isEmpty(v))) {');
+        lines.push(`  v = ${getDefaultSource(field, index)};`);
+        lines.push('}');
+      }
+      let set = getSetValueSource(field, index, inline);
+      if (!set) {
+        return null;
+      }
+      lines = lines.concat(set);
+      if (!field.handleMissing) {
+        return read.concat(lines);
+      }
+      // The missing value is handled before it is coerced, a skipped field is not set
+      if (field.onMissing === 'skip' && !field.required) {
+        return [...read, 'if (v !== undefined) {', ...indent(lines), '}'];
+      }
+      return [...read, ...getMissingSource(field, index), ...lines];
+    }
+  }
+
+  // Functions are only inlined with every other field so the value can always be set
+  return lines.concat(getSetValueSource(field, index, inline));
+}
+
+module.exports.internal._getFieldSource = getFieldSource;
+
+
+/**
+ *  Generates the source of the factory that creates the transformation function.
+ *  The factory declares the values each field needs using the reference function and then returns the transformation function.
+ *
+ * @method getSource
+ * @param {Object[]} fields The field descriptions created by compile.
+ * @param {boolean} hasOnFinished Is there an onFinished function to call when the transformation has finished?
+ * @param {Object} [options] The generation options.
+ * @param {boolean} [options.inline] Inline every field instead of falling back to the compiled closures.
+ * @param {function} [options.reference] Returns the expression for a value of a field, given the field, index and property name.
+ * @return {string}
+ */
+function getSource(fields, hasOnFinished, options) {
+  options = options || {};
+  let reference = options.reference || ((field, index, property) => `fields[${index}].${property}`);
+  let header = [];
+  let body = [];
+  let declare = (name, index, property) => {
+    header.push(`var ${name}${index} = ${reference(fields[index], index, property)};`);
+  };
+  _.each(fields, (field, index) => {
+    let lines = getFieldSource(field, index, options.inline);
+    if (lines) {
+      if (_.isFunction(field.srcPath)) {
+        declare('p', index, 'srcPath');
+      }
+      switch (field.kind) {
+        case 'filter':
+          declare('f', index, 'filter');
+          break;
+        case 'function':
+          declare('c', index, 'func');
+          break;
+        case 'schema':
+          declare('s', index, 'compiledSchema');
+          if (field.operateItems) {
+            declare('a', index, 'operateItems');
+          }
+          if (field.getKey) {
+            declare('g', index, 'getKey');
+          }
+          if (field.toEntries) {
+            declare('e', index, 'toEntries');
+          }
+          if (field.mapKey) {
+            declare('m', index, 'mapKey');
+          }
+          break;
+      }
+      if (field.defaultValue !== undefined) {
+        declare('d', index, 'defaultValue');
+      }
+      if (field.mergeArrays) {
+        declare('r', index, 'mergeArrays');
+      }
+      if (field.dstValueType && isStrict(field)) {
+        declare('y', index, 'coercion');
+      }
+      if (field.condition) {
+        // The field is only applied when the condition is met
+        declare('w', index, 'condition');
+        lines = [`if (w${index}(src, dst, data, parent, top, key)) {`, ...indent(lines), '}'];
+      }
+    } else {
+      // Fall back to the compiled closure, which checks the condition of the field
+      declare('t', index, 'transform');
+      lines = [`t${index}(src, dst, data, parent, top, key);`];
+    }
+    body.push(`// ${JSON.stringify(field.dstPath)}`);
+    body.push(...lines);
+  });
+  if (hasOnFinished) {
+    body.push('onFinished(src, dst, data, parent, top, key);');
+  }
+
+  return [
+    ...header,
+    'return function transformFunc(src, dst, data, parent, top, key) {',
+    '  if (src === null || src === undefined) {',
+    '    return undefined;',
+    '  }',
+    '  if (!top) {',
+    '    top = src;',
+    '  }',
+    '  dst = dst || {};',
+    '  var v, o, n, k;',
+    ...indent(body),
+    '  return dst;',
+    '};'
+  ].join('\n');
+}
+
+module.exports.getSource = getSource;
+
+
+/**
+ *  Generates a single specialized transformation function from the field descriptions created by compile.
+ *  Property reads and writes are inlined, anything else uses the compiled closure of the field.
+ *
+ * @method generate
+ * @param {Object[]} fields The field descriptions created by compile.
+ * @param {function} [onFinished] The function to call when the transformation has finished.
+ * @param {Object} runtime The helpers used by the generated code.
+ * @param {function} runtime.coerceValue The function used to coerce a value into a type.
+ * @param {function} runtime.prefixError The function that adds the path of an embedded object to a coercion or missing value error.
+ * @param {function} runtime.MissingValueError The error thrown when the source value of a required field is missing.
+ * @return {function}
+ */
+module.exports.generate = function (fields, onFinished, runtime) {
+  let source = getSource(fields, !!onFinished);
+  let factory = new Function('isObject', 'isEmpty', 'fields', 'onFinished', 'coerceValue', 'prefixError', 'MissingValueError', 'projectPath', 'resolveDestination', 'arrays', source);
+  return factory(_.isObject, _.isEmpty, fields, onFinished, runtime.coerceValue, runtime.prefixError, runtime.MissingValueError, paths.project, paths.resolveDestination, arrays);
+};
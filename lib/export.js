@@ -0,0 +1,442 @@
+const _ = require('lodash');
+const fs = require('fs');
+const codegen = require('./codegen');
+const registries = require('./registry');
+const transform = require('./transform');
+const types = require('./types');
+
+const reIsIdentifier = /^[A-Za-z_$][\w$]*$/;
+
+// The helpers used by the generated code, these replace the lodash functions used by the compiler and are tested side by
+// side with lodash, the types and the paths are embedded from their modules instead
+const helpers = `function isObject(value) {
+  var type = typeof value;
+  return value != null && (type === 'object' || type === 'function');
+}
+
+function isEmpty(value) {
+  if (value == null) {
+    return true;
+  }
+  if (typeof value === 'string' || Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView))) {
+    return !value.length;
+  }
+  if (value instanceof Map || value instanceof Set) {
+    return !value.size;
+  }
+  return !Object.keys(value).length;
+}
+
+function hasPath(object, path, keys) {
+  if (object != null && path in Object(object)) {
+    keys = [path];
+  }
+  for (var i = 0; i < keys.length; i++) {
+    if (object == null || !Object.prototype.hasOwnProperty.call(object, keys[i])) {
+      return false;
+    }
+    object = object[keys[i]];
+  }
+  return true;
+}
+
+var lazyDepth = 0;
+
+function lazySchema(name, maxDepth, getSchema) {
+  return function (src, dst, data, parent, top, key) {
+    if (lazyDepth >= maxDepth) {
+      throw new Error('The child schema "' + name + '" exceeded the maximum depth of ' + maxDepth + '.');
+    }
+    lazyDepth++;
+    try {
+      return getSchema()(src, dst, data, parent, top, key);
+    } finally {
+      lazyDepth--;
+    }
+  };
+}`;
+
+// The sources of the modules embedded in the exported schemas, they are read the first time a schema uses them
+const embeddedModules = new Map();
+
+/**
+ *  Returns the source that embeds a module without dependencies, such as the expression evaluator, in an exported schema.
+ *
+ * @method getEmbeddedModule
+ * @param {string} variable The name of the variable that holds the exports of the module.
+ * @param {string} modulePath The path of the module.
+ * @return {string}
+ */
+function getEmbeddedModule(variable, modulePath) {
+  if (!embeddedModules.has(modulePath)) {
+    let source = fs.readFileSync(require.resolve(modulePath), 'utf8').trim().replace(/^(?=.)/gm, '  ');
+    embeddedModules.set(modulePath, [
+      `var ${variable} = (function () {`,
+      '  var module = {exports: {}};',
+      source,
+      '  return module.exports;',
+      '})();'
+    ].join('\n'));
+  }
+  return embeddedModules.get(modulePath);
+}
+
+// The helpers that remove the values selected by the _omit option, they follow omitDeep and getOmitValues
+const omitHelpers = `function isPlainObject(value) {
+  if (value === null || typeof value !== 'object' || Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+function omitDeep(collection, predicate) {
+  var isArray = Array.isArray(collection);
+  var keys = isArray ? Array.from(collection.keys()) : Object.keys(collection);
+  var result = isArray ? [] : {};
+  for (var i = 0; i < keys.length; i++) {
+    var value = collection[keys[i]];
+    if (Array.isArray(value) || isPlainObject(value)) {
+      value = omitDeep(value, predicate);
+    }
+    if (predicate(value, keys[i])) {
+      continue;
+    }
+    if (isArray) {
+      result.push(value);
+    } else {
+      result[keys[i]] = value;
+    }
+  }
+  return result;
+}
+
+function omitAfter(onFinished, omit) {
+  var omitKeys = omit.keys || [];
+  function predicate(value, key) {
+    return (omit.nulls && value == null) ||
+      (omit.emptyObjects && isPlainObject(value) && !Object.keys(value).length) ||
+      (omit.emptyArrays && Array.isArray(value) && !value.length) ||
+      omitKeys.indexOf(key) !== -1;
+  }
+  return function (src, dst, data, parent, top, key) {
+    if (onFinished) {
+      onFinished(src, dst, data, parent, top, key);
+    }
+    var cleaned = omitDeep(dst, predicate);
+    Object.keys(dst).forEach(function (name) {
+      if (Object.prototype.hasOwnProperty.call(cleaned, name)) {
+        dst[name] = cleaned[name];
+      } else {
+        delete dst[name];
+      }
+    });
+  };
+}`;
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+module.exports.internal._helpers = helpers;
+
+
+/**
+ *  Returns the expression used to access an exported function of the filters module.
+ *
+ * @method getFilterReference
+ * @param {Object} context The export context.
+ * @param {function} func The function to find in the filters module.
+ * @param {string} path The schema path of the function, used in error messages.
+ * @return {string}
+ */
+function getFilterReference(context, func, path) {
+  let name = _.findKey(context.options.filters, (filter) => filter === func);
+  if (!name) {
+    throw new Error(`The function for "${path}" was not found in the filters module.`);
+  }
+  return getNamedFilterReference(context, name);
+}
+
+module.exports.internal._getFilterReference = getFilterReference;
+
+
+/**
+ *  Returns the expression used to access a function of the filters module by name.
+ *
+ * @method getNamedFilterReference
+ * @param {Object} context The export context.
+ * @param {string} name The name of the function.
+ * @return {string}
+ */
+function getNamedFilterReference(context, name) {
+  context.usesFilters = true;
+  return reIsIdentifier.test(name) ? `filters.${name}` : `filters[${JSON.stringify(name)}]`;
+}
+
+
+/**
+ *  Returns the expression for a filter definition, named filters are imported from the filters module by name.
+ *  An array of filters becomes a function that runs each filter in order.
+ *
+ * @method getFilterDefinitionReference
+ * @param {Object} context The export context.
+ * @param {string|function|Array} definition The filter definition.
+ * @param {string} path The schema path of the filter, used in error messages.
+ * @return {string}
+ */
+function getFilterDefinitionReference(context, definition, path) {
+  let references = _.map(_.castArray(definition), (entry) => {
+    return _.isString(entry) ? getNamedFilterReference(context, entry) : getFilterReference(context, entry, path);
+  });
+  if (references.length === 1) {
+    return references[0];
+  }
+  let args = 'src, dst, data, parent, top, key';
+  let calls = _.map(references, (reference) => `value = ${reference}.call(this, value, ${args}); `).join('');
+  return `function (value, ${args}) { ${calls}return value; }`;
+}
+
+module.exports.internal._getFilterDefinitionReference = getFilterDefinitionReference;
+
+
+/**
+ *  Serializes a value that is stored in the schema, such as a default value, into a javascript expression.
+ *
+ * @method getValueReference
+ * @param {Object} context The export context.
+ * @param {*} value The value.
+ * @param {string} path The schema path of the value, used in error messages.
+ * @return {string}
+ */
+function getValueReference(context, value, path) {
+  if (_.isFunction(value)) {
+    return getFilterReference(context, value, path);
+  }
+  return JSON.stringify(value);
+}
+
+
+/**
+ *  Adds the source of every schema function needed by the compiled transformation function to the context.
+ *
+ * @method getSchemaSources
+ * @param {function} transformFunc The compiled transformation function.
+ * @param {Object} context The export context.
+ * @param {Object} context.options The export options.
+ * @param {Map} context.names The names of the schema functions that have already been generated.
+ * @param {Set} context.pending The names of the schema functions whose source has not been added yet.
+ * @param {Set} context.types The names of the registered types used by the schemas, imported from the filters module.
+ * @param {boolean} context.usesExpressions Is the expression evaluator needed by the schemas?
+ * @param {boolean} context.usesArrays Are the array operations needed by the schemas?
+ * @param {boolean} context.usesOmit Are the helpers of the _omit option needed by the schemas?
+ * @param {string[]} context.sources The sources of the generated schema functions, children first.
+ * @param {string} path The schema path, used in error messages.
+ * @return {string} The name of the generated schema function.
+ */
+function getSchemaSources(transformFunc, context, path) {
+  let names = context.names;
+  let sources = context.sources;
+  if (names.has(transformFunc)) {
+    return names.get(transformFunc);
+  }
+  let definition = transform.getDefinition(transformFunc);
+  if (!definition) {
+    throw new Error(`The schema for "${path}" was not compiled and can't be exported.`);
+  }
+  if (definition.onError || definition.errors !== 'throw') {
+    throw new Error(`The error handling of the schema for "${path}" can't be exported.`);
+  }
+  let name = names.size ? `schema${names.size}` : 'transform';
+  names.set(transformFunc, name);
+  context.pending.add(name);
+
+  let fieldPath = (field) => path ? `${path}.${field.dstPath}` : field.dstPath;
+  let schemaReference = (value, schemaPath) => {
+    if (value.cases) {
+      // A switch selects the schema of each embedded object by the value of the discriminator
+      let cases = _.mapValues(value.cases, (compiledSchema, caseValue) => schemaReference(compiledSchema, `${schemaPath}.cases.${caseValue}`));
+      let defaultCase = value.defaultCase && schemaReference(value.defaultCase, `${schemaPath}.default`);
+      return codegen.getSwitchSource(value.switchPath, cases, defaultCase);
+    }
+    if (value.resolve) {
+      // Named schemas that are resolved when first used can refer to a schema that is defined later
+      let childName = getSchemaSources(value.resolve(), context, schemaPath);
+      return `lazySchema(${JSON.stringify(value.schemaName)}, ${value.maxDepth}, function () { return ${childName}; })`;
+    }
+    if (transform.getDefinition(value)) {
+      let childName = getSchemaSources(value, context, schemaPath);
+      if (context.pending.has(childName)) {
+        // The schema refers back to a schema that is still being defined
+        return `function (src, dst, data, parent, top, key) { return ${childName}(src, dst, data, parent, top, key); }`;
+      }
+      return childName;
+    }
+    return getFilterReference(context, value, schemaPath);
+  };
+  let reference = (field, fieldIndex, property) => {
+    let value = field[property];
+    if (property === 'compiledSchema') {
+      return schemaReference(value, `${fieldPath(field)}.${value.cases ? 'switch' : 'schema'}`);
+    }
+    if (property === 'filter') {
+      return getFilterDefinitionReference(context, field.filterDefinition, `${fieldPath(field)}.filter`);
+    }
+    if (property === 'srcPath' && _.isString(value.expression)) {
+      // Expressions are parsed again when the module is loaded
+      context.usesExpressions = true;
+      return `expressions.compileExpression(${JSON.stringify(value.expression)})`;
+    }
+    if (property === 'srcPath' && value.aggregation) {
+      let aggregation = value.aggregation;
+      let getSource = _.isString(aggregation.srcPath) ? codegen.getPathFunctionSource('getSource', aggregation.srcPath) : reference({dstPath: field.dstPath, srcPath: aggregation.srcPath}, fieldIndex, 'srcPath');
+      let getValue = aggregation.of ? `, ${codegen.getPathFunctionSource('getValue', aggregation.of)}` : '';
+      context.usesArrays = true;
+      return [
+        '(function () {',
+        `  var aggregate = arrays.createAggregation(${JSON.stringify(aggregation.operation)}${getValue});`,
+        `  var getSource = ${getSource};`,
+        '  return function aggregation(src, dst, data, parent, top, key) {',
+        '    return aggregate(getSource(src, dst, data, parent, top, key), data, src, top);',
+        '  };',
+        '})()'
+      ].join('\n');
+    }
+    if (property === 'operateItems') {
+      context.usesArrays = true;
+      return `arrays.createItemsOperation(${codegen.getItemsOperationSource(value.operations)})`;
+    }
+    if (property === 'getKey') {
+      // The keys are set on the embedded objects with the array helpers
+      context.usesArrays = true;
+      return codegen.getPathFunctionSource('getKey', field.keyBy);
+    }
+    if (property === 'toEntries') {
+      context.usesArrays = true;
+      return JSON.stringify(value);
+    }
+    if (property === 'mapKey') {
+      // The mapped values are set with the array helpers
+      context.usesArrays = true;
+      if (_.isFunction(field.mapKeys)) {
+        return getFilterReference(context, field.mapKeys, `${fieldPath(field)}.mapKeys`);
+      }
+      return `arrays.getKeyMapping(${field.mapKeys ? JSON.stringify(field.mapKeys) : ''})`;
+    }
+    if (property === 'mergeArrays') {
+      context.usesArrays = true;
+      let [strategy, keyPath] = _.split(field.arrayMerge, /:(.*)/);
+      let getKey = keyPath ? `, ${codegen.getPathFunctionSource('getKey', keyPath)}` : '';
+      return `arrays.createArrayMerge(${JSON.stringify(strategy)}${getKey})`;
+    }
+    if (property === 'condition') {
+      return _.isFunction(field.when) ? getFilterReference(context, field.when, `${fieldPath(field)}.when`) : codegen.getConditionSource(field.when);
+    }
+    // Function values are the field itself
+    return getValueReference(context, value, property === 'func' ? fieldPath(field) : `${fieldPath(field)}.${property}`);
+  };
+  _.each(definition.fields, (field) => {
+    let typeName = field.dstValueType && types.getTypeName(field.dstValueType);
+    if (typeName && !types.isBuiltInType(typeName)) {
+      // Registered types are imported from the filters module by name
+      context.types.add(typeName);
+    }
+  });
+  let onFinished = definition.schema._onFinished;
+  let onFinishedSource;
+  if (_.isFunction(onFinished) || _.isString(onFinished)) {
+    onFinishedSource = getFilterDefinitionReference(context, onFinished, path ? `${path}._onFinished` : '_onFinished');
+  }
+  if (definition.schema._omit) {
+    // The values are omitted once _onFinished has finished the destination
+    context.usesOmit = true;
+    onFinishedSource = `omitAfter(${onFinishedSource || 'null'}, ${JSON.stringify(definition.schema._omit)})`;
+  }
+  let source = codegen.getSource(definition.fields, !!onFinishedSource, {inline: true, reference});
+  let lines = [`const ${name} = (function () {`];
+  if (onFinishedSource) {
+    lines.push(`  var onFinished = ${onFinishedSource};`);
+  }
+  lines.push(..._.map(source.split('\n'), (line) => `  ${line}`));
+  lines.push('})();');
+  // The source is added once the children have been added since they are needed before the parent
+  sources.push(lines.join('\n'));
+  context.pending.delete(name);
+  return name;
+}
+
+
+/**
+ *  Serializes a schema into a self-contained javascript module that has no dependencies.
+ *  The default export of the module is a function that behaves the same as the function returned by compile.
+ *  Functions used by the schema, such as filters, are imported from the filters module. Filters that are
+ *  referenced by name, including the built in filters, are imported using the same name.
+ *
+ * @method exportSchema
+ * @param {Object|string|function} schema The schema definition, the name of a compiled schema or a compiled transformation function.
+ * @param {Object} [options] The export options.
+ * @param {string} [options.format] Either 'commonjs' (the default) or 'esm'.
+ * @param {string} [options.filtersPath] The path of the module that exports the functions used by the schema.
+ * @param {Object} [options.filters] The functions exported by the filters module, used to find the name of each function.
+ * @param {Object} [options.registry] The registry to find named schemas in, see createRegistry.
+ * @return {string}
+ */
+module.exports.exportSchema = function (schema, options) {
+  options = options || {};
+  let transformFunc = schema;
+  if (_.isString(schema)) {
+    transformFunc = (options.registry || registries.defaultRegistry).get(schema);
+    if (!transformFunc) {
+      throw new Error('The schema was not found.');
+    }
+  } else if (!_.isFunction(schema)) {
+    transformFunc = transform.compile(schema, undefined, {registry: options.registry});
+  }
+
+  let context = {
+    options,
+    names: new Map(),
+    pending: new Set(),
+    sources: [],
+    types: new Set(),
+    usesExpressions: false,
+    usesArrays: false,
+    usesOmit: false,
+    usesFilters: false
+  };
+  getSchemaSources(transformFunc, context, '');
+  let typeSources = _.map([...context.types], (name) => `types.registerType(${JSON.stringify(name)}, ${getNamedFilterReference(context, name)});`);
+
+  let lines = ['// This file was generated by @nomadplanit/fast-transform, do not edit it.'];
+  if (context.usesFilters) {
+    if (!options.filtersPath) {
+      throw new Error('The filtersPath option is required when the schema uses functions.');
+    }
+    if (options.format === 'esm') {
+      lines.push(`import * as filters from ${JSON.stringify(options.filtersPath)};`);
+    } else {
+      lines.push(`const filters = require(${JSON.stringify(options.filtersPath)});`);
+    }
+  }
+  // The types and the paths are read and written by the same modules as the compiled schema
+  lines.push('', helpers, '', getEmbeddedModule('types', './types'), '', getEmbeddedModule('locate', './locate'), '');
+  lines.push('var coerceValue = types.coerce;', 'var prefixError = types.prefixError;', 'var MissingValueError = types.MissingValueError;');
+  lines.push('var projectPath = locate.project;', 'var resolveDestination = locate.resolveDestination;', '');
+  if (context.usesExpressions) {
+    lines.push(getEmbeddedModule('expressions', './expression'), '');
+  }
+  if (context.usesArrays) {
+    lines.push(getEmbeddedModule('arrays', './arrays'), '');
+  }
+  if (context.usesOmit) {
+    lines.push(omitHelpers, '');
+  }
+  if (typeSources.length) {
+    lines.push(...typeSources, '');
+  }
+  lines.push(context.sources.join('\n\n'), '');
+  if (options.format === 'esm') {
+    lines.push('export default transform;');
+  } else {
+    lines.push('module.exports = transform;');
+  }
+  return lines.join('\n') + '\n';
+};
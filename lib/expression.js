@@ -0,0 +1,801 @@
+// This module has no dependencies so its source can be embedded as is in exported schemas
+
+// The binding power of each token, tokens with a higher power bind tighter
+const bindingPowers = {
+  EOF: 0,
+  UnquotedIdentifier: 0,
+  QuotedIdentifier: 0,
+  Rbracket: 0,
+  Rparen: 0,
+  Comma: 0,
+  Rbrace: 0,
+  Number: 0,
+  Current: 0,
+  Expref: 0,
+  Colon: 0,
+  Literal: 0,
+  Pipe: 1,
+  Or: 2,
+  And: 3,
+  EQ: 5,
+  NE: 5,
+  LT: 5,
+  LTE: 5,
+  GT: 5,
+  GTE: 5,
+  Flatten: 9,
+  Star: 20,
+  Filter: 21,
+  Dot: 40,
+  Not: 45,
+  Lbrace: 50,
+  Lbracket: 55,
+  Lparen: 60
+};
+const punctuation = {
+  '[?': 'Filter',
+  '[]': 'Flatten',
+  '==': 'EQ',
+  '!=': 'NE',
+  '<=': 'LTE',
+  '>=': 'GTE',
+  '||': 'Or',
+  '&&': 'And',
+  '.': 'Dot',
+  '*': 'Star',
+  ',': 'Comma',
+  ':': 'Colon',
+  '{': 'Lbrace',
+  '}': 'Rbrace',
+  '[': 'Lbracket',
+  ']': 'Rbracket',
+  '(': 'Lparen',
+  ')': 'Rparen',
+  '@': 'Current',
+  '&': 'Expref',
+  '|': 'Pipe',
+  '!': 'Not',
+  '<': 'LT',
+  '>': 'GT'
+};
+const comparators = {
+  EQ: '==',
+  NE: '!=',
+  LT: '<',
+  LTE: '<=',
+  GT: '>',
+  GTE: '>='
+};
+// The patterns of the tokens that are more than punctuation
+const reIdentifier = /[A-Za-z_][A-Za-z0-9_]*/y;
+const reNumber = /-?\d+/y;
+const reQuoted = /"(?:[^"\\]|\\.)*"/y;
+const reRawString = /'(?:[^'\\]|\\.)*'/y;
+const reLiteral = /`(?:[^`\\]|\\.)*`/y;
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Returns true if the value is an object that is not an array.
+ *
+ * @method isObject
+ * @param {*} value The value.
+ * @return {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+/**
+ *  Returns true if the value is false in an expression, which are null, false, empty strings, arrays and objects.
+ *
+ * @method isFalse
+ * @param {*} value The value.
+ * @return {boolean}
+ */
+function isFalse(value) {
+  if (value === null || value === false || value === '') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return !value.length;
+  }
+  return isObject(value) && !Object.keys(value).length;
+}
+
+
+/**
+ *  Returns true if both values are equal, arrays and objects are compared by their content.
+ *
+ * @method isEqual
+ * @param {*} first The first value.
+ * @param {*} second The second value.
+ * @return {boolean}
+ */
+function isEqual(first, second) {
+  if (first === second) {
+    return true;
+  }
+  if (Array.isArray(first) && Array.isArray(second)) {
+    return first.length === second.length && first.every((value, index) => isEqual(value, second[index]));
+  }
+  if (isObject(first) && isObject(second)) {
+    let keys = Object.keys(first);
+    return keys.length === Object.keys(second).length &&
+      keys.every((key) => Object.prototype.hasOwnProperty.call(second, key) && isEqual(first[key], second[key]));
+  }
+  return false;
+}
+
+
+/**
+ *  Throws the error of an expression that can't be parsed.
+ *
+ * @method fail
+ * @param {string} source The expression.
+ * @param {string} reason Why the expression is not valid.
+ */
+function fail(source, reason) {
+  throw new Error(`The expression ${source} is not valid, ${reason}.`);
+}
+
+
+/**
+ *  Splits an expression into tokens.
+ *
+ * @method tokenize
+ * @param {string} source The expression.
+ * @return {Object[]} The tokens, each with a type, value and position.
+ */
+function tokenize(source) {
+  let tokens = [];
+  let position = 0;
+  let read = (pattern) => {
+    pattern.lastIndex = position;
+    let match = pattern.exec(source);
+    return match && match[0];
+  };
+  while (position < source.length) {
+    let char = source[position];
+    let text;
+    let token = {position};
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    if ((text = read(reIdentifier))) {
+      token.type = 'UnquotedIdentifier';
+      token.value = text;
+    } else if ((text = read(reNumber))) {
+      token.type = 'Number';
+      token.value = Number(text);
+    } else if ((text = read(reQuoted))) {
+      token.type = 'QuotedIdentifier';
+      token.value = JSON.parse(text);
+    } else if ((text = read(reRawString))) {
+      token.type = 'Literal';
+      token.value = text.slice(1, -1).replace(/\\'/g, '\'');
+    } else if ((text = read(reLiteral))) {
+      token.type = 'Literal';
+      try {
+        token.value = JSON.parse(text.slice(1, -1).replace(/\\`/g, '`'));
+      } catch (err) {
+        fail(source, `the literal ${text} is not JSON`);
+      }
+    } else {
+      text = punctuation[source.substr(position, 2)] ? source.substr(position, 2) : char;
+      token.type = punctuation[text];
+      if (!token.type) {
+        fail(source, `the character ${char} at ${position} is not expected`);
+      }
+    }
+    tokens.push(token);
+    position += text.length;
+  }
+  tokens.push({type: 'EOF', position});
+  return tokens;
+}
+
+module.exports.internal._tokenize = tokenize;
+
+
+/**
+ *  The number of arguments each function accepts, the functions are implemented by callFunction.
+ */
+const functionArity = {
+  abs: [1, 1],
+  avg: [1, 1],
+  ceil: [1, 1],
+  contains: [2, 2],
+  ends_with: [2, 2],
+  floor: [1, 1],
+  join: [2, 2],
+  keys: [1, 1],
+  length: [1, 1],
+  map: [2, 2],
+  max: [1, 1],
+  max_by: [2, 2],
+  merge: [1, Infinity],
+  min: [1, 1],
+  min_by: [2, 2],
+  not_null: [1, Infinity],
+  reverse: [1, 1],
+  sort: [1, 1],
+  sort_by: [2, 2],
+  starts_with: [2, 2],
+  sum: [1, 1],
+  to_array: [1, 1],
+  to_number: [1, 1],
+  to_string: [1, 1],
+  type: [1, 1],
+  values: [1, 1]
+};
+
+
+/**
+ *  Parses an expression into its syntax tree, which only contains plain objects so it can be serialized as JSON.
+ *  Unknown functions and functions called with the wrong number of arguments are reported when parsing.
+ *
+ * @method parse
+ * @param {string} source The expression.
+ * @return {Object}
+ */
+function parse(source) {
+  let tokens = tokenize(source);
+  let index = 0;
+  let lookahead = (offset) => tokens[index + (offset || 0)].type;
+  let unexpected = (token) => {
+    if (token.type === 'EOF') {
+      fail(source, 'it ended early');
+    }
+    let text = source.substr(token.position, 1);
+    fail(source, `${text} at ${token.position} is not expected`);
+  };
+  let match = (type) => {
+    if (lookahead() !== type) {
+      unexpected(tokens[index]);
+    }
+    index++;
+  };
+  let expression;
+
+  let parseDotRHS = (power) => {
+    let type = lookahead();
+    if (type === 'UnquotedIdentifier' || type === 'QuotedIdentifier' || type === 'Star') {
+      return expression(power);
+    }
+    if (type === 'Lbracket') {
+      match('Lbracket');
+      return parseMultiSelectList();
+    }
+    match('Lbrace');
+    return parseMultiSelectHash();
+  };
+
+  let parseProjectionRHS = (power) => {
+    let type = lookahead();
+    if (bindingPowers[type] < 10) {
+      return {type: 'Identity'};
+    }
+    if (type === 'Lbracket' || type === 'Filter') {
+      return expression(power);
+    }
+    match('Dot');
+    return parseDotRHS(power);
+  };
+
+  // Parses the expressions separated by commas up to the closing token
+  let parseList = (closing, parseItem) => {
+    let items = [];
+    while (lookahead() !== closing) {
+      if (items.length) {
+        match('Comma');
+      }
+      items.push(parseItem());
+    }
+    match(closing);
+    return items;
+  };
+
+  let parseMultiSelectList = () => {
+    return {type: 'MultiSelectList', children: parseList('Rbracket', () => expression(0))};
+  };
+
+  let parseMultiSelectHash = () => {
+    let pairs = parseList('Rbrace', () => {
+      let token = tokens[index];
+      if (token.type !== 'UnquotedIdentifier' && token.type !== 'QuotedIdentifier') {
+        unexpected(token);
+      }
+      index++;
+      match('Colon');
+      return {key: token.value, value: expression(0)};
+    });
+    return {type: 'MultiSelectHash', pairs};
+  };
+
+  let parseIndexExpression = () => {
+    if (lookahead() !== 'Colon' && lookahead(1) !== 'Colon') {
+      let value = tokens[index].value;
+      match('Number');
+      match('Rbracket');
+      return {type: 'Index', value};
+    }
+    let parts = [null, null, null];
+    let part = 0;
+    while (lookahead() !== 'Rbracket') {
+      if (lookahead() === 'Colon' && part < 2) {
+        part++;
+      } else if (lookahead() === 'Number') {
+        parts[part] = tokens[index].value;
+      } else {
+        unexpected(tokens[index]);
+      }
+      index++;
+    }
+    match('Rbracket');
+    if (parts[2] === 0) {
+      fail(source, 'the step of a slice can\'t be 0');
+    }
+    return {type: 'Slice', start: parts[0], stop: parts[1], step: parts[2]};
+  };
+
+  let projectIfSlice = (left, right) => {
+    let indexExpression = {type: 'IndexExpression', children: [left, right]};
+    if (right.type === 'Slice') {
+      return {type: 'Projection', children: [indexExpression, parseProjectionRHS(bindingPowers.Star)]};
+    }
+    return indexExpression;
+  };
+
+  let nud = (token) => {
+    switch (token.type) {
+      case 'Literal':
+        return {type: 'Literal', value: token.value};
+      case 'UnquotedIdentifier':
+        return {type: 'Field', name: token.value};
+      case 'QuotedIdentifier':
+        if (lookahead() === 'Lparen') {
+          fail(source, 'a quoted identifier can\'t be the name of a function');
+        }
+        return {type: 'Field', name: token.value};
+      case 'Not':
+        return {type: 'Not', children: [expression(bindingPowers.Not)]};
+      case 'Star':
+        return {
+          type: 'ValueProjection',
+          children: [{type: 'Identity'}, lookahead() === 'Rbracket' ? {type: 'Identity'} : parseProjectionRHS(bindingPowers.Star)]
+        };
+      case 'Filter':
+        return led(token, {type: 'Identity'});
+      case 'Lbrace':
+        return parseMultiSelectHash();
+      case 'Flatten':
+        return {
+          type: 'Projection',
+          children: [{type: 'Flatten', children: [{type: 'Identity'}]}, parseProjectionRHS(bindingPowers.Flatten)]
+        };
+      case 'Lbracket':
+        if (lookahead() === 'Number' || lookahead() === 'Colon') {
+          return projectIfSlice({type: 'Identity'}, parseIndexExpression());
+        }
+        if (lookahead() === 'Star' && lookahead(1) === 'Rbracket') {
+          index += 2;
+          return {type: 'Projection', children: [{type: 'Identity'}, parseProjectionRHS(bindingPowers.Star)]};
+        }
+        return parseMultiSelectList();
+      case 'Current':
+        return {type: 'Current'};
+      case 'Expref':
+        return {type: 'ExpressionReference', children: [expression(bindingPowers.Expref)]};
+      case 'Lparen': {
+        let child = expression(0);
+        match('Rparen');
+        return child;
+      }
+      default:
+        return unexpected(token);
+    }
+  };
+
+  let led = (token, left) => {
+    switch (token.type) {
+      case 'Dot':
+        if (lookahead() !== 'Star') {
+          return {type: 'Subexpression', children: [left, parseDotRHS(bindingPowers.Dot)]};
+        }
+        match('Star');
+        return {type: 'ValueProjection', children: [left, parseProjectionRHS(bindingPowers.Dot)]};
+      case 'Pipe':
+        return {type: 'Pipe', children: [left, expression(bindingPowers.Pipe)]};
+      case 'Or':
+        return {type: 'Or', children: [left, expression(bindingPowers.Or)]};
+      case 'And':
+        return {type: 'And', children: [left, expression(bindingPowers.And)]};
+      case 'Lparen': {
+        let args = parseList('Rparen', () => expression(0));
+        if (left.type !== 'Field') {
+          fail(source, 'only functions can be called');
+        }
+        if (!Object.prototype.hasOwnProperty.call(functionArity, left.name)) {
+          fail(source, `${left.name} is not a function`);
+        }
+        let arity = functionArity[left.name];
+        if (args.length < arity[0] || args.length > arity[1]) {
+          fail(source, `the function ${left.name} can't be called with ${args.length} arguments`);
+        }
+        return {type: 'Function', name: left.name, children: args};
+      }
+      case 'Filter': {
+        let condition = expression(0);
+        match('Rbracket');
+        let right = lookahead() === 'Flatten' ? {type: 'Identity'} : parseProjectionRHS(bindingPowers.Filter);
+        return {type: 'FilterProjection', children: [left, right, condition]};
+      }
+      case 'Flatten':
+        return {
+          type: 'Projection',
+          children: [{type: 'Flatten', children: [left]}, parseProjectionRHS(bindingPowers.Flatten)]
+        };
+      case 'Lbracket':
+        if (lookahead() === 'Number' || lookahead() === 'Colon') {
+          return projectIfSlice(left, parseIndexExpression());
+        }
+        match('Star');
+        match('Rbracket');
+        return {type: 'Projection', children: [left, parseProjectionRHS(bindingPowers.Star)]};
+      default:
+        if (!comparators[token.type]) {
+          unexpected(token);
+        }
+        return {type: 'Comparator', name: comparators[token.type], children: [left, expression(bindingPowers[token.type])]};
+    }
+  };
+
+  expression = (power) => {
+    let token = tokens[index++];
+    let left = nud(token);
+    while (power < bindingPowers[lookahead()]) {
+      token = tokens[index++];
+      left = led(token, left);
+    }
+    return left;
+  };
+
+  let tree = expression(0);
+  if (lookahead() !== 'EOF') {
+    unexpected(tokens[index]);
+  }
+  return tree;
+}
+
+module.exports.parse = parse;
+
+
+/**
+ *  Returns the items of an array selected by a slice.
+ *
+ * @method slice
+ * @param {Array} array The array.
+ * @param {Object} node The slice with the start, stop and step, which may be null.
+ * @return {Array}
+ */
+function slice(array, node) {
+  let length = array.length;
+  let step = node.step === null ? 1 : node.step;
+  let cap = (value, defaultValue) => {
+    if (value === null) {
+      return defaultValue;
+    }
+    if (value < 0) {
+      return Math.max(length + value, step < 0 ? -1 : 0);
+    }
+    return Math.min(value, step < 0 ? length - 1 : length);
+  };
+  let start = cap(node.start, step < 0 ? length - 1 : 0);
+  let stop = cap(node.stop, step < 0 ? -1 : length);
+  let result = [];
+  for (let i = start; step > 0 ? i < stop : i > stop; i += step) {
+    result.push(array[i]);
+  }
+  return result;
+}
+
+
+/**
+ *  Compares two values, only numbers can be ordered and any other value results in null.
+ *
+ * @method compare
+ * @param {string} name The comparator.
+ * @param {*} first The first value.
+ * @param {*} second The second value.
+ * @return {boolean|null}
+ */
+function compare(name, first, second) {
+  if (name === '==') {
+    return isEqual(first, second);
+  }
+  if (name === '!=') {
+    return !isEqual(first, second);
+  }
+  if (typeof first !== 'number' || typeof second !== 'number') {
+    return null;
+  }
+  switch (name) {
+    case '<':
+      return first < second;
+    case '<=':
+      return first <= second;
+    case '>':
+      return first > second;
+    default:
+      return first >= second;
+  }
+}
+
+
+/**
+ *  Returns true if every item of the value is of the type, so the value can be sorted or summed.
+ *
+ * @method isArrayOf
+ * @param {*} value The value.
+ * @param {string[]} allowed The allowed types, all the items must be of the same type.
+ * @return {boolean}
+ */
+function isArrayOf(value, allowed) {
+  if (!Array.isArray(value)) {
+    return false;
+  }
+  let type = value.length ? typeof value[0] : allowed[0];
+  return allowed.indexOf(type) >= 0 && value.every((item) => typeof item === type);
+}
+
+
+/**
+ *  Returns the item with the highest or lowest key, see max_by and min_by.
+ *
+ * @method extremeBy
+ * @param {Array} items The items.
+ * @param {Object} reference The expression reference that returns the key of an item.
+ * @param {number} sign 1 for the highest key, -1 for the lowest.
+ * @return {*}
+ */
+function extremeBy(items, reference, sign) {
+  let keys = items.map((item) => evaluate(reference.node, item));
+  if (!isArrayOf(keys, ['number', 'string']) || !keys.length) {
+    return null;
+  }
+  let best = 0;
+  keys.forEach((key, index) => {
+    if ((key > keys[best] && sign > 0) || (key < keys[best] && sign < 0)) {
+      best = index;
+    }
+  });
+  return items[best];
+}
+
+
+/**
+ *  Calls a function of an expression. Functions return null when their arguments are not of the expected type.
+ *
+ * @method callFunction
+ * @param {string} name The name of the function.
+ * @param {Array} args The evaluated arguments, expression references are objects with the node.
+ * @return {*}
+ */
+function callFunction(name, args) {
+  let first = args[0];
+  let second = args[1];
+  let isNumber = typeof first === 'number';
+  let isString = typeof first === 'string';
+  let isReference = (value) => isObject(value) && value.type === 'ExpressionReference';
+  switch (name) {
+    case 'abs':
+      return isNumber ? Math.abs(first) : null;
+    case 'avg':
+      return isArrayOf(first, ['number']) && first.length ? first.reduce((total, value) => total + value, 0) / first.length : null;
+    case 'ceil':
+      return isNumber ? Math.ceil(first) : null;
+    case 'contains':
+      if (isString) {
+        return typeof second === 'string' && first.indexOf(second) >= 0;
+      }
+      return Array.isArray(first) ? first.some((item) => isEqual(item, second)) : null;
+    case 'ends_with':
+      return isString && typeof second === 'string' ? first.endsWith(second) : null;
+    case 'floor':
+      return isNumber ? Math.floor(first) : null;
+    case 'join':
+      return isString && isArrayOf(second, ['string']) ? second.join(first) : null;
+    case 'keys':
+      return isObject(first) ? Object.keys(first) : null;
+    case 'length':
+      if (isString || Array.isArray(first)) {
+        return first.length;
+      }
+      return isObject(first) ? Object.keys(first).length : null;
+    case 'map':
+      return isReference(first) && Array.isArray(second) ? second.map((item) => evaluate(first.node, item)) : null;
+    case 'max':
+    case 'min':
+      if (!isArrayOf(first, ['number', 'string']) || !first.length) {
+        return null;
+      }
+      return first.reduce((best, value) => (name === 'max' ? value > best : value < best) ? value : best);
+    case 'max_by':
+    case 'min_by':
+      return Array.isArray(first) && isReference(second) ? extremeBy(first, second, name === 'max_by' ? 1 : -1) : null;
+    case 'merge':
+      return args.every(isObject) ? Object.assign({}, ...args) : null;
+    case 'not_null': {
+      let value = args.find((arg) => arg !== null && arg !== undefined);
+      return value === undefined ? null : value;
+    }
+    case 'reverse':
+      if (isString) {
+        return first.split('').reverse().join('');
+      }
+      return Array.isArray(first) ? first.slice().reverse() : null;
+    case 'sort':
+      if (!isArrayOf(first, ['number', 'string'])) {
+        return null;
+      }
+      return first.slice().sort((a, b) => a < b ? -1 : (a > b ? 1 : 0));
+    case 'sort_by': {
+      if (!Array.isArray(first) || !isReference(second)) {
+        return null;
+      }
+      let keys = first.map((item) => evaluate(second.node, item));
+      if (!isArrayOf(keys, ['number', 'string'])) {
+        return null;
+      }
+      // The index keeps the sort stable
+      let order = keys.map((key, index) => index).sort((a, b) => keys[a] < keys[b] ? -1 : (keys[a] > keys[b] ? 1 : a - b));
+      return order.map((position) => first[position]);
+    }
+    case 'starts_with':
+      return isString && typeof second === 'string' ? first.startsWith(second) : null;
+    case 'sum':
+      return isArrayOf(first, ['number']) ? first.reduce((total, value) => total + value, 0) : null;
+    case 'to_array':
+      return Array.isArray(first) ? first : [first];
+    case 'to_number': {
+      if (isNumber) {
+        return first;
+      }
+      let number = isString && first.trim() ? Number(first) : NaN;
+      return isFinite(number) ? number : null;
+    }
+    case 'to_string':
+      return isString ? first : JSON.stringify(first);
+    case 'type':
+      if (first === null) {
+        return 'null';
+      }
+      if (Array.isArray(first)) {
+        return 'array';
+      }
+      return typeof first === 'object' ? 'object' : typeof first;
+    default:
+      return isObject(first) ? Object.keys(first).map((key) => first[key]) : null;
+  }
+}
+
+
+/**
+ *  Evaluates a syntax tree against a value.
+ *
+ * @method evaluate
+ * @param {Object} node The syntax tree, see parse.
+ * @param {*} value The current value.
+ * @return {*}
+ */
+function evaluate(node, value) {
+  let children = node.children;
+  let project = (items, right) => {
+    let results = [];
+    items.forEach((item) => {
+      let result = evaluate(right, item);
+      if (result !== null) {
+        results.push(result);
+      }
+    });
+    return results;
+  };
+  switch (node.type) {
+    case 'Field':
+      return isObject(value) && Object.prototype.hasOwnProperty.call(value, node.name) && value[node.name] !== undefined ? value[node.name] : null;
+    case 'Subexpression':
+    case 'IndexExpression':
+    case 'Pipe': {
+      let left = evaluate(children[0], value);
+      return left === null && node.type !== 'Pipe' ? null : evaluate(children[1], left);
+    }
+    case 'Index': {
+      if (!Array.isArray(value)) {
+        return null;
+      }
+      let item = value[node.value < 0 ? value.length + node.value : node.value];
+      return item === undefined ? null : item;
+    }
+    case 'Slice':
+      return Array.isArray(value) ? slice(value, node) : null;
+    case 'Projection': {
+      let base = evaluate(children[0], value);
+      return Array.isArray(base) ? project(base, children[1]) : null;
+    }
+    case 'ValueProjection': {
+      let base = evaluate(children[0], value);
+      return isObject(base) ? project(Object.keys(base).map((key) => base[key]), children[1]) : null;
+    }
+    case 'FilterProjection': {
+      let base = evaluate(children[0], value);
+      if (!Array.isArray(base)) {
+        return null;
+      }
+      return project(base.filter((item) => !isFalse(evaluate(children[2], item))), children[1]);
+    }
+    case 'Flatten': {
+      let base = evaluate(children[0], value);
+      return Array.isArray(base) ? [].concat(...base) : null;
+    }
+    case 'Comparator':
+      return compare(node.name, evaluate(children[0], value), evaluate(children[1], value));
+    case 'Identity':
+    case 'Current':
+      return value === undefined ? null : value;
+    case 'MultiSelectList':
+      return value === null || value === undefined ? null : children.map((child) => evaluate(child, value));
+    case 'MultiSelectHash': {
+      if (value === null || value === undefined) {
+        return null;
+      }
+      let result = {};
+      node.pairs.forEach((pair) => {
+        result[pair.key] = evaluate(pair.value, value);
+      });
+      return result;
+    }
+    case 'Or': {
+      let left = evaluate(children[0], value);
+      return isFalse(left) ? evaluate(children[1], value) : left;
+    }
+    case 'And': {
+      let left = evaluate(children[0], value);
+      return isFalse(left) ? left : evaluate(children[1], value);
+    }
+    case 'Not':
+      return isFalse(evaluate(children[0], value));
+    case 'Literal':
+      return node.value;
+    case 'ExpressionReference':
+      return {type: 'ExpressionReference', node: children[0]};
+    default:
+      return callFunction(node.name, children.map((child) => evaluate(child, value)));
+  }
+}
+
+module.exports.evaluate = evaluate;
+
+
+/**
+ *  Compiles an expression into a function that evaluates it against the source object.
+ *  The expression is parsed once, a result of null becomes undefined like a path that does not resolve.
+ *  The source of the expression is set as the expression property of the function.
+ *
+ * @method compileExpression
+ * @param {string} source The expression.
+ * @return {function}
+ */
+module.exports.compileExpression = function (source) {
+  let tree = parse(source);
+  let expression = function expression(src) {
+    let result = evaluate(tree, src);
+    return result === null ? undefined : result;
+  };
+  expression.expression = source;
+  return expression;
+};
@@ -0,0 +1,116 @@
+const _ = require('lodash');
+
+const registeredFilters = new Map();
+
+
+/**
+ *  Registers a filter function so it can be referenced by name in a schema.
+ *  Registering a filter with the same name replaces the previous filter.
+ *
+ * @method registerFilter
+ * @param {string} name The name of the filter.
+ * @param {function} filter The filter function, it has the same signature as any other filter.
+ */
+module.exports.registerFilter = function (name, filter) {
+  if (!_.isString(name) || !name) {
+    throw new Error('The filter name must be a non-empty string.');
+  }
+  if (!_.isFunction(filter)) {
+    throw new Error('The filter must be a function.');
+  }
+  registeredFilters.set(name, filter);
+};
+
+
+/**
+ *  Removes a registered filter.
+ *
+ * @method unregisterFilter
+ * @param {string} name The name of the filter.
+ * @return {boolean} True if the filter was registered.
+ */
+module.exports.unregisterFilter = function (name) {
+  return registeredFilters.delete(name);
+};
+
+
+/**
+ *  Returns true if a filter is registered with the name.
+ *
+ * @method hasFilter
+ * @param {string} name The name of the filter.
+ * @return {boolean}
+ */
+module.exports.hasFilter = function (name) {
+  return registeredFilters.has(name);
+};
+
+
+/**
+ *  Returns the filter registered with the name.
+ *
+ * @method getFilter
+ * @param {string} name The name of the filter.
+ * @return {function|undefined}
+ */
+module.exports.getFilter = function (name) {
+  return registeredFilters.get(name);
+};
+
+
+/**
+ *  Returns the names of the filters referenced by a filter definition that are not registered.
+ *
+ * @method getMissingFilters
+ * @param {string|function|Array} filter The filter definition.
+ * @return {string[]}
+ */
+module.exports.getMissingFilters = function (filter) {
+  return _.filter(_.castArray(filter), (entry) => _.isString(entry) && !registeredFilters.has(entry));
+};
+
+
+/**
+ *  Returns the functions of a filter definition in the order they are executed.
+ *
+ * @method resolveFilters
+ * @param {string|function|Array} filter The filter definition.
+ * @return {function[]}
+ */
+module.exports.resolveFilters = function (filter) {
+  return _.map(_.castArray(filter), (entry) => {
+    if (_.isFunction(entry)) {
+      return entry;
+    }
+    if (!registeredFilters.has(entry)) {
+      throw new Error(`The filter "${entry}" was not found.`);
+    }
+    return registeredFilters.get(entry);
+  });
+};
+
+
+/**
+ *  Returns the function for a filter definition.
+ *  The definition can be a function, the name of a registered filter or an array of both. The filters in an
+ *  array are executed in order, each filter receives the value returned by the previous filter.
+ *
+ * @method resolveFilter
+ * @param {string|function|Array} filter The filter definition.
+ * @return {function}
+ */
+module.exports.resolveFilter = function (filter) {
+  let filters = module.exports.resolveFilters(filter);
+  if (filters.length === 1) {
+    return filters[0];
+  }
+  return function filterChain(value, ...args) {
+    return _.reduce(filters, (result, func) => func.call(this, result, ...args), value);
+  };
+};
+
+
+// The built in filters
+module.exports.registerFilter('trim', (value) => _.isString(value) ? value.trim() : value);
+module.exports.registerFilter('lowercase', (value) => _.isString(value) ? value.toLowerCase() : value);
+module.exports.registerFilter('uppercase', (value) => _.isString(value) ? value.toUpperCase() : value);
@@ -0,0 +1,229 @@
+const _ = require('lodash');
+const paths = require('./paths');
+const transform = require('./transform');
+
+const specialObjects = ['$parent', '$self', '$top'];
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Returns the source path without a leading $self, or null when the path can't be inverted.
+ *  The path is empty when the source is $self.
+ *
+ * @method getInvertiblePath
+ * @param {string} srcPath The source path of the field.
+ * @return {string|null}
+ */
+function getInvertiblePath(srcPath) {
+  // A projection collects values from many places, so there is nowhere to write them back to
+  if (paths.isProjection(srcPath)) {
+    return null;
+  }
+  let srcPaths = srcPath.split('.');
+  if (srcPaths[0] === '$self') {
+    srcPaths = srcPaths.splice(1);
+  } else if (_.includes(specialObjects, srcPaths[0])) {
+    return null;
+  }
+  // A path that ends in empty brackets would push into a destination array when inverted, an index writes that item
+  if (srcPaths.length && srcPaths[srcPaths.length - 1].match(/\[]$/)) {
+    return null;
+  }
+  return srcPaths.join('.');
+}
+
+module.exports.internal._getInvertiblePath = getInvertiblePath;
+
+
+/**
+ *  Prefixes the source path of an inverted field, used when an embedded $self schema is merged into its parent.
+ *
+ * @method prefixField
+ * @param {string|Object|null} value The inverted field definition.
+ * @param {string} key The destination path of the inverted field.
+ * @param {string} prefix The prefix to add to the source path.
+ * @return {string|Object}
+ */
+function prefixField(value, key, prefix) {
+  if (_.isPlainObject(value)) {
+    return _.assign({}, value, {srcPath: `${prefix}.${value.srcPath}`});
+  }
+  return `${prefix}.${value || key}`;
+}
+
+
+/**
+ *  Inverts the fields of a compiled transformation function.
+ *
+ * @method invertDefinition
+ * @param {Object} definition The definition of the compiled transformation function, see getDefinition.
+ * @param {string} path The schema path, used when reporting fields that can't be inverted.
+ * @param {Object[]} nonInvertible The list the fields that can't be inverted are added to.
+ * @param {Set} visiting The definitions that are being inverted, used to find recursive schemas.
+ * @return {Object} The inverted schema.
+ */
+function invertDefinition(definition, path, nonInvertible, visiting) {
+  let inverted = {};
+  visiting.add(definition);
+  let fieldPath = (field) => path ? `${path}.${field.key}` : field.key;
+  let report = (field, reason) => {
+    nonInvertible.push({path: fieldPath(field), reason});
+  };
+  let add = (field, key, value) => {
+    if (_.has(inverted, [key])) {
+      report(field, `The source path ${key} is already mapped by another field.`);
+      return;
+    }
+    inverted[key] = value;
+  };
+
+  if (definition.schema._onFinished) {
+    nonInvertible.push({
+      path: path ? `${path}._onFinished` : '_onFinished',
+      reason: 'The _onFinished function can\'t be inverted.'
+    });
+  }
+
+  _.each(definition.fields, (field) => {
+    if (field.kind === 'remove') {
+      // There is nothing to invert
+      return;
+    }
+    if (field.dstType === 'array') {
+      report(field, 'Destination arrays can\'t be inverted.');
+      return;
+    }
+    if (_.some(paths.parseDestinationPath(field.dstPath), 'select')) {
+      report(field, 'Destination key selectors can\'t be inverted.');
+      return;
+    }
+    if (field.kind === 'function') {
+      report(field, 'Function fields can\'t be inverted.');
+      return;
+    }
+    if (field.condition) {
+      report(field, 'Conditional fields can\'t be inverted.');
+      return;
+    }
+
+    let value = definition.schema[field.key];
+    let inverse = _.isPlainObject(value) ? value.inverse : undefined;
+    let srcPath = _.isString(field.srcPath) && field.srcType !== 'literal' ? getInvertiblePath(field.srcPath) : null;
+
+    if (inverse) {
+      // The inverse can be a filter or an object with the path and the filter
+      let inversePath = _.isFunction(inverse) ? srcPath : inverse.path;
+      let inverseFilter = _.isFunction(inverse) ? inverse : inverse.filter;
+      if (!inversePath) {
+        report(field, 'The inverse requires a path when the source is not a path.');
+        return;
+      }
+      add(field, inversePath, inverseFilter ? {srcPath: field.dstPath, filter: inverseFilter} : field.dstPath);
+      return;
+    }
+
+    if (field.srcType === 'literal') {
+      report(field, 'Literal values can\'t be inverted without an inverse.');
+      return;
+    }
+    if (field.srcType === 'expression') {
+      report(field, 'Expressions can\'t be inverted without an inverse.');
+      return;
+    }
+    if (field.srcType === 'aggregate') {
+      report(field, 'Aggregations can\'t be inverted without an inverse.');
+      return;
+    }
+    if (_.isFunction(field.srcPath)) {
+      report(field, 'Function source paths can\'t be inverted without an inverse.');
+      return;
+    }
+    if (field.kind === 'filter') {
+      report(field, 'Filters can\'t be inverted without an inverse.');
+      return;
+    }
+    if (srcPath === null || (srcPath === '' && field.kind !== 'schema')) {
+      report(field, `The source path ${field.srcPath} can't be inverted.`);
+      return;
+    }
+
+    if (field.kind === 'schema') {
+      let compiledSchema = field.compiledSchema;
+      if (compiledSchema.cases) {
+        report(field, 'Switch schemas can\'t be inverted.');
+        return;
+      }
+      if (field.operateItems) {
+        report(field, 'Array operations can\'t be inverted.');
+        return;
+      }
+      if (field.keyBy || field.toEntries) {
+        report(field, 'keyBy and toEntries can\'t be inverted.');
+        return;
+      }
+      if (field.mapValues) {
+        report(field, 'Mapped values can\'t be inverted.');
+        return;
+      }
+      if (compiledSchema.resolve) {
+        try {
+          compiledSchema = compiledSchema.resolve();
+        } catch (err) {
+          report(field, err.message);
+          return;
+        }
+      }
+      let childDefinition = transform.getDefinition(compiledSchema);
+      if (!childDefinition) {
+        report(field, 'The embedded schema was not compiled and can\'t be inverted.');
+        return;
+      }
+      if (visiting.has(childDefinition)) {
+        report(field, 'Recursive schemas can\'t be inverted.');
+        return;
+      }
+      let childSchema = invertDefinition(childDefinition, `${fieldPath(field)}.schema`, nonInvertible, visiting);
+      if (srcPath === '') {
+        // The embedded schema uses the same source object so the inverted fields are merged into this level
+        _.forOwn(childSchema, (childValue, childKey) => {
+          add(field, childKey, prefixField(childValue, childKey, field.dstPath));
+        });
+        return;
+      }
+      add(field, srcPath, {srcPath: field.dstPath, schema: childSchema});
+      return;
+    }
+
+    add(field, srcPath, srcPath === field.dstPath ? null : field.dstPath);
+  });
+  visiting.delete(definition);
+  return inverted;
+}
+
+
+/**
+ *  Derives the reverse schema from a schema so the destination can be transformed back into the source.
+ *  Paths and embedded schemas are inverted automatically. Literal values, functions and filters can only be
+ *  inverted when the field provides an inverse, either a filter or an object with the path and an optional filter.
+ *
+ * @method invert
+ * @param {Object|string|function} schema The schema definition, the name of a compiled schema or a compiled transformation function.
+ * @param {Object} [options] The invert options.
+ * @param {Object} [options.registry] The registry to find named schemas in, see createRegistry.
+ * @return {{schema: Object, nonInvertible: Object[]}} The inverted schema and the fields that could not be inverted, each with the path and reason.
+ */
+module.exports.invert = function (schema, options) {
+  let registry = options && options.registry;
+  let definition = _.isPlainObject(schema) ? transform.getDefinition(transform.compile(schema, undefined, {registry})) : transform.getDefinition(schema, registry);
+  if (!definition) {
+    throw new Error('The schema was not found.');
+  }
+  let nonInvertible = [];
+  let inverted = invertDefinition(definition, '', nonInvertible, new Set());
+  return {
+    schema: inverted,
+    nonInvertible
+  };
+};
@@ -0,0 +1,208 @@
+// This module has no dependencies so its source can be embedded as is in exported schemas
+
+// The operators of the predicates of projections, see parsePath
+const operators = {
+  '==': (value, expected) => value === expected,
+  '!=': (value, expected) => value !== expected,
+  '<': (value, expected) => value < expected,
+  '<=': (value, expected) => value <= expected,
+  '>': (value, expected) => value > expected,
+  '>=': (value, expected) => value >= expected
+};
+const reIsIndex = /^(?:0|[1-9]\d*)$/;
+
+
+/**
+ *  Returns true if the value is an object or a function.
+ *
+ * @method isObject
+ * @param {*} value The value.
+ * @return {boolean}
+ */
+function isObject(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+
+/**
+ *  Returns the value at the keys of an object, or undefined when an object along the way is null or undefined.
+ *
+ * @method getKeys
+ * @param {*} object The object.
+ * @param {string[]} keys The keys.
+ * @return {*}
+ */
+function getKeys(object, keys) {
+  for (let key of keys) {
+    if (object === null || object === undefined) {
+      return undefined;
+    }
+    object = object[key];
+  }
+  return object;
+}
+
+
+/**
+ *  Returns the items of an array or the values of an object, which are the values a wildcard or predicate projects.
+ *
+ * @method getItems
+ * @param {*} value The value.
+ * @return {Array}
+ */
+function getItems(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return isObject(value) ? Object.keys(value).map((key) => value[key]) : [];
+}
+
+
+/**
+ *  Returns true if the item matches the predicate.
+ *
+ * @method matches
+ * @param {*} item The item.
+ * @param {Object} predicate The predicate, see parsePath.
+ * @return {boolean}
+ */
+function matches(item, predicate) {
+  let value = getKeys(item, predicate.keys);
+  return predicate.operator ? operators[predicate.operator](value, predicate.value) : !!value;
+}
+
+
+/**
+ *  Reads the segments of a path from an object.
+ *  Once a wildcard or a predicate is reached the result is an array of every value found, without the undefined values.
+ *  Nested projections are flattened so orders[*].items[*].sku is a single array of skus.
+ *  The result is undefined when the value that is projected is null or undefined.
+ *
+ * @method project
+ * @param {*} object The object to read.
+ * @param {Object[]} segments The segments of the path, see parsePath.
+ * @return {*}
+ */
+function project(object, segments) {
+  let values = [object];
+  let isProjected = false;
+  for (let segment of segments) {
+    if (segment.wildcard || segment.predicate) {
+      if (!isProjected && (values[0] === null || values[0] === undefined)) {
+        return undefined;
+      }
+      isProjected = true;
+      values = [].concat(...values.map(getItems));
+      if (segment.predicate) {
+        values = values.filter((item) => matches(item, segment.predicate));
+      }
+    } else {
+      values = values.map((value) => {
+        if (value === null || value === undefined) {
+          return undefined;
+        }
+        if (segment.key === undefined) {
+          return Array.isArray(value) ? value[value.length + segment.index] : undefined;
+        }
+        return value[segment.key];
+      });
+      if (isProjected) {
+        values = values.filter((value) => value !== undefined);
+      }
+    }
+  }
+  return isProjected ? values : values[0];
+}
+
+module.exports.project = project;
+
+
+/**
+ *  Returns a new object with the value at the keys, the keys that are indexes create arrays like _.set.
+ *
+ * @method createItem
+ * @param {string[]} keys The keys.
+ * @param {*} value The value.
+ * @return {Object}
+ */
+function createItem(keys, value) {
+  let item = {};
+  let object = item;
+  keys.forEach((key, index) => {
+    if (index === keys.length - 1) {
+      object[key] = value;
+    } else {
+      object = object[key] = reIsIndex.test(keys[index + 1]) ? [] : {};
+    }
+  });
+  return item;
+}
+
+
+/**
+ *  Returns the key of a segment of a destination path in an object, or undefined when the item is not found.
+ *
+ * @method selectKey
+ * @param {Object|Array} object The object.
+ * @param {Object} segment The segment, see parseDestinationPath.
+ * @param {boolean} [create] Should a missing item be appended?
+ * @param {boolean} isLast Is it the last segment of the path? A missing item is then appended when the value is set.
+ * @return {string|number|undefined}
+ */
+function selectKey(object, segment, create, isLast) {
+  if (segment.key !== undefined) {
+    return segment.key;
+  }
+  if (!Array.isArray(object)) {
+    return undefined;
+  }
+  if (!segment.select) {
+    return segment.index < 0 ? Math.max(object.length + segment.index, 0) : segment.index;
+  }
+  let key = object.findIndex((item) => String(getKeys(item, segment.select.keys)) === String(segment.select.value));
+  if (key >= 0 || !create) {
+    return key >= 0 ? key : undefined;
+  }
+  if (!isLast) {
+    object.push(createItem(segment.select.keys, segment.select.value));
+    return object.length - 1;
+  }
+  return object.length;
+}
+
+
+/**
+ *  Returns the object and the key that a destination path refers to, see parseDestinationPath.
+ *  A negative index counts from the end of the array, and a key selector finds the first item whose value at the keys
+ *  is the same as the selected value when both are compared as strings. When create is true the missing objects and
+ *  arrays are created along the way, a key selector that does not find an item appends an object with the selected
+ *  value, or the value itself when it is the last segment. Otherwise undefined is returned for a missing item.
+ *
+ * @method resolveDestination
+ * @param {Object} object The destination object.
+ * @param {Object[]} segments The segments of the path.
+ * @param {boolean} [create] Should the missing objects, arrays and items be created?
+ * @return {Object|undefined} The object that holds the value and the key of the value in it.
+ */
+function resolveDestination(object, segments, create) {
+  let last = segments.length - 1;
+  for (let i = 0; i < last; i++) {
+    let key = selectKey(object, segments[i], create, false);
+    if (key === undefined) {
+      return undefined;
+    }
+    let child = object[key];
+    let isArray = segments[i + 1].key === undefined;
+    if (isArray ? !Array.isArray(child) : !isObject(child)) {
+      if (!create) {
+        return undefined;
+      }
+      child = object[key] = isArray ? [] : {};
+    }
+    object = child;
+  }
+  let key = selectKey(object, segments[last], create, true);
+  return key === undefined ? undefined : {object, key};
+}
+
+module.exports.resolveDestination = resolveDestination;
@@ -0,0 +1,183 @@
+const _ = require('lodash');
+const locate = require('./locate');
+
+// A single segment of a path: a key, a wildcard, a negative index, a predicate or a quoted key
+const reSegment = /([^.[\]]+)|\[(?:(\*)|(-?\d+)|\?((?:[^\]'"]|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")*)|(["'])((?:(?!\5)[^\\]|\\.)*?)\5)\]/y;
+const rePredicate = /^\s*([^=!<>\s]+)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*$/;
+const reLiteral = /^(?:'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?|true|false|null)$/;
+// A single segment of a destination path: a key, an index, a key selector such as [id=5] or a quoted key
+const reDestinationSegment = /([^.[\]]+)|\[(?:(-?\d+)|([^\]='"]+)=((?:'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^\]'"])*)|(["'])((?:(?!\5)[^\\]|\\.)*?)\5)\]/y;
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Parses a predicate such as status=='active' into the keys of the value to test, the operator and the expected value.
+ *  The expected value is a string in single or double quotes, a number, true, false or null. Without an operator
+ *  the value must be truthy. The path @ is the item itself.
+ *
+ * @method parsePredicate
+ * @param {string} expression The expression between [? and ].
+ * @param {string} path The path, used in error messages.
+ * @return {Object}
+ */
+function parsePredicate(expression, path) {
+  let parts = rePredicate.exec(expression);
+  let literal = parts && parts[3];
+  if (!parts || (literal && !reLiteral.test(literal))) {
+    throw new Error(`The predicate ${expression} of the path ${path} is not valid.`);
+  }
+  let predicate = {keys: parts[1] === '@' ? [] : _.toPath(parts[1])};
+  if (parts[2]) {
+    predicate.operator = parts[2];
+    predicate.value = parseLiteral(literal);
+  }
+  return predicate;
+}
+
+module.exports.internal._parsePredicate = parsePredicate;
+
+
+/**
+ *  Parses a literal, a string in single or double quotes, a number, true, false or null.
+ *
+ * @method parseLiteral
+ * @param {string} literal The literal.
+ * @return {*}
+ */
+function parseLiteral(literal) {
+  // Single quoted strings are not JSON
+  let quoted = /^'((?:[^'\\]|\\.)*)'$/.exec(literal);
+  return quoted ? quoted[1].replace(/\\(.)/g, '$1') : JSON.parse(literal);
+}
+
+
+/**
+ *  Parses a path into its segments. Returns null when the path is not a projection, those paths are read with _.get.
+ *  A projection contains a wildcard ([*] or .*), a negative index ([-1]) or a predicate ([?status=='active']).
+ *  Each segment is one of {key}, {index}, {wildcard: true} or {predicate}, and can be serialized as JSON.
+ *
+ * @method parsePath
+ * @param {string} path The path.
+ * @return {Object[]|null}
+ */
+function parsePath(path) {
+  let segments = [];
+  let isProjection = false;
+  let position = 0;
+  while (position < path.length) {
+    reSegment.lastIndex = position;
+    let parts = reSegment.exec(path);
+    if (!parts) {
+      // Anything that is not understood is left to lodash
+      isProjection = false;
+      break;
+    }
+    if (parts[1] === '*' || parts[2]) {
+      segments.push({wildcard: true});
+      isProjection = true;
+    } else if (parts[3] && parts[3][0] === '-') {
+      segments.push({index: Number(parts[3])});
+      isProjection = true;
+    } else if (parts[4] !== undefined) {
+      segments.push({predicate: parsePredicate(parts[4], path)});
+      isProjection = true;
+    } else {
+      segments.push({key: parts[1] || parts[3] || parts[6].replace(/\\(.)/g, '$1')});
+    }
+    position = reSegment.lastIndex;
+    if (path[position] === '.' && position + 1 < path.length) {
+      position++;
+    }
+  }
+  return isProjection ? segments : null;
+}
+
+module.exports.parsePath = parsePath;
+
+
+/**
+ *  Returns true if the path is a projection, see parsePath.
+ *
+ * @method isProjection
+ * @param {string} path The path.
+ * @return {boolean}
+ */
+module.exports.isProjection = function (path) {
+  return _.isString(path) && parsePath(path) !== null;
+};
+
+
+// The projections and destination paths are read and written by locate, which is embedded in exported schemas
+module.exports.project = locate.project;
+
+
+/**
+ *  Returns a function that reads a path from an object, returning the default value when the result is undefined.
+ *  Projections are read with project, any other path with _.get.
+ *
+ * @method getPathGetter
+ * @param {string} path The path.
+ * @param {*} [defaultValue] The default value.
+ * @return {function}
+ */
+module.exports.getPathGetter = function (path, defaultValue) {
+  let segments = parsePath(path);
+  if (!segments) {
+    return (object) => _.get(object, path, defaultValue);
+  }
+  return function getProjection(object) {
+    let value = locate.project(object, segments);
+    return value === undefined ? defaultValue : value;
+  };
+};
+
+
+/**
+ *  Parses a destination path into its segments. Returns null when the path does not select an item of an array by a
+ *  negative index ([-1]) or by the value of a key ([id=5]), those paths are written with _.set.
+ *  Each segment is one of {key}, {index} or {select: {keys, value}}, and can be serialized as JSON. The value of a key
+ *  selector is a literal, see parseLiteral, or else the text itself.
+ *
+ * @method parseDestinationPath
+ * @param {string} path The destination path.
+ * @return {Object[]|null}
+ */
+function parseDestinationPath(path) {
+  let segments = [];
+  let isSelection = false;
+  let position = 0;
+  while (position < path.length) {
+    reDestinationSegment.lastIndex = position;
+    let parts = reDestinationSegment.exec(path);
+    if (!parts) {
+      // Anything that is not understood is left to lodash
+      return null;
+    }
+    if (parts[2] !== undefined) {
+      segments.push({index: Number(parts[2])});
+      isSelection = isSelection || parts[2][0] === '-';
+    } else if (parts[3] !== undefined) {
+      let value = parts[4].trim();
+      if (!value) {
+        throw new Error(`The key selector ${parts[3]}= of the path ${path} is not valid.`);
+      }
+      segments.push({select: {keys: _.toPath(parts[3].trim()), value: reLiteral.test(value) ? parseLiteral(value) : value}});
+      isSelection = true;
+    } else {
+      segments.push({key: parts[1] || parts[6].replace(/\\(.)/g, '$1')});
+    }
+    position = reDestinationSegment.lastIndex;
+    if (path[position] === '.' && position + 1 < path.length) {
+      position++;
+    }
+  }
+  return isSelection ? segments : null;
+}
+
+module.exports.parseDestinationPath = parseDestinationPath;
+
+
+// The destination paths parsed above are resolved by locate as well
+module.exports.resolveDestination = locate.resolveDestination;
@@ -0,0 +1,173 @@
+const _ = require('lodash');
+const transform = require('./transform');
+
+// The schemas compiled by each engine are stored separately so the engines never hand out each other's functions
+const engines = ['closure', 'codegen'];
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Creates a cache that holds at most limit entries, the least recently used entry is removed first.
+ *
+ * @method createLruCache
+ * @param {number} limit The maximum number of entries.
+ * @return {Object} A cache with the get and set functions of a Map.
+ */
+function createLruCache(limit) {
+  let entries = new Map();
+  return {
+    get(key) {
+      let value = entries.get(key);
+      if (entries.has(key)) {
+        // Move the entry to the end so it is removed last
+        entries.delete(key);
+        entries.set(key, value);
+      }
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+      }
+      return this;
+    }
+  };
+}
+
+module.exports.internal._createLruCache = createLruCache;
+
+
+/**
+ *  Creates a registry that holds compiled schemas.
+ *  Named schemas are stored by name until they are deleted. Anonymous schemas, which are stored by the schema
+ *  object, are held weakly so they are released with the schema, or in a least recently used cache when a limit is given.
+ *
+ * @method createRegistry
+ * @param {Object} [options] The registry options.
+ * @param {number} [options.limit] The maximum number of anonymous schemas to keep for each engine.
+ * @return {Object} The registry.
+ */
+module.exports.createRegistry = function (options) {
+  options = options || {};
+  if (!_.isUndefined(options.limit) && !(_.isInteger(options.limit) && options.limit > 0)) {
+    throw new Error('The limit must be a positive integer.');
+  }
+  let createAnonymousCache = () => options.limit ? createLruCache(options.limit) : new WeakMap();
+  let named = {};
+  let anonymous = {};
+  _.each(engines, (engine) => {
+    named[engine] = new Map();
+    anonymous[engine] = createAnonymousCache();
+  });
+  let getCache = (key, engine) => _.isObject(key) ? anonymous[engine] : named[engine];
+
+  let registry = {
+    /**
+     *  Compiles a schema and stores it by name, replacing the schema that was registered with the name.
+     *
+     * @method register
+     * @param {string} name The name of the schema.
+     * @param {Object} schema The schema definition.
+     * @param {Object} [compileOptions] The compile options, see compile.
+     * @return {function} The compiled transformation function.
+     */
+    register(name, schema, compileOptions) {
+      if (!_.isString(name) || !name) {
+        throw new Error('The schema name must be a non-empty string.');
+      }
+      registry.delete(name);
+      return transform.compile(schema, name, _.assign({}, compileOptions, {registry}));
+    },
+
+    /**
+     *  Returns the compiled transformation function of a named schema.
+     *
+     * @method get
+     * @param {string} name The name of the schema.
+     * @return {function|undefined}
+     */
+    get(name) {
+      return named.closure.get(name) || named.codegen.get(name);
+    },
+
+    /**
+     *  Returns true if a schema has been compiled with the name.
+     *
+     * @method has
+     * @param {string} name The name of the schema.
+     * @return {boolean}
+     */
+    has(name) {
+      return named.closure.has(name) || named.codegen.has(name);
+    },
+
+    /**
+     *  Removes a named schema.
+     *
+     * @method delete
+     * @param {string} name The name of the schema.
+     * @return {boolean} True if the schema was in the registry.
+     */
+    delete(name) {
+      let found = registry.has(name);
+      _.each(named, (schemas) => {
+        schemas.delete(name);
+      });
+      return found;
+    },
+
+    /**
+     *  Removes every schema, named or anonymous.
+     *
+     * @method clear
+     */
+    clear() {
+      _.each(engines, (engine) => {
+        named[engine].clear();
+        anonymous[engine] = createAnonymousCache();
+      });
+    },
+
+    /**
+     *  Returns the names of the schemas in the registry.
+     *
+     * @method list
+     * @return {string[]}
+     */
+    list() {
+      return _.union([...named.closure.keys()], [...named.codegen.keys()]);
+    },
+
+    /**
+     *  Returns the function compiled for a key by an engine, used by compile.
+     *
+     * @method lookup
+     * @param {string|Object} key The name of the schema or the schema object.
+     * @param {string} engine The engine, either 'closure' or 'codegen'.
+     * @return {function|undefined}
+     */
+    lookup(key, engine) {
+      return getCache(key, engine).get(key);
+    },
+
+    /**
+     *  Stores the function compiled for a key by an engine, used by compile.
+     *
+     * @method store
+     * @param {string|Object} key The name of the schema or the schema object.
+     * @param {string} engine The engine, either 'closure' or 'codegen'.
+     * @param {function} transformFunc The compiled transformation function.
+     */
+    store(key, engine, transformFunc) {
+      getCache(key, engine).set(key, transformFunc);
+    }
+  };
+  return registry;
+};
+
+// The registry used when compile is not given one
+module.exports.defaultRegistry = module.exports.createRegistry();
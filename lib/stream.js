@@ -0,0 +1,166 @@
+const _ = require('lodash');
+const {Transform} = require('stream');
+const {StringDecoder} = require('string_decoder');
+const registries = require('./registry');
+const transform = require('./transform');
+
+const formats = ['object', 'ndjson'];
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Returns the transformation function for a schema.
+ *
+ * @method getTransformFunction
+ * @param {Object|string|function} schema The schema definition, the name of a compiled schema or a compiled transformation function.
+ * @param {Object} options The stream options.
+ * @return {function}
+ */
+function getTransformFunction(schema, options) {
+  if (_.isString(schema)) {
+    schema = (options.registry || registries.defaultRegistry).get(schema);
+    if (!schema) {
+      throw new Error('The schema was not found.');
+    }
+  }
+  if (_.isFunction(schema) && !options.async) {
+    return schema;
+  }
+  let compileOptions = {registry: options.registry};
+  return options.async ? transform.compileAsync(schema, undefined, compileOptions) : transform.compile(schema, undefined, compileOptions);
+}
+
+
+/**
+ *  Returns the function that handles a record that could not be transformed.
+ *  The function returns the value to emit instead of the record, undefined skips the record.
+ *
+ * @method getErrorHandler
+ * @param {string|function} [onError] Either 'fail' (the default), 'skip' or a function.
+ * @return {function}
+ */
+function getErrorHandler(onError) {
+  if (_.isFunction(onError)) {
+    return onError;
+  }
+  switch (onError) {
+    case undefined:
+    case 'fail':
+      return (error) => {
+        throw error;
+      };
+
+    case 'skip':
+      return _.noop;
+  }
+  throw new Error('The onError option must be fail, skip or a function.');
+}
+
+module.exports.internal._getErrorHandler = getErrorHandler;
+
+
+/**
+ *  Splits NDJSON text into lines, the last line is returned separately since it might not be complete.
+ *
+ * @method splitLines
+ * @param {string} text The text.
+ * @return {{lines: string[], rest: string}}
+ */
+function splitLines(text) {
+  let lines = text.split('\n');
+  let rest = lines.pop();
+  return {
+    lines: _.filter(_.map(lines, _.trimEnd), (line) => line.length),
+    rest
+  };
+}
+
+module.exports.internal._splitLines = splitLines;
+
+
+/**
+ *  Creates a Node Transform stream that transforms each record written to it with a schema.
+ *  Records are transformed one at a time in order, so the stream applies backpressure while a record is transformed.
+ *
+ * @method createTransformStream
+ * @param {Object|string|function} schema The schema definition, the name of a compiled schema or a compiled transformation function.
+ * @param {Object} [options] The stream options.
+ * @param {string} [options.input] Either 'object' (the default) to write objects or 'ndjson' to write newline delimited JSON text.
+ * @param {string} [options.output] Either 'object' (the default) to read objects or 'ndjson' to read newline delimited JSON text.
+ * @param {*} [options.data] The custom data passed to the transformation function of every record.
+ * @param {string|function} [options.onError] What to do when a record can't be parsed or transformed. Either 'fail' (the default) to
+ *    destroy the stream with the error, 'skip' to drop the record or a function that is called with the error, the record and the index
+ *    of the record and returns the value to emit instead, undefined drops the record.
+ * @param {boolean} [options.async] Set to true to compile the schema with compileAsync. Promises returned by the transformation function are always awaited.
+ * @param {Object} [options.registry] The registry to find named schemas in, see createRegistry.
+ * @param {number} [options.highWaterMark] The high water mark of the stream.
+ * @return {Transform}
+ */
+module.exports.createTransformStream = function (schema, options) {
+  options = options || {};
+  let input = options.input || 'object';
+  let output = options.output || 'object';
+  if (!_.includes(formats, input)) {
+    throw new Error('The input option must be object or ndjson.');
+  }
+  if (!_.includes(formats, output)) {
+    throw new Error('The output option must be object or ndjson.');
+  }
+  let transformFunc = getTransformFunction(schema, options);
+  let onError = getErrorHandler(options.onError);
+  let decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let index = 0;
+
+  let processRecord = async (stream, record) => {
+    let recordIndex = index++;
+    let serialize = (value) => (output === 'ndjson' && !_.isNil(value) ? `${JSON.stringify(value)}\n` : value);
+    let result;
+    try {
+      if (input === 'ndjson') {
+        record = JSON.parse(record);
+      }
+      // The result is serialized here so a result that is not valid JSON is handled like a failed transformation
+      result = serialize(await transformFunc(record, null, options.data));
+    } catch (err) {
+      result = serialize(await onError(err, record, recordIndex));
+    }
+    // A null value would end the stream
+    if (_.isNil(result)) {
+      return;
+    }
+    stream.push(result);
+  };
+  let processRecords = async (stream, records) => {
+    for (let record of records) {
+      await processRecord(stream, record);
+    }
+  };
+
+  let streamOptions = {
+    writableObjectMode: input === 'object',
+    readableObjectMode: output === 'object',
+    transform(chunk, encoding, callback) {
+      let records = [chunk];
+      if (input === 'ndjson') {
+        let split = splitLines(buffered + decoder.write(chunk));
+        buffered = split.rest;
+        records = split.lines;
+      }
+      processRecords(this, records).then(() => callback(), callback);
+    },
+    flush(callback) {
+      let records = [];
+      if (input === 'ndjson') {
+        records = splitLines(`${buffered}${decoder.end()}\n`).lines;
+      }
+      processRecords(this, records).then(() => callback(), callback);
+    }
+  };
+  if (!_.isUndefined(options.highWaterMark)) {
+    streamOptions.highWaterMark = options.highWaterMark;
+  }
+  return new Transform(streamOptions);
+};
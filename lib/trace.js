@@ -0,0 +1,403 @@
+const _ = require('lodash');
+const {performance} = require('perf_hooks');
+const filters = require('./filters');
+const paths = require('./paths');
+
+// The traced transformation functions of each compiled transformation function
+const tracedSchemas = new WeakMap();
+// The field whose embedded objects are being transformed, set while its embedded schema is called
+let currentItems;
+// The number of nested named schemas resolved when first used that are currently being traced
+let lazyDepth = 0;
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Joins a path to the path of the object it is read from or set in, the path of the top level object is empty.
+ *
+ * @method joinPath
+ * @param {string} [base] The path of the object, undefined when it is not known.
+ * @param {string} path The path in the object.
+ * @return {string|undefined}
+ */
+function joinPath(base, path) {
+  if (base === undefined) {
+    return undefined;
+  }
+  if (!base || !path) {
+    return base + path;
+  }
+  return path[0] === '[' ? base + path : `${base}.${path}`;
+}
+
+module.exports.internal._joinPath = joinPath;
+
+
+/**
+ *  Returns the name of a filter, the name of a registered filter or of the function, or the names of a list of filters.
+ *
+ * @method getFilterName
+ * @param {function|string|Array} filterDefinition The filter definition of the field.
+ * @return {string|string[]}
+ */
+function getFilterName(filterDefinition) {
+  if (_.isArray(filterDefinition)) {
+    return _.map(filterDefinition, getFilterName);
+  }
+  if (_.isString(filterDefinition)) {
+    return filterDefinition;
+  }
+  return filterDefinition.name || 'anonymous';
+}
+
+module.exports.internal._getFilterName = getFilterName;
+
+
+/**
+ *  Returns the path of a source value from the top level object, resolving $self, $parent and $top.
+ *  Returns undefined when the source is not a path or the path of the object it is read from is not known.
+ *
+ * @method resolveSourcePath
+ * @param {string|function} srcPath The source path of the field.
+ * @param {Object} frame The paths of the object being transformed.
+ * @return {string|undefined}
+ */
+function resolveSourcePath(srcPath, frame) {
+  if (!_.isString(srcPath)) {
+    return undefined;
+  }
+  let pathParts = /^(\$parent|\$top|\$self|\$key)\.?(.*)$/.exec(srcPath);
+  if (!pathParts) {
+    return joinPath(frame.src, srcPath);
+  }
+  let objects = {$parent: frame.parent, $top: '', $self: frame.src};
+  return joinPath(objects[pathParts[1]], pathParts[2]);
+}
+
+module.exports.internal._resolveSourcePath = resolveSourcePath;
+
+
+/**
+ *  Returns the paths of an embedded object, given its key and the number of objects of the field transformed before it.
+ *  The key is undefined for a single object, the index for the objects of an array or the key in the source object.
+ *
+ * @method getItemFrame
+ * @param {Object} items The field whose embedded objects are being transformed.
+ * @param {*} item The source object.
+ * @param {string|number} [key] The key of the embedded object.
+ * @param {number} index The number of objects transformed before it.
+ * @return {Object}
+ */
+function getItemFrame(items, item, key, index) {
+  let field = items.field;
+  let dst = field.dstType === 'wildcard' ? items.frame.dst : joinPath(items.frame.dst, field.dstPath);
+  let frame = {parent: items.frame.src, entries: items.frame.entries};
+  if (key === undefined) {
+    return _.assign(frame, {dst, src: items.src});
+  }
+  if (field.getKey) {
+    return _.assign(frame, {dst: joinPath(dst, String(key)), src: joinPath(items.src, `[${index}]`)});
+  }
+  if (_.isNumber(key)) {
+    return _.assign(frame, {dst: joinPath(dst, `[${index}]`), src: joinPath(items.src, `[${index}]`)});
+  }
+  // The values of an object become entries or are mapped to their new key
+  let dstKey = field.toEntries ? `[${index}]` : String(items.mappedKeys.get(key));
+  return _.assign(frame, {dst: joinPath(dst, dstKey), src: joinPath(items.src, key)});
+}
+
+
+/**
+ *  Returns the traced function of the embedded schema of a field, called by the schema transformation of the field.
+ *
+ * @method getSchema
+ * @param {function} compiledSchema The compiled schema of the field, see getLazySchema and getSwitchSchema in transform.
+ * @param {Object} runtime The functions of the compiler.
+ * @return {function}
+ */
+function getSchema(compiledSchema, runtime) {
+  if (compiledSchema.cases) {
+    let cases = _.mapValues(compiledSchema.cases, (caseSchema) => getSchema(caseSchema, runtime));
+    let defaultCase = compiledSchema.defaultCase && getSchema(compiledSchema.defaultCase, runtime);
+    return function tracedSwitchSchema(src, dst, data, parent, top, key, frame) {
+      if (_.isNil(src)) {
+        return undefined;
+      }
+      let start = performance.now();
+      let value = compiledSchema.getDiscriminator(src, dst, data, parent, top, key);
+      let caseSchema = Object.prototype.hasOwnProperty.call(cases, value) ? cases[value] : defaultCase;
+      let entry = {
+        path: frame.dst,
+        kind: 'switch',
+        srcPath: compiledSchema.switchPath,
+        resolvedPath: resolveSourcePath(compiledSchema.switchPath, frame),
+        rawValue: value
+      };
+      if (!caseSchema) {
+        entry.skipped = 'No case of the switch matched the value.';
+      }
+      frame.entries.push(entry);
+      try {
+        return caseSchema ? caseSchema(src, dst, data, parent, top, key, frame) : undefined;
+      } finally {
+        entry.duration = performance.now() - start;
+      }
+    };
+  }
+  if (compiledSchema.resolve) {
+    return function tracedLazySchema(src, dst, data, parent, top, key, frame) {
+      let transformFunc = getTracedFunction(compiledSchema.resolve(), runtime);
+      runtime.assertDepth(compiledSchema, lazyDepth);
+      lazyDepth++;
+      try {
+        return transformFunc(src, dst, data, parent, top, key, frame);
+      } finally {
+        lazyDepth--;
+      }
+    };
+  }
+  return getTracedFunction(compiledSchema, runtime);
+}
+
+
+/**
+ *  Returns a function that traces the transformation of a field and returns its entry, without the duration.
+ *
+ * @method getFieldTrace
+ * @param {Object} field The field description.
+ * @param {Object} runtime The functions of the compiler.
+ * @return {function}
+ */
+function getFieldTrace(field, runtime) {
+  switch (field.kind) {
+    case 'remove': {
+      let transform = runtime.getRemovalTransform(field.dstType, field.dstPath);
+      return function traceRemoval(src, dst) {
+        transform(src, dst);
+        return {kind: 'remove'};
+      };
+    }
+
+    case 'function': {
+      let setValue = runtime.getSetValue(field.dstType, field.dstPath, field.mergeArrays);
+      return function traceFunction(src, dst, data, parent, top, key) {
+        let value = field.func(src, dst, data, parent, top, key);
+        setValue(src, dst, value);
+        return {kind: 'function', srcType: 'function', value};
+      };
+    }
+
+    case 'schema': {
+      let compiledItemsSchema = getSchema(field.compiledSchema, runtime);
+      let itemsSchema = function tracedItemsSchema(src, dst, data, parent, top, key) {
+        let frame = getItemFrame(currentItems, src, key, currentItems.count++);
+        return compiledItemsSchema(src, dst, data, parent, top, key, frame);
+      };
+      // The mapped keys are kept for the paths of the entries, so the mapKeys function is called once for each value
+      let mapKey = field.mapKey && ((itemKey, item) => {
+        let mappedKey = field.mapKey(itemKey, item);
+        currentItems.mappedKeys.set(itemKey, mappedKey);
+        return mappedKey;
+      });
+      let transform = runtime.getSchemaTransform(field.srcPath, field.dstType, field.dstPath, itemsSchema, field.dstValueType,
+        field.coercion, field.operateItems, field.getKey, field.toEntries, mapKey, field.skipItems, field.mergeArrays);
+      let destination = runtime.getDestinationAccessors(field.dstPath);
+      let isProjection = _.isString(field.srcPath) && paths.isProjection(field.srcPath);
+      let isReordered = !!field.operateItems && field.operateItems.operations.operateOn === 'source';
+      return function traceSchema(src, dst, data, parent, top, key, frame) {
+        let items = {
+          field,
+          frame,
+          // The source paths of objects selected by a projection or reordered by array operations are not known
+          src: isProjection || isReordered ? undefined : resolveSourcePath(field.srcPath, frame),
+          count: 0,
+          mappedKeys: new Map()
+        };
+        let previousItems = currentItems;
+        currentItems = items;
+        try {
+          transform(src, dst, data, parent, top, key);
+        } finally {
+          currentItems = previousItems;
+        }
+        // The transformed objects are traced by their own entries
+        let entry = {kind: 'schema', srcType: _.isString(field.srcPath) ? 'complex' : 'function', items: items.count};
+        if (!items.count && (field.dstType === 'wildcard' || destination.get(dst) === undefined)) {
+          entry.skipped = 'The source value was null or undefined.';
+        }
+        return entry;
+      };
+    }
+
+    default: {
+      // The source value is read without the type and the default so the raw value can be traced
+      let getRawValue = runtime.getGetSourceValue(field.srcType, field.srcPath);
+      let setValue = runtime.getSetValue(field.dstType, field.dstPath, field.mergeArrays);
+      // The source type of an object definition is whether its path matched a nested path
+      let srcType = field.srcType;
+      if (!_.isString(srcType)) {
+        srcType = srcType ? 'complex' : 'simple';
+      }
+      let filterName = field.kind === 'filter' ? getFilterName(field.filterDefinition) : undefined;
+      return function traceValue(src, dst, data, parent, top, key) {
+        let rawValue = getRawValue(src, dst, data, parent, top, key);
+        let entry = {kind: field.kind, srcType, rawValue, defaultUsed: false};
+        let value = rawValue;
+        if (rawValue === undefined && field.handleMissing) {
+          // The missing value is handled before it is coerced
+          value = field.handleMissing(src, dst, data, parent, top, key);
+          if (value === runtime.skippedField) {
+            entry.skipped = 'The source value was missing.';
+            return entry;
+          }
+          entry.defaultUsed = field.onMissing === 'default';
+        }
+        if (field.kind === 'filter') {
+          value = runtime.coerceValue(value, field.dstValueType, field.coercion);
+          entry.coercedValue = value;
+          entry.filter = filterName;
+          value = field.filter.apply(src, [value, src, dst, data, parent, top, key]);
+        } else {
+          if (field.srcType !== 'literal') {
+            value = runtime.coerceValue(value, field.dstValueType, field.coercion);
+          }
+          entry.coercedValue = value;
+          if (field.defaultValue !== undefined && !field.handleMissing) {
+            value = runtime.applyDefaultValue(value, field.defaultValue, [src, dst, data, parent, top, key]);
+            entry.defaultUsed = value !== entry.coercedValue;
+          }
+        }
+        setValue(src, dst, value);
+        entry.value = value;
+        return entry;
+      };
+    }
+  }
+}
+
+
+/**
+ *  Returns the traced transformation of a field, which adds the entry of the field to the trace.
+ *  A field whose condition is not met is skipped, as is a field that throws an error.
+ *
+ * @method getFieldTransform
+ * @param {Object} field The field description.
+ * @param {Object} runtime The functions of the compiler.
+ * @param {function} [handleError] Handles the errors of the field, see getErrorHandler in transform.
+ * @return {function}
+ */
+function getFieldTransform(field, runtime, handleError) {
+  let trace = getFieldTrace(field, runtime);
+  let srcPath = runtime.getFieldSourcePath(field);
+  return function tracedFieldTransform(src, dst, data, parent, top, key, frame) {
+    let start = performance.now();
+    let entry = {
+      path: joinPath(frame.dst, field.key),
+      srcPath,
+      resolvedPath: srcPath && srcPath[0] !== '=' ? resolveSourcePath(srcPath, frame) : undefined
+    };
+    // The entry is added before the embedded objects of the field so the entries are in the order the fields started
+    frame.entries.push(entry);
+    try {
+      if (field.condition && !field.condition(src, dst, data, parent, top, key)) {
+        _.assign(entry, {kind: field.kind, skipped: 'The condition of the field was not met.'});
+      } else {
+        _.assign(entry, trace(src, dst, data, parent, top, key, frame));
+      }
+    } catch (err) {
+      _.assign(entry, {kind: field.kind, skipped: 'The field threw an error.', error: err});
+      if (!handleError) {
+        throw err;
+      }
+      handleError(err, field, src, dst, data, parent, top, key);
+    } finally {
+      entry.duration = performance.now() - start;
+    }
+  };
+}
+
+
+/**
+ *  Returns the traced version of a compiled transformation function, which is called with the paths of the object
+ *  being transformed as an extra last argument. Functions that were not compiled from a schema are called as is.
+ *
+ * @method getTracedFunction
+ * @param {function} transformFunc The compiled transformation function.
+ * @param {Object} runtime The functions of the compiler.
+ * @return {function}
+ */
+function getTracedFunction(transformFunc, runtime) {
+  if (tracedSchemas.has(transformFunc)) {
+    return tracedSchemas.get(transformFunc);
+  }
+  let definition = runtime.getDefinition(transformFunc);
+  if (!definition) {
+    return transformFunc;
+  }
+
+  let fieldTransformations = [];
+  let onFinished = definition.schema._onFinished;
+  if (_.isString(onFinished)) {
+    onFinished = filters.resolveFilter(onFinished);
+  }
+  let omitValues = runtime.getOmitValues(definition.schema._omit);
+  let tracedFunc = function tracedTransformFunc(src, dst, data, parent, top, key, frame) {
+    if (src === null || src === undefined) {
+      return undefined;
+    }
+    if (!top) {
+      top = src;
+    }
+
+    dst = dst || {};
+    _.each(fieldTransformations, (transform) => {
+      transform(src, dst, data, parent, top, key, frame);
+    });
+    if (_.isFunction(onFinished)) {
+      let start = performance.now();
+      onFinished(src, dst, data, parent, top, key);
+      frame.entries.push({path: frame.dst, kind: 'onFinished', duration: performance.now() - start});
+    }
+    if (omitValues) {
+      omitValues(dst);
+    }
+    return dst;
+  };
+  // Store the function before the fields are traced so embedded schemas can refer back to it
+  tracedSchemas.set(transformFunc, tracedFunc);
+  let handleError = runtime.getErrorHandler(definition.onError, definition.errors);
+  fieldTransformations.push(..._.map(definition.fields, (field) => getFieldTransform(field, runtime, handleError)));
+  return tracedFunc;
+}
+
+
+/**
+ *  Returns a version of a compiled transformation function that records how each destination field was produced.
+ *  Each entry of the trace has the destination path, the source path and the resolved source path from the top level
+ *  object, the raw, coerced and final values, whether the default value was used, the filter, why the field was
+ *  skipped and the duration in milliseconds. The entries of embedded objects follow the entry of their field.
+ *  With the collect errors mode the errors are returned along with the result.
+ *
+ * @method generate
+ * @param {function} transformFunc The compiled transformation function.
+ * @param {Object} runtime The functions of the compiler that are shared with the traced transformation.
+ * @param {boolean|function} trace True to return the result and the trace, or a function that is called with the trace.
+ * @return {function}
+ */
+module.exports.generate = function (transformFunc, runtime, trace) {
+  let tracedFunc = getTracedFunction(transformFunc, runtime);
+  let definition = runtime.getDefinition(transformFunc);
+  let isCollecting = !!definition && definition.errors === 'collect';
+  return function traceTransform(src, dst, data, parent, top, key) {
+    let entries = [];
+    let transform = () => tracedFunc(src, dst, data, parent, top, key, {dst: '', src: '', entries});
+    let output = isCollecting ? runtime.collectErrors(transform) : {result: transform()};
+    if (_.isFunction(trace)) {
+      trace(entries);
+      return isCollecting ? output : output.result;
+    }
+    return _.assign(output, {trace: entries});
+  };
+};
@@ -1,4 +1,16 @@
 const _ = require('lodash');
+const arrays = require('./arrays');
+const asyncCompiler = require('./async');
+const codegen = require('./codegen');
+const exporter = require('./export');
+const expressions = require('./expression');
+const filters = require('./filters');
+const paths = require('./paths');
+const registries = require('./registry');
+const tracer = require('./trace');
+const types = require('./types');
+const utilities = require('./utilities');
+const validator = require('./validate');
 
 /**
  *  Transforms src into dst using the schema to map the properties.
@@ -9,10 +21,11 @@ const _ = require('lodash');
  * @param {Object} dst The destination object where the values will be set.
  * @param {Object} schema The schema definition that will be used to map src to dst.
  * @param {Object} [request] The request object of the current API request.
+ * @param {Object} [options] The compile options, see compile.
  * @return {Object}
  */
-module.exports.transform = function (src, dst, schema, request) {
-  let compiledSchema = module.exports.compile(schema);
+module.exports.transform = function (src, dst, schema, request, options) {
+  let compiledSchema = module.exports.compile(schema, undefined, options);
   if (_.isUndefined(src)) {
     return null;
   }
@@ -23,17 +36,87 @@ module.exports.transform = function (src, dst, schema, request) {
 module.exports.internal = {};
 
 
+/**
+ *  Returns the function that combines the array in the destination with the new array of a field, or null when no
+ *  strategy is given. See createArrayMerge in arrays.
+ *
+ * @method getMergeArrays
+ * @param {string} [arrayMerge] Either 'append', 'prepend', 'replace', 'union' or 'unionBy:' followed by the path of the key.
+ * @return {function|null}
+ */
+function getMergeArrays(arrayMerge) {
+  if (_.isUndefined(arrayMerge)) {
+    return null;
+  }
+  let separator = arrayMerge.indexOf(':');
+  let strategy = separator < 0 ? arrayMerge : arrayMerge.substr(0, separator);
+  let keyPath = separator < 0 ? '' : arrayMerge.substr(separator + 1);
+  if (!_.includes(arrays.arrayMerges, strategy) || (strategy === 'unionBy') !== !!keyPath) {
+    throw new Error(`The array merge "${arrayMerge}" must be append, prepend, replace, union or unionBy:<path>.`);
+  }
+  return arrays.createArrayMerge(strategy, keyPath ? getGetSourceValue('complex', keyPath) : undefined);
+}
+
+module.exports.internal._getMergeArrays = getMergeArrays;
+
+// The values set with [] are appended unless the field has another strategy
+const appendArrays = arrays.createArrayMerge('append');
+
+
+/**
+ *  Returns the functions that read, write and check a destination path. The paths that select an item of an array,
+ *  such as items[-1] or items[id=5].name, are resolved against the destination, see resolveDestination in paths.
+ *
+ * @method getDestinationAccessors
+ * @param {string} dstPath The destination path.
+ * @return {Object} The get, set and has functions, each called with the destination.
+ */
+function getDestinationAccessors(dstPath) {
+  let segments = paths.parseDestinationPath(dstPath);
+  if (!segments) {
+    return {
+      get: (dst) => _.get(dst, dstPath),
+      set: (dst, value) => _.set(dst, dstPath, value),
+      has: (dst) => _.has(dst, dstPath)
+    };
+  }
+  return {
+    get: (dst) => {
+      let target = paths.resolveDestination(dst, segments);
+      return target ? target.object[target.key] : undefined;
+    },
+    set: (dst, value) => {
+      let target = paths.resolveDestination(dst, segments, true);
+      // A path that starts with a selector can't be written in the destination object
+      if (target) {
+        target.object[target.key] = value;
+      }
+    },
+    has: (dst) => {
+      let target = paths.resolveDestination(dst, segments);
+      return !!target && _.has(target.object, target.key);
+    }
+  };
+}
+
+module.exports.internal._getDestinationAccessors = getDestinationAccessors;
+
+
 /**
  *  Returns a function that can be used to set a value depending on the complexity of the field name.
+ *  An array is combined with the array in the destination when the field has an array merge strategy.
  *
  * @method getSetValue
  * @param {string} dstType Is the destination path 'complex', 'array', 'simple'?
  * @param {string} dstPath The destination path.
+ * @param {function} [mergeArrays] Combines the array in the destination with the new array, see getMergeArrays.
  * @return {function}
  */
-function getSetValue(dstType, dstPath) {
+function getSetValue(dstType, dstPath, mergeArrays) {
+  let destination = dstType === 'simple' ? undefined : getDestinationAccessors(dstPath);
   switch (dstType) {
     case 'array':
+      mergeArrays = mergeArrays || appendArrays;
       return function setValue1(src, dst, newValue) {
         if (_.isUndefined(newValue)) {
           return;
@@ -44,9 +127,8 @@ function getSetValue(dstType, dstPath) {
             newValue = [newValue];
           }
           // Combine the old and new arrays
-          let oldValue = _.get(dst, dstPath, []);
-          newValue = [...newValue, ...oldValue];
-          _.set(dst, dstPath, newValue);
+          let oldValue = destination.get(dst);
+          destination.set(dst, mergeArrays(oldValue === undefined ? [] : oldValue, newValue));
         }
       };
     case 'complex':
@@ -54,13 +136,19 @@ function getSetValue(dstType, dstPath) {
         if (_.isUndefined(newValue)) {
           return;
         }
-        _.set(dst, dstPath, newValue);
+        if (mergeArrays && _.isArray(newValue)) {
+          newValue = mergeArrays(destination.get(dst), newValue);
+        }
+        destination.set(dst, newValue);
       };
     default:
       return function setValue3(src, dst, newValue) {
         if (_.isUndefined(newValue)) {
           return;
         }
+        if (mergeArrays && _.isArray(newValue)) {
+          newValue = mergeArrays(dst[dstPath], newValue);
+        }
         dst[dstPath] = newValue;
       };
   }
@@ -76,14 +164,15 @@ module.exports.internal._getSetValue = getSetValue;
  * @param {string} dstType Is the destination path 'complex', 'array', 'simple'?
  * @param {string} dstPath The destination path.
  * @param {function} func The function used to perform the transformation.
+ * @param {function} [mergeArrays] Combines the array in the destination with the new array, see getMergeArrays.
  * @return {function}
  */
-function getFunctionTransform(dstType, dstPath, func) {
-  let setValue = getSetValue(dstType, dstPath);
+function getFunctionTransform(dstType, dstPath, func, mergeArrays) {
+  let setValue = getSetValue(dstType, dstPath, mergeArrays);
   // A function can be passed in for the value
   // Execute the function passing src and dst as the parameters
-  return function (src, dst, data, parent, top) {
-    let newValue = func(src, dst, data, parent, top);
+  return function (src, dst, data, parent, top, key) {
+    let newValue = func(src, dst, data, parent, top, key);
     setValue(src, dst, newValue);
   };
 }
@@ -95,13 +184,14 @@ module.exports.internal._getFunctionTransform = getFunctionTransform;
  *  Returns a function that can be used to retrieve the source value.
  *
  * @method getGetSourceValue
- * @param {string} srcType Is the source type 'complex', 'simple', or 'function'?
+ * @param {string} srcType Is the source type 'complex', 'simple', 'expression', 'aggregate', or 'function'?
  * @param {string|function} srcPath The source path or a function to use to retrieve the source value.
- * @param {string} dstValueType The type the value should be coerced into
+ * @param {string|Object} dstValueType The type the value should be coerced into
  * @param {any} [defaultValue] The default value to use when the source field does not exist.
+ * @param {Object} [coercion] The coercion context, see coerceValue.
  * @return {function}
  */
-function getGetSourceValue(srcType, srcPath, dstValueType, defaultValue) {
+function getGetSourceValue(srcType, srcPath, dstValueType, defaultValue, coercion) {
   let getValue;
 
   if (srcType === 'literal') {
@@ -124,9 +214,9 @@ function getGetSourceValue(srcType, srcPath, dstValueType, defaultValue) {
           return parent;
         };
       } else {
-        let newPath = fixPaths(srcPaths);
+        let getPath = paths.getPathGetter(fixPaths(srcPaths), defaultValue);
         srcPath = (src, dst, data, parent) => {
-          return _.get(parent, newPath, defaultValue);
+          return getPath(parent);
         };
       }
     } else if (srcPaths[0] === '$self') {
@@ -136,31 +226,46 @@ function getGetSourceValue(srcType, srcPath, dstValueType, defaultValue) {
           return src;
         };
       } else {
-        let newPath = fixPaths(srcPaths);
+        let getPath = paths.getPathGetter(fixPaths(srcPaths), defaultValue);
         srcPath = (src) => {
-          return _.get(src, newPath, defaultValue);
+          return getPath(src);
         };
       }
     } else if (srcPaths[0] === '$top') {
       srcType = 'function';
       if (srcPaths.length === 1) {
-        srcPath = (src, dst, data, parent, top) => {
+        srcPath = (src, dst, data, parent, top, key) => {
           return top;
         };
       } else {
-        let newPath = fixPaths(srcPaths);
-        srcPath = (src, dst, data, parent, top) => {
-          return _.get(top, newPath, defaultValue);
+        let getPath = paths.getPathGetter(fixPaths(srcPaths), defaultValue);
+        srcPath = (src, dst, data, parent, top, key) => {
+          return getPath(top);
+        };
+      }
+    } else if (srcPaths[0] === '$key') {
+      srcType = 'function';
+      if (srcPaths.length === 1) {
+        srcPath = (src, dst, data, parent, top, key) => {
+          return key;
+        };
+      } else {
+        let getPath = paths.getPathGetter(fixPaths(srcPaths), defaultValue);
+        srcPath = (src, dst, data, parent, top, key) => {
+          return getPath(key);
         };
       }
     }
   }
 
   switch (srcType) {
+    // Expressions and aggregations are compiled into functions of the source object
+    case 'expression':
+    case 'aggregate':
     case 'function':
-      getValue = function getGetSourceValue1(src, dst, data, parent, top) {
-        let newValue = srcPath(src, dst, data, parent, top);
-        newValue = coerceValue(newValue, dstValueType);
+      getValue = function getGetSourceValue1(src, dst, data, parent, top, key) {
+        let newValue = srcPath(src, dst, data, parent, top, key);
+        newValue = coerceValue(newValue, dstValueType, coercion);
         return newValue;
       };
       break;
@@ -168,18 +273,20 @@ function getGetSourceValue(srcType, srcPath, dstValueType, defaultValue) {
     case 'simple':
       getValue = function getGetSourceValue2(src) {
         let newValue = src[srcPath];
-        newValue = coerceValue(newValue, dstValueType);
+        newValue = coerceValue(newValue, dstValueType, coercion);
         return newValue;
       };
       break;
 
-    default:
+    default: {
+      let getPath = paths.getPathGetter(srcPath, defaultValue);
       getValue = function getGetSourceValue1(src) {
-        let newValue = _.get(src, srcPath, defaultValue);
-        newValue = coerceValue(newValue, dstValueType);
+        let newValue = getPath(src);
+        newValue = coerceValue(newValue, dstValueType, coercion);
         return newValue;
       };
       break;
+    }
   }
   return getValue;
 }
@@ -190,21 +297,28 @@ module.exports.internal._getGetSourceValue = getGetSourceValue;
  *  Returns a function that can be used to transform using a function.
  *
  * @method getFilterTransform
- * @param {string} srcType Is the source type 'complex', 'simple', or 'function'?
+ * @param {string} srcType Is the source type 'complex', 'simple', 'expression', 'aggregate', or 'function'?
  * @param {string|function} srcPath The source path or a function to use to retrieve the source value.
  * @param {string} dstType Is the destination type 'complex', 'simple', or 'array'?
  * @param {string} dstPath The destination path.
  * @param {function} func The function used to perform the transformation.
- * @param {string} dstValueType The type the value should be coerced into
+ * @param {string|Object} dstValueType The type the value should be coerced into
  * @param {any} [defaultValue] The default value to use when the source field does not exist.
+ * @param {Object} [coercion] The coercion context, see coerceValue.
+ * @param {function} [handleMissing] Handles a missing source value, see getMissingValueHandler.
+ * @param {function} [mergeArrays] Combines the array in the destination with the new array, see getMergeArrays.
  * @return {function}
  */
-function getFilterTransform(srcType, srcPath, dstType, dstPath, func, dstValueType, defaultValue) {
-  let getValue = getGetSourceValue(srcType, srcPath, dstValueType, defaultValue);
-  let setValue = getSetValue(dstType, dstPath);
-  return function filterTransform(src, dst, data, parent, top) {
-    let newValue = getValue.apply(src, [src, dst, data, parent, top]);
-    setValue(src, dst, func.apply(src, [newValue, src, dst, data, parent, top]));
+function getFilterTransform(srcType, srcPath, dstType, dstPath, func, dstValueType, defaultValue, coercion, handleMissing, mergeArrays) {
+  let getValue = getGetFieldValue(srcType, srcPath, dstValueType, defaultValue, coercion, handleMissing);
+  let setValue = getSetValue(dstType, dstPath, mergeArrays);
+  return function filterTransform(src, dst, data, parent, top, key) {
+    let newValue = getValue.apply(src, [src, dst, data, parent, top, key]);
+    // The filter is not run for a skipped field
+    if (newValue === skippedField) {
+      return;
+    }
+    setValue(src, dst, func.apply(src, [newValue, src, dst, data, parent, top, key]));
   };
 }
 
@@ -228,9 +342,10 @@ function getRemovalTransform(dstType, dstPath, value) {
       dst[dstPath] = value;
     };
   }
+  let destination = getDestinationAccessors(dstPath);
   return function (src, dst) {
-    if (_.has(dst, dstPath)) {
-      _.set(dst, dstPath, value);
+    if (destination.has(dst)) {
+      destination.set(dst, value);
     }
   };
 }
@@ -238,57 +353,791 @@ function getRemovalTransform(dstType, dstPath, value) {
 module.exports.internal._getRemovalTransform = getRemovalTransform;
 
 
+/**
+ *  Returns the default value when the value is null or an empty object or array.
+ *  A default value function is called with the arguments of the transformation for each object.
+ *
+ * @method applyDefaultValue
+ * @param {*} value The value.
+ * @param {*} defaultValue The default value.
+ * @param {Array} [args] The arguments of the transformation, src, dst, data, parent, top and key.
+ * @return {*}
+ */
+function applyDefaultValue(value, defaultValue, args) {
+  if (!(value || value === 0) || (_.isObject(value) && _.isEmpty(value))) {
+    return getDefaultValue(defaultValue, args);
+  }
+  return value;
+}
+
+module.exports.internal._applyDefaultValue = applyDefaultValue;
+
+
+/**
+ *  Returns the default value, a default value function is called with the arguments of the transformation.
+ *
+ * @method getDefaultValue
+ * @param {*} defaultValue The default value.
+ * @param {Array} args The arguments of the transformation, src, dst, data, parent, top and key.
+ * @return {*}
+ */
+function getDefaultValue(defaultValue, args) {
+  return _.isFunction(defaultValue) ? defaultValue(...args) : defaultValue;
+}
+
+// The supported policies for a missing source value
+const missingPolicies = ['skip', 'null', 'default'];
+// Returned for the source value of a field that is skipped because the value is missing
+const skippedField = Symbol('skippedField');
+
+
+/**
+ *  Returns a function that handles the missing source value of a field, or null when the value is left undefined.
+ *  A value is missing when it is undefined, null and empty values are not missing. A required field throws a
+ *  MissingValueError, otherwise onMissing decides whether the field is skipped, set to null or set to the default value.
+ *  The handler returns the value to use instead, or skippedField when the field is skipped.
+ *
+ * @method getMissingValueHandler
+ * @param {string} dstPath The destination path, used in error messages.
+ * @param {boolean} [required] Does the field fail when the value is missing?
+ * @param {string} [onMissing] Either 'skip', 'null' or 'default'.
+ * @param {*} [defaultValue] The default value, a function is called with the arguments of the transformation.
+ * @return {function|null}
+ */
+function getMissingValueHandler(dstPath, required, onMissing, defaultValue) {
+  if (!required && !_.includes(missingPolicies, onMissing)) {
+    return null;
+  }
+  return function handleMissing(src, dst, data, parent, top, key) {
+    if (required) {
+      throw new types.MissingValueError(dstPath);
+    }
+    switch (onMissing) {
+      case 'skip':
+        return skippedField;
+      case 'null':
+        return null;
+      default:
+        return getDefaultValue(defaultValue, [src, dst, data, parent, top, key]);
+    }
+  };
+}
+
+module.exports.internal._getMissingValueHandler = getMissingValueHandler;
+
+
+/**
+ *  Returns a function that retrieves the source value of a field.
+ *  The missing value is handled before it is coerced, see getMissingValueHandler.
+ *
+ * @method getGetFieldValue
+ * @param {string} srcType Is the source type 'complex', 'simple', 'literal', 'expression', 'aggregate', or 'function'?
+ * @param {string|function} srcPath The source path, literal value, or a function to use to retrieve the source value.
+ * @param {string|Object} dstValueType The type the value should be coerced into
+ * @param {*} [defaultValue] The default value to use when the source field does not exist.
+ * @param {Object} [coercion] The coercion context, see coerceValue.
+ * @param {function} [handleMissing] Handles a missing source value.
+ * @return {function}
+ */
+function getGetFieldValue(srcType, srcPath, dstValueType, defaultValue, coercion, handleMissing) {
+  if (!handleMissing) {
+    return getGetSourceValue(srcType, srcPath, dstValueType, defaultValue, coercion);
+  }
+  let getSourceValue = getGetSourceValue(srcType, srcPath);
+  return function getFieldValue(src, dst, data, parent, top, key) {
+    let newValue = getSourceValue(src, dst, data, parent, top, key);
+    if (newValue === undefined) {
+      newValue = handleMissing(src, dst, data, parent, top, key);
+      if (newValue === skippedField) {
+        return newValue;
+      }
+    }
+    return coerceValue(newValue, dstValueType, coercion);
+  };
+}
+
+
 /**
  *  Returns a function that can be used to simply map one value to another.
+ *  The default value is used for a null or empty value unless the missing value is handled, in which case it is
+ *  only used by onMissing: 'default'.
  *
  * @method getSetValueTransform
- * @param {string} srcType Is the source type 'complex', 'simple', 'literal', or 'function'?
+ * @param {string} srcType Is the source type 'complex', 'simple', 'literal', 'expression', 'aggregate', or 'function'?
  * @param {string|function} srcPath The source path, literal value, or a function to use to retrieve the source value.
  * @param {string} dstType Is the destination type 'complex', 'simple', or 'array'?
  * @param {string} dstPath The destination path.
- * @param {string} dstValueType The type the value should be coerced into
+ * @param {string|Object} dstValueType The type the value should be coerced into
  * @param {*} [defaultValue] The default value to use when the source field does not exist.
+ * @param {Object} [coercion] The coercion context, see coerceValue.
+ * @param {function} [handleMissing] Handles a missing source value, see getMissingValueHandler.
+ * @param {function} [mergeArrays] Combines the array in the destination with the new array, see getMergeArrays.
  * @return {function}
  */
-function getSetValueTransform(srcType, srcPath, dstType, dstPath, dstValueType, defaultValue) {
-  let getDefaultValue = (val) => {
-    // If the value is null or empty for objects or arrays then set to default value.
-    if (!(val || val === 0) || (_.isObject(val) && _.isEmpty(val))) {
-      return defaultValue;
-    }
-    return val;
-  };
-  let getSourceValue = getGetSourceValue(srcType, srcPath, dstValueType);
+function getSetValueTransform(srcType, srcPath, dstType, dstPath, dstValueType, defaultValue, coercion, handleMissing, mergeArrays) {
+  let getSourceValue = getGetFieldValue(srcType, srcPath, dstValueType, undefined, coercion, handleMissing);
   let getValue;
-  if (defaultValue !== undefined) {
-    getValue = (src, dst, data, parent, top) => getDefaultValue(getSourceValue(src, dst, data, parent, top));
+  if (defaultValue !== undefined && !handleMissing) {
+    // If the value is null or empty for objects or arrays then set to default value.
+    getValue = (src, dst, data, parent, top, key) => applyDefaultValue(getSourceValue(src, dst, data, parent, top, key), defaultValue, [src, dst, data, parent, top, key]);
   } else {
     getValue = getSourceValue;
   }
 
-  return getFunctionTransform(dstType, dstPath, getValue);
+  let setValue = getSetValue(dstType, dstPath, mergeArrays);
+  return function setValueTransform(src, dst, data, parent, top, key) {
+    let newValue = getValue(src, dst, data, parent, top, key);
+    // A skipped field is not set
+    if (newValue !== skippedField) {
+      setValue(src, dst, newValue);
+    }
+  };
 }
 
 module.exports.internal._getSetValueTransform = getSetValueTransform;
 
-function coerceValue(value, valueType) {
-  if (value === null || value === undefined) {
-    return value;
+
+/**
+ *  Returns a function that can be used to retrieve the embedded object(s) from the source.
+ *
+ * @method getGetSchemaItems
+ * @param {string|function} srcPath The source path or a function to use to retrieve the embedded object(s).
+ * @return {function}
+ */
+function getGetSchemaItems(srcPath) {
+  if (_.isFunction(srcPath)) {
+    return srcPath;
   }
-  switch (valueType) {
-    case 'number':
-      return Number(value);
+  let pathParts = /^(\$parent|\$top|\$self)\.?(.*)$/.exec(srcPath);
+  let path = pathParts ? pathParts[2] : srcPath;
+  let getPath = path ? paths.getPathGetter(path, null) : _.identity;
+  return function getSchemaItems(src, dst, data, parent, top, key) {
+    let srcObject = src;
+    if (pathParts) {
+      switch (pathParts[1]) {
+        case '$parent':
+          srcObject = parent;
+          break;
+        case '$top':
+          srcObject = top;
+          break;
+        case '$self':
+          srcObject = src;
+          break;
+      }
+    }
+    return getPath(srcObject);
+  };
+}
+
+module.exports.internal._getGetSchemaItems = getGetSchemaItems;
+
 
-    case 'string':
-      return String(value);
+/**
+ *  Returns a function that sets the transformed embedded object(s) in the destination.
+ *
+ * @method getSetSchemaValue
+ * @param {string} dstType Is the destination type 'complex', 'simple', 'array', or 'wildcard'?
+ * @param {string} dstPath The destination path.
+ * @param {string|Object} dstValueType The type the value should be coerced into
+ * @param {Object} [coercion] The coercion context, see coerceValue.
+ * @param {function} [mergeArrays] Combines the array in the destination with the array of embedded objects, see getMergeArrays.
+ * @return {function}
+ */
+function getSetSchemaValue(dstType, dstPath, dstValueType, coercion, mergeArrays) {
+  if (dstType === 'array') {
+    mergeArrays = mergeArrays || appendArrays;
+  }
+  let destination = getDestinationAccessors(dstPath);
+  // The values of a wildcard field are merged into the destination
+  let assign = (dst, value) => dstType === 'wildcard' ? _.assign(dst, value) : destination.set(dst, value);
+  return function setSchemaValue(dst, newValue, isCollection) {
+    if (isCollection) {
+      // Each value of an array, or of an object created by keyBy or mapValues, is coerced
+      let coerce = (value) => coerceValue(value, dstValueType, coercion);
+      if (!_.isArray(newValue)) {
+        assign(dst, _.mapValues(newValue, coerce));
+        return;
+      }
+      newValue = _.map(newValue, coerce);
+      if (mergeArrays) {
+        newValue = mergeArrays(destination.get(dst), newValue);
+      }
+      assign(dst, newValue);
+      return;
+    }
+    if (_.isUndefined(newValue)) {
+      // An embedded object that did not match any case of a switch
+      return;
+    }
+    newValue = coerceValue(newValue, dstValueType, coercion);
+    if (dstType === 'array') {
+      let oldValue = destination.get(dst);
+      oldValue = oldValue === undefined ? [] : oldValue;
+      // Don't push empty objects
+      newValue = _.isEmpty(newValue) ? oldValue : mergeArrays(oldValue, [newValue]);
+    }
+    assign(dst, newValue);
+  };
+}
+
+module.exports.internal._getSetSchemaValue = getSetSchemaValue;
+
+// The supported errors modes
+const errorsModes = ['throw', 'collect', 'skipItem'];
+// The errors collected by the transformation that is being executed with the collect errors mode
+let collectedErrors;
+// Returned for an embedded object that failed to transform with the skipItem errors mode
+const skippedItem = Symbol('skippedItem');
+
+
+/**
+ *  Returns the source path of a field as it is written in the schema, an expression starts with =.
+ *  Returns undefined when the source is a literal or a function.
+ *
+ * @method getFieldSourcePath
+ * @param {Object} field The field description.
+ * @return {string|undefined}
+ */
+function getFieldSourcePath(field) {
+  if (_.isString(field.srcPath) && field.srcType !== 'literal') {
+    return field.srcPath;
   }
+  if (field.srcPath && _.isString(field.srcPath.expression)) {
+    return `=${field.srcPath.expression}`;
+  }
+  return undefined;
+}
 
-  return value;
+module.exports.internal._getFieldSourcePath = getFieldSourcePath;
+
+
+/**
+ *  Returns a function that handles the error thrown by a field, or null when the errors are thrown as is.
+ *  The handler is called with the error, the field description and the arguments of the transformation.
+ *  The _onError hook of the schema is called with the path, the source path and the error of the field, the error is
+ *  handled when the hook returns. Otherwise, or when the hook throws, the error is collected with the collect mode.
+ *
+ * @method getErrorHandler
+ * @param {function} [onError] The _onError hook of the schema.
+ * @param {string} errors The errors mode, either 'throw', 'collect' or 'skipItem'.
+ * @return {function|null}
+ */
+function getErrorHandler(onError, errors) {
+  if (!onError && errors !== 'collect') {
+    return null;
+  }
+  return function handleError(error, field, src, dst, data, parent, top, key) {
+    let fieldError = {path: field.dstPath, srcPath: getFieldSourcePath(field), error};
+    if (onError) {
+      try {
+        onError(fieldError, src, dst, data, parent, top, key);
+        return;
+      } catch (err) {
+        fieldError.error = err;
+      }
+    }
+    if (errors === 'collect' && collectedErrors) {
+      collectedErrors.push(fieldError);
+      return;
+    }
+    throw fieldError.error;
+  };
+}
+
+module.exports.internal._getErrorHandler = getErrorHandler;
+
+
+/**
+ *  Calls a transformation while collecting the errors of the fields compiled with the collect errors mode.
+ *
+ * @method collectErrors
+ * @param {function} transform Returns the transformed object.
+ * @return {Object} The transformed object as result and the errors, each with the path, the source path and the error.
+ */
+function collectErrors(transform) {
+  let previousErrors = collectedErrors;
+  let errors = collectedErrors = [];
+  try {
+    return {result: transform(), errors};
+  } finally {
+    collectedErrors = previousErrors;
+  }
+}
+
+
+/**
+ *  Adds the path of an embedded object to the paths of the errors collected while it was transformed.
+ *
+ * @method prefixCollectedErrors
+ * @param {number} start The number of errors that were collected before the embedded object was transformed.
+ * @param {string} path The path of the embedded object.
+ */
+function prefixCollectedErrors(start, path) {
+  if (!collectedErrors) {
+    return;
+  }
+  for (let i = start; i < collectedErrors.length; i++) {
+    collectedErrors[i].path = `${path}.${collectedErrors[i].path}`;
+  }
+}
+
+
+/**
+ *  Removes the embedded objects that were skipped because they failed to transform, along with their keys.
+ *
+ * @method removeSkippedItems
+ * @param {Array} results The transformed objects.
+ * @param {Array} keys The key of each transformed object.
+ * @return {Array[]} The transformed objects and the keys that are kept.
+ */
+function removeSkippedItems(results, keys) {
+  let isKept = _.map(results, (result) => result !== skippedItem);
+  return [_.filter(results, (result, index) => isKept[index]), _.filter(keys, (key, index) => isKept[index])];
+}
+
+module.exports.internal._removeSkippedItems = removeSkippedItems;
+
+
+/**
+ *  Returns a function that can be used to transform an embedded object or an array of embedded objects.
+ *  The key of each embedded object, available as $key, is its index, the value of the keyBy path or its key in the
+ *  source object with toEntries or mapValues.
+ *
+ * @method getSchemaTransform
+ * @param {string|function} srcPath The source path or a function to use to retrieve the embedded object(s).
+ * @param {string} dstType Is the destination type 'complex', 'simple', 'array', or 'wildcard'?
+ * @param {string} dstPath The destination path.
+ * @param {function} compiledItemsSchema The compiled schema used to transform each embedded object.
+ * @param {string|Object} dstValueType The type the value should be coerced into
+ * @param {Object} [coercion] The coercion context, see coerceValue.
+ * @param {function} [operateItems] The array operations applied to an array of embedded objects, see getItemsOperation.
+ * @param {function} [getKey] Returns the key of each embedded object in an array, the result is an object with the transformed object of each key.
+ * @param {Object} [toEntries] The names of the key and the value of each entry, an object is transformed into an array of entries, see toEntry in arrays.
+ * @param {function} [mapKey] Transforms each value of an object, returns the key of each transformed value given the key and the value.
+ * @param {boolean} [skipItems] Should the embedded objects of an array or an object that fail to transform be left out?
+ * @param {function} [mergeArrays] Combines the array in the destination with the array of embedded objects, see getMergeArrays.
+ * @return {function}
+ */
+function getSchemaTransform(srcPath, dstType, dstPath, compiledItemsSchema, dstValueType, coercion, operateItems, getKey, toEntries, mapKey, skipItems, mergeArrays) {
+  let getItems = getGetSchemaItems(srcPath);
+  let keyPath = (itemKey) => dstType === 'wildcard' ? String(itemKey) : `${dstPath}.${itemKey}`;
+  let operateOn = operateItems ? operateItems.operations.operateOn : undefined;
+  let setValue = getSetSchemaValue(dstType, dstPath, dstValueType, coercion, mergeArrays);
+  let transformItem = (item, path, data, src, top, key) => {
+    let collected = collectedErrors ? collectedErrors.length : 0;
+    try {
+      return compiledItemsSchema(item, null, data, src, top, key);
+    } catch (err) {
+      // Coercion errors and missing values report the path of the embedded object
+      throw types.prefixError(err, path);
+    } finally {
+      prefixCollectedErrors(collected, path);
+    }
+  };
+  let transformCollectionItem = !skipItems ? transformItem : (item, path, data, src, top, key) => {
+    try {
+      return transformItem(item, path, data, src, top, key);
+    } catch (err) {
+      return skippedItem;
+    }
+  };
+  return function schemaTransform(src, dst, data, parent, top, key) {
+    // Get the item(s) from the src
+    let items = getItems(src, dst, data, parent, top, key);
+    // only process if the item(s) is not null
+    if (items) {
+      // Array or single object?
+      if (_.isArray(items)) {
+        if (operateOn === 'source') {
+          items = operateItems(items, data, src, top);
+        }
+        let keys = getKey ? _.map(items, (item) => getKey(item, null, data, src, top)) : undefined;
+        let results = _.map(items, (item, index) => {
+          if (keys) {
+            return transformCollectionItem(item, keyPath(keys[index]), data, src, top, keys[index]);
+          }
+          return transformCollectionItem(item, `${dstPath}[${index}]`, data, src, top, index);
+        });
+        if (skipItems) {
+          [results, keys] = removeSkippedItems(results, keys);
+        }
+        if (operateOn === 'result') {
+          results = operateItems(results, data, src, top);
+        }
+        setValue(dst, getKey ? arrays.fromKeys(keys, results) : results, true);
+      } else if (mapKey && _.isObject(items)) {
+        let itemKeys = _.keys(items);
+        let keys = _.map(itemKeys, (itemKey) => mapKey(itemKey, items[itemKey]));
+        let results = _.map(itemKeys, (itemKey, index) => transformCollectionItem(items[itemKey], keyPath(keys[index]), data, src, top, itemKey));
+        if (skipItems) {
+          [results, keys] = removeSkippedItems(results, keys);
+        }
+        setValue(dst, arrays.fromKeys(keys, results), true);
+      } else if (toEntries && _.isObject(items)) {
+        let entryKeys = _.keys(items);
+        let values = _.map(entryKeys, (entryKey, index) => {
+          return transformCollectionItem(items[entryKey], `${dstPath}[${index}]`, data, src, top, entryKey);
+        });
+        if (skipItems) {
+          [values, entryKeys] = removeSkippedItems(values, entryKeys);
+        }
+        let results = _.map(values, (value, index) => arrays.toEntry(toEntries, entryKeys[index], value));
+        if (operateOn === 'result') {
+          results = operateItems(results, data, src, top);
+        }
+        setValue(dst, results, true);
+      } else {
+        setValue(dst, transformItem(items, dstPath, data, src, top), false);
+      }
+    }
+  };
+}
+
+module.exports.internal._getSchemaTransform = getSchemaTransform;
+
+
+/**
+ *  Returns a function that applies the array operations of a field definition to an array of embedded objects,
+ *  or null when the field has none. The operations are applied to the source objects, or to the transformed
+ *  objects when operateOn is 'result'. The paths of the operations are relative to each object.
+ *  The operations, which can be serialized as JSON, are set as the operations property of the function.
+ *
+ * @method getItemsOperation
+ * @param {Object} value The field definition.
+ * @param {Object} [value.filter] Only the objects that meet the condition are kept, see getCondition.
+ * @param {string|string[]} [value.sortBy] The paths to sort by, a path that starts with - is sorted in descending order.
+ * @param {string} [value.uniqBy] Only the first object with each value of the path is kept.
+ * @param {number} [value.offset] The number of objects to skip.
+ * @param {number} [value.limit] The maximum number of objects.
+ * @param {boolean} [value.reverse] Should the order of the objects be reversed?
+ * @param {boolean|number} [value.flatten] Flattens nested arrays, one level deep or to the given depth.
+ * @param {string} [value.operateOn] Either 'source' (the default) or 'result'.
+ * @return {function|null}
+ */
+function getItemsOperation(value) {
+  let operations = {};
+  if (value.flatten) {
+    operations.flatten = value.flatten === true ? 1 : value.flatten;
+  }
+  if (_.isPlainObject(value.filter)) {
+    operations.filter = value.filter;
+  }
+  if (value.uniqBy) {
+    operations.uniqBy = value.uniqBy;
+  }
+  if (value.sortBy) {
+    operations.sortBy = _.map(_.castArray(value.sortBy), (path) => {
+      return path[0] === '-' ? {path: path.substr(1), descending: true} : {path, descending: false};
+    });
+  }
+  if (value.reverse) {
+    operations.reverse = true;
+  }
+  if (value.offset) {
+    operations.offset = value.offset;
+  }
+  if (_.isNumber(value.limit)) {
+    operations.limit = value.limit;
+  }
+  if (_.isEmpty(operations)) {
+    return null;
+  }
+  let getKey = (path) => getGetSourceValue('complex', path);
+  let operateItems = arrays.createItemsOperation(_.assign({}, operations, {
+    filter: operations.filter && getCondition(operations.filter),
+    uniqBy: operations.uniqBy && getKey(operations.uniqBy),
+    sortBy: operations.sortBy && _.map(operations.sortBy, (key) => ({getKey: getKey(key.path), descending: key.descending}))
+  }));
+  operations.operateOn = value.operateOn === 'result' ? 'result' : 'source';
+  operateItems.operations = operations;
+  return operateItems;
+}
+
+module.exports.internal._getItemsOperation = getItemsOperation;
+
+
+/**
+ *  Returns a function that aggregates the items of the source value of a field, such as the sum of the amount of
+ *  each line. The function becomes the source of the field so the result is coerced and defaulted like any other value.
+ *  The operation, the path of the value of each item and the source path are set as the aggregation property of the
+ *  function and the function that aggregates a source value, see createAggregation in arrays, as the aggregate property.
+ *
+ * @method getAggregation
+ * @param {string} operation The aggregation, one of count, sum, avg, min, max, first, last, groupBy or countBy.
+ * @param {string} srcType Is the source type 'complex' or 'function'?
+ * @param {string|function} srcPath The source path or a function to use to retrieve the source value.
+ * @param {string} [of] The path of the value of each item, relative to the item. The item itself is used when not given.
+ * @return {function}
+ */
+function getAggregation(operation, srcType, srcPath, of) {
+  let getSource = getGetSourceValue(srcType, srcPath);
+  let aggregate = arrays.createAggregation(operation, of && getGetSourceValue('complex', of));
+  let aggregation = function aggregation(src, dst, data, parent, top, key) {
+    return aggregate(getSource(src, dst, data, parent, top, key), data, src, top);
+  };
+  aggregation.aggregation = {operation, of, srcPath};
+  aggregation.aggregate = aggregate;
+  return aggregation;
+}
+
+module.exports.internal._getAggregation = getAggregation;
+
+/**
+ *  Coerces a value into the type of a field, see registerType for the built in types.
+ *
+ * @method coerceValue
+ * @param {*} value The value.
+ * @param {string|Object} [valueType] The name of the type or an object with the name and the options of the type.
+ * @param {Object} [coercion] The coercion context.
+ * @param {boolean} [coercion.strict] Should a CoercionError be thrown when the value can't be coerced?
+ * @param {string} [coercion.path] The path of the field, used in error messages.
+ * @return {*}
+ */
+function coerceValue(value, valueType, coercion) {
+  return types.coerce(value, valueType, coercion);
 }
 
 module.exports.internal._coerceValue = coerceValue;
 
-const compiledSchemas = new Map();
+// The schema and field descriptions of each compiled transformation function
+const compiledDefinitions = new WeakMap();
+// The function and the copy functions wrapped by each function compiled with the clone or freeze options
+const copyingFunctions = new WeakMap();
+// The maximum number of nested named schemas that are resolved when first used
+const defaultMaxDepth = 100;
+// The number of named schemas resolved when first used that are currently being executed
+let lazyDepth = 0;
+
+
+/**
+ *  Throws an error when a named schema that is resolved when first used would exceed the maximum depth.
+ *
+ * @method assertDepth
+ * @param {function} lazySchema The function returned by getLazySchema.
+ * @param {number} depth The number of named schemas resolved when first used that are currently being executed.
+ */
+function assertDepth(lazySchema, depth) {
+  if (depth >= lazySchema.maxDepth) {
+    throw new Error(`The child schema "${lazySchema.schemaName}" exceeded the maximum depth of ${lazySchema.maxDepth}.`);
+  }
+}
+
+
+/**
+ *  Returns a function that transforms with a named schema that is found in the registry when the function is first called.
+ *  This allows a schema to use schemas that are compiled later, including itself.
+ *  The name, maximum depth and a resolve function that returns the compiled schema are set as properties of the function.
+ *
+ * @method getLazySchema
+ * @param {string} name The name of the schema.
+ * @param {Object} registry The registry to find the schema in.
+ * @param {string} engine The engine that compiled the parent schema, either 'closure' or 'codegen'.
+ * @param {number} maxDepth The maximum number of nested named schemas that are resolved when first used.
+ * @return {function}
+ */
+function getLazySchema(name, registry, engine, maxDepth) {
+  let compiledSchema;
+  let resolve = () => {
+    if (!compiledSchema) {
+      compiledSchema = registry.lookup(name, engine) || registry.lookup(name, 'closure');
+      if (!compiledSchema) {
+        throw new Error(`The child schema "${name}" was not found.`);
+      }
+    }
+    return compiledSchema;
+  };
+  let lazySchema = function lazySchema(src, dst, data, parent, top, key) {
+    let transformFunc = resolve();
+    assertDepth(lazySchema, lazyDepth);
+    lazyDepth++;
+    try {
+      return transformFunc(src, dst, data, parent, top, key);
+    } finally {
+      lazyDepth--;
+    }
+  };
+  lazySchema.schemaName = name;
+  lazySchema.maxDepth = maxDepth;
+  lazySchema.resolve = resolve;
+  return lazySchema;
+}
+
+module.exports.internal._getLazySchema = getLazySchema;
+
+
+/**
+ *  Returns a function that decides whether a field is applied.
+ *  The condition is either a function, a path whose value must be truthy or an object with a path and one of
+ *  equals, in or exists.
+ *
+ * @method getCondition
+ * @param {function|string|Object} when The condition of the field.
+ * @return {function}
+ */
+function getCondition(when) {
+  if (_.isFunction(when)) {
+    return when;
+  }
+  let description = _.isString(when) ? {path: when} : when;
+  let getValue = getGetSourceValue('complex', description.path);
+  let test;
+  if (_.has(description, 'equals')) {
+    test = (value) => value === description.equals;
+  } else if (_.has(description, 'in')) {
+    test = (value) => _.includes(description.in, value);
+  } else if (_.has(description, 'exists')) {
+    test = (value) => !_.isNil(value) === !!description.exists;
+  } else {
+    test = (value) => !!value;
+  }
+  return function condition(src, dst, data, parent, top, key) {
+    return test(getValue(src, dst, data, parent, top, key));
+  };
+}
+
+module.exports.internal._getCondition = getCondition;
+
+
+/**
+ *  Returns a function that transforms an embedded object with the schema of the case that matches the value of the
+ *  discriminator path in the object, or with the default schema when no case matches.
+ *  The path, cases and default schema are set as properties of the function.
+ *
+ * @method getSwitchSchema
+ * @param {string} path The path of the discriminator, relative to the embedded object.
+ * @param {Object} cases The compiled schema of each discriminator value.
+ * @param {function} [defaultCase] The compiled schema used when no case matches.
+ * @return {function}
+ */
+function getSwitchSchema(path, cases, defaultCase) {
+  let getValue = getGetSourceValue('complex', path);
+  let switchSchema = function switchSchema(src, dst, data, parent, top, key) {
+    if (_.isNil(src)) {
+      return undefined;
+    }
+    let value = getValue(src, dst, data, parent, top, key);
+    let compiledSchema = Object.prototype.hasOwnProperty.call(cases, value) ? cases[value] : defaultCase;
+    return compiledSchema ? compiledSchema(src, dst, data, parent, top, key) : undefined;
+  };
+  switchSchema.switchPath = path;
+  switchSchema.cases = cases;
+  switchSchema.defaultCase = defaultCase;
+  switchSchema.getDiscriminator = getValue;
+  return switchSchema;
+}
+
+module.exports.internal._getSwitchSchema = getSwitchSchema;
+
+
+/**
+ *  Returns the schema with the fields of the base schemas it extends, which are found by name in the registry.
+ *  The fields of the first base schema come first followed by the new fields of each other base schema and the schema.
+ *  A field that is defined again keeps the position of the inherited field and a field with remove: true drops it.
+ *
+ * @method extendSchema
+ * @param {Object} schema The schema definition.
+ * @param {Object} registry The registry the base schemas are registered in.
+ * @return {Object} The schema itself when it does not extend any schema.
+ */
+function extendSchema(schema, registry) {
+  if (_.isNil(schema._extends)) {
+    return schema;
+  }
+  let extended = {};
+  _.each(_.castArray(schema._extends), (name) => {
+    let baseDefinition = module.exports.getDefinition(name, registry);
+    if (!baseDefinition) {
+      throw new Error(`The base schema "${name}" is not in the registry.`);
+    }
+    // The base schemas have already been extended when they were compiled
+    _.assign(extended, _.omit(baseDefinition.schema, '_name'));
+  });
+  _.forOwn(_.omit(schema, '_extends'), (value, key) => {
+    if (_.isPlainObject(value) && value.remove === true && _.has(extended, key)) {
+      delete extended[key];
+    } else {
+      extended[key] = value;
+    }
+  });
+  return extended;
+}
+
+module.exports.internal._extendSchema = extendSchema;
+
+
+/**
+ *  Returns a function that removes the values selected by the _omit option of a schema from the finished destination,
+ *  at every nesting level, or null when nothing is omitted. The empty objects and arrays are removed once their own
+ *  values have been removed, the destination itself is never removed.
+ *
+ * @method getOmitValues
+ * @param {Object} [omit] The _omit option of the schema.
+ * @param {boolean} [omit.nulls] Remove the null and undefined values.
+ * @param {boolean} [omit.emptyObjects] Remove the objects without any key.
+ * @param {boolean} [omit.emptyArrays] Remove the arrays without any item.
+ * @param {string[]} [omit.keys] Remove the properties with these keys.
+ * @return {function|null}
+ */
+function getOmitValues(omit) {
+  if (!omit) {
+    return null;
+  }
+  let keys = omit.keys || [];
+  let predicate = (value, key) => {
+    return (omit.nulls && _.isNil(value)) ||
+      (omit.emptyObjects && _.isPlainObject(value) && _.isEmpty(value)) ||
+      (omit.emptyArrays && _.isArray(value) && !value.length) ||
+      _.includes(keys, key);
+  };
+  return function omitValues(dst) {
+    let cleaned = utilities.omitDeep(dst, predicate);
+    // The destination is changed in place since it may have been given by the caller
+    _.each(_.keys(dst), (key) => {
+      if (_.has(cleaned, key)) {
+        dst[key] = cleaned[key];
+      } else {
+        delete dst[key];
+      }
+    });
+  };
+}
+
+module.exports.internal._getOmitValues = getOmitValues;
+
+const cloneModes = ['none', 'deep'];
+
+/**
+ *  Returns the functions that copy the destination given by the caller and the output of the transformation, or null
+ *  when the output is not copied. The destination is copied so it's not changed, and the output is copied so it shares
+ *  no mutable structure with the source.
+ *
+ * @method getCopyValues
+ * @param {string} [clone] Either 'none' or 'deep', defaults to 'deep' when freezing and 'none' otherwise.
+ * @param {boolean} [freeze] Set to true to deep freeze the output.
+ * @return {Object|null}
+ */
+function getCopyValues(clone, freeze) {
+  if (_.isUndefined(clone)) {
+    clone = freeze ? 'deep' : 'none';
+  }
+  if (!_.includes(cloneModes, clone)) {
+    throw new Error('The clone option must be none or deep.');
+  }
+  if (freeze && clone !== 'deep') {
+    throw new Error('The freeze option requires the deep clone option.');
+  }
+  if (clone === 'none') {
+    return null;
+  }
+  return {
+    destination: utilities.cloneDeep,
+    output: freeze ? (value) => utilities.freezeDeep(utilities.cloneDeep(value)) : utilities.cloneDeep
+  };
+}
+
+module.exports.internal._getCopyValues = getCopyValues;
+
 /**
  *  Compiles the given schema into a transformation object.
  *  If the given schema has already been compiled then the transformation object for previously compiled schema will be returned.
@@ -296,11 +1145,93 @@ const compiledSchemas = new Map();
  * @method transform
  * @param {Object} schema The schema definition to compile.
  * @param {Object} [key] The key to use for storing the compiled schema.
+ * @param {Object} [options] The compile options.
+ * @param {string} [options.engine] Either 'closure' (the default) or 'codegen' to generate a single specialized function.
+ * @param {boolean} [options.validate] Set to false to skip validating the schema, a SchemaValidationError is thrown when the schema is not valid.
+ * @param {Object} [options.export] When given, the source of a standalone module is set as the source property of the returned function, see exportSchema.
+ * @param {Object} [options.registry] The registry that stores the compiled schema and is used to find named schemas, see createRegistry.
+ * @param {number} [options.maxDepth] The maximum number of nested named schemas that are resolved when first used, such as recursive schemas. Defaults to 100.
+ * @param {boolean} [options.strict] Set to true to throw a CoercionError with the path of the field when a value can't be coerced into the type of the field.
+ * @param {boolean|function} [options.trace] Set to true to return the result and a trace of how each field was produced, or a function that is called with the trace, see generate in trace.
+ * @param {string} [options.errors] Either 'throw' (the default), 'collect' to leave out the fields that fail and return the result and the errors, or 'skipItem' to leave out the embedded objects that fail.
+ * @param {string} [options.clone] Either 'none' (the default) or 'deep' to return a copy that shares no mutable structure with the source, the given destination is not changed.
+ * @param {boolean} [options.freeze] Set to true to deep freeze the returned copy, a TypeError is thrown when it contains a Map, Set, Date or Buffer. The clone option defaults to 'deep' and can't be set to anything else.
+ * @return {Function}
+ */
+module.exports.compile = function (schema, key, options) {
+  options = options || {};
+  let copyValues = getCopyValues(options.clone, options.freeze);
+  if (copyValues) {
+    if (options.export) {
+      throw new Error('The clone and freeze options can\'t be exported.');
+    }
+    let transformFunc = module.exports.compile(schema, key, _.omit(options, ['clone', 'freeze']));
+    let hasResult = options.errors === 'collect' || options.trace === true;
+    let copyOutput = (output) => {
+      if (!hasResult) {
+        return copyValues.output(output);
+      }
+      output.result = copyValues.output(output.result);
+      return output;
+    };
+    // Like the collected errors, only the returned function copies the output
+    let copyingFunc = function copyingTransformFunc(src, dst, data, parent, top, key) {
+      return copyOutput(transformFunc(src, copyValues.destination(dst), data, parent, top, key));
+    };
+    if (compiledDefinitions.has(transformFunc)) {
+      compiledDefinitions.set(copyingFunc, compiledDefinitions.get(transformFunc));
+    }
+    // The asynchronous transformation is built from the wrapped function and copies its output the same way
+    copyingFunctions.set(copyingFunc, {transformFunc, copyDestination: copyValues.destination, copyOutput});
+    return copyingFunc;
+  }
+  if (options.export) {
+    let exportedFunc = module.exports.compile(schema, key, _.omit(options, 'export'));
+    exportedFunc.source = exporter.exportSchema(exportedFunc, options.export);
+    return exportedFunc;
+  }
+  if (options.trace) {
+    // The traced function is built from the compiled schema, which is stored as usual
+    return tracer.generate(module.exports.compile(schema, key, _.omit(options, 'trace')), runtime, options.trace);
+  }
+  let transformFunc = compileSchema(schema, key, options);
+  if (options.errors !== 'collect') {
+    return transformFunc;
+  }
+  // The compiled schema returns the transformed object when it is embedded, only the returned function collects the errors
+  let collectingFunc = function collectingTransformFunc(src, dst, data, parent, top, key) {
+    return collectErrors(() => transformFunc(src, dst, data, parent, top, key));
+  };
+  compiledDefinitions.set(collectingFunc, compiledDefinitions.get(transformFunc));
+  return collectingFunc;
+};
+
+/**
+ *  Compiles the given schema into a transformation function, see compile.
+ *  The embedded schemas are compiled with the same options.
+ *
+ * @method compileSchema
+ * @param {Object} schema The schema definition to compile.
+ * @param {Object} [key] The key to use for storing the compiled schema.
+ * @param {Object} options The compile options, see compile.
  * @return {Function}
  */
-module.exports.compile = function (schema, key) {
-  let fieldTransformations = [];
+function compileSchema(schema, key, options) {
+  let registry = options.registry || registries.defaultRegistry;
+  let engine = options.engine === 'codegen' ? 'codegen' : 'closure';
+  let maxDepth = _.isUndefined(options.maxDepth) ? defaultMaxDepth : options.maxDepth;
+  if (!_.isNumber(maxDepth) || !(maxDepth >= 1)) {
+    throw new Error('The maxDepth option must be a number greater than 0.');
+  }
+  let errors = _.isUndefined(options.errors) ? 'throw' : options.errors;
+  if (!_.includes(errorsModes, errors)) {
+    throw new Error('The errors option must be throw, collect or skipItem.');
+  }
+  // Each field is described so that other engines can build on the compiled closures
+  let fields = [];
   let onFinishedTransformation;
+  let omitValues;
+  let onError;
   if (schema === null) {
     // If we don't have a schema then just merge src into dst
     return function (src, dst) {
@@ -312,9 +1243,41 @@ module.exports.compile = function (schema, key) {
 
   // Check to see if we have already compiled the schema and return the transformation object if we have
   key = key || schema._name || schema;
-  if (compiledSchemas.has(key)) {
-    return compiledSchemas.get(key);
+  let strict = !!options.strict;
+  let cachedFunc = registry.lookup(key, engine);
+  // A schema compiled with a different strict, errors or maxDepth option is compiled again
+  let cachedDefinition = cachedFunc && compiledDefinitions.get(cachedFunc);
+  if (cachedDefinition && cachedDefinition.strict === strict && cachedDefinition.errors === errors && cachedDefinition.maxDepth === maxDepth) {
+    return cachedFunc;
+  }
+  if (options.validate !== false) {
+    validator.assertSchema(schema);
+    // The embedded schemas have been validated with the schema
+    options = _.assign({}, options, {validate: false});
   }
+  // The key is still the schema object, the extended schema is only used to compile it
+  schema = extendSchema(schema, registry);
+
+  /**
+   * @function getCompiledSchema
+   * @param {Object|string|function} itemsSchema An embedded schema, the name of a schema or a transformation function.
+   * @return {function} The compiled schema used to transform the embedded objects.
+   */
+  let getCompiledSchema = (itemsSchema) => {
+    if (_.isFunction(itemsSchema)) {
+      return itemsSchema;
+    }
+    if (_.isString(itemsSchema)) {
+      let compiledSchema = registry.lookup(itemsSchema, engine) || registry.lookup(itemsSchema, 'closure');
+      if (compiledSchema && _.get(compiledDefinitions.get(compiledSchema), 'maxDepth') === maxDepth) {
+        return compiledSchema;
+      }
+      // The schema might be compiled later, be this schema or have been compiled with a different maximum depth,
+      // so it is resolved when it is first used
+      return getLazySchema(itemsSchema, registry, engine, maxDepth);
+    }
+    return compileSchema(itemsSchema, undefined, options);
+  };
 
   // iterate over each property mapping and build the transformation functions
   _.forOwn(schema,
@@ -322,13 +1285,25 @@ module.exports.compile = function (schema, key) {
      * @function processSchemaField
      * @param {Object | function} value The schema definition to compile.
      * @param {boolean} [value.remove] A flag indicating if the value should be removed or not.
-     * @param {string|function} [value.srcPath] The path of the data in the source object. Can be a function that is executed to get the source value.
+     * @param {string|function} [value.srcPath] The path of the data in the source object. Can be a function that is executed to get the source value, or an expression that starts with =.
      * @param {string} [value.type] The type the value should be coerced into. Valid values are number or string.
-     * @param {any} [value.defaultValue] The default value to use when the source path is not found.
-     * @param {function} [value.filter] A filter function to run when transforming the object.
-     * @param {function} [value.customFilter] DEPRECATED: A filter function to run when transforming the object, should use filter instead.
+     * @param {any} [value.defaultValue] The default value to use when the source path is not found. A function is called for each object with the arguments of the transformation.
+     * @param {boolean} [value.required] Throws a MissingValueError when the source value is missing, see getMissingValueHandler.
+     * @param {string} [value.onMissing] Either 'skip', 'null' or 'default', what to do when the source value is missing.
+     * @param {function|string|Array|Object} [value.filter] A filter function to run when transforming the object. Can be the name of a registered filter or an array of filters that are run in order. With a schema, an object condition filters the embedded objects, see getItemsOperation.
+     * @param {function|string|Array} [value.customFilter] DEPRECATED: A filter function to run when transforming the object, should use filter instead.
      * @param {Array} [value.items] A list of objects to process.
      * @param {string|Object} [value.schema] A schema that can be used to process an embedded object or an array of embedded objects.
+     * @param {Object} [value.switch] Selects the schema of each embedded object by the value at the path, see getSwitchSchema.
+     * @param {string} [value.keyBy] The path of the key of each embedded object, the array becomes an object, see getSchemaTransform.
+     * @param {Object} [value.toEntries] The names of the key and value of each entry, the object becomes an array of entries, see getSchemaTransform.
+     * @param {boolean} [value.mapValues] Transforms each value of the object with the schema, see getSchemaTransform. A field named * maps the values into the destination object.
+     * @param {string|function} [value.mapKeys] The case conversion or the function that returns the key of each mapped value, see getKeyMapping in arrays.
+     * @param {string} [value.aggregate] Aggregates the items of the source value, see getAggregation.
+     * @param {string} [value.of] The path of the value of each item that is aggregated.
+     * @param {string|string[]} [value.sortBy] Sorts the embedded objects, along with uniqBy, offset, limit, reverse, flatten and operateOn, see getItemsOperation.
+     * @param {function|string|Object} [value.when] The condition that decides whether the field is applied, see getCondition.
+     * @param {string} [value.arrayMerge] How an array is combined with the array in the destination, see getMergeArrays. Values set with [] are appended by default.
      * @param {string} key The field name.
      */
     function processSchemaField(value, key) {
@@ -337,11 +1312,25 @@ module.exports.compile = function (schema, key) {
         return;
       }
 
+      // The function that handles the errors of the fields, see getErrorHandler
+      if (key === '_onError') {
+        onError = _.isString(value) ? filters.resolveFilter(value) : value;
+        return;
+      }
+
+      // The values that are removed from the finished destination, see getOmitValues
+      if (key === '_omit') {
+        omitValues = getOmitValues(value);
+        return;
+      }
+
       // Check to see if we have a special function that should be run when the transformation has finished
       if (key === '_onFinished') {
-        if (_.isFunction(value)) {
-          onFinishedTransformation = function (src, dst, data, parent, top) {
-            value(src, dst, data, parent, top);
+        // The function can be referenced by the name of a registered filter
+        let onFinished = _.isString(value) ? filters.resolveFilter(value) : value;
+        if (_.isFunction(onFinished)) {
+          onFinishedTransformation = function (src, dst, data, parent, top, key) {
+            onFinished(src, dst, data, parent, top, key);
           };
         }
         return;
@@ -352,33 +1341,58 @@ module.exports.compile = function (schema, key) {
       // value is the source mapping or a custom filter
       // key is the destination mapping
       let defaultValue;
+      // Does the field fail when the source value is missing, or what should be done instead, see getMissingValueHandler
+      let required = false;
+      let onMissing;
       // Default the source path to the same as the destination
       let dstPath = key; // The destination path
 
       // Check to see if we should be inserting into an array
       let dstType;
-      let isDstArray = !!dstPath.match(/\[\d*]$/);
-      if (isDstArray) {
-        dstPath = dstPath.substr(0, dstPath.indexOf('['));
+      // Only [] pushes, an index such as [2] or [-1] and a key selector such as [id=5] write to an item of the array
+      let isDstArray = _.endsWith(dstPath, '[]');
+      if (key === '*') {
+        // A wildcard field maps every value of the source object into the destination object
+        dstType = 'wildcard';
+      } else if (isDstArray) {
+        dstPath = dstPath.slice(0, -2);
         dstType = 'array';
       } else {
         dstType = !!dstPath.match(/[.\[]/) ? 'complex' : 'simple';
       }
-      let srcPath = dstPath; // The source path
+      let srcPath = dstType === 'wildcard' ? '$self' : dstPath; // The source path
+      // Coercion errors report the destination path of the field
+      let coercion = {strict, path: dstPath};
       // A complex field means we are accessing a nested object and the value can't be simply assigned
       let srcType = dstType; // We will default to this and check the source path later
+      // Values set with [] are appended, other arrays replace the array in the destination unless a strategy is given
+      let arrayMerge = dstType === 'array' ? 'append' : undefined;
+      let mergeArrays = getMergeArrays(arrayMerge);
 
       // Do we have a value? If we don't have a value then source and destination have the same path
       if (value !== null && value !== undefined) {
         if (_.isFunction(value)) {
           // A function can be passed in for the value
-          fieldTransformations.push(getFunctionTransform(dstType, dstPath, value));
+          fields.push({
+            kind: 'function',
+            key,
+            dstType,
+            dstPath,
+            func: value,
+            arrayMerge,
+            mergeArrays,
+            transform: getFunctionTransform(dstType, dstPath, value, mergeArrays)
+          });
           return;
         } else if (_.isString(value)) {
           // Check for literal value
           if (value[0] === '~') {
             srcPath = value.substr(1);
             srcType = 'literal';
+          } else if (value[0] === '=') {
+            // Check for an expression, which is parsed once when compiling
+            srcPath = expressions.compileExpression(value.substr(1));
+            srcType = 'expression';
           } else {
             // This is a simple mapping from source to destination paths
             srcPath = value;
@@ -388,101 +1402,118 @@ module.exports.compile = function (schema, key) {
           // An object can be passed in with various attributes
           // If we are removing the value then just set it to undefined and get out
           if (value.remove) {
-            fieldTransformations.push(getRemovalTransform(dstType, dstPath));
+            fields.push({
+              kind: 'remove',
+              key,
+              dstType,
+              dstPath,
+              transform: getRemovalTransform(dstType, dstPath)
+            });
             return;
           }
           if (value.srcPath) {
             // Set the source path if one is given
             srcPath = value.srcPath;
-            if (_.isString(srcPath)) {
+            if (_.isString(srcPath) && srcPath[0] === '=') {
+              srcPath = expressions.compileExpression(srcPath.substr(1));
+              srcType = 'expression';
+            } else if (_.isString(srcPath)) {
               srcType = srcPath.match(/[.\[]/);
             } else {
               srcType = 'function';
             }
           }
+          if (value.aggregate) {
+            // The aggregation of the source value becomes the source of the field
+            srcPath = getAggregation(value.aggregate, _.isFunction(srcPath) ? 'function' : 'complex', srcPath, value.of);
+            srcType = 'aggregate';
+          }
           dstValueType = value.type;
-          if (value.defaultValue) {
-            // Set a default value to use if the source value is null
-            defaultValue = value.defaultValue;
+          // Falsy default values such as 0, false or '' are used too
+          defaultValue = value.defaultValue;
+          required = !!value.required;
+          onMissing = value.onMissing;
+          if (!_.isUndefined(value.arrayMerge)) {
+            arrayMerge = value.arrayMerge;
+            mergeArrays = getMergeArrays(arrayMerge);
           }
           // check to see if we have a custom filter
-          let customFilter = value.customFilter || value.filter;
-          if (_.isFunction(customFilter)) {
-            fieldTransformations.push(getFilterTransform(srcType, srcPath, dstType, dstPath, customFilter, dstValueType, defaultValue));
+          let filterDefinition = value.customFilter || value.filter;
+          if (_.isFunction(filterDefinition) || _.isString(filterDefinition) || _.isArray(filterDefinition)) {
+            // Named filters are resolved through the filter registry
+            let customFilter = filters.resolveFilter(filterDefinition);
+            // The default value of a filter is used when the source value is missing
+            if (!required && _.isUndefined(onMissing) && defaultValue !== undefined) {
+              onMissing = 'default';
+            }
+            let handleMissing = getMissingValueHandler(dstPath, required, onMissing, defaultValue);
+            fields.push({
+              kind: 'filter',
+              key,
+              srcType,
+              srcPath,
+              dstType,
+              dstPath,
+              dstValueType,
+              defaultValue,
+              required,
+              onMissing,
+              handleMissing,
+              coercion,
+              filter: customFilter,
+              filterDefinition,
+              arrayMerge,
+              mergeArrays,
+              transform: getFilterTransform(srcType, srcPath, dstType, dstPath, customFilter, dstValueType, defaultValue, coercion, handleMissing, mergeArrays)
+            });
             return;
           }
           // check to see if we are processing a list or embedded object
-          if (value.schema) {
+          if (value.schema || value.switch) {
             // For backwards compatibility we will check the items field and use that as the srcPath
             if (value.items) {
               srcPath = value.items;
             }
-            // do we have a schema for the individual items?
-            let itemsSchema = value.schema;
+            if (_.isString(srcPath) && srcPath[0] === '=') {
+              srcPath = expressions.compileExpression(srcPath.substr(1));
+            }
+            // do we have a schema for the individual items, or one for each value of a discriminator?
             let compiledItemsSchema;
-            if (_.isFunction(itemsSchema)) {
-              compiledItemsSchema = itemsSchema;
-            } else if (_.isString(itemsSchema)) {
-              if (!compiledSchemas.has(itemsSchema)) {
-                throw new Error('The child schema was not found.')
-              }
-              compiledItemsSchema = compiledSchemas.get(itemsSchema);
+            if (value.switch) {
+              let cases = _.mapValues(value.switch.cases, getCompiledSchema);
+              let defaultCase = _.isNil(value.switch.default) ? undefined : getCompiledSchema(value.switch.default);
+              compiledItemsSchema = getSwitchSchema(value.switch.path, cases, defaultCase);
             } else {
-              compiledItemsSchema = module.exports.compile(itemsSchema);
+              compiledItemsSchema = getCompiledSchema(value.schema);
             }
-            fieldTransformations.push(function (src, dst, data, parent, top) {
-              let pathRE = /^(\$parent|\$top|\$self)\.?(.*)$/g;
-              // Get the item(s) from the src
-              let items;
-              if (_.isFunction(srcPath)) {
-                items = srcPath(src, dst, data, parent, top);
-              } else {
-                let srcObject = src;
-                let pathParts = pathRE.exec(srcPath);
-                if (pathParts) {
-                  switch (pathParts[1]) {
-                    case '$parent':
-                      srcObject = parent;
-                      break;
-                    case '$top':
-                      srcObject = top;
-                      break;
-                    case '$self':
-                      srcObject = src;
-                      break;
-                  }
-                  srcPath = pathParts[2];
-                }
-                if (srcPath) {
-                  items = _.get(srcObject, srcPath, null);
-                } else {
-                  items = srcObject;
-                }
-              }
-              // only process if the item(s) is not null
-              if (items) {
-                // Array or single object?
-                if (_.isArray(items)) {
-                  let results = _.map(items, function (item) {
-                    let newValue = compiledItemsSchema(item, null, data, src, top);
-                    newValue = coerceValue(newValue, dstValueType);
-                    return newValue;
-                  });
-                  _.set(dst, dstPath, results);
-                } else {
-                  let newValue = compiledItemsSchema(items, null, data, src, top);
-                  newValue = coerceValue(newValue, dstValueType);
-                  if (dstType === 'array') {
-                    let oldValue = _.get(dst, dstPath, []);
-                    // Don't push empty objects
-                    if (!_.isEmpty(newValue)) {
-                      oldValue.push(newValue);
-                    }
-                    newValue = oldValue;
-                  }
-                  _.set(dst, dstPath, newValue);
-                }
-              }
+            let operateItems = getItemsOperation(value);
+            // The key of each embedded object is read from the source object
+            let getKey = value.keyBy ? getGetSourceValue('complex', value.keyBy) : undefined;
+            let mapValues = value.mapValues || dstType === 'wildcard';
+            let mapKey;
+            if (mapValues) {
+              mapKey = _.isFunction(value.mapKeys) ? value.mapKeys : arrays.getKeyMapping(value.mapKeys);
+            }
+            fields.push({
+              kind: 'schema',
+              key,
+              srcPath,
+              dstType,
+              dstPath,
+              dstValueType,
+              coercion,
+              compiledSchema: compiledItemsSchema,
+              operateItems,
+              keyBy: value.keyBy,
+              getKey,
+              toEntries: value.toEntries,
+              mapValues,
+              mapKeys: value.mapKeys,
+              mapKey,
+              skipItems: errors === 'skipItem',
+              arrayMerge,
+              mergeArrays,
+              transform: getSchemaTransform(srcPath, dstType, dstPath, compiledItemsSchema, dstValueType, coercion, operateItems, getKey, value.toEntries, mapKey, errors === 'skipItem', mergeArrays)
             });
             return;
           }
@@ -492,9 +1523,77 @@ module.exports.compile = function (schema, key) {
       }
 
       // Map the value from src to dst
-      fieldTransformations.push(getSetValueTransform(srcType, srcPath, dstType, dstPath, dstValueType, defaultValue));
+      let handleMissing = getMissingValueHandler(dstPath, required, onMissing, defaultValue);
+      fields.push({
+        kind: 'value',
+        key,
+        srcType,
+        srcPath,
+        dstType,
+        dstPath,
+        dstValueType,
+        defaultValue,
+        required,
+        onMissing,
+        handleMissing,
+        coercion,
+        arrayMerge,
+        mergeArrays,
+        transform: getSetValueTransform(srcType, srcPath, dstType, dstPath, dstValueType, defaultValue, coercion, handleMissing, mergeArrays)
+      });
+    });
+
+  // Fields with a condition are only applied when the condition is met
+  _.each(fields, (field) => {
+    let when = _.isPlainObject(schema[field.key]) ? schema[field.key].when : undefined;
+    if (_.isNil(when)) {
+      return;
+    }
+    let condition = getCondition(when);
+    let transformField = field.transform;
+    _.assign(field, {
+      when,
+      condition,
+      transform: function conditionalTransform(src, dst, data, parent, top, key) {
+        if (condition(src, dst, data, parent, top, key)) {
+          transformField(src, dst, data, parent, top, key);
+        }
+      }
     });
+  });
+
+  // The values are omitted once _onFinished has finished the destination
+  if (omitValues) {
+    let onFinished = onFinishedTransformation;
+    onFinishedTransformation = function (src, dst, data, parent, top, key) {
+      if (onFinished) {
+        onFinished(src, dst, data, parent, top, key);
+      }
+      omitValues(dst);
+    };
+  }
+
+  // The errors of the fields are handled by the closures of the fields, so codegen is only used when errors are thrown
+  let handleError = getErrorHandler(onError, errors);
+  if (options.engine === 'codegen' && !handleError && errors === 'throw') {
+    let generatedFunc = codegen.generate(fields, onFinishedTransformation, {coerceValue, prefixError: types.prefixError, MissingValueError: types.MissingValueError});
+    registry.store(key, engine, generatedFunc);
+    compiledDefinitions.set(generatedFunc, {schema, fields, strict, errors, maxDepth, onError});
+    return generatedFunc;
+  }
 
+  let fieldTransformations = _.map(fields, (field) => {
+    if (!handleError) {
+      return field.transform;
+    }
+    return function handledTransform(src, dst, data, parent, top, key) {
+      try {
+        field.transform(src, dst, data, parent, top, key);
+      } catch (err) {
+        handleError(err, field, src, dst, data, parent, top, key);
+      }
+    };
+  });
   // Create the transformation function
   /**
    * @function transformFunc
@@ -503,9 +1602,10 @@ module.exports.compile = function (schema, key) {
    * @param {Object} [data] Custom data that you might need in your filter functions.
    * @param {Object} [parent] The parent of the source object.
    * @param {Object} [top] The top level source object.
+   * @param {string|number} [key] The key of the source object in its parent, available as $key.
    * @return {Object} The transformed object.
    */
-  let transformFunc = function transformFunc(src, dst, data, parent, top) {
+  let transformFunc = function transformFunc(src, dst, data, parent, top, key) {
     if (src === null || src === undefined) {
       return undefined;
     }
@@ -515,16 +1615,101 @@ module.exports.compile = function (schema, key) {
 
     dst = dst || {};
     _.each(fieldTransformations, function (transform) {
-      transform(src, dst, data, parent, top);
+      transform(src, dst, data, parent, top, key);
     });
     if (onFinishedTransformation) {
-      onFinishedTransformation(src, dst, data, parent, top);
+      onFinishedTransformation(src, dst, data, parent, top, key);
     }
     return dst;
   };
   // Store the compiled schema for lookup
-  compiledSchemas.set(key, transformFunc);
+  registry.store(key, engine, transformFunc);
+  compiledDefinitions.set(transformFunc, {schema, fields, strict, errors, maxDepth, onError});
   return transformFunc;
+}
+
+/**
+ *  Returns the definition that a transformation function was compiled from.
+ *  The definition contains the schema, the description of each field, the strict and errors options and the _onError hook.
+ *
+ * @method getDefinition
+ * @param {function|string} transformFunc The compiled transformation function or the name of a compiled schema.
+ * @param {Object} [registry] The registry to find the named schema in, the default registry is used when not given.
+ * @return {Object|undefined}
+ */
+module.exports.getDefinition = function (transformFunc, registry) {
+  if (_.isString(transformFunc)) {
+    transformFunc = (registry || registries.defaultRegistry).get(transformFunc);
+  }
+  return compiledDefinitions.get(transformFunc);
+};
+
+// The functions of the compiler that are shared with the asynchronous and traced transformation functions
+const runtime = {
+  getDefinition: (transformFunc) => module.exports.getDefinition(transformFunc),
+  assertDepth,
+  getGetSourceValue,
+  getGetSchemaItems,
+  getDestinationAccessors,
+  getSetValue,
+  getSetSchemaValue,
+  getSchemaTransform,
+  getRemovalTransform,
+  getFieldSourcePath,
+  getErrorHandler,
+  collectErrors,
+  skippedItem,
+  removeSkippedItems,
+  skippedField,
+  getOmitValues,
+  applyDefaultValue,
+  coerceValue
+};
+
+/**
+ *  Compiles the given schema into an asynchronous transformation function that returns a promise for the transformed object.
+ *  Filters, function fields, source path functions, when conditions and _onFinished can return promises.
+ *  The transformation is cancelled when the AbortSignal given as the signal property of data is aborted.
+ *
+ * @method compileAsync
+ * @param {Object|function} schema The schema definition to compile or a compiled transformation function.
+ * @param {Object} [key] The key to use for storing the compiled schema.
+ * @param {Object} [options] The compile options, see compile.
+ * @param {number} [options.concurrency] The maximum number of embedded objects in an array that are transformed at the same time, unlimited by default.
+ * @return {Function}
+ */
+module.exports.compileAsync = function (schema, key, options) {
+  if (options && options.trace) {
+    throw new Error('The trace option can\'t be used with asynchronous transforms.');
+  }
+  let transformFunc = _.isFunction(schema) ? schema : module.exports.compile(schema, key, _.omit(options, 'concurrency'));
+  let copying = copyingFunctions.get(transformFunc);
+  if (!copying) {
+    return asyncCompiler.generate(transformFunc, runtime, options);
+  }
+  let asyncTransformFunc = asyncCompiler.generate(copying.transformFunc, runtime, options);
+  return async function copyingTransformFunc(src, dst, data, parent, top, key) {
+    return copying.copyOutput(await asyncTransformFunc(src, copying.copyDestination(dst), data, parent, top, key));
+  };
+};
+
+/**
+ *  Transforms src into dst using the schema, awaiting the results of the functions used by the schema.
+ *
+ * @method transformAsync
+ * @param {Object} src The source object from where the values will be retrieved.
+ * @param {Object} dst The destination object where the values will be set.
+ * @param {Object} schema The schema definition that will be used to map src to dst.
+ * @param {Object} [request] The request object of the current API request.
+ * @param {Object} [options] The compile options, see compileAsync.
+ * @return {Promise<Object>}
+ */
+module.exports.transformAsync = async function (src, dst, schema, request, options) {
+  let compiledSchema = module.exports.compileAsync(schema, undefined, options);
+  if (_.isUndefined(src)) {
+    return null;
+  }
+  return compiledSchema(src, dst, request);
 };
 
 /*
@@ -0,0 +1,326 @@
+// This module has no dependencies so its source can be embedded as is in exported schemas
+
+const registeredTypes = new Map();
+// The types registered by this module, these can't be replaced or removed since the exported helpers implement them
+const builtInTypes = ['number', 'integer', 'float', 'string', 'boolean', 'date', 'bigint', 'array'];
+// The options given to the coercers of types that are referenced by name
+const laxOptions = Object.freeze({strict: false});
+const strictOptions = Object.freeze({strict: true});
+const defaultTruthy = ['true', 'yes', 'y', '1', 'on'];
+const defaultFalsy = ['false', 'no', 'n', '0', 'off'];
+
+/**
+ *  The error thrown in strict mode when a value can't be coerced into the type of a field.
+ *
+ * @class CoercionError
+ * @param {string} path The path of the field, including the path of the embedded objects.
+ * @param {string} type The name of the type.
+ * @param {*} value The value that could not be coerced.
+ * @param {Error} [cause] The error thrown by the coercer.
+ */
+class CoercionError extends Error {
+  constructor(path, type, value, cause) {
+    super(`The value of ${path} can't be coerced into ${type}.`, cause ? {cause} : undefined);
+    this.name = 'CoercionError';
+    this.path = path;
+    this.type = type;
+    this.value = value;
+  }
+}
+
+module.exports.CoercionError = CoercionError;
+
+
+/**
+ *  The error thrown when the source value of a required field is missing.
+ *
+ * @class MissingValueError
+ * @param {string} path The path of the field, including the path of the embedded objects.
+ */
+class MissingValueError extends Error {
+  constructor(path) {
+    super(`The value of ${path} is required but missing.`);
+    this.name = 'MissingValueError';
+    this.path = path;
+  }
+}
+
+module.exports.MissingValueError = MissingValueError;
+
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+module.exports.internal._builtInTypes = builtInTypes;
+
+
+/**
+ *  Returns true if the type is one of the built in types.
+ *
+ * @method isBuiltInType
+ * @param {string} name The name of the type.
+ * @return {boolean}
+ */
+module.exports.isBuiltInType = function (name) {
+  return builtInTypes.includes(name);
+};
+
+
+/**
+ *  Registers a type so it can be used as the type of a field.
+ *  The coercer is called with the value, which is never null or undefined, and the options of the type, which
+ *  contain the properties of the type object and strict. It returns the coerced value and throws when the value
+ *  can't be coerced. Registering a type with the same name replaces the previous type, except for the built in
+ *  types which can't be replaced.
+ *
+ * @method registerType
+ * @param {string} name The name of the type.
+ * @param {function} coercer The function that coerces a value into the type.
+ */
+module.exports.registerType = function (name, coercer) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('The type name must be a non-empty string.');
+  }
+  if (typeof coercer !== 'function') {
+    throw new Error('The type coercer must be a function.');
+  }
+  if (module.exports.isBuiltInType(name)) {
+    throw new Error(`The built in type ${name} can't be replaced.`);
+  }
+  registeredTypes.set(name, coercer);
+};
+
+
+/**
+ *  Removes a registered type. The built in types can't be removed.
+ *
+ * @method unregisterType
+ * @param {string} name The name of the type.
+ * @return {boolean} True if the type was registered.
+ */
+module.exports.unregisterType = function (name) {
+  if (module.exports.isBuiltInType(name)) {
+    throw new Error(`The built in type ${name} can't be removed.`);
+  }
+  return registeredTypes.delete(name);
+};
+
+
+/**
+ *  Returns true if a type is registered with the name.
+ *
+ * @method hasType
+ * @param {string} name The name of the type.
+ * @return {boolean}
+ */
+module.exports.hasType = function (name) {
+  return registeredTypes.has(name);
+};
+
+
+/**
+ *  Returns the coercer registered with the name.
+ *
+ * @method getType
+ * @param {string} name The name of the type.
+ * @return {function|undefined}
+ */
+module.exports.getType = function (name) {
+  return registeredTypes.get(name);
+};
+
+
+/**
+ *  Returns the name of a type, which is either the name itself or an object with the name and the options of the type.
+ *
+ * @method getTypeName
+ * @param {string|Object} type The type.
+ * @return {string}
+ */
+module.exports.getTypeName = function (type) {
+  return typeof type === 'string' ? type : type.name;
+};
+
+
+/**
+ *  Coerces a value into a type. Null and undefined are never coerced.
+ *  When the value can't be coerced a CoercionError with the path is thrown in strict mode, otherwise the value
+ *  becomes undefined. The number types return NaN instead of failing when they are not strict.
+ *
+ * @method coerce
+ * @param {*} value The value.
+ * @param {string|Object} [type] The type, values are not coerced when there is no type or the type is not registered.
+ * @param {Object} [context] The coercion context.
+ * @param {boolean} [context.strict] Should an error be thrown when the value can't be coerced?
+ * @param {string} [context.path] The path of the field, used in error messages.
+ * @return {*}
+ */
+module.exports.coerce = function (value, type, context) {
+  if (value === null || value === undefined || !type) {
+    return value;
+  }
+  let name = module.exports.getTypeName(type);
+  let coercer = registeredTypes.get(name);
+  if (!coercer) {
+    return value;
+  }
+  let strict = !!(context && context.strict);
+  let options = strict ? strictOptions : laxOptions;
+  if (typeof type !== 'string') {
+    options = Object.assign({}, type, options);
+  }
+  try {
+    return coercer(value, options);
+  } catch (err) {
+    if (strict) {
+      throw new CoercionError(context.path, name, value, err);
+    }
+    return undefined;
+  }
+};
+
+
+/**
+ *  Adds the path of the embedded object to the path of a CoercionError or MissingValueError thrown while transforming
+ *  the embedded object. Any other error is returned as is.
+ *
+ * @method prefixError
+ * @param {Error} error The error.
+ * @param {string} path The path of the embedded object.
+ * @return {Error}
+ */
+module.exports.prefixError = function (error, path) {
+  if (error instanceof MissingValueError) {
+    return new MissingValueError(`${path}.${error.path}`);
+  }
+  if (!(error instanceof CoercionError)) {
+    return error;
+  }
+  return new CoercionError(`${path}.${error.path}`, error.type, error.value, error.cause);
+};
+
+
+/**
+ *  Converts a value into a number, blank strings are not numbers in strict mode.
+ *
+ * @method toNumber
+ * @param {*} value The value.
+ * @param {Object} options The options of the type.
+ * @return {number}
+ */
+function toNumber(value, options) {
+  let result = Number(value);
+  if (options.strict && (Number.isNaN(result) || (typeof value === 'string' && !value.trim()))) {
+    throw new TypeError('The value is not a number.');
+  }
+  return result;
+}
+
+
+
+/**
+ *  Rounds a number to a number of decimals, the number is shifted by its exponent so 1.005 rounds to 1.01.
+ *
+ * @method round
+ * @param {number} value The number.
+ * @param {number} precision The number of decimals, negative to round to tens, hundreds and so on.
+ * @return {number}
+ */
+function round(value, precision) {
+  precision = Math.min(precision, 292);
+  if (!precision || !Number.isFinite(value)) {
+    return Math.round(value);
+  }
+  let pair = `${value}e`.split('e');
+  let rounded = Math.round(Number(`${pair[0]}e${Number(pair[1]) + precision}`));
+  pair = `${rounded}e`.split('e');
+  return Number(`${pair[0]}e${Number(pair[1]) - precision}`);
+}
+
+module.exports.internal._round = round;
+
+
+/**
+ *  Returns true if the value is an object created by the Object constructor or with a null prototype.
+ *
+ * @method isPlainObject
+ * @param {*} value The value.
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object' || Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+  let proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+module.exports.internal._isPlainObject = isPlainObject;
+
+
+// The built in types
+registeredTypes.set('number', toNumber);
+
+registeredTypes.set('integer', (value, options) => {
+  let result = toNumber(value, options);
+  if (options.strict && !Number.isInteger(result)) {
+    throw new TypeError('The value is not an integer.');
+  }
+  return Math.trunc(result);
+});
+
+registeredTypes.set('float', (value, options) => {
+  let result = toNumber(value, options);
+  return Number.isInteger(options.precision) ? round(result, options.precision) : result;
+});
+
+registeredTypes.set('string', (value, options) => {
+  if (options.strict && (isPlainObject(value) || Array.isArray(value))) {
+    throw new TypeError('The value is not a primitive.');
+  }
+  return String(value);
+});
+
+registeredTypes.set('boolean', (value, options) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return value !== 0;
+  }
+  if (typeof value === 'string') {
+    let text = value.trim().toLowerCase();
+    if ((options.truthy || defaultTruthy).includes(text)) {
+      return true;
+    }
+    if ((options.falsy || defaultFalsy).includes(text)) {
+      return false;
+    }
+  }
+  throw new TypeError('The value is not a boolean.');
+});
+
+registeredTypes.set('date', (value, options) => {
+  let date;
+  if (Object.prototype.toString.call(value) === '[object Date]' || typeof value === 'number') {
+    date = new Date(value);
+  } else if (typeof value === 'string' && value.trim()) {
+    // Strings of digits are milliseconds since the epoch
+    date = /^\s*-?\d+\s*$/.test(value) ? new Date(Number(value)) : new Date(value);
+  }
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new TypeError('The value is not a date.');
+  }
+  return options.format === 'iso' ? date.toISOString() : date;
+});
+
+registeredTypes.set('bigint', (value) => {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (Number.isInteger(value) || typeof value === 'boolean' || (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value))) {
+    return BigInt(value);
+  }
+  throw new TypeError('The value is not an integer.');
+});
+
+registeredTypes.set('array', (value) => Array.isArray(value) ? value : [value]);
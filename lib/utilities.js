@@ -1,38 +1,97 @@
 const _ = require('lodash');
 
 /**
- *  This will go through and remove all of the properties that match the predicate.
+ *  Returns a copy of the collection without the properties that match the predicate, at every nesting level.
+ *  Only plain objects and arrays are copied, the items removed from an array are left out so the array is shorter.
+ *  The predicate is called with the value and the key once the value has been cleaned, so it can remove the objects
+ *  and arrays that were left empty. Instead of a predicate a key or a list of keys can be given.
  *
- * @method setValue
- * @param {Object} collection The object.
- * @param {function} predicate The function to use to determine what properties to remove.
- * @param {Object} thisArg What to use for this when executing the predicate.
- * @return {Object}
+ * @method omitDeep
+ * @param {Object|Array} collection The object or array.
+ * @param {function|string|string[]} predicate The function to use to determine what properties to remove, or the keys to remove.
+ * @return {Object|Array}
  */
-function omitDeep(collection, predicate, thisArg, ...remainingArgs) {
-    if (_.isFunction(predicate)) {
-        predicate = _.iteratee(predicate, thisArg);
-    } else {
-        let keys = _.flatten(_.tail(remainingArgs));
-        predicate = function (key) {
+function omitDeep(collection, predicate) {
+    if (!_.isFunction(predicate)) {
+        let keys = _.castArray(predicate);
+        predicate = function (val, key) {
             return _.includes(keys, key);
         };
     }
+    if (!_.isArray(collection) && !_.isPlainObject(collection)) {
+        return collection;
+    }
 
     return _.transform(collection, function (memo, val, key) {
-        let include = !predicate(val);
-        if (include && _.isObject(val)) {
-            val = omitDeep(val, predicate, thisArg);
-            include = !_.isEmpty(val);
+        if (_.isArray(val) || _.isPlainObject(val)) {
+            val = omitDeep(val, predicate);
+        }
+        if (predicate(val, key)) {
+            return;
         }
-        if (include) {
-            if (_.isArray(collection)) {
-                memo.push(val);
-            } else {
-                memo[key] = val;
-            }
+        if (_.isArray(collection)) {
+            memo.push(val);
+        } else {
+            memo[key] = val;
         }
     });
 }
 
 module.exports.omitDeep = omitDeep;
+
+
+/**
+ *  Returns a deep copy of the value that shares no mutable structure with it.
+ *  Dates, Maps, Sets and typed arrays are copied by lodash, Buffers are copied here since lodash returns a view that
+ *  shares the memory of the Buffer. Functions and the values that can't be copied, such as WeakMaps, are kept as is.
+ *
+ * @method cloneDeep
+ * @param {*} value The value.
+ * @return {*}
+ */
+function cloneDeep(value) {
+    return _.cloneDeepWith(value, function (val) {
+        if (_.isFunction(val)) {
+            return val;
+        }
+        if (Buffer.isBuffer(val)) {
+            return Buffer.from(val);
+        }
+    });
+}
+
+module.exports.cloneDeep = cloneDeep;
+
+
+// The built in objects that keep their contents in internal slots, which Object.freeze does not protect
+const unfreezableTags = ['[object Map]', '[object Set]', '[object WeakMap]', '[object WeakSet]', '[object Date]', '[object ArrayBuffer]',
+    '[object SharedArrayBuffer]'];
+
+/**
+ *  Freezes the value and every object and array it contains. Functions are left as is.
+ *  Maps, Sets, Dates, Buffers, typed arrays and array buffers can still be changed once frozen, so a TypeError with
+ *  their path is thrown instead.
+ *
+ * @method freezeDeep
+ * @param {*} value The value.
+ * @param {string} [path] The path of the value, used in error messages.
+ * @param {Set} [visited] The objects already visited, so the objects that refer back to them are not visited again.
+ * @return {*} The value.
+ */
+function freezeDeep(value, path, visited = new Set()) {
+    if (!_.isObject(value) || _.isFunction(value) || visited.has(value)) {
+        return value;
+    }
+    if (ArrayBuffer.isView(value) || _.includes(unfreezableTags, Object.prototype.toString.call(value))) {
+        throw new TypeError(`The ${value.constructor.name} at ${path || 'the top level'} can't be frozen.`);
+    }
+    visited.add(value);
+    Object.freeze(value);
+    _.each(Object.keys(value), function (key) {
+        let keyPath = _.isArray(value) ? `${path || ''}[${key}]` : (path ? `${path}.${key}` : key);
+        freezeDeep(value[key], keyPath, visited);
+    });
+    return value;
+}
+
+module.exports.freezeDeep = freezeDeep;
@@ -0,0 +1,805 @@
+const _ = require('lodash');
+const arrays = require('./arrays');
+const expressions = require('./expression');
+const filters = require('./filters');
+const paths = require('./paths');
+const registries = require('./registry');
+const types = require('./types');
+
+/**
+ *  Checks that every filter referenced by a filter definition is a function or the name of a registered filter.
+ *  An object is a condition that filters the embedded objects of a field with a schema or switch.
+ *
+ * @method checkFilter
+ * @param {string|function|Array|Object} value The filter definition.
+ * @param {string} path The path of the key.
+ * @param {Object} [definition] The field definition.
+ * @return {string|undefined} The error message.
+ */
+function checkFilter(value, path, definition) {
+  if (_.isPlainObject(value)) {
+    if (!_.has(definition, 'schema') && !_.has(definition, 'switch')) {
+      return `${path} can only be an object when used together with schema or switch.`;
+    }
+    return checkCondition(value, path);
+  }
+  if (_.isArray(value) && !_.every(value, (entry) => _.isString(entry) || _.isFunction(entry))) {
+    return `${path} must only contain filter names and functions.`;
+  }
+  let missing = filters.getMissingFilters(value);
+  if (missing.length) {
+    return `${path} references the unknown filter ${missing.join(', ')}.`;
+  }
+}
+
+/**
+ *  Checks that a type is registered and that the options of the built in types are valid.
+ *
+ * @method checkType
+ * @param {string|Object} value The name of the type or an object with the name and the options of the type.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkType(value, path) {
+  let isStrings = (list) => _.isArray(list) && _.every(list, _.isString);
+  if (_.isPlainObject(value)) {
+    if (!_.isString(value.name)) {
+      return `${path}.name must be a string.`;
+    }
+    if (_.has(value, 'precision') && !(_.isInteger(value.precision) && value.precision >= 0)) {
+      return `${path}.precision must be an integer greater than or equal to 0.`;
+    }
+    if (_.has(value, 'format') && !_.includes(['date', 'iso'], value.format)) {
+      return `${path}.format must be date or iso.`;
+    }
+    let invalidList = _.find(['truthy', 'falsy'], (key) => _.has(value, key) && !isStrings(value[key]));
+    if (invalidList) {
+      return `${path}.${invalidList} must be an array of strings.`;
+    }
+  }
+  let name = types.getTypeName(value);
+  if (!types.hasType(name)) {
+    return `${path} references the unknown type ${name}.`;
+  }
+}
+
+/**
+ *  Checks that the expression or the predicates of a source path can be parsed.
+ *
+ * @method checkPath
+ * @param {string|function|null} value The source path.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkPath(value, path) {
+  if (!_.isString(value)) {
+    return;
+  }
+  if (value[0] === '=') {
+    let error = _.attempt(expressions.parse, value.substr(1));
+    return _.isError(error) ? `${path} is not a valid expression: ${error.message}` : undefined;
+  }
+  if (_.isError(_.attempt(paths.parsePath, value))) {
+    return `${path} has a predicate that is not valid.`;
+  }
+}
+
+/**
+ *  Checks that an object condition has a path and at most one test.
+ *
+ * @method checkCondition
+ * @param {string|function|Object} value The condition.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkCondition(value, path) {
+  if (!_.isPlainObject(value)) {
+    return;
+  }
+  if (!_.isString(value.path) || !value.path) {
+    return `${path}.path must be a string.`;
+  }
+  let unsupported = _.without(_.keys(value), 'path', 'equals', 'in', 'exists');
+  if (unsupported.length) {
+    return `${path}.${unsupported[0]} is not a supported key.`;
+  }
+  if (_.intersection(_.keys(value), ['equals', 'in', 'exists']).length > 1) {
+    return `${path} can only use one of equals, in or exists.`;
+  }
+  if (_.has(value, 'in') && !_.isArray(value.in)) {
+    return `${path}.in must be an array.`;
+  }
+}
+
+/**
+ *  Checks that a number of embedded objects, such as a limit, is an integer greater than or equal to 0.
+ *
+ * @method checkCount
+ * @param {number} value The number.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkCount(value, path) {
+  if (!(_.isInteger(value) && value >= 0)) {
+    return `${path} must be an integer greater than or equal to 0.`;
+  }
+}
+
+/**
+ *  Checks that every path of a sortBy is a string, a path that starts with - is sorted in descending order.
+ *
+ * @method checkSortBy
+ * @param {string|string[]} value The paths to sort by.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkSortBy(value, path) {
+  if (!_.every(_.castArray(value), (entry) => _.isString(entry) && _.trimStart(entry, '-'))) {
+    return `${path} must only contain paths.`;
+  }
+}
+
+/**
+ *  Checks that the depth nested arrays are flattened to is an integer greater than 0.
+ *
+ * @method checkFlatten
+ * @param {boolean|number} value True to flatten one level deep or the depth.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkFlatten(value, path) {
+  if (_.isNumber(value) && !(_.isInteger(value) && value >= 1)) {
+    return `${path} must be true or an integer greater than 0.`;
+  }
+}
+
+/**
+ *  Checks that the array operations are applied to either the source or the result.
+ *
+ * @method checkOperateOn
+ * @param {string} value The value.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkOperateOn(value, path) {
+  if (!_.includes(['source', 'result'], value)) {
+    return `${path} must be source or result.`;
+  }
+}
+
+/**
+ *  Checks that keyBy is a path and that the embedded objects are keyed before any array operation changes them.
+ *
+ * @method checkKeyBy
+ * @param {string} value The path of the key.
+ * @param {string} path The path of the key.
+ * @param {Object} definition The field definition.
+ * @return {string|undefined} The error message.
+ */
+function checkKeyBy(value, path, definition) {
+  if (definition.operateOn === 'result') {
+    return `${path} can't be used together with operateOn result.`;
+  }
+  return checkPath(value, path);
+}
+
+/**
+ *  Checks that toEntries has the name of the key and optionally the name of the value of each entry.
+ *
+ * @method checkToEntries
+ * @param {Object} value The names of the key and the value.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkToEntries(value, path) {
+  if (!_.isString(value.key) || !value.key) {
+    return `${path}.key must be a string.`;
+  }
+  let unsupported = _.without(_.keys(value), 'key', 'value');
+  if (unsupported.length) {
+    return `${path}.${unsupported[0]} is not a supported key.`;
+  }
+  if (_.has(value, 'value') && !(_.isString(value.value) && value.value)) {
+    return `${path}.value must be a string.`;
+  }
+}
+
+/**
+ *  Checks that the keys of mapped values are converted with one of the supported case conversions.
+ *
+ * @method checkMapKeys
+ * @param {string|function} value The case conversion or the function that returns each key.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkMapKeys(value, path) {
+  if (_.isString(value) && !_.includes(arrays.keyCases, value)) {
+    return `${path} must be a function or ${joinList(arrays.keyCases)}.`;
+  }
+}
+
+/**
+ *  Checks that a schema extends one or more schemas by name.
+ *
+ * @method checkExtends
+ * @param {string|string[]} value The names of the base schemas.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkExtends(value, path) {
+  if (!_.every(_.castArray(value), (name) => _.isString(name) && name)) {
+    return `${path} must only contain schema names.`;
+  }
+}
+
+/**
+ *  Checks that an aggregation is one of the supported aggregations.
+ *
+ * @method checkAggregate
+ * @param {string} value The aggregation.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkAggregate(value, path) {
+  if (!_.includes(arrays.aggregations, value)) {
+    return `${path} must be ${joinList(arrays.aggregations)}.`;
+  }
+}
+
+/**
+ *  Checks that a switch has a discriminator path and that every case is a schema.
+ *
+ * @method checkSwitch
+ * @param {Object} value The switch.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkSwitch(value, path) {
+  let isSchema = (schema) => _.isString(schema) || _.isPlainObject(schema) || _.isFunction(schema);
+  if (!_.isString(value.path) || !value.path) {
+    return `${path}.path must be a string.`;
+  }
+  let unsupported = _.without(_.keys(value), 'path', 'cases', 'default');
+  if (unsupported.length) {
+    return `${path}.${unsupported[0]} is not a supported key.`;
+  }
+  if (!_.isPlainObject(value.cases)) {
+    return `${path}.cases must be an object.`;
+  }
+  let invalidCase = _.findKey(value.cases, (schema) => !isSchema(schema));
+  if (!_.isUndefined(invalidCase)) {
+    return `${path}.cases.${invalidCase} must be a string, object or function.`;
+  }
+  if (!_.isNil(value.default) && !isSchema(value.default)) {
+    return `${path}.default must be a string, object or function.`;
+  }
+}
+
+/**
+ *  Checks that the missing-source policy is supported and that a default value is given for the default policy.
+ *
+ * @method checkOnMissing
+ * @param {string} value The policy.
+ * @param {string} path The path of the key.
+ * @param {Object} definition The field definition.
+ * @return {string|undefined} The error message.
+ */
+function checkOnMissing(value, path, definition) {
+  if (!_.includes(['skip', 'null', 'default'], value)) {
+    return `${path} must be skip, null or default.`;
+  }
+  if (value === 'default' && _.isUndefined(definition.defaultValue)) {
+    return `${path} requires defaultValue.`;
+  }
+}
+
+/**
+ *  Checks that the array merge strategy is supported and that unionBy is followed by the path of the key.
+ *
+ * @method checkArrayMerge
+ * @param {string} value The strategy.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkArrayMerge(value, path) {
+  let [strategy, keyPath] = _.split(value, /:(.*)/);
+  if (!_.includes(arrays.arrayMerges, strategy) || (strategy === 'unionBy') !== !!keyPath) {
+    return `${path} must be append, prepend, replace, union or unionBy:<path>.`;
+  }
+  return checkPath(keyPath, path);
+}
+
+/**
+ *  Checks that the _omit option only selects the supported values and that the keys are a list of names.
+ *
+ * @method checkOmit
+ * @param {Object} value The _omit option.
+ * @param {string} path The path of the key.
+ * @return {string|undefined} The error message.
+ */
+function checkOmit(value, path) {
+  let unsupported = _.without(_.keys(value), 'nulls', 'emptyObjects', 'emptyArrays', 'keys');
+  if (unsupported.length) {
+    return `${path}.${unsupported[0]} is not a supported key.`;
+  }
+  let notBoolean = _.find(['nulls', 'emptyObjects', 'emptyArrays'], (key) => _.has(value, key) && !_.isBoolean(value[key]));
+  if (notBoolean) {
+    return `${path}.${notBoolean} must be a boolean.`;
+  }
+  if (_.has(value, 'keys') && !(_.isArray(value.keys) && _.every(value.keys, _.isString))) {
+    return `${path}.keys must be a list of keys.`;
+  }
+}
+
+/**
+ *  The keys that are supported in a field definition object and the types of values they accept.
+ *  Conflicts lists the keys that can't be used together with the key, requires lists the keys of which one must
+ *  be used together with the key and check validates the value further.
+ */
+const fieldDefinition = {
+  remove: {
+    types: ['boolean']
+  },
+  srcPath: {
+    types: ['string', 'function', 'null'],
+    check: checkPath
+  },
+  type: {
+    types: ['string', 'object'],
+    check: checkType
+  },
+  defaultValue: {
+    types: ['any']
+  },
+  required: {
+    types: ['boolean'],
+    conflicts: ['onMissing', 'remove', 'schema', 'switch']
+  },
+  onMissing: {
+    types: ['string'],
+    conflicts: ['remove', 'schema', 'switch'],
+    check: checkOnMissing
+  },
+  filter: {
+    types: ['function', 'string', 'array', 'object'],
+    check: checkFilter
+  },
+  customFilter: {
+    types: ['function', 'string', 'array'],
+    check: checkFilter
+  },
+  items: {
+    types: ['string', 'function'],
+    requires: ['schema'],
+    check: checkPath
+  },
+  schema: {
+    types: ['string', 'object', 'function'],
+    conflicts: ['filter', 'customFilter']
+  },
+  switch: {
+    types: ['object'],
+    conflicts: ['schema', 'filter', 'customFilter'],
+    check: checkSwitch
+  },
+  when: {
+    types: ['function', 'string', 'object'],
+    check: checkCondition
+  },
+  aggregate: {
+    types: ['string'],
+    conflicts: ['schema', 'switch', 'items'],
+    check: checkAggregate
+  },
+  of: {
+    types: ['string'],
+    requires: ['aggregate'],
+    check: checkPath
+  },
+  sortBy: {
+    types: ['string', 'array'],
+    requires: ['schema', 'switch'],
+    check: checkSortBy
+  },
+  uniqBy: {
+    types: ['string'],
+    requires: ['schema', 'switch']
+  },
+  offset: {
+    types: ['number'],
+    requires: ['schema', 'switch'],
+    check: checkCount
+  },
+  limit: {
+    types: ['number'],
+    requires: ['schema', 'switch'],
+    check: checkCount
+  },
+  reverse: {
+    types: ['boolean'],
+    requires: ['schema', 'switch']
+  },
+  flatten: {
+    types: ['boolean', 'number'],
+    requires: ['schema', 'switch'],
+    check: checkFlatten
+  },
+  operateOn: {
+    types: ['string'],
+    requires: ['schema', 'switch'],
+    check: checkOperateOn
+  },
+  keyBy: {
+    types: ['string'],
+    requires: ['schema', 'switch'],
+    conflicts: ['toEntries', 'mapValues'],
+    check: checkKeyBy
+  },
+  toEntries: {
+    types: ['object'],
+    requires: ['schema', 'switch'],
+    conflicts: ['mapValues'],
+    check: checkToEntries
+  },
+  mapValues: {
+    types: ['boolean'],
+    requires: ['schema', 'switch']
+  },
+  mapKeys: {
+    types: ['string', 'function'],
+    requires: ['mapValues'],
+    check: checkMapKeys
+  },
+  arrayMerge: {
+    types: ['string'],
+    conflicts: ['remove', 'keyBy'],
+    check: checkArrayMerge
+  },
+  inverse: {
+    types: ['function', 'object']
+  }
+};
+
+/**
+ *  The special keys that are supported at the schema level.
+ */
+const schemaDefinition = {
+  _name: {
+    types: ['string']
+  },
+  _extends: {
+    types: ['string', 'array'],
+    check: checkExtends
+  },
+  _onFinished: {
+    types: ['function', 'string'],
+    check: checkFilter
+  },
+  _onError: {
+    types: ['function', 'string'],
+    check: checkFilter
+  },
+  _omit: {
+    types: ['object'],
+    check: checkOmit
+  }
+};
+
+const typeNames = {
+  any: 'any value',
+  array: 'an array',
+  boolean: 'a boolean',
+  function: 'a function',
+  null: 'null',
+  number: 'a number',
+  object: 'an object',
+  string: 'a string'
+};
+
+const typeCheckers = {
+  any: () => true,
+  array: _.isArray,
+  boolean: _.isBoolean,
+  function: _.isFunction,
+  null: _.isNil,
+  number: _.isNumber,
+  object: _.isPlainObject,
+  string: _.isString
+};
+
+/**
+ *  The error thrown by compile when the schema is not valid.
+ *
+ * @class SchemaValidationError
+ * @param {Object[]} errors The validation errors, each with the path and message.
+ */
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super(`The schema is not valid:\n${_.map(errors, 'message').join('\n')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports.SchemaValidationError = SchemaValidationError;
+
+// This will be internal functions exposed for testing
+module.exports.internal = {};
+
+
+/**
+ *  Joins a list of words into a sentence, such as 'a, b or c'.
+ *
+ * @method joinList
+ * @param {string[]} words The words.
+ * @return {string}
+ */
+function joinList(words) {
+  if (words.length === 1) {
+    return words[0];
+  }
+  return `${_.initial(words).join(', ')} or ${_.last(words)}`;
+}
+
+
+/**
+ *  Validates a value against the description of a key.
+ *
+ * @method validateKey
+ * @param {Object} description The description of the key.
+ * @param {*} value The value of the key.
+ * @param {string} path The path of the key.
+ * @param {Object[]} errors The list the errors are added to.
+ * @param {Object} [definition] The field definition the key belongs to.
+ * @return {boolean} Is the value valid?
+ */
+function validateKey(description, value, path, errors, definition) {
+  if (!_.some(description.types, (type) => typeCheckers[type](value))) {
+    errors.push({
+      path,
+      message: `${path} must be ${joinList(_.map(description.types, (type) => typeNames[type]))}.`
+    });
+    return false;
+  }
+  let message = description.check && description.check(value, path, definition);
+  if (message) {
+    errors.push({
+      path,
+      message
+    });
+    return false;
+  }
+  return true;
+}
+
+module.exports.internal._validateKey = validateKey;
+
+
+/**
+ *  Returns the embedded schemas of a field definition, the schema and the schema of each case of a switch.
+ *
+ * @method getEmbeddedSchemas
+ * @param {Object} value The field definition.
+ * @param {string} path The path of the field.
+ * @return {{schema: *, path: string}[]}
+ */
+function getEmbeddedSchemas(value, path) {
+  let embedded = [{schema: value.schema, path: `${path}.schema`}];
+  if (_.isPlainObject(value.switch)) {
+    _.forOwn(value.switch.cases, (schema, caseValue) => {
+      embedded.push({schema, path: `${path}.switch.cases.${caseValue}`});
+    });
+    embedded.push({schema: value.switch.default, path: `${path}.switch.default`});
+  }
+  return embedded;
+}
+
+
+/**
+ *  Validates a single field definition of a schema.
+ *
+ * @method validateField
+ * @param {*} value The field definition.
+ * @param {string} path The path of the field.
+ * @param {Object[]} errors The list the errors are added to.
+ * @param {Object} context The validation context.
+ * @param {function} [context.isKnownSchema] Returns true if a schema name can be resolved, names are not checked when not given.
+ */
+function validateField(value, path, errors, context) {
+  if (_.isNil(value) || _.isString(value) || _.isFunction(value)) {
+    // A string is a source path unless it is a literal value
+    let message = _.isString(value) && value[0] !== '~' && checkPath(value, path);
+    if (message) {
+      errors.push({
+        path,
+        message
+      });
+    }
+    return;
+  }
+  if (!_.isPlainObject(value)) {
+    errors.push({
+      path,
+      message: `${path} must be a string, null, object, or function.`
+    });
+    return;
+  }
+
+  _.forOwn(value, (keyValue, key) => {
+    let keyPath = `${path}.${key}`;
+    let description = fieldDefinition[key];
+    if (!description) {
+      errors.push({
+        path: keyPath,
+        message: `${keyPath} is not a supported key.`
+      });
+      return;
+    }
+    if (!validateKey(description, keyValue, keyPath, errors, value)) {
+      return;
+    }
+    _.each(description.conflicts, (conflict) => {
+      // An object filter filters the embedded objects of the schema
+      if (_.has(value, conflict) && !(conflict === 'filter' && _.isPlainObject(value.filter))) {
+        errors.push({
+          path: keyPath,
+          message: `${keyPath} can't be used together with ${conflict}.`
+        });
+      }
+    });
+    if (description.requires && !_.some(description.requires, (required) => _.has(value, required))) {
+      errors.push({
+        path: keyPath,
+        message: `${keyPath} requires ${joinList(description.requires)}.`
+      });
+    }
+  });
+
+  _.each(getEmbeddedSchemas(value, path), (embedded) => {
+    if (_.isPlainObject(embedded.schema)) {
+      validate(embedded.schema, embedded.path, errors, context);
+    } else if (_.isString(embedded.schema) && context.isKnownSchema && !context.isKnownSchema(embedded.schema)) {
+      errors.push({
+        path: embedded.path,
+        message: `${embedded.path} references the unknown schema ${embedded.schema}.`
+      });
+    }
+  });
+}
+
+module.exports.internal._validateField = validateField;
+
+
+/**
+ *  Validates a wildcard field, which maps every value of the source object with a schema or a switch.
+ *
+ * @method validateWildcard
+ * @param {*} value The field definition.
+ * @param {string} path The path of the field.
+ * @param {Object[]} errors The list the errors are added to.
+ * @param {Object} context The validation context, see validateField.
+ */
+function validateWildcard(value, path, errors, context) {
+  if (!_.isPlainObject(value) || !(_.has(value, 'schema') || _.has(value, 'switch'))) {
+    errors.push({
+      path,
+      message: `${path} must be an object with a schema or switch.`
+    });
+    return;
+  }
+  // The values are always mapped
+  validateField(_.assign({}, value, {mapValues: true}), path, errors, context);
+}
+
+
+/**
+ *  Validates every field of a schema.
+ *
+ * @method validate
+ * @param {Object} schema The schema definition.
+ * @param {string} path The path of the schema, empty for the top level schema.
+ * @param {Object[]} errors The list the errors are added to.
+ * @param {Object} context The validation context, see validateField.
+ */
+function validate(schema, path, errors, context) {
+  _.forOwn(schema, (value, key) => {
+    let fieldPath = path ? `${path}.${key}` : key;
+    if (schemaDefinition[key]) {
+      if (validateKey(schemaDefinition[key], value, fieldPath, errors) && key === '_extends' && context.isKnownSchema) {
+        _.each(_.reject(_.castArray(value), context.isKnownSchema), (name) => {
+          errors.push({
+            path: fieldPath,
+            message: `${fieldPath} references the unknown schema ${name}.`
+          });
+        });
+      }
+    } else if (key === '*') {
+      validateWildcard(value, fieldPath, errors, context);
+    } else {
+      let dstPath = _.endsWith(key, '[]') ? key.slice(0, -2) : key;
+      if (_.isError(_.attempt(paths.parseDestinationPath, dstPath))) {
+        errors.push({
+          path: fieldPath,
+          message: `${fieldPath} has a key selector that is not valid.`
+        });
+      }
+      validateField(value, fieldPath, errors, context);
+    }
+  });
+}
+
+
+/**
+ *  Returns the names of a schema and of every schema embedded in it.
+ *
+ * @method getSchemaNames
+ * @param {Object} schema The schema definition.
+ * @param {string[]} [names] The list the names are added to.
+ * @return {string[]}
+ */
+function getSchemaNames(schema, names) {
+  names = names || [];
+  if (_.isString(schema._name)) {
+    names.push(schema._name);
+  }
+  _.forOwn(schema, (value, key) => {
+    if (!_.isPlainObject(value)) {
+      return;
+    }
+    _.each(getEmbeddedSchemas(value, key), (embedded) => {
+      if (_.isPlainObject(embedded.schema)) {
+        getSchemaNames(embedded.schema, names);
+      }
+    });
+  });
+  return names;
+}
+
+module.exports.internal._getSchemaNames = getSchemaNames;
+
+
+/**
+ *  Validates a schema definition and returns the list of errors.
+ *  Each error contains the full path of the invalid key, such as address.schema.stateCode.filter, and a message.
+ *  Named child schemas are resolved when they are first used, so they are only checked when resolveNames is set.
+ *
+ * @method validateSchema
+ * @param {Object} schema The schema definition to validate.
+ * @param {Object} [options] The validation options.
+ * @param {boolean} [options.resolveNames] Set to true to report named child schemas that are not in the registry or defined by the schema itself.
+ * @param {Object} [options.registry] The registry to find named schemas in, see createRegistry.
+ * @return {Object[]} The errors, empty when the schema is valid.
+ */
+module.exports.validateSchema = function (schema, options) {
+  options = options || {};
+  let errors = [];
+  if (schema !== null && !_.isPlainObject(schema)) {
+    errors.push({
+      path: '',
+      message: 'The schema must be an object or null.'
+    });
+    return errors;
+  }
+  let context = {};
+  if (options.resolveNames && schema) {
+    let registry = options.registry || registries.defaultRegistry;
+    let names = getSchemaNames(schema);
+    context.isKnownSchema = (name) => _.includes(names, name) || registry.has(name);
+  }
+  validate(schema, '', errors, context);
+  return errors;
+};
+
+
+/**
+ *  Validates a schema definition and throws a SchemaValidationError when it is not valid.
+ *
+ * @method assertSchema
+ * @param {Object} schema The schema definition to validate.
+ */
+module.exports.assertSchema = function (schema) {
+  let errors = module.exports.validateSchema(schema);
+  if (errors.length) {
+    throw new SchemaValidationError(errors);
+  }
+};
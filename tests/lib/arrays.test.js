@@ -0,0 +1,816 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const exporter = require('../../lib/export');
+const invert = require('../../lib/invert');
+const validate = require('../../lib/validate');
+const arrays = require('../../lib/arrays');
+
+const src = {
+  minimum: 4,
+  orders: [
+    {id: 1, lines: [{sku: 'a', name: 'apple', price: 5, status: 'active'}, {sku: 'b', name: 'bread', price: 3, status: 'deleted'}]},
+    {id: 2, lines: [{sku: 'c', name: 'cheese', price: 5, status: 'active'}, {sku: 'a', name: 'apple', price: 6, status: 'active'}]},
+    {id: 3, lines: [{sku: 'd', name: 'dates', status: 'active'}]}
+  ]
+};
+
+const schema = {
+  lines: {
+    srcPath: 'orders[*].lines',
+    flatten: true,
+    filter: {path: 'status', equals: 'active'},
+    uniqBy: 'sku',
+    sortBy: ['-price', 'name'],
+    schema: {
+      code: 'sku',
+      price: 'price'
+    }
+  },
+  expensive: {
+    srcPath: 'orders[*].lines',
+    flatten: 1,
+    filter: {path: 'price', in: [5, 6]},
+    sortBy: 'price',
+    schema: {
+      code: 'sku'
+    }
+  },
+  page: {
+    srcPath: 'orders',
+    reverse: true,
+    offset: 1,
+    limit: 1,
+    schema: {
+      id: 'id'
+    }
+  },
+  none: {
+    srcPath: 'orders',
+    limit: 0,
+    schema: {
+      id: 'id'
+    }
+  },
+  first: {
+    srcPath: 'orders[0]',
+    limit: 0,
+    schema: {
+      id: 'id'
+    }
+  },
+  counts: {
+    srcPath: 'orders',
+    operateOn: 'result',
+    filter: {path: 'count', in: [2]},
+    sortBy: '-id',
+    schema: {
+      id: 'id',
+      count: '=length(lines)'
+    }
+  },
+  latest: {
+    srcPath: 'orders',
+    operateOn: 'result',
+    reverse: true,
+    limit: 1,
+    type: 'array',
+    schema: {
+      id: 'id'
+    }
+  }
+};
+
+const expected = {
+  lines: [{code: 'a', price: 5}, {code: 'c', price: 5}, {code: 'd'}],
+  expensive: [{code: 'a'}, {code: 'c'}, {code: 'a'}],
+  page: [{id: 2}],
+  none: [],
+  first: {id: 1},
+  counts: [{id: 2, count: 2}, {id: 1, count: 2}],
+  latest: [[{id: 3}]]
+};
+
+describe('arrays', () => {
+  describe('createItemsOperation', () => {
+    it('should not modify the items', () => {
+      let items = [3, 1, 2];
+      let operateItems = arrays.createItemsOperation({reverse: true});
+      expect(operateItems(items)).to.deep.equal([2, 1, 3]);
+      expect(arrays.createItemsOperation({offset: 1})(items)).to.deep.equal([1, 2]);
+      expect(items).to.deep.equal([3, 1, 2]);
+    });
+
+    it('should sort null and undefined last in either direction', () => {
+      let sortBy = (descending) => arrays.createItemsOperation({sortBy: [{getKey: _.identity, descending}]});
+      expect(sortBy(false)([2, null, 1, undefined, 2])).to.deep.equal([1, 2, 2, null, undefined]);
+      expect(sortBy(true)([2, undefined, 1, null, 3])).to.deep.equal([3, 2, 1, undefined, null]);
+      expect(arrays.internal._compareKeys('a', 'a', true)).to.equal(0);
+    });
+
+    it('should call the functions with the arguments of the item schema', () => {
+      let calls = [];
+      let operateItems = arrays.createItemsOperation({
+        uniqBy: (...args) => {
+          calls.push(args);
+          return args[0];
+        }
+      });
+      expect(operateItems([1, 1], 'data', 'parent', 'top')).to.deep.equal([1]);
+      expect(calls).to.deep.equal([[1, null, 'data', 'parent', 'top'], [1, null, 'data', 'parent', 'top']]);
+    });
+  });
+
+  describe('compile', () => {
+    it('should apply the array operations', () => {
+      expect(transform.compile(schema)(src)).to.deep.equal(expected);
+      expect(transform.compile(schema)({})).to.deep.equal({});
+    });
+
+    it('should apply the array operations with the codegen engine', () => {
+      expect(transform.compile(schema, undefined, {engine: 'codegen'})(src)).to.deep.equal(expected);
+    });
+
+    it('should apply the array operations with compileAsync', async () => {
+      expect(await transform.compileAsync(schema)(src)).to.deep.equal(expected);
+    });
+
+    it('should read the paths of a filter from the parent', () => {
+      let func = transform.compile({
+        cheap: {
+          srcPath: 'orders[*].lines[*]',
+          filter: {path: '$parent.minimum', exists: true},
+          uniqBy: 'name',
+          schema: {
+            name: 'name'
+          }
+        }
+      });
+      expect(func(src)).to.deep.equal({cheap: [{name: 'apple'}, {name: 'bread'}, {name: 'cheese'}, {name: 'dates'}]});
+      expect(func(_.omit(src, 'minimum'))).to.deep.equal({cheap: []});
+    });
+
+    it('should describe the array operations of a field', () => {
+      let field = _.find(transform.getDefinition(transform.compile(schema)).fields, {key: 'lines'});
+      expect(field.operateItems.operations).to.deep.equal({
+        flatten: 1,
+        filter: {path: 'status', equals: 'active'},
+        uniqBy: 'sku',
+        sortBy: [{path: 'price', descending: true}, {path: 'name', descending: false}],
+        operateOn: 'source'
+      });
+      expect(transform.internal._getItemsOperation({operateOn: 'result', reverse: false})).to.be.null;
+    });
+
+    it('should export the array operations', () => {
+      let module = {exports: {}};
+      let source = exporter.exportSchema(schema);
+      new Function('module', 'exports', source)(module, module.exports);
+      expect(module.exports(src)).to.deep.equal(expected);
+      expect(module.exports({orders: []})).to.deep.equal({lines: [], expensive: [], page: [], none: [], counts: [], latest: []});
+      expect(exporter.exportSchema({id: 'id'})).to.not.include('var arrays');
+    });
+  });
+
+  describe('validate', () => {
+    it('should report array operations that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {srcPath: 'a', sortBy: ['-'], schema: {}},
+        a2: {srcPath: 'a2', sortBy: [1], schema: {}},
+        b: {srcPath: 'b', limit: -1, offset: 1.5, schema: {}},
+        c: {srcPath: 'c', flatten: 1.5, operateOn: 'items', switch: {path: 'type', cases: {}}},
+        d: {srcPath: 'd', filter: {path: 'status', other: true}, schema: {}},
+        e: {srcPath: 'e', filter: {path: 'status'}},
+        f: {srcPath: 'f', uniqBy: 'id', reverse: true},
+        g: {srcPath: 'g', filter: _.identity, schema: {}},
+        h: {srcPath: 'h', limit: '1', schema: {}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.sortBy must only contain paths.',
+        'a2.sortBy must only contain paths.',
+        'b.limit must be an integer greater than or equal to 0.',
+        'b.offset must be an integer greater than or equal to 0.',
+        'c.flatten must be true or an integer greater than 0.',
+        'c.operateOn must be source or result.',
+        'd.filter.other is not a supported key.',
+        'e.filter can only be an object when used together with schema or switch.',
+        'f.uniqBy requires schema or switch.',
+        'f.reverse requires schema or switch.',
+        'g.schema can\'t be used together with filter.',
+        'h.limit must be a number.'
+      ]);
+    });
+
+    it('should accept valid array operations', () => {
+      expect(validate.validateSchema(schema)).to.deep.equal([]);
+      expect(validate.validateSchema({
+        payments: {
+          filter: {path: 'type', in: ['card']},
+          switch: {path: 'type', cases: {card: {number: 'number'}}}
+        }
+      })).to.deep.equal([]);
+    });
+  });
+
+  describe('invert', () => {
+    it('should report array operations that can\'t be inverted', () => {
+      let result = invert.invert({id: 'id', items: {srcPath: 'lines', limit: 1, schema: {code: 'sku'}}});
+      expect(result.schema).to.deep.equal({id: null});
+      expect(result.nonInvertible).to.deep.equal([{path: 'items', reason: 'Array operations can\'t be inverted.'}]);
+    });
+  });
+
+  describe('aggregations', () => {
+    const invoice = {
+      currency: 'EUR',
+      lines: [
+        {sku: 'a', amount: 10.5, status: 'paid', tags: ['sale']},
+        {sku: 'b', amount: 5, status: 'open', tags: ['new', 'sale']},
+        {sku: 'c', amount: null, status: 'paid'},
+        {sku: 'd', amount: 'n/a', status: 'open'}
+      ],
+      totals: {q1: 3, q2: 4},
+      empty: []
+    };
+    const filters = {
+      getLines: (src) => src.lines
+    };
+    const aggregateSchema = {
+      total: {srcPath: 'lines', aggregate: 'sum', of: 'amount', type: 'string'},
+      count: {srcPath: 'lines', aggregate: 'count'},
+      amounts: {srcPath: 'lines', aggregate: 'count', of: 'amount'},
+      average: {srcPath: 'lines', aggregate: 'avg', of: 'amount'},
+      smallest: {srcPath: 'lines', aggregate: 'min', of: 'amount'},
+      largest: {srcPath: 'lines', aggregate: 'max', of: 'amount'},
+      first: {srcPath: 'lines', aggregate: 'first', of: 'sku'},
+      last: {srcPath: 'lines', aggregate: 'last', of: 'sku'},
+      byStatus: {srcPath: 'lines', aggregate: 'groupBy', of: 'status'},
+      statuses: {srcPath: 'lines', aggregate: 'countBy', of: 'status'},
+      currencies: {srcPath: 'lines', aggregate: 'countBy', of: '$parent.currency'},
+      tags: {srcPath: 'lines[*].tags[*]', aggregate: 'countBy'},
+      quarters: {srcPath: 'totals', aggregate: 'sum'},
+      paid: {srcPath: '=lines[?status == \'paid\']', aggregate: 'count'},
+      currency: {aggregate: 'count'},
+      refunds: {aggregate: 'count', defaultValue: 'none'},
+      empty: {aggregate: 'avg', defaultValue: 'none'}
+    };
+    const expected = {
+      total: '15.5',
+      count: 4,
+      amounts: 3,
+      average: 7.75,
+      smallest: 5,
+      largest: 10.5,
+      first: 'a',
+      last: 'd',
+      byStatus: _.groupBy(invoice.lines, 'status'),
+      statuses: {paid: 2, open: 2},
+      currencies: {EUR: 4},
+      tags: {sale: 2, new: 1},
+      quarters: 7,
+      paid: 2,
+      currency: 0,
+      refunds: 'none',
+      empty: 'none'
+    };
+
+    it('should aggregate the source values', () => {
+      expect(transform.compile(aggregateSchema)(invoice)).to.deep.equal(expected);
+    });
+
+    it('should aggregate the source values with the codegen engine', () => {
+      expect(transform.compile(aggregateSchema, undefined, {engine: 'codegen'})(invoice)).to.deep.equal(expected);
+    });
+
+    it('should aggregate the source values with compileAsync', async () => {
+      let func = transform.compileAsync(_.assign({lineCount: {srcPath: async (src) => src.lines, aggregate: 'count'}}, aggregateSchema));
+      expect(await func(invoice)).to.deep.equal(_.assign({lineCount: 4}, expected));
+    });
+
+    it('should export aggregations', () => {
+      let module = {exports: {}};
+      let require = () => filters;
+      let exportSchema = _.assign({lines: {srcPath: filters.getLines, aggregate: 'count'}}, aggregateSchema);
+      let source = exporter.exportSchema(exportSchema, {filtersPath: './filters', filters});
+      new Function('require', 'module', 'exports', source)(require, module, module.exports);
+      expect(module.exports(invoice)).to.deep.equal(_.assign({lines: 4}, expected));
+      expect(module.exports({})).to.deep.equal(transform.compile(exportSchema)({}));
+    });
+
+    it('should pass the filters the aggregated value', () => {
+      let func = transform.compile({
+        total: {srcPath: 'lines', aggregate: 'sum', of: 'amount', filter: (value) => value * 2},
+        items: {srcPath: (src) => src.lines, aggregate: 'count'}
+      });
+      expect(func(invoice)).to.deep.equal({total: 31, items: 4});
+    });
+
+    it('should report aggregations that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {aggregate: 'median'},
+        b: {srcPath: 'b', of: 'amount'},
+        c: {aggregate: 'sum', schema: {}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.aggregate must be count, sum, avg, min, max, first, last, groupBy or countBy.',
+        'b.of requires aggregate.',
+        'c.aggregate can\'t be used together with schema.'
+      ]);
+    });
+
+    it('should report aggregations that can\'t be inverted', () => {
+      let result = invert.invert({count: {srcPath: 'lines', aggregate: 'count'}, total: {srcPath: 'lines', aggregate: 'sum', inverse: {path: 'total'}}});
+      expect(result.schema).to.deep.equal({total: 'total'});
+      expect(result.nonInvertible).to.deep.equal([{path: 'count', reason: 'Aggregations can\'t be inverted without an inverse.'}]);
+    });
+  });
+
+  describe('keys', () => {
+    const catalog = {
+      store: 'main',
+      users: [{id: 'a', name: 'Ann', active: true}, {id: 'b', name: 'Bob'}, {name: 'Nobody'}, {id: 'a', name: 'Anna', active: true}],
+      settings: {theme: {value: 'dark'}, size: {value: 2}},
+      tags: ['new', 'sale'],
+      owner: {id: 'c'}
+    };
+    const keySchema = {
+      users: {
+        srcPath: 'users',
+        keyBy: 'id',
+        filter: {path: 'name', in: ['Ann', 'Bob', 'Nobody']},
+        schema: {
+          name: 'name',
+          key: '$key',
+          initial: '$key.length',
+          store: '$parent.store'
+        }
+      },
+      activeUsers: {
+        srcPath: 'users',
+        keyBy: 'id',
+        type: 'array',
+        schema: {
+          active: {srcPath: 'active', when: '$key'}
+        }
+      },
+      settings: {
+        srcPath: 'settings',
+        toEntries: {key: 'name', value: 'setting'},
+        schema: {
+          value: 'value',
+          key: (src, dst, data, parent, top, key) => key
+        }
+      },
+      flags: {
+        srcPath: 'settings',
+        toEntries: {key: 'name'},
+        sortBy: 'name',
+        operateOn: 'result',
+        type: 'array',
+        schema: {
+          value: 'value'
+        }
+      },
+      tags: {
+        srcPath: 'tags',
+        toEntries: {key: 'name'},
+        schema: {
+          index: '$key',
+          tag: '$self'
+        }
+      },
+      owner: {
+        srcPath: 'owner',
+        keyBy: 'id',
+        schema: {
+          id: 'id',
+          key: '$key'
+        }
+      },
+      store: {
+        srcPath: 'store',
+        toEntries: {key: 'name'},
+        schema: {
+          value: '$self'
+        }
+      }
+    };
+    const expected = {
+      users: {
+        a: {name: 'Ann', key: 'a', initial: 1, store: 'main'},
+        b: {name: 'Bob', key: 'b', initial: 1, store: 'main'}
+      },
+      activeUsers: {
+        a: [{active: true}],
+        b: [{}]
+      },
+      settings: [
+        {name: 'theme', setting: {value: 'dark', key: 'theme'}},
+        {name: 'size', setting: {value: 2, key: 'size'}}
+      ],
+      flags: [[{name: 'size', value: 2}], [{name: 'theme', value: 'dark'}]],
+      tags: [{index: 0, tag: 'new'}, {index: 1, tag: 'sale'}],
+      owner: {id: 'c'},
+      store: {value: 'main'}
+    };
+
+    it('should create objects and entries with keyBy and toEntries', () => {
+      expect(transform.compile(keySchema)(catalog)).to.deep.equal(expected);
+    });
+
+    it('should keep the last object with a key', () => {
+      let func = transform.compile({users: {srcPath: 'users', keyBy: 'id', schema: {name: 'name'}}});
+      expect(func(catalog)).to.deep.equal({users: {a: {name: 'Anna'}, b: {name: 'Bob'}}});
+    });
+
+    it('should create objects and entries with the codegen engine', () => {
+      expect(transform.compile(keySchema, undefined, {engine: 'codegen'})(catalog)).to.deep.equal(expected);
+    });
+
+    it('should create objects and entries with compileAsync', async () => {
+      expect(await transform.compileAsync(keySchema)(catalog)).to.deep.equal(expected);
+    });
+
+    it('should export keyBy and toEntries', () => {
+      let module = {exports: {}};
+      let filters = {getKey: keySchema.settings.schema.key};
+      let require = () => filters;
+      let source = exporter.exportSchema(keySchema, {filtersPath: './filters', filters});
+      new Function('require', 'module', 'exports', source)(require, module, module.exports);
+      expect(module.exports(catalog)).to.deep.equal(expected);
+      expect(module.exports({})).to.deep.equal({});
+    });
+
+    it('should report keyBy and toEntries that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {srcPath: 'a', keyBy: 'id'},
+        b: {srcPath: 'b', keyBy: 'id', toEntries: {key: 'name'}, schema: {}},
+        c: {srcPath: 'c', keyBy: 'id', operateOn: 'result', schema: {}},
+        d: {srcPath: 'd', toEntries: {value: 'value'}, schema: {}},
+        e: {srcPath: 'e', toEntries: {key: 'name', name: 'value'}, schema: {}},
+        f: {srcPath: 'f', toEntries: {key: 'name', value: 1}, switch: {path: 'type', cases: {}}},
+        g: {srcPath: 'g', toEntries: {key: 'name', value: ''}, schema: {}},
+        h: {srcPath: 'h', toEntries: {key: ''}, schema: {}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.keyBy requires schema or switch.',
+        'b.keyBy can\'t be used together with toEntries.',
+        'c.keyBy can\'t be used together with operateOn result.',
+        'd.toEntries.key must be a string.',
+        'e.toEntries.name is not a supported key.',
+        'f.toEntries.value must be a string.',
+        'g.toEntries.value must be a string.',
+        'h.toEntries.key must be a string.'
+      ]);
+    });
+
+    it('should report keyBy and toEntries that can\'t be inverted', () => {
+      let result = invert.invert({
+        users: {srcPath: 'users', keyBy: 'id', schema: {name: 'name'}},
+        settings: {srcPath: 'settings', toEntries: {key: 'name'}, schema: {value: 'value'}}
+      });
+      expect(result.nonInvertible).to.deep.equal([
+        {path: 'users', reason: 'keyBy and toEntries can\'t be inverted.'},
+        {path: 'settings', reason: 'keyBy and toEntries can\'t be inverted.'}
+      ]);
+    });
+  });
+
+  describe('mapped values', () => {
+    const settings = {
+      region: 'eu',
+      flags: {darkMode: {enabled: 'yes'}, 'beta-search': {enabled: 'no'}, HTMLEditor: {enabled: 'y'}},
+      locales: {en_US: {title: 'Hello'}, fr_FR: {title: 'Bonjour'}, xx: {title: 'Unknown'}},
+      tags: [{name: 'new'}, {name: 'sale'}]
+    };
+    const filters = {
+      toLocale: (key) => key === 'xx' ? undefined : key.replace('_', '-')
+    };
+    const mapSchema = {
+      flags: {
+        srcPath: 'flags',
+        mapValues: true,
+        mapKeys: 'snakeCase',
+        schema: {
+          enabled: {srcPath: 'enabled', type: 'boolean'},
+          key: '$key',
+          region: '$parent.region'
+        }
+      },
+      flagNames: {
+        srcPath: 'flags',
+        mapValues: true,
+        mapKeys: 'camelCase',
+        schema: {key: '$key'}
+      },
+      locales: {
+        srcPath: 'locales',
+        mapValues: true,
+        mapKeys: filters.toLocale,
+        type: 'array',
+        schema: {title: 'title'}
+      },
+      tags: {
+        srcPath: 'tags',
+        mapValues: true,
+        schema: {name: 'name'}
+      },
+      translations: {
+        srcPath: 'locales',
+        schema: {
+          '*': {
+            mapKeys: 'constantCase',
+            schema: {text: 'title'}
+          }
+        }
+      },
+      pascal: {
+        srcPath: 'flags',
+        schema: {
+          '*': {
+            mapKeys: 'pascalCase',
+            switch: {path: 'enabled', cases: {yes: {on: '~yes'}}}
+          },
+          count: {srcPath: '$self', aggregate: 'count'}
+        }
+      },
+      kebab: {
+        srcPath: 'flags',
+        mapValues: true,
+        mapKeys: 'kebabCase',
+        schema: {key: '$key'}
+      }
+    };
+    const expected = {
+      flags: {
+        dark_mode: {enabled: true, key: 'darkMode', region: 'eu'},
+        beta_search: {enabled: false, key: 'beta-search', region: 'eu'},
+        html_editor: {enabled: true, key: 'HTMLEditor', region: 'eu'}
+      },
+      flagNames: {
+        darkMode: {key: 'darkMode'},
+        betaSearch: {key: 'beta-search'},
+        htmlEditor: {key: 'HTMLEditor'}
+      },
+      locales: {
+        'en-US': [{title: 'Hello'}],
+        'fr-FR': [{title: 'Bonjour'}]
+      },
+      tags: [{name: 'new'}, {name: 'sale'}],
+      translations: {
+        EN_US: {text: 'Hello'},
+        FR_FR: {text: 'Bonjour'},
+        XX: {text: 'Unknown'}
+      },
+      pascal: {
+        DarkMode: {on: 'yes'},
+        count: 3
+      },
+      kebab: {
+        'dark-mode': {key: 'darkMode'},
+        'beta-search': {key: 'beta-search'},
+        'html-editor': {key: 'HTMLEditor'}
+      }
+    };
+
+    it('should convert the case of keys', () => {
+      expect(arrays.internal._getWords('HTMLEditor_v2-beta search')).to.deep.equal(['HTML', 'Editor', 'v2', 'beta', 'search']);
+      expect(arrays.getKeyMapping()('first_name')).to.equal('first_name');
+      expect(arrays.getKeyMapping('camelCase')(1)).to.equal('1');
+    });
+
+    it('should map the values of objects', () => {
+      expect(transform.compile(mapSchema)(settings)).to.deep.equal(expected);
+    });
+
+    it('should map every value with a wildcard field', () => {
+      let func = transform.compile({'*': {schema: {text: 'title'}}, id: '~locales'});
+      expect(func(settings.locales)).to.deep.equal({en_US: {text: 'Hello'}, fr_FR: {text: 'Bonjour'}, xx: {text: 'Unknown'}, id: 'locales'});
+    });
+
+    it('should map the values of objects with the codegen engine', () => {
+      expect(transform.compile(mapSchema, undefined, {engine: 'codegen'})(settings)).to.deep.equal(expected);
+    });
+
+    it('should map the values of objects with compileAsync', async () => {
+      let func = transform.compileAsync(mapSchema);
+      expect(await func(settings)).to.deep.equal(expected);
+      expect(await func({flags: 'on'})).to.deep.equal(transform.compile(mapSchema)({flags: 'on'}));
+    });
+
+    it('should export mapped values', () => {
+      let module = {exports: {}};
+      let require = () => filters;
+      let source = exporter.exportSchema(mapSchema, {filtersPath: './filters', filters});
+      new Function('require', 'module', 'exports', source)(require, module, module.exports);
+      expect(module.exports(settings)).to.deep.equal(expected);
+      expect(module.exports({flags: 'on'})).to.deep.equal(transform.compile(mapSchema)({flags: 'on'}));
+    });
+
+    it('should call the mapKeys function once for each value', async () => {
+      let calls = [];
+      let countingSchema = {
+        flags: {
+          srcPath: 'flags',
+          mapValues: true,
+          mapKeys: (key) => {
+            calls.push(key);
+            return `${key}${calls.length}`;
+          },
+          schema: {enabled: 'enabled'}
+        }
+      };
+      let results = [
+        transform.compile(countingSchema)(settings),
+        transform.compile(countingSchema, undefined, {engine: 'codegen'})(settings),
+        transform.compile(countingSchema, undefined, {trace: true})(settings).result,
+        await transform.compileAsync(countingSchema)(settings)
+      ];
+      expect(calls).to.have.length(12);
+      _.each(results, (result, index) => {
+        expect(_.keys(result.flags)).to.deep.equal(_.map(_.keys(settings.flags), (key, keyIndex) => `${key}${index * 3 + keyIndex + 1}`));
+      });
+    });
+
+    it('should report the path of mapped values that can\'t be coerced', async () => {
+      let strictSchema = {
+        flags: {srcPath: 'flags', mapValues: true, mapKeys: 'snakeCase', schema: {enabled: {srcPath: 'enabled', type: 'boolean'}}},
+        '*': {srcPath: 'options', schema: {enabled: {srcPath: 'enabled', type: 'boolean'}}}
+      };
+      let func = transform.compile(strictSchema, undefined, {strict: true});
+      let load = (source) => {
+        let module = {exports: {}};
+        new Function('module', 'exports', source)(module, module.exports);
+        return module.exports;
+      };
+      let exported = load(exporter.exportSchema(func));
+      _.each([func, exported], (transformFunc) => {
+        expect(() => {
+          transformFunc({flags: {darkMode: {enabled: 'maybe'}}});
+        }).to.throw('The value of flags.dark_mode.enabled can\'t be coerced into boolean.');
+        expect(() => {
+          transformFunc({options: {beta: {enabled: 'maybe'}}});
+        }).to.throw('The value of beta.enabled can\'t be coerced into boolean.');
+      });
+      let error = await transform.compileAsync(strictSchema, undefined, {strict: true})({flags: {darkMode: {enabled: 'maybe'}}}).catch((err) => err);
+      expect(error.message).to.equal('The value of flags.dark_mode.enabled can\'t be coerced into boolean.');
+    });
+
+    it('should report mapped values that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {srcPath: 'a', mapValues: true},
+        b: {srcPath: 'b', schema: {}, mapKeys: 'camelCase'},
+        c: {srcPath: 'c', schema: {}, mapValues: true, mapKeys: 'titleCase'},
+        d: {srcPath: 'd', schema: {}, mapValues: true, keyBy: 'id'},
+        e: {srcPath: 'e', schema: {'*': 'value', f: {'*': {schema: {}, toEntries: {key: 'name'}}}}},
+        g: {srcPath: 'g', schema: {'*': {srcPath: 'values'}}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.mapValues requires schema or switch.',
+        'b.mapKeys requires mapValues.',
+        'c.mapKeys must be a function or camelCase, pascalCase, snakeCase, kebabCase or constantCase.',
+        'd.keyBy can\'t be used together with mapValues.',
+        'e.schema.* must be an object with a schema or switch.',
+        'e.schema.f.* is not a supported key.',
+        'g.schema.* must be an object with a schema or switch.'
+      ]);
+      expect(_.map(validate.validateSchema({'*': {schema: {}, toEntries: {key: 'name'}}}), 'message')).to.deep.equal([
+        '*.toEntries can\'t be used together with mapValues.'
+      ]);
+    });
+
+    it('should report mapped values that can\'t be inverted', () => {
+      let result = invert.invert({flags: {srcPath: 'flags', mapValues: true, schema: {enabled: 'enabled'}}, '*': {schema: {}}});
+      expect(result.nonInvertible).to.deep.equal([
+        {path: 'flags', reason: 'Mapped values can\'t be inverted.'},
+        {path: '*', reason: 'Mapped values can\'t be inverted.'}
+      ]);
+    });
+  });
+
+  describe('array merges', () => {
+    const order = {
+      color: 'red',
+      tags: ['b', 'c'],
+      lines: [{sku: 'b', qty: 2}, {sku: 'c', qty: 1}],
+      line: {sku: 'd'},
+      options: {gift: true}
+    };
+    const toUpper = (value) => _.toUpper(value);
+    const mergeSchema = {
+      'appended[]': 'color',
+      'prepended[]': {srcPath: 'tags', arrayMerge: 'prepend'},
+      tags: {srcPath: 'tags', arrayMerge: 'union'},
+      'nested.tags': {srcPath: 'tags', arrayMerge: 'append'},
+      replaced: {srcPath: 'tags', arrayMerge: 'replace'},
+      color: {srcPath: 'color', arrayMerge: 'union'},
+      'nested.color': {srcPath: 'color', arrayMerge: 'union'},
+      'filtered[]': {srcPath: 'color', filter: toUpper, arrayMerge: 'prepend'},
+      'computed[]': () => 'computed',
+      lines: {srcPath: 'lines', arrayMerge: 'unionBy:sku', schema: {sku: 'sku', qty: 'qty'}},
+      allLines: {srcPath: 'lines', schema: {sku: 'sku'}},
+      'pushedLines[]': {srcPath: 'lines', schema: {sku: 'sku'}},
+      'single[]': {srcPath: 'line', arrayMerge: 'prepend', schema: {sku: 'sku'}},
+      options: {srcPath: 'options', toEntries: {key: 'name'}, arrayMerge: 'append', schema: {value: '$self'}}
+    };
+    const getDestination = () => ({
+      appended: ['a'],
+      prepended: ['a'],
+      tags: ['a', 'b'],
+      nested: {tags: ['a']},
+      replaced: ['a'],
+      filtered: ['a'],
+      computed: ['a'],
+      lines: [{sku: 'a'}, {sku: 'b', qty: 5}],
+      allLines: [{sku: 'a'}],
+      pushedLines: [{sku: 'a'}],
+      single: [{sku: 'a'}],
+      options: [{name: 'wrap', value: false}]
+    });
+    const expected = {
+      appended: ['a', 'red'],
+      prepended: ['b', 'c', 'a'],
+      tags: ['a', 'b', 'c'],
+      nested: {tags: ['a', 'b', 'c'], color: 'red'},
+      replaced: ['b', 'c'],
+      color: 'red',
+      filtered: ['RED', 'a'],
+      computed: ['a', 'computed'],
+      lines: [{sku: 'a'}, {sku: 'b', qty: 5}, {sku: 'c', qty: 1}],
+      allLines: [{sku: 'b'}, {sku: 'c'}],
+      pushedLines: [{sku: 'a'}, {sku: 'b'}, {sku: 'c'}],
+      single: [{sku: 'd'}, {sku: 'a'}],
+      options: [{name: 'wrap', value: false}, {name: 'gift', value: true}]
+    };
+
+    it('should combine the arrays with the array in the destination', () => {
+      expect(transform.compile(mergeSchema)(order, getDestination())).to.deep.equal(expected);
+      expect(transform.compile({'colors[]': 'color', 'tags[]': 'tags'})(order, {colors: 'blue'})).to.deep.equal({colors: ['red'], tags: ['b', 'c']});
+    });
+
+    it('should combine the arrays with the codegen engine', () => {
+      expect(transform.compile(mergeSchema, undefined, {engine: 'codegen'})(order, getDestination())).to.deep.equal(expected);
+    });
+
+    it('should combine the arrays with compileAsync', async () => {
+      expect(await transform.compileAsync(mergeSchema)(order, getDestination())).to.deep.equal(expected);
+    });
+
+    it('should combine the arrays when tracing', () => {
+      expect(transform.compile(mergeSchema, undefined, {trace: true})(order, getDestination()).result).to.deep.equal(expected);
+    });
+
+    it('should export the array merges', () => {
+      let module = {exports: {}};
+      let filters = {toUpper, computed: mergeSchema['computed[]']};
+      let require = () => filters;
+      let source = exporter.exportSchema(mergeSchema, {filtersPath: './filters', filters});
+      new Function('require', 'module', 'exports', source)(require, module, module.exports);
+      expect(module.exports(order, getDestination())).to.deep.equal(expected);
+      let expectedSparse = transform.compile(mergeSchema)({tags: ['a']}, {nested: {tags: 'a'}});
+      expect(module.exports({tags: ['a']}, {nested: {tags: 'a'}})).to.deep.equal(expectedSparse);
+      expect(expectedSparse.nested).to.deep.equal({tags: ['a']});
+    });
+
+    it('should keep the first item of each value or key', () => {
+      let union = arrays.createArrayMerge('union');
+      let unionBy = arrays.createArrayMerge('unionBy', (item) => item.id);
+      expect(union([1, 1, 2], [2, 3])).to.deep.equal([1, 2, 3]);
+      expect(unionBy([{id: 1, v: 'a'}], [{id: 1, v: 'b'}, {id: 2}])).to.deep.equal([{id: 1, v: 'a'}, {id: 2}]);
+      expect(union(undefined, [1])).to.deep.equal([1]);
+    });
+
+    it('should throw for a strategy that is not supported', () => {
+      expect(() => {
+        transform.compile({tags: {srcPath: 'tags', arrayMerge: 'merge'}}, undefined, {validate: false});
+      }).to.throw('The array merge "merge" must be append, prepend, replace, union or unionBy:<path>.');
+      expect(() => {
+        transform.internal._getMergeArrays('unionBy');
+      }).to.throw('The array merge "unionBy" must be append, prepend, replace, union or unionBy:<path>.');
+    });
+
+    it('should report array merges that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {srcPath: 'a', arrayMerge: 'merge'},
+        b: {srcPath: 'b', arrayMerge: 'unionBy:'},
+        c: {srcPath: 'c', arrayMerge: 'union:id'},
+        d: {srcPath: 'd', arrayMerge: 'unionBy:items[?id=]'},
+        e: {srcPath: 'e', keyBy: 'id', arrayMerge: 'append', schema: {}},
+        f: {srcPath: 'f', arrayMerge: 'unionBy:id.code'}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.arrayMerge must be append, prepend, replace, union or unionBy:<path>.',
+        'b.arrayMerge must be append, prepend, replace, union or unionBy:<path>.',
+        'c.arrayMerge must be append, prepend, replace, union or unionBy:<path>.',
+        'd.arrayMerge has a predicate that is not valid.',
+        'e.arrayMerge can\'t be used together with keyBy.'
+      ]);
+    });
+  });
+});
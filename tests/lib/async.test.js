@@ -0,0 +1,489 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const asyncCompiler = require('../../lib/async');
+const filters = require('../../lib/filters');
+const registries = require('../../lib/registry');
+
+const delay = (value) => new Promise((resolve) => setTimeout(() => resolve(value), 1));
+
+filters.registerFilter('asyncLookup', async (value) => delay(`  ${value}  `));
+
+filters.registerFilter('asyncFinished', async (src, dst) => {
+  dst.finished = await delay(true);
+});
+
+const schema = {
+  'id': 'userId',
+  'literal': '~literal',
+  'count': {
+    srcPath: 'count',
+    type: 'number'
+  },
+  'defaulted': {
+    srcPath: 'missing',
+    defaultValue: 'default'
+  },
+  'parentValue': '$parent.missing',
+  'name': (src) => `${src.firstName} ${src.lastName}`,
+  'nameLength': {
+    srcPath: 'firstName',
+    filter: (value) => value.length
+  },
+  'email': {
+    srcPath: 'email',
+    filter: ['trim', 'lowercase']
+  },
+  'computed': {
+    srcPath: (src) => src.count,
+    type: 'string'
+  },
+  'address': {
+    srcPath: 'address',
+    type: 'string',
+    schema: {
+      street: 'street',
+      user: '$parent.userId'
+    }
+  },
+  'addresses': {
+    srcPath: 'addresses',
+    schema: {
+      street: 'street'
+    }
+  },
+  'contacts[]': {
+    srcPath: '$self',
+    schema: {
+      email: 'email'
+    }
+  },
+  'password': {
+    remove: true
+  },
+  'missing': {
+    srcPath: 'missing',
+    schema: {
+      street: 'street'
+    }
+  }
+};
+
+const sourceObject = {
+  userId: '123',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: ' Jane@Example.com ',
+  count: '3',
+  password: 'secret',
+  address: {
+    street: '1 Main St'
+  },
+  addresses: [
+    {street: '1 Main St'},
+    {street: '2 Main St'}
+  ]
+};
+
+describe('async', () => {
+  describe('compileAsync', () => {
+    it('should return the same result as the synchronous transformation', async () => {
+      let expected = transform.compile(schema)(_.cloneDeep(sourceObject), {password: 'secret'});
+      let result = await transform.compileAsync(schema)(_.cloneDeep(sourceObject), {password: 'secret'});
+      expect(result).to.deep.equal(expected);
+      expect(result.contacts).to.deep.equal([{email: ' Jane@Example.com '}]);
+    });
+
+    it('should return the same result for a schema compiled by the codegen engine', async () => {
+      let expected = transform.compile(schema)(_.cloneDeep(sourceObject));
+      let result = await transform.compileAsync(schema, undefined, {engine: 'codegen'})(_.cloneDeep(sourceObject));
+      expect(result).to.deep.equal(expected);
+    });
+
+    it('should await the results of filters, functions, source paths and _onFinished', async () => {
+      let func = transform.compileAsync({
+        'name': async (src) => delay(`${src.firstName} ${src.lastName}`),
+        'nameLength': {
+          srcPath: 'firstName',
+          filter: async (value) => delay(value.length)
+        },
+        'count': {
+          srcPath: async (src) => delay(src.count),
+          type: 'number'
+        },
+        'lookup': {
+          srcPath: async (src) => delay(src.missing),
+          defaultValue: 'default'
+        },
+        'address': {
+          srcPath: async (src) => delay(src.address),
+          schema: {
+            street: {
+              srcPath: 'street',
+              filter: async (value, src, dst, data) => delay(`${value} ${data.suffix}`)
+            }
+          }
+        },
+        '_onFinished': 'asyncFinished'
+      });
+      let result = await func(sourceObject, null, {suffix: 'Apt 1'});
+      expect(result).to.deep.equal({
+        name: 'Jane Doe',
+        nameLength: 4,
+        count: 3,
+        lookup: 'default',
+        address: {
+          street: '1 Main St Apt 1'
+        },
+        finished: true
+      });
+    });
+
+    it('should await an _onFinished function', async () => {
+      let func = transform.compileAsync({
+        'id': 'userId',
+        '_onFinished': async (src, dst) => {
+          dst.finished = await delay(true);
+        }
+      });
+      expect(await func(sourceObject)).to.deep.equal({id: '123', finished: true});
+    });
+
+    it('should await each filter of a chain before the next filter', async () => {
+      let func = transform.compileAsync({
+        name: {srcPath: 'name', filter: ['asyncLookup', 'trim', 'uppercase']},
+        code: {srcPath: 'code', filter: [async (value) => delay(`${value}!`), (value) => `${value}?`]}
+      });
+      expect(await func({name: 'abc', code: 'a'})).to.deep.equal({name: 'ABC', code: 'a!?'});
+    });
+
+    it('should transform arrays with the given concurrency', async () => {
+      let active = 0;
+      let maxActive = 0;
+      let func = transform.compileAsync({
+        items: {
+          srcPath: 'items',
+          schema: {
+            value: {
+              srcPath: '$self',
+              filter: async (value) => {
+                active++;
+                maxActive = Math.max(active, maxActive);
+                // The later items finish first
+                await new Promise((resolve) => setTimeout(resolve, 10 - value));
+                active--;
+                return value * 2;
+              }
+            }
+          }
+        }
+      }, undefined, {concurrency: 2});
+      let result = await func({items: [1, 2, 3, 4, 5]});
+      expect(result.items).to.deep.equal([{value: 2}, {value: 4}, {value: 6}, {value: 8}, {value: 10}]);
+      expect(maxActive).to.equal(2);
+    });
+
+    it('should throw an error when the concurrency is not valid', () => {
+      expect(() => {
+        transform.compileAsync({foo: 'bar'}, undefined, {concurrency: 0});
+      }).to.throw('The concurrency must be a number greater than 0.');
+      expect(() => {
+        transform.compileAsync({foo: 'bar'}, undefined, {concurrency: '2'});
+      }).to.throw('The concurrency must be a number greater than 0.');
+    });
+
+    it('should stop when the signal in data is aborted', async () => {
+      let controller = new AbortController();
+      let func = transform.compileAsync({
+        first: async () => {
+          controller.abort(new Error('Stopped'));
+        },
+        second: 'foo'
+      });
+      let dst = {};
+      let error = await func({foo: 'bar'}, dst, {signal: controller.signal}).catch((err) => err);
+      expect(error).to.be.an('error');
+      expect(error.message).to.equal('Stopped');
+      expect(dst).to.not.have.property('second');
+    });
+
+    it('should not start when the signal in data has already been aborted', async () => {
+      let controller = new AbortController();
+      controller.abort();
+      let error = await transform.compileAsync(null)({}, null, {signal: controller.signal}).catch((err) => err);
+      expect(error).to.have.property('name', 'AbortError');
+    });
+
+    it('should return undefined when the source is null', async () => {
+      expect(await transform.compileAsync({foo: 'bar'})(null)).to.be.undefined;
+      expect(await transform.compileAsync({foo: 'bar'})(undefined)).to.be.undefined;
+    });
+
+    it('should merge the source when the schema is null', async () => {
+      expect(await transform.compileAsync(null)({foo: 'bar'})).to.deep.equal({foo: 'bar'});
+    });
+
+    it('should await embedded schema functions that were not compiled', async () => {
+      let func = transform.compileAsync({
+        address: {
+          srcPath: 'address',
+          schema: async (src) => delay({street: src.street})
+        }
+      });
+      expect(await func(sourceObject)).to.deep.equal({address: {street: '1 Main St'}});
+    });
+
+    it('should await the conditions of fields', async () => {
+      let func = transform.compileAsync({
+        id: 'userId',
+        name: {
+          srcPath: 'firstName',
+          when: async (src, dst, data) => delay(data.showName)
+        },
+        password: {
+          remove: true,
+          when: async () => delay(false)
+        },
+        count: {
+          srcPath: 'count',
+          when: {path: 'count', equals: '3'}
+        }
+      });
+      expect(await func(sourceObject, {password: 'secret'}, {showName: true})).to.deep.equal({id: '123', name: 'Jane', password: 'secret', count: '3'});
+      expect(await func(sourceObject, {}, {showName: false})).to.deep.equal({id: '123', count: '3'});
+    });
+
+    it('should transform each embedded object with the schema of the matching case', async () => {
+      let registry = registries.createRegistry();
+      registry.register('asyncBank', {iban: 'iban'});
+      let switchSchema = {
+        payments: {
+          srcPath: 'payments',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {
+                number: {
+                  srcPath: 'number',
+                  filter: async (value) => delay(value)
+                }
+              },
+              bank: 'asyncBank'
+            },
+            default: {type: 'type'}
+          }
+        },
+        payment: {
+          srcPath: 'payment',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number'}
+            }
+          }
+        }
+      };
+      let src = {
+        payments: [{type: 'card', number: '4111'}, {type: 'bank', iban: 'DE89'}, {type: 'cash'}, null],
+        payment: {type: 'cash'}
+      };
+      let result = await transform.compileAsync(switchSchema, undefined, {registry})(src);
+      expect(result).to.deep.equal({payments: [{number: '4111'}, {iban: 'DE89'}, {type: 'cash'}, undefined]});
+    });
+
+    it('should collect the errors of the fields and the embedded objects', async () => {
+      let failing = async (value) => {
+        if (await delay(value) === 'bad') {
+          throw new Error('The value is bad.');
+        }
+        return value;
+      };
+      let registry = registries.createRegistry();
+      registry.register('asyncStatus', {status: {srcPath: 'status', filter: failing}}, {errors: 'collect'});
+      let errorsSchema = {
+        name: {srcPath: 'name', filter: failing},
+        orders: {srcPath: 'orders', schema: {id: 'id', status: {srcPath: 'status', filter: failing}}},
+        byId: {srcPath: 'orders', keyBy: 'id', schema: {status: {srcPath: 'status', filter: failing}}},
+        named: {srcPath: 'orders', schema: 'asyncStatus'}
+      };
+      let src = {name: 'bad', orders: [{id: 1, status: 'bad'}, {id: 2, status: 'ok'}, {id: 3, status: 'bad'}]};
+      let {result, errors} = await transform.compileAsync(errorsSchema, undefined, {registry, errors: 'collect', concurrency: 2})(src);
+      expect(result).to.deep.equal({
+        orders: [{id: 1}, {id: 2, status: 'ok'}, {id: 3}],
+        byId: {1: {}, 2: {status: 'ok'}, 3: {}},
+        named: [{}, {status: 'ok'}, {}]
+      });
+      expect(_.sortBy(_.map(errors, 'path'))).to.deep.equal([
+        'byId.1.status', 'byId.3.status', 'name', 'named[0].status', 'named[2].status', 'orders[0].status', 'orders[2].status'
+      ]);
+      expect(errors[0]).to.include({srcPath: 'name'});
+      // The errors of a named schema compiled with the collect mode are thrown when nothing collects them
+      let error = await transform.compileAsync({named: {srcPath: 'orders', schema: 'asyncStatus'}}, undefined, {registry})(src).catch((err) => err);
+      expect(error.message).to.equal('The value is bad.');
+      expect(await transform.compileAsync({name: 'name'}, undefined, {errors: 'collect'})(null)).to.deep.equal({result: undefined, errors: []});
+    });
+
+    it('should leave out the embedded objects that fail with skipItem', async () => {
+      let itemSchema = {status: {srcPath: 'status', filter: async (value) => value.toUpperCase()}};
+      let func = transform.compileAsync({
+        orders: {srcPath: 'orders', schema: itemSchema},
+        byId: {srcPath: 'orders', keyBy: 'id', schema: itemSchema},
+        settings: {srcPath: 'settings', toEntries: {key: 'name'}, schema: itemSchema},
+        values: {srcPath: 'settings', mapValues: true, schema: itemSchema}
+      }, undefined, {errors: 'skipItem'});
+      let result = await func({orders: [{id: 1, status: 'ok'}, {id: 2}], settings: {theme: {status: 'ok'}, mode: {}}});
+      expect(result).to.deep.equal({
+        orders: [{status: 'OK'}],
+        byId: {1: {status: 'OK'}},
+        settings: [{name: 'theme', status: 'OK'}],
+        values: {theme: {status: 'OK'}}
+      });
+    });
+
+    it('should await _onError', async () => {
+      let func = transform.compileAsync({
+        name: {srcPath: 'name', filter: (value) => value.toUpperCase()},
+        code: {srcPath: 'code', filter: (value) => value.trim()},
+        _onError: async (fieldError, src, dst) => {
+          if (fieldError.path === 'code') {
+            throw new Error('The code is missing.');
+          }
+          dst.name = await delay(fieldError.srcPath);
+        }
+      });
+      expect(await func({code: 'a'})).to.deep.equal({name: 'name', code: 'a'});
+      let error = await func({name: 'jane'}).catch((err) => err);
+      expect(error.message).to.equal('The code is missing.');
+    });
+
+    it('should handle missing values after awaiting the source value', async () => {
+      let filter = async (value) => `${await delay(value)}!`;
+      let func = transform.compileAsync({
+        count: {srcPath: 'count', defaultValue: 0},
+        label: {srcPath: async (src) => src.label, defaultValue: (src) => `item ${src.id}`},
+        code: {srcPath: 'code', filter, defaultValue: (src) => src.id},
+        skipped: {srcPath: async () => undefined, onMissing: 'skip', filter},
+        skippedValue: {srcPath: 'missing', onMissing: 'skip'},
+        nulled: {srcPath: 'missing', onMissing: 'null', type: 'string'},
+        defaulted: {srcPath: 'name', onMissing: 'default', defaultValue: 'none'},
+        required: {srcPath: 'id', required: true}
+      });
+      expect(await func({id: 1, name: null})).to.deep.equal({count: 0, label: 'item 1', code: '1!', nulled: null, defaulted: null, required: 1});
+      let error = await func({}).catch((err) => err);
+      expect(error.message).to.equal('The value of required is required but missing.');
+    });
+
+    it('should omit the values once _onFinished has been awaited', async () => {
+      let func = transform.compileAsync({
+        id: 'id',
+        lines: {srcPath: 'lines', schema: {sku: 'sku', note: async (src) => delay(src.note)}},
+        _onFinished: async (src, dst) => {
+          dst.finished = await delay(null);
+        },
+        _omit: {nulls: true, emptyObjects: true}
+      });
+      expect(await func({id: 1, lines: [{sku: 'a', note: null}, {}]})).to.deep.equal({id: 1, lines: [{sku: 'a'}]});
+    });
+
+    it('should copy the output with the clone option', async () => {
+      let source = {address: {city: 'Paris'}, note: 'a'};
+      let dst = {owner: {name: 'a'}};
+      let func = transform.compileAsync({address: null, note: {srcPath: 'note', filter: async (value) => delay(value)}}, undefined, {clone: 'deep'});
+      let result = await func(source, dst);
+      expect(result).to.deep.equal({owner: {name: 'a'}, address: {city: 'Paris'}, note: 'a'});
+      expect(result.address).to.not.equal(source.address);
+      expect(result.owner).to.not.equal(dst.owner);
+      expect(dst).to.deep.equal({owner: {name: 'a'}});
+    });
+
+    it('should deep freeze the output with the freeze option', async () => {
+      let source = {address: {city: 'Paris'}};
+      let func = transform.compileAsync({address: null}, undefined, {freeze: true, errors: 'collect'});
+      let output = await func(source);
+      expect(output.errors).to.deep.equal([]);
+      expect(Object.isFrozen(output.result)).to.equal(true);
+      expect(Object.isFrozen(output.result.address)).to.equal(true);
+      expect(Object.isFrozen(source.address)).to.equal(false);
+      let result = await transform.transformAsync(source, null, {address: null}, null, {freeze: true});
+      expect(Object.isFrozen(result.address)).to.equal(true);
+    });
+
+    it('should not trace asynchronous transforms', async () => {
+      expect(() => {
+        transform.compileAsync({y: {srcPath: 'x', filter: delay}}, undefined, {trace: true});
+      }).to.throw('The trace option can\'t be used with asynchronous transforms.');
+      let error = await transform.transformAsync({x: 1}, null, {y: 'x'}, null, {trace: _.noop}).catch((err) => err);
+      expect(error.message).to.equal('The trace option can\'t be used with asynchronous transforms.');
+    });
+
+    it('should return the same function when the schema is compiled again', () => {
+      let schema = {foo: 'bar'};
+      expect(transform.compileAsync(schema)).to.equal(transform.compileAsync(schema));
+      expect(transform.compileAsync(schema, undefined, {concurrency: 1})).to.not.equal(transform.compileAsync(schema));
+    });
+  });
+
+  describe('named child schemas', () => {
+    const commentSchema = {
+      _name: 'comment',
+      text: {
+        srcPath: 'body',
+        filter: async (value) => delay(value)
+      },
+      replies: {
+        srcPath: 'children',
+        schema: 'comment'
+      }
+    };
+    const comments = {
+      body: 'first',
+      children: [
+        {body: 'second', children: [{body: 'third'}]},
+        {body: 'fourth', children: [{body: 'fifth'}]}
+      ]
+    };
+
+    it('should transform a recursive schema', async () => {
+      let func = transform.compileAsync(commentSchema, undefined, {registry: registries.createRegistry()});
+      expect(await func(comments)).to.deep.equal({
+        text: 'first',
+        replies: [
+          {text: 'second', replies: [{text: 'third'}]},
+          {text: 'fourth', replies: [{text: 'fifth'}]}
+        ]
+      });
+    });
+
+    it('should track the depth of each embedded object separately', async () => {
+      let func = transform.compileAsync(commentSchema, undefined, {registry: registries.createRegistry(), maxDepth: 2});
+      expect((await func(comments)).replies).to.have.length(2);
+
+      let tooDeep = transform.compileAsync(commentSchema, undefined, {registry: registries.createRegistry(), maxDepth: 1});
+      let error = await tooDeep(comments).catch((err) => err);
+      expect(error.message).to.equal('The child schema "comment" exceeded the maximum depth of 1.');
+    });
+  });
+
+  describe('transformAsync', () => {
+    it('should transform the source', async () => {
+      let result = await transform.transformAsync({bar: 'baz'}, null, {foo: 'bar'});
+      expect(result).to.deep.equal({foo: 'baz'});
+    });
+
+    it('should return null when the source is undefined', async () => {
+      expect(await transform.transformAsync(undefined, null, {foo: 'bar'})).to.be.null;
+    });
+  });
+
+  describe('mapConcurrent', () => {
+    it('should return an empty array for no items', async () => {
+      expect(await asyncCompiler.internal._mapConcurrent([], 1, _.identity)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,389 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const codegen = require('../../lib/codegen');
+const {MissingValueError} = require('../../lib/types');
+
+const codegenOptions = {engine: 'codegen'};
+
+const schema = {
+  'fieldUndefined': null,
+  'objectUndefined.fieldUndefined': null,
+  'field1': null,
+  'simple': 'field2',
+  'nested': 'field3.nestedValue',
+  'object': 'field4',
+  'literal': '~value',
+  'number': {
+    srcPath: 'field6',
+    type: 'number'
+  },
+  'string': {
+    type: 'string',
+    srcPath: 'field7.value'
+  },
+  'defaulted': {
+    srcPath: 'missing',
+    defaultValue: 'default'
+  },
+  'defaultedEmpty': {
+    srcPath: 'object2',
+    defaultValue: 'default'
+  },
+  'defaultedLiteral': {
+    srcPath: null,
+    defaultValue: 'default'
+  },
+  'dotted': 'dotted.key',
+  'deep.nested.value': 'field2',
+  'indexed[0].value': 'field2',
+  'primitive.extra': 'field2',
+  'existing.key': 'field2',
+  'embeddedObject': {
+    srcPath: 'object1',
+    schema: {
+      embeddedChild1: 'child1',
+      parentValue: '$parent.field2',
+      parentObject: '$parent',
+      selfValue: '$self.child1',
+      selfObject: '$self',
+      topValue: '$top.field1',
+      topObject: '$top'
+    }
+  },
+  'embeddedObjectToArray1[]': {
+    srcPath: 'object1',
+    schema: {
+      embeddedChild1: 'child1'
+    }
+  },
+  'array[]': 'field2',
+  'embeddedArray': {
+    srcPath: 'array1',
+    schema: {
+      embeddedChild1: 'child1',
+      embeddedChildObject1: {
+        srcPath: 'childObject1',
+        schema: {
+          embeddedChildObject1child1: 'child1'
+        }
+      }
+    }
+  },
+  'filtered': {
+    srcPath: 'field5',
+    filter: function (value, src) {
+      return `${value}(${src.field5.length})`;
+    }
+  },
+  'filteredDefault': {
+    srcPath: 'missing.value',
+    defaultValue: 'default',
+    filter: (value) => `filtered ${value}`
+  },
+  'filteredSimple': {
+    filter: (value) => `filtered ${value}`
+  },
+  'filteredParent': {
+    srcPath: '$parent.missing',
+    defaultValue: 'default',
+    filter: (value) => value
+  },
+  'filteredFunction': {
+    srcPath: (src) => src.field2,
+    type: 'string',
+    filter: (value) => `filtered ${value}`
+  },
+  'filteredLiteral': {
+    srcPath: 'field2',
+    filter: function () {
+      return this.field1;
+    }
+  },
+  'computed': (src) => `${src.field1} ${src.field2}`,
+  'removed': {
+    remove: true
+  },
+  'removed.nested': {
+    remove: true
+  },
+  'constructor.value': 'field2'
+};
+
+const sourceObject = {
+  'field1': 'field1',
+  'field2': 'field2',
+  'field3': {
+    nestedValue: 'field3.nestedValue'
+  },
+  'field4': {
+    nested1: 'nested1',
+    nested2: 'nested2'
+  },
+  'field5': 'field5',
+  'field6': '6.5',
+  'field7': {
+    value: 7
+  },
+  'dotted.key': 'dotted',
+  'object1': {
+    child1: 'child1'
+  },
+  'object2': {
+  },
+  'array1': [
+    {
+      child1: 'index1Child1',
+      childObject1: {
+        child1: 'index1ChildObject1Child1'
+      }
+    },
+    {
+      child1: 'index1Child2',
+      childObject1: {
+        child1: 'index2ChildObject1Child1'
+      }
+    }
+  ]
+};
+
+/**
+ *  Runs the source through both engines and expects the same result.
+ *
+ * @method expectSameResult
+ * @param {Object} schema The schema definition to compile.
+ * @param {...*} args The arguments to pass to the transformation function.
+ * @return {Object}
+ */
+function expectSameResult(schema, ...args) {
+  let closureFunc = transform.compile(schema);
+  let generatedFunc = transform.compile(schema, undefined, codegenOptions);
+  // Each engine gets its own copy since the destination is modified
+  let generated = generatedFunc(..._.cloneDeep(args));
+  expect(generated).to.deep.equal(closureFunc(..._.cloneDeep(args)));
+  return generated;
+}
+
+describe('codegen', () => {
+  describe('compile', () => {
+    it('should return a function', () => {
+      let transFunc = transform.compile(schema, undefined, codegenOptions);
+      expect(transFunc).to.be.a('function');
+    });
+
+    it('should return a different function than the closure engine', () => {
+      let closureFunc = transform.compile(schema);
+      let generatedFunc = transform.compile(schema, undefined, codegenOptions);
+      expect(generatedFunc).to.not.equal(closureFunc);
+      expect(transform.compile(schema, undefined, codegenOptions)).to.equal(generatedFunc);
+    });
+
+    it('should produce the same result as the closure engine', () => {
+      let result = expectSameResult(schema, sourceObject, {'existing': {}, 'existing.key': null, 'primitive': 'primitive'}, 'data');
+      expect(result).to.have.property('number', 6.5);
+      expect(result).to.have.property('string', '7');
+      expect(result).to.have.property('literal', 'value');
+      expect(result).to.have.property('dotted', 'dotted');
+      expect(result).to.have.property('existing.key', 'field2');
+      expect(result).to.have.nested.property('deep.nested.value', 'field2');
+      expect(result.indexed).to.be.an('array');
+      expect(result).to.have.property('filtered', 'field5(6)');
+      expect(result).to.have.property('filteredLiteral', 'field1');
+      expect(result).to.have.property('computed', 'field1 field2');
+      expect(result).to.have.deep.property('array', ['field2']);
+    });
+
+    it('should produce the same result for a sparse source', () => {
+      expectSameResult(schema, {field5: 'field5', field3: null, dotted: 'dotted'});
+    });
+
+    it('should produce the same result when the parent and top are given', () => {
+      expectSameResult(schema, sourceObject, null, 'data', {field2: 'parent'}, {field1: 'top'});
+    });
+
+    it('should return undefined if src is undefined', () => {
+      let func = transform.compile({foo: 'bar'}, undefined, codegenOptions);
+      expect(func(undefined)).to.be.undefined;
+      expect(func(null)).to.be.undefined;
+    });
+
+    it('should return a simple merge transform when the schema is null', () => {
+      let src = {foo: 'bar'};
+      let result = transform.compile(null, undefined, codegenOptions)(src);
+      expect(result).to.deep.equal(src);
+      expect(result).to.not.equal(src);
+    });
+
+    it('should call _onFinished when done', () => {
+      let callValues = {};
+      let func = transform.compile({
+        'foo.bar': 'bar',
+        '_onFinished': (src, dst, data, parent, top) => {
+          Object.assign(callValues, {src, dst, data, parent, top});
+        }
+      }, undefined, codegenOptions);
+      let src = {bar: 'foo'};
+      let result = func(src, null, 'data', 'parent', 'top');
+      expect(result).to.deep.equal({foo: {bar: 'foo'}});
+      expect(callValues).to.deep.equal({src, dst: result, data: 'data', parent: 'parent', top: 'top'});
+    });
+
+    it('should throw like the closure engine when the srcPath is not valid', () => {
+      let func = transform.compile({foo: {srcPath: 123}}, undefined, {engine: 'codegen', validate: false});
+      expect(() => {
+        func({});
+      }).to.throw(TypeError);
+    });
+
+    it('should use an embedded schema by name', () => {
+      transform.compile({'_name': 'codegenChild', 'bam': 'bar'}, undefined, codegenOptions);
+      transform.compile({'_name': 'codegenChild', 'bam': 'bar'});
+      transform.compile({'_name': 'closureChild', 'bam': 'bar'});
+      let result = expectSameResult({
+        foo: {
+          srcPath: 'boo',
+          schema: 'codegenChild'
+        },
+        baz: {
+          srcPath: 'boo',
+          schema: 'closureChild'
+        }
+      }, {boo: {bar: 'baz'}});
+      expect(result).to.deep.equal({foo: {bam: 'baz'}, baz: {bam: 'baz'}});
+    });
+
+    it('should throw an error when an embedded schema by name does not exist', () => {
+      let func = transform.compile({foo: {srcPath: 'boo', schema: 'codegen schema does not exist'}}, undefined, codegenOptions);
+      expect(() => {
+        func({boo: {}});
+      }).to.throw('The child schema "codegen schema does not exist" was not found.');
+    });
+
+    it('should produce the same result for conditional fields and switches', () => {
+      let conditionalSchema = {
+        'name': {srcPath: 'name', when: 'active'},
+        'type': {srcPath: 'payment.type', when: {path: 'payment.type', in: ['card', 'bank']}},
+        'computed': {srcPath: (src) => src.name, when: (src) => !src.active},
+        'full': {srcPath: 'name', filter: (value) => `${value}!`, when: {path: 'active', exists: true}},
+        'owner': {srcPath: 'name', defaultValue: 'nobody', when: {path: 'active', equals: true}},
+        'list[]': {srcPath: 'name', when: 'active'},
+        'payment': {
+          srcPath: 'payment',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number'}
+            },
+            default: {type: 'type'}
+          }
+        },
+        'payments[]': {
+          srcPath: 'payment',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number'}
+            }
+          }
+        }
+      };
+      let result = expectSameResult(conditionalSchema, {name: 'Jane', active: true, payment: {type: 'card', number: '4111'}});
+      expect(result).to.deep.equal({
+        name: 'Jane',
+        type: 'card',
+        full: 'Jane!',
+        owner: 'Jane',
+        list: ['Jane'],
+        payment: {number: '4111'},
+        payments: [{number: '4111'}]
+      });
+      result = expectSameResult(conditionalSchema, {name: 'John', payment: {type: 'cash'}});
+      expect(result).to.deep.equal({computed: 'John', payment: {type: 'cash'}});
+    });
+
+    it('should produce the same result for missing values', () => {
+      let filter = (value) => `${value}!`;
+      let missingSchema = {
+        count: {srcPath: 'count', defaultValue: 0},
+        label: {srcPath: 'label', defaultValue: (src) => `item ${src.id}`},
+        code: {srcPath: 'code', filter, defaultValue: (src) => src.id},
+        required: {srcPath: 'id', required: true, type: 'string'},
+        skipped: {srcPath: 'missing', onMissing: 'skip', filter},
+        'nested.skipped': {srcPath: 'missing.value', onMissing: 'skip'},
+        nulled: {srcPath: 'missing', onMissing: 'null', defaultValue: 'unused'},
+        defaulted: {srcPath: 'name', onMissing: 'default', defaultValue: 'none'}
+      };
+      let result = expectSameResult(missingSchema, {id: 1, name: null});
+      expect(result).to.deep.equal({count: 0, label: 'item 1', code: '1!', required: '1', nulled: null, defaulted: null});
+      result = expectSameResult(missingSchema, {id: 2, name: 'Jane', missing: {value: 'set'}, code: 'a'});
+      expect(result).to.deep.equal({
+        count: 0,
+        label: 'item 2',
+        code: 'a!',
+        required: '2',
+        skipped: '[object Object]!',
+        nested: {skipped: 'set'},
+        nulled: {value: 'set'},
+        defaulted: 'Jane'
+      });
+      let func = transform.compile({orders: {srcPath: 'orders', schema: {id: {srcPath: 'id', required: true}}}}, undefined, codegenOptions);
+      expect(() => {
+        func({orders: [{id: 1}, {}]});
+      }).to.throw(MissingValueError, 'The value of orders[1].id is required but missing.');
+      // A required value is not skipped
+      func = transform.compile({id: {srcPath: 'id', required: true, onMissing: 'skip'}}, undefined, {engine: 'codegen', validate: false});
+      expect(() => {
+        func({});
+      }).to.throw(MissingValueError, 'The value of id is required but missing.');
+    });
+
+    it('should be used by transform', () => {
+      let result = transform.transform({bar: 'foo'}, {}, {foo: 'bar'}, null, codegenOptions);
+      expect(result).to.deep.equal({foo: 'foo'});
+    });
+  });
+
+  describe('internal', () => {
+    describe('_isKey', () => {
+      it('should detect single keys', () => {
+        expect(codegen.internal._isKey('foo')).to.be.true;
+        expect(codegen.internal._isKey('foo-bar')).to.be.true;
+        expect(codegen.internal._isKey('foo.bar')).to.be.false;
+        expect(codegen.internal._isKey('foo[0]')).to.be.false;
+      });
+    });
+
+    describe('_getAssignPath', () => {
+      it('should not inline unsafe keys', () => {
+        expect(codegen.internal._getAssignPath('__proto__.polluted')).to.be.null;
+      });
+
+      it('should create arrays for index keys', () => {
+        let source = codegen.internal._getAssignPath('foo[0].bar').join('\n');
+        expect(source).to.include('[]');
+      });
+    });
+
+    describe('getSource', () => {
+      it('should inline simple mappings', () => {
+        let fields = [{kind: 'value', srcType: 'simple', srcPath: 'foo', dstType: 'simple', dstPath: 'bar'}];
+        let source = codegen.getSource(fields, false);
+        expect(source).to.include('v = src["foo"];');
+        expect(source).to.include('dst["bar"] = v;');
+        expect(source).to.not.include('t0');
+      });
+
+      it('should fall back to the compiled closure', () => {
+        let fields = [{kind: 'function', dstType: 'simple', dstPath: 'bar'}];
+        let source = codegen.getSource(fields, false);
+        expect(source).to.include('t0(src, dst, data, parent, top, key);');
+      });
+    });
+  });
+});
@@ -0,0 +1,618 @@
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const exporter = require('../../lib/export');
+const registries = require('../../lib/registry');
+const filterRegistry = require('../../lib/filters');
+const types = require('../../lib/types');
+
+const filters = {
+  length: (value) => `${value}(${value.length})`,
+  fullName: (src) => `${src.firstName} ${src.lastName}`,
+  emails: (src) => src.emails,
+  finished: (src, dst) => {
+    dst.finished = true;
+  },
+  'child-finished': (src, dst) => {
+    dst.childFinished = true;
+  },
+  defaultDate: () => 'today'
+};
+
+filterRegistry.registerFilter('finished', filters.finished);
+
+transform.compile({
+  '_name': 'exportedAddress',
+  'deliveryLine': 'street',
+  'postalCode': {
+    srcPath: 'zip',
+    type: 'number'
+  },
+  '_onFinished': filters['child-finished']
+});
+
+const schema = {
+  'id': 'userId',
+  'literal': '~literal',
+  'name': filters.fullName,
+  'nameLength': {
+    srcPath: 'firstName',
+    filter: filters.length
+  },
+  'created': {
+    srcPath: 'created',
+    defaultValue: filters.defaultDate
+  },
+  'tags': {
+    srcPath: 'tags',
+    defaultValue: ['none']
+  },
+  'address': {
+    srcPath: 'address',
+    schema: 'exportedAddress'
+  },
+  'addresses': {
+    srcPath: 'addresses',
+    schema: 'exportedAddress'
+  },
+  'coordinates': {
+    srcPath: '$self',
+    schema: {
+      lat: 'location.latitude',
+      lon: '$top.location.longitude',
+      user: '$parent.userId'
+    }
+  },
+  'topLocation': {
+    srcPath: '$top.location',
+    type: 'string',
+    schema: {
+      latitude: null
+    }
+  },
+  'emails': {
+    srcPath: filters.emails,
+    schema: {
+      email: '$self'
+    }
+  },
+  'contacts[]': {
+    srcPath: 'address',
+    schema: {
+      street: 'street'
+    }
+  },
+  'colors[]': 'car.color',
+  'colors[0]': 'bike.color',
+  'personal.first': 'firstName',
+  'personal.ignored': {
+    remove: true
+  },
+  'removed.nested': {
+    remove: true
+  },
+  'password': {
+    remove: true
+  },
+  '__proto__.polluted': {
+    remove: true
+  },
+  'constructor.polluted': 'firstName',
+  'constructor.child': {
+    srcPath: 'address',
+    schema: {
+      street: 'street'
+    }
+  },
+  '_onFinished': filters.finished
+};
+
+const sourceObject = {
+  userId: '123',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  tags: [],
+  password: 'secret',
+  emails: ['jane@example.com', 'doe@example.com'],
+  address: {
+    street: '1 Main St',
+    zip: '95013'
+  },
+  addresses: [
+    {
+      street: '1 Main St',
+      zip: '95013'
+    },
+    {
+      street: '2 Main St',
+      zip: '95014'
+    }
+  ],
+  location: {
+    latitude: 123.12345,
+    longitude: 85.89012
+  },
+  car: {
+    color: 'red'
+  },
+  bike: {
+    color: 'blue'
+  }
+};
+
+/**
+ *  Evaluates the source of a generated CommonJS module.
+ *
+ * @method load
+ * @param {string} source The module source.
+ * @return {*} The module exports.
+ */
+function load(source) {
+  let module = {exports: {}};
+  let require = (path) => {
+    expect(path).to.equal('./filters');
+    return filters;
+  };
+  new Function('require', 'module', 'exports', source)(require, module, module.exports);
+  return module.exports;
+}
+
+/**
+ *  Returns the result of a transformation function or the error it threw, so the exported module and the compiled
+ *  schema can be compared.
+ *
+ * @method getOutcome
+ * @param {function} func The transformation function.
+ * @param {*} src The source object.
+ * @param {*} [dst] The destination object.
+ * @return {Object}
+ */
+function getOutcome(func, src, dst) {
+  try {
+    return {result: func(_.cloneDeep(src), _.cloneDeep(dst))};
+  } catch (err) {
+    return {error: _.pick(err, ['name', 'message', 'path', 'type'])};
+  }
+}
+
+describe('export', () => {
+  describe('exportSchema', () => {
+    it('should return a module that behaves like the compiled schema', () => {
+      let source = exporter.exportSchema(schema, {filtersPath: './filters', filters});
+      expect(source).to.not.include('lodash');
+      expect(source).to.include('module.exports = transform;');
+
+      let exported = load(source);
+      let expected = transform.compile(schema)(_.cloneDeep(sourceObject), {personal: {ignored: true}, removed: {}});
+      let result = exported(_.cloneDeep(sourceObject), {personal: {ignored: true}, removed: {}});
+      expect(result).to.deep.equal(expected);
+      expect(result).to.have.property('finished', true);
+      expect(result.address).to.deep.equal({deliveryLine: '1 Main St', postalCode: 95013, childFinished: true});
+      expect(result.coordinates).to.deep.equal({lat: 123.12345, lon: 85.89012, user: '123'});
+      expect(result.colors).to.deep.equal(['blue']);
+      expect(result.emails).to.deep.equal([{email: 'jane@example.com'}, {email: 'doe@example.com'}]);
+    });
+
+    it('should return a module that behaves like the compiled schema for a sparse source', () => {
+      let exported = load(exporter.exportSchema(schema, {filtersPath: './filters', filters}));
+      let src = {firstName: 'Jane', emails: {email: 'jane@example.com'}, address: {}};
+      expect(exported(_.cloneDeep(src))).to.deep.equal(transform.compile(schema)(_.cloneDeep(src)));
+      expect(exported(null)).to.be.undefined;
+    });
+
+    it('should export a schema by name', () => {
+      let exported = load(exporter.exportSchema('exportedAddress', {filtersPath: './filters', filters}));
+      expect(exported({street: 'street', zip: '1'})).to.deep.equal({deliveryLine: 'street', postalCode: 1, childFinished: true});
+    });
+
+    it('should export a compiled transformation function', () => {
+      let exported = load(exporter.exportSchema(transform.compile({foo: 'bar'})));
+      expect(exported({bar: 'baz'})).to.deep.equal({foo: 'baz'});
+    });
+
+    it('should not import the filters module when no functions are used', () => {
+      let source = exporter.exportSchema({foo: 'bar'});
+      expect(source).to.not.include('filters');
+    });
+
+    it('should read the embedded modules the first time a schema uses them', () => {
+      let modulePath = require.resolve('../../lib/export');
+      let cachedModule = require.cache[modulePath];
+      let embeddedPaths = _.map(['expression', 'arrays'], (name) => require.resolve(`../../lib/${name}`));
+      let readFileSync = fs.readFileSync;
+      let reads = [];
+      fs.readFileSync = function (file) {
+        if (_.includes(embeddedPaths, file)) {
+          reads.push(path.basename(file));
+        }
+        return readFileSync.apply(this, arguments);
+      };
+      try {
+        delete require.cache[modulePath];
+        let freshExporter = require('../../lib/export');
+        expect(reads).to.deep.equal([]);
+        freshExporter.exportSchema({foo: 'bar'});
+        expect(reads).to.deep.equal([]);
+        let func = load(freshExporter.exportSchema({total: '=sum(prices)'}));
+        freshExporter.exportSchema({count: '=length(prices)'});
+        expect(func({prices: [2, 3]})).to.deep.equal({total: 5});
+        expect(reads).to.deep.equal(['expression.js']);
+        let sort = load(freshExporter.exportSchema({items: {srcPath: 'items', schema: {id: 'id'}, sortBy: 'id'}}));
+        freshExporter.exportSchema({items: {srcPath: 'items', schema: {id: 'id'}, reverse: true}});
+        expect(sort({items: [{id: 2}, {id: 1}]})).to.deep.equal({items: [{id: 1}, {id: 2}]});
+        expect(reads).to.deep.equal(['expression.js', 'arrays.js']);
+      } finally {
+        fs.readFileSync = readFileSync;
+        require.cache[modulePath] = cachedModule;
+      }
+    });
+
+    it('should generate an ES module', () => {
+      let source = exporter.exportSchema(schema, {format: 'esm', filtersPath: './filters', filters});
+      expect(source).to.include('import * as filters from "./filters";');
+      expect(source).to.include('export default transform;');
+      expect(source).to.include('filters["child-finished"]');
+    });
+
+    it('should import named filters from the filters module by name', () => {
+      let namedFilters = {
+        trim: (value) => value.trim(),
+        uppercase: (value) => value.toUpperCase(),
+        finished: filters.finished
+      };
+      let source = exporter.exportSchema({
+        'code': {
+          srcPath: 'code',
+          filter: ['trim', 'uppercase']
+        },
+        'name': {
+          srcPath: 'name',
+          filter: 'trim'
+        },
+        '_onFinished': 'finished'
+      }, {filtersPath: './filters', filters: namedFilters});
+      expect(source).to.include('var f0 = function (value, src, dst, data, parent, top, key) { value = filters.trim.call(this');
+      expect(source).to.include('var f1 = filters.trim;');
+      expect(source).to.include('var onFinished = filters.finished;');
+
+      let module = {exports: {}};
+      new Function('require', 'module', 'exports', source)(() => namedFilters, module, module.exports);
+      expect(module.exports({code: ' ab ', name: ' Jane '})).to.deep.equal({code: 'AB', name: 'Jane', finished: true});
+    });
+
+    it('should throw an error when a function in an array of filters is not in the filters module', () => {
+      expect(() => {
+        exporter.exportSchema({foo: {srcPath: 'bar', filter: ['trim', (value) => value]}}, {filtersPath: './filters', filters});
+      }).to.throw('The function for "foo.filter" was not found in the filters module.');
+    });
+
+    it('should export recursive schemas', () => {
+      let registry = registries.createRegistry();
+      registry.register('exportedEmployee', {name: 'name', team: {srcPath: 'team', schema: 'exportedTeam'}}, {maxDepth: 3});
+      registry.register('exportedTeam', {title: 'title', members: {srcPath: 'members', schema: 'exportedEmployee'}});
+      let exported = load(exporter.exportSchema('exportedEmployee', {registry}));
+      let src = {name: 'Jane', team: {title: 'Sales', members: [{name: 'John', team: {title: 'Support'}}]}};
+      expect(exported(src)).to.deep.equal(registry.get('exportedEmployee')(src));
+
+      let deep = {team: {members: [{team: {members: [{team: {members: [{team: {}}]}}]}}]}};
+      expect(() => {
+        exported(deep);
+      }).to.throw('The child schema "exportedTeam" exceeded the maximum depth of 3.');
+      expect(exported({name: 'Jane'})).to.deep.equal({name: 'Jane'});
+
+      // The team refers back to the employee schema that is still being exported
+      registry = registries.createRegistry();
+      registry.register('exportedEmployee', {name: 'name', team: {srcPath: 'team', schema: 'exportedTeam'}});
+      registry.register('exportedTeam', {title: 'title', members: {srcPath: 'members', schema: 'exportedEmployee'}});
+      exported = load(exporter.exportSchema('exportedEmployee', {registry}));
+      expect(exported(src)).to.deep.equal(registry.get('exportedEmployee')(src));
+    });
+
+    it('should export conditional fields and switches', () => {
+      let registry = registries.createRegistry();
+      registry.register('exportedBank', {iban: 'iban'});
+      let conditionalSchema = {
+        name: {srcPath: 'name', when: 'active'},
+        type: {srcPath: 'payment.type', when: {path: 'payment.type', in: ['card', 'bank']}},
+        owner: {srcPath: 'name', when: {path: '$self.active', equals: true}},
+        missing: {srcPath: 'name', when: {path: 'active', exists: false}},
+        present: {srcPath: 'name', when: {path: 'active', exists: true}},
+        computed: {srcPath: 'name', when: filters.emails},
+        payments: {
+          srcPath: 'payments',
+          switch: {
+            path: 'type',
+            cases: {
+              'card': {number: 'number'},
+              'bank': 'exportedBank',
+              'other-bank': 'exportedBank',
+              'user': filters.fullName
+            },
+            default: {type: 'type', user: '$parent.name'}
+          }
+        },
+        payment: {
+          srcPath: 'payments',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number'}
+            }
+          }
+        }
+      };
+      let exported = load(exporter.exportSchema(conditionalSchema, {filtersPath: './filters', filters, registry}));
+      let expected = transform.compile(conditionalSchema, undefined, {registry});
+      let payments = [{type: 'card', number: '4111'}, {type: 'bank', iban: 'DE89'}, {type: 'user', firstName: 'Jane', lastName: 'Doe'}, {type: 'cash'}, null];
+      let src = {name: 'Jane', active: true, emails: ['jane@example.com'], payment: {type: 'card'}, payments};
+      expect(exported(src)).to.deep.equal(expected(src));
+      src = {name: 'John', payment: {type: 'cash'}, payments: {type: 'cash'}};
+      expect(exported(src)).to.deep.equal(expected(src));
+      // Only the cases that were defined are used
+      expect(exported({payments: {type: 'constructor'}})).to.deep.equal({payments: {type: 'constructor'}});
+    });
+
+    it('should throw an error when a function in a switch or condition is not in the filters module', () => {
+      expect(() => {
+        exporter.exportSchema({foo: {srcPath: 'bar', when: _.constant(true)}}, {filtersPath: './filters', filters});
+      }).to.throw('The function for "foo.when" was not found in the filters module.');
+      expect(() => {
+        exporter.exportSchema({foo: {srcPath: 'bar', switch: {path: 'type', cases: {}, default: _.identity}}}, {filtersPath: './filters', filters});
+      }).to.throw('The function for "foo.switch.default" was not found in the filters module.');
+    });
+
+    it('should export the missing-source policies of the fields', () => {
+      let missingSchema = {
+        id: {srcPath: 'id', required: true},
+        created: {srcPath: 'created', onMissing: 'default', defaultValue: filters.defaultDate},
+        name: {srcPath: 'name', onMissing: 'null'},
+        nameLength: {srcPath: 'name', onMissing: 'skip', filter: filters.length},
+        addresses: {srcPath: 'addresses', schema: {zip: {srcPath: 'zip', required: true}}}
+      };
+      let exported = load(exporter.exportSchema(missingSchema, {filtersPath: './filters', filters}));
+      let src = {id: 1, addresses: [{zip: '1'}]};
+      expect(exported(src)).to.deep.equal(transform.compile(missingSchema)(src));
+      expect(exported(src)).to.deep.equal({id: 1, created: 'today', name: null, addresses: [{zip: '1'}]});
+      let error = (() => {
+        try {
+          return exported({id: 1, addresses: [{}]});
+        } catch (err) {
+          return err;
+        }
+      })();
+      expect(error).to.include({name: 'MissingValueError', path: 'addresses[0].zip', message: 'The value of addresses[0].zip is required but missing.'});
+    });
+
+    it('should export the values omitted by the schemas', () => {
+      let omitSchema = {
+        id: 'id',
+        note: 'note',
+        secret: 'secret',
+        tags: 'tags',
+        lines: {srcPath: 'lines', schema: {sku: 'sku', meta: 'meta', _omit: {keys: ['meta']}}},
+        sparse: {srcPath: 'sparse', filter: filters.emails},
+        _onFinished: 'finished',
+        _omit: {nulls: true, emptyObjects: true, emptyArrays: true, keys: ['secret']}
+      };
+      let exported = load(exporter.exportSchema(omitSchema, {filtersPath: './filters', filters}));
+      let src = {
+        id: 1,
+        note: null,
+        secret: 's',
+        tags: [],
+        lines: [{sku: 'a', meta: {}}, {sku: null}],
+        emails: [new Date(0), [], {}, 'a', null]
+      };
+      // The array items are cleaned too, the hole added at the end is left out like an undefined value
+      src.sparse = src;
+      src.emails.length = 6;
+      let expected = transform.compile(omitSchema)(_.cloneDeep(src));
+      expect(exported(_.cloneDeep(src))).to.deep.equal(expected);
+      expect(expected).to.deep.equal({id: 1, lines: [{sku: 'a'}], sparse: [new Date(0), 'a'], finished: true});
+      exported = load(exporter.exportSchema({id: 'id', note: 'note', _omit: {nulls: true}}));
+      expect(exported({id: 1, note: null})).to.deep.equal({id: 1});
+    });
+
+    it('should throw an error when the schema handles the errors of its fields', () => {
+      expect(() => {
+        exporter.exportSchema({foo: 'bar', _onError: 'trim'});
+      }).to.throw('The error handling of the schema for "" can\'t be exported.');
+      expect(() => {
+        transform.compile({foo: {srcPath: 'bar', schema: {baz: 'baz'}}}, undefined, {errors: 'skipItem', export: {}});
+      }).to.throw('The error handling of the schema for "" can\'t be exported.');
+    });
+
+    it('should throw an error when the schema name does not exist', () => {
+      expect(() => {
+        exporter.exportSchema('export schema does not exist');
+      }).to.throw('The schema was not found.');
+    });
+
+    it('should throw an error when a function is not in the filters module', () => {
+      expect(() => {
+        exporter.exportSchema({foo: {srcPath: 'bar', filter: (value) => value}}, {filtersPath: './filters', filters});
+      }).to.throw('The function for "foo.filter" was not found in the filters module.');
+      expect(() => {
+        exporter.exportSchema({foo: {srcPath: 'bar', schema: {baz: () => 'baz'}}}, {filtersPath: './filters', filters});
+      }).to.throw('The function for "foo.schema.baz" was not found in the filters module.');
+    });
+
+    it('should throw an error when the filters path is not given', () => {
+      expect(() => {
+        exporter.exportSchema({foo: filters.fullName}, {filters});
+      }).to.throw('The filtersPath option is required when the schema uses functions.');
+    });
+
+    it('should throw an error when the function was not compiled', () => {
+      expect(() => {
+        exporter.exportSchema(filters.fullName);
+      }).to.throw('The schema for "" was not compiled and can\'t be exported.');
+    });
+
+    it('should import embedded schema functions that were not compiled', () => {
+      let source = exporter.exportSchema({foo: {srcPath: 'bar', schema: filters.fullName}}, {filtersPath: './filters', filters});
+      expect(source).to.include('var s0 = filters.fullName;');
+    });
+  });
+
+  describe('helpers', () => {
+    // The helpers of the exported modules replace the lodash based code of the compiler, so they are run side by side
+    it('should return the same results as the lodash functions they replace', () => {
+      let helpers = new Function(`${exporter.internal._helpers}\nreturn {isObject, isEmpty, hasPath};`)();
+      let values = [
+        null, undefined, 0, 1, '', 'text', true, [], [0], {}, {a: 1}, Object.create(null), _.noop, new Date(0), /a/,
+        new Map(), new Map([[1, 2]]), new Set(), new Set([1]), Buffer.alloc(0), new Uint8Array(2), new DataView(new ArrayBuffer(1)),
+        new ArrayBuffer(2), Symbol('a'), BigInt(0)
+      ];
+      _.each(values, (value, index) => {
+        expect(helpers.isObject(value), `isObject ${index}`).to.equal(_.isObject(value));
+        expect(helpers.isEmpty(value), `isEmpty ${index}`).to.equal(_.isEmpty(value));
+      });
+      let objects = [
+        {a: {b: [1, {c: null}]}, 'a.b': 1},
+        {a: Object.create({b: 1})},
+        {a: 'text'},
+        [{a: 1}],
+        null
+      ];
+      let paths = ['a', 'a.b', 'a.b[1].c', 'a.b[2]', 'a.b.length', 'a.length', '[0].a', '0.a', 'missing.a'];
+      _.each(objects, (object, index) => {
+        _.each(paths, (path) => {
+          expect(helpers.hasPath(object, path, _.toPath(path)), `hasPath ${index} ${path}`).to.equal(_.has(object, path));
+        });
+      });
+    });
+
+    it('should coerce every built in type like the compiled schema', () => {
+      const values = [
+        '12.345', ' 7 ', ' ', 'abc', '-3', '0', '1', 7.9, 0, -2, true, false, 'yes', 'Y', 'on', 'OFF', 'n', 'no', 'si',
+        '1700000000000', '2020-01-02', new Date(0), [1], {a: 1}, BigInt(5)
+      ];
+      const typeOptions = {
+        float: [{precision: 2}],
+        boolean: [{truthy: ['si'], falsy: ['no']}],
+        date: [{format: 'iso'}]
+      };
+      _.each(types.internal._builtInTypes, (name) => {
+        let typeDefinitions = [name, ..._.map(typeOptions[name], (options) => _.assign({name}, options))];
+        _.each(typeDefinitions, (type) => {
+          _.each([false, true], (strict) => {
+            let compiled = transform.compile({value: {srcPath: 'value', type}}, undefined, {strict});
+            let exported = load(exporter.exportSchema(compiled));
+            _.each(values, (value) => {
+              expect(getOutcome(exported, {value}), `${JSON.stringify(type)} ${String(value)}`).to.deep.equal(getOutcome(compiled, {value}));
+            });
+          });
+        });
+      });
+    });
+
+    it('should read the projections of the source paths like the compiled schema', () => {
+      let projectionSchema = {
+        skus: 'orders[*].items[*].sku',
+        activeSkus: 'orders[*].items[?status==\'active\'].sku',
+        largeSkus: 'orders[*].items[?qty>=2].sku',
+        flagged: 'orders[*].items[?flag]',
+        lastOrder: 'orders[-1].id',
+        lastItem: 'orders[0].items[-1].sku',
+        values: 'prices.*',
+        missing: 'missing[*].id',
+        'saleTags[]': 'tags[?@==\'sale\']'
+      };
+      let exported = load(exporter.exportSchema(projectionSchema));
+      let sources = [
+        {
+          orders: [
+            {id: 1, items: [{sku: 'a', status: 'active', qty: 1}, {sku: 'b', qty: 3, flag: true}]},
+            {id: 2, items: {first: {sku: 'c', status: 'active', qty: 2}}},
+            {id: 3}
+          ],
+          prices: {eur: 1, usd: 2},
+          tags: ['sale', 'new', 'sale']
+        },
+        {orders: [], prices: [3], tags: 'sale'},
+        {orders: {first: {id: 4, items: null}}, prices: null}
+      ];
+      _.each(sources, (src) => {
+        expect(getOutcome(exported, src)).to.deep.equal(getOutcome(transform.compile(projectionSchema), src));
+      });
+    });
+
+    it('should write every form of destination path like the compiled schema', () => {
+      let destinationSchema = {
+        'slots[1]': 'first',
+        'slots[-1]': 'second',
+        'slots[-2]': {remove: true},
+        'grid[0][-1]': 'first',
+        'lines[sku=x].qty': 'qty',
+        'lines[sku="w"]': {srcPath: '$self', schema: {sku: '~w', note: 'note'}},
+        'lines[meta.id=5].name': 'first',
+        'lines[-1].tags[]': 'note',
+        'lines[sku=x].sizes': {srcPath: 'sizes', arrayMerge: 'union'},
+        'codes[id=7]': 'code',
+        'nested.list[id=\'a b\'].value': 'code',
+        'missing[id=1].value': {remove: true},
+        'lines[sku=y]': {remove: true},
+        'named["a.b"]': 'first',
+        'indexed[2]': 'second'
+      };
+      let exported = load(exporter.exportSchema(destinationSchema));
+      let src = {first: 'a', second: 'b', qty: 2, note: 'gift', sizes: ['m', 's'], code: '7'};
+      let destinations = [
+        undefined,
+        {slots: ['p', 'q', 'r'], grid: [['g', 'h']], lines: [{sku: 'x', sizes: ['s']}, {sku: 'y'}, {meta: {id: '5'}}], codes: [{id: 7}]},
+        {slots: {}, grid: 'text', lines: 'text', nested: {list: {}}, indexed: {}},
+        {slots: [], lines: [], codes: []}
+      ];
+      _.each(destinations, (dst) => {
+        expect(getOutcome(exported, src, dst)).to.deep.equal(getOutcome(transform.compile(destinationSchema), src, dst));
+      });
+      expect(getOutcome(exported, {}, {})).to.deep.equal(getOutcome(transform.compile(destinationSchema), {}, {}));
+    });
+
+    it('should omit the values like the compiled schema', () => {
+      let omitSchema = {
+        value: 'value',
+        _omit: {nulls: true, emptyObjects: true, emptyArrays: true, keys: ['secret']}
+      };
+      let exported = load(exporter.exportSchema(omitSchema));
+      let values = [
+        null,
+        [],
+        {},
+        [null, [], {}, 'a', [[]], {secret: 1}],
+        {a: null, b: {c: {}}, secret: 's', d: [1, null, {e: []}], f: new Date(0)},
+        new Map([['a', null]]),
+        Object.create(null),
+        'text'
+      ];
+      _.each(values, (value) => {
+        expect(getOutcome(exported, {value})).to.deep.equal(getOutcome(transform.compile(omitSchema), {value}));
+      });
+    });
+  });
+
+  describe('compile', () => {
+    it('should set the source of the exported module', () => {
+      let func = transform.compile({foo: 'bar'}, undefined, {export: {format: 'esm'}});
+      expect(func({bar: 'baz'})).to.deep.equal({foo: 'baz'});
+      expect(func.source).to.include('export default transform;');
+    });
+  });
+
+  describe('getDefinition', () => {
+    it('should return the definition of a schema compiled by the codegen engine', () => {
+      let schema = {'_name': 'exportedCodegen', 'foo': 'bar'};
+      transform.compile(schema, undefined, {engine: 'codegen'});
+      expect(transform.getDefinition('exportedCodegen').schema).to.equal(schema);
+    });
+  });
+});
@@ -0,0 +1,355 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const exporter = require('../../lib/export');
+const invert = require('../../lib/invert');
+const validate = require('../../lib/validate');
+const expressions = require('../../lib/expression');
+
+const data = {
+  orders: [
+    {id: 1, total: 10, status: 'paid', items: [{sku: 'a', tags: ['sale']}, {sku: 'b', tags: []}]},
+    {id: 2, total: 25.5, status: 'open', items: [{sku: 'c', tags: ['new', 'sale']}]},
+    {id: 3, total: 4, status: 'paid'}
+  ],
+  customer: {first: 'Jane', last: 'Doe', 'e-mail': 'jane@example.com', age: -30},
+  scores: {math: 90, art: 75},
+  names: ['b', 'c', 'a'],
+  empty: {},
+  nothing: null,
+  flag: true
+};
+
+/**
+ *  Evaluates an expression against the data.
+ *
+ * @method run
+ * @param {string} source The expression.
+ * @param {*} [value] The value, defaults to data.
+ * @return {*}
+ */
+function run(source, value) {
+  return expressions.evaluate(expressions.parse(source), arguments.length > 1 ? value : data);
+}
+
+describe('expression', () => {
+  describe('evaluate', () => {
+    it('should select fields, indexes and slices', () => {
+      expect(run('customer.first')).to.equal('Jane');
+      expect(run('customer."e-mail"')).to.equal('jane@example.com');
+      expect(run('customer.middle')).to.be.null;
+      expect(run('names.length')).to.be.null;
+      expect(run('customer.toString')).to.be.null;
+      expect(run('nothing.first')).to.be.null;
+      expect(run('orders[0].id')).to.equal(1);
+      expect(run('orders[-1].id')).to.equal(3);
+      expect(run('orders[5]')).to.be.null;
+      expect(run('customer[0]')).to.be.null;
+      expect(run('names[1:]')).to.deep.equal(['c', 'a']);
+      expect(run('names[:-1]')).to.deep.equal(['b', 'c']);
+      expect(run('names[::-1]')).to.deep.equal(['a', 'c', 'b']);
+      expect(run('names[-10:10:2]')).to.deep.equal(['b', 'a']);
+      expect(run('names[10:-10:-1]')).to.deep.equal(['a', 'c', 'b']);
+      expect(run('[1:]', 'text')).to.be.null;
+      expect(run('@')).to.equal(data);
+      expect(run('@', undefined)).to.be.null;
+      expect(run('`[1, {"a": "\\`"}]`')).to.deep.equal([1, {a: '`'}]);
+      expect(run('\'it\\\'s\'')).to.equal('it\'s');
+    });
+
+    it('should project arrays and objects', () => {
+      expect(run('orders[*].id')).to.deep.equal([1, 2, 3]);
+      expect(run('orders[*].items[*].sku')).to.deep.equal([['a', 'b'], ['c']]);
+      expect(run('orders[].items[].sku')).to.deep.equal(['a', 'b', 'c']);
+      expect(run('orders[].items[].tags[]')).to.deep.equal(['sale', 'new', 'sale']);
+      expect(run('orders[0:2].id')).to.deep.equal([1, 2]);
+      expect(run('scores.*')).to.deep.equal([90, 75]);
+      expect(run('*')).to.have.length(6);
+      expect(run('[*]', [1, null, 2])).to.deep.equal([1, 2]);
+      expect(run('[]', [[1], 2, [3, [4]]])).to.deep.equal([1, 2, 3, [4]]);
+      expect(run('[0:2]', [1, 2, 3])).to.deep.equal([1, 2]);
+      expect(run('[1]', [1, 2, 3])).to.equal(2);
+      expect(run('names.*')).to.be.null;
+      expect(run('customer[*]')).to.be.null;
+      expect(run('customer[]')).to.be.null;
+      expect(run('orders[*].items[0].sku')).to.deep.equal(['a', 'c']);
+      expect(run('orders[*].{id: id, count: length(items || `[]`)}')).to.deep.equal([
+        {id: 1, count: 2},
+        {id: 2, count: 1},
+        {id: 3, count: 0}
+      ]);
+      expect(run('orders[*].[id, status]')).to.deep.equal([[1, 'paid'], [2, 'open'], [3, 'paid']]);
+      expect(run('orders[*] | [0].id')).to.equal(1);
+      expect(run('orders[*].*')).to.have.length(3);
+      expect(run('[*][0]', [[1, 2], [3]])).to.deep.equal([1, 3]);
+      expect(run('[:1]', [1, 2])).to.deep.equal([1]);
+      expect(run('[*, names[0]]', {a: 1, names: ['x']})).to.deep.equal([[1, ['x']], 'x']);
+      expect(run('{"first name": customer.first}')).to.deep.equal({'first name': 'Jane'});
+      expect(run('{a: a}', undefined)).to.be.null;
+    });
+
+    it('should filter arrays', () => {
+      expect(run('orders[?status == \'paid\'].id')).to.deep.equal([1, 3]);
+      expect(run('orders[?status != \'paid\'].id')).to.deep.equal([2]);
+      expect(run('orders[?total > `5`].id')).to.deep.equal([1, 2]);
+      expect(run('orders[?total >= `10`].id')).to.deep.equal([1, 2]);
+      expect(run('orders[?total < `10`].id')).to.deep.equal([3]);
+      expect(run('orders[?total <= `10`].id')).to.deep.equal([1, 3]);
+      expect(run('orders[?status > `1`]')).to.deep.equal([]);
+      expect(run('orders[?items && total > `5`].id')).to.deep.equal([1, 2]);
+      expect(run('orders[?!items || status == \'open\'].id')).to.deep.equal([2, 3]);
+      expect(run('orders[?items[?contains(tags, \'new\')]].id')).to.deep.equal([2]);
+      expect(run('[?@ == `{"a": [1]}`]', [{a: [1]}, {a: [2]}, {a: [1], b: 1}, {b: [1]}, 1])).to.deep.equal([{a: [1]}]);
+      expect(run('[?@ == `[1, 2]`]', [[1, 2], [1], [2, 1]])).to.deep.equal([[1, 2]]);
+      expect(run('orders[?total > `5`] []')).to.have.length(2);
+      expect(run('customer[?age]')).to.be.null;
+      expect(run('[?@]', ['', 'a', [], {}, false, 0])).to.deep.equal(['a', 0]);
+      expect(run('[?*]', [{a: 1}, {}])).to.deep.equal([{a: 1}]);
+      expect(run('[*][?@ > `1`]', [[1, 2], [3]])).to.deep.equal([[2], [3]]);
+      expect(run('[`[1]` == `1`, `{}` == `1`, `1` < \'a\']', {})).to.deep.equal([false, false, null]);
+    });
+
+    it('should evaluate logical expressions', () => {
+      expect(run('nothing || customer.first')).to.equal('Jane');
+      expect(run('flag || customer.first')).to.be.true;
+      expect(run('empty && flag')).to.deep.equal({});
+      expect(run('flag && customer.first')).to.equal('Jane');
+      expect(run('!empty')).to.be.true;
+      expect(run('(nothing || names)[0]')).to.equal('b');
+      expect(run('{first: customer.first}', null)).to.be.null;
+      expect(run('[customer.first]', null)).to.be.null;
+    });
+
+    it('should call functions', () => {
+      expect(run('abs(customer.age)')).to.equal(30);
+      expect(run('abs(customer.first)')).to.be.null;
+      expect(run('avg(orders[*].total)')).to.equal(13.166666666666666);
+      expect(run('avg(`[]`)')).to.be.null;
+      expect(run('avg(names)')).to.be.null;
+      expect(run('ceil(orders[1].total)')).to.equal(26);
+      expect(run('ceil(names)')).to.be.null;
+      expect(run('floor(orders[1].total)')).to.equal(25);
+      expect(run('floor(names)')).to.be.null;
+      expect(run('contains(customer.first, \'an\')')).to.be.true;
+      expect(run('contains(customer.first, `1`)')).to.be.false;
+      expect(run('contains(names, \'a\')')).to.be.true;
+      expect(run('contains(customer, \'a\')')).to.be.null;
+      expect(run('ends_with(customer.first, \'ne\')')).to.be.true;
+      expect(run('ends_with(names, \'ne\')')).to.be.null;
+      expect(run('starts_with(customer.first, \'Ja\')')).to.be.true;
+      expect(run('starts_with(customer.first, `1`)')).to.be.null;
+      expect(run('join(\', \', names)')).to.equal('b, c, a');
+      expect(run('join(\', \', orders)')).to.be.null;
+      expect(run('join(`1`, names)')).to.be.null;
+      expect(run('sum(customer)')).to.be.null;
+      expect(run('sort_by(orders, total)')).to.be.null;
+      expect(run('starts_with(names, \'a\')')).to.be.null;
+      expect(run('keys(scores)')).to.deep.equal(['math', 'art']);
+      expect(run('keys(names)')).to.be.null;
+      expect(run('values(scores)')).to.deep.equal([90, 75]);
+      expect(run('values(names)')).to.be.null;
+      expect(run('length(customer.first)')).to.equal(4);
+      expect(run('length(names)')).to.equal(3);
+      expect(run('length(scores)')).to.equal(2);
+      expect(run('length(flag)')).to.be.null;
+      expect(run('map(&id, orders)')).to.deep.equal([1, 2, 3]);
+      expect(run('map(&items[0].sku, orders)')).to.deep.equal(['a', 'c', null]);
+      expect(run('map(&id, customer)')).to.be.null;
+      expect(run('map(id, orders)')).to.be.null;
+      expect(run('max(orders[*].total)')).to.equal(25.5);
+      expect(run('min(names)')).to.equal('a');
+      expect(run('max(`[]`)')).to.be.null;
+      expect(run('min(`[1, "a"]`)')).to.be.null;
+      expect(run('max_by(orders, &total).id')).to.equal(2);
+      expect(run('min_by(orders, &total).id')).to.equal(3);
+      expect(run('max_by(orders, &status).id')).to.equal(1);
+      expect(run('min_by(`[]`, &total)')).to.be.null;
+      expect(run('max_by(orders, &items)')).to.be.null;
+      expect(run('max_by(customer, &age)')).to.be.null;
+      expect(run('merge(scores, `{"art": 80}`, customer).art')).to.equal(80);
+      expect(run('merge(scores, names)')).to.be.null;
+      expect(run('not_null(nothing, customer.middle, customer.first)')).to.equal('Jane');
+      expect(run('not_null(nothing)')).to.be.null;
+      expect(run('reverse(customer.first)')).to.equal('enaJ');
+      expect(run('reverse(names)')).to.deep.equal(['a', 'c', 'b']);
+      expect(run('reverse(flag)')).to.be.null;
+      expect(run('sort(names)')).to.deep.equal(['a', 'b', 'c']);
+      expect(run('sort(`[3, 1, 2, 1]`)')).to.deep.equal([1, 1, 2, 3]);
+      expect(run('sort(orders)')).to.be.null;
+      expect(run('sort_by(orders, &total)[*].id')).to.deep.equal([3, 1, 2]);
+      expect(run('sort_by(orders, &status)[*].id')).to.deep.equal([2, 1, 3]);
+      expect(run('sort_by(`[{"a": 2}, {"a": 1}, {"a": 2}]`, &a)')).to.deep.equal([{a: 1}, {a: 2}, {a: 2}]);
+      expect(run('sort_by(orders, &items)')).to.be.null;
+      expect(run('sort_by(customer, &age)')).to.be.null;
+      expect(run('sum(orders[*].total)')).to.equal(39.5);
+      expect(run('sum(names)')).to.be.null;
+      expect(run('to_array(names)')).to.deep.equal(names());
+      expect(run('to_array(customer.first)')).to.deep.equal(['Jane']);
+      expect(run('to_number(\' 12.5 \')')).to.equal(12.5);
+      expect(run('to_number(orders[0].total)')).to.equal(10);
+      expect(run('to_number(\'abc\')')).to.be.null;
+      expect(run('to_number(\' \')')).to.be.null;
+      expect(run('to_number(flag)')).to.be.null;
+      expect(run('to_string(customer.first)')).to.equal('Jane');
+      expect(run('to_string(scores)')).to.equal('{"math":90,"art":75}');
+      expect(_.map(['nothing', 'names', 'customer', 'flag', 'customer.age', 'customer.first'], (path) => run(`type(${path})`))).to.deep.equal([
+        'null',
+        'array',
+        'object',
+        'boolean',
+        'number',
+        'string'
+      ]);
+      expect(run('type(@)', undefined)).to.equal('null');
+    });
+
+    /**
+     *  Returns the names of the data.
+     *
+     * @method names
+     * @return {string[]}
+     */
+    function names() {
+      return data.names;
+    }
+  });
+
+  describe('parse', () => {
+    it('should report expressions that are not valid', () => {
+      let errors = _.map([
+        'orders[',
+        'orders[1',
+        'a b',
+        'a.b.',
+        'a.1',
+        '=a',
+        'a *',
+        'a.{1: b}',
+        '`{bad`',
+        'length()',
+        'length(a, b)',
+        'unknown(a)',
+        '"length"(a)',
+        'a.b(c)',
+        '@(a)',
+        'names[::0]',
+        'names[1:2:3:4]',
+        '[a b]',
+        '-'
+      ], (source) => _.attempt(expressions.parse, source).message);
+      expect(errors).to.deep.equal([
+        'The expression orders[ is not valid, it ended early.',
+        'The expression orders[1 is not valid, it ended early.',
+        'The expression a b is not valid, b at 2 is not expected.',
+        'The expression a.b. is not valid, it ended early.',
+        'The expression a.1 is not valid, 1 at 2 is not expected.',
+        'The expression =a is not valid, the character = at 0 is not expected.',
+        'The expression a * is not valid, * at 2 is not expected.',
+        'The expression a.{1: b} is not valid, 1 at 3 is not expected.',
+        'The expression `{bad` is not valid, the literal `{bad` is not JSON.',
+        'The expression length() is not valid, the function length can\'t be called with 0 arguments.',
+        'The expression length(a, b) is not valid, the function length can\'t be called with 2 arguments.',
+        'The expression unknown(a) is not valid, unknown is not a function.',
+        'The expression "length"(a) is not valid, a quoted identifier can\'t be the name of a function.',
+        'The expression a.b(c) is not valid, b is not a function.',
+        'The expression @(a) is not valid, only functions can be called.',
+        'The expression names[::0] is not valid, the step of a slice can\'t be 0.',
+        'The expression names[1:2:3:4] is not valid, : at 11 is not expected.',
+        'The expression [a b] is not valid, b at 3 is not expected.',
+        'The expression - is not valid, the character - at 0 is not expected.'
+      ]);
+    });
+
+    it('should parse into a tree that can be serialized as JSON', () => {
+      let tree = expressions.parse('orders[?status == \'paid\'].total | sum(@)');
+      expect(JSON.parse(JSON.stringify(tree))).to.deep.equal(tree);
+      expect(expressions.evaluate(tree, data)).to.equal(14);
+    });
+  });
+
+  describe('compile', () => {
+    const schema = {
+      total: '=orders[].total | sum(@)',
+      count: '=length(orders)',
+      skus: {
+        srcPath: '=orders[].items[].sku',
+        filter: (skus) => skus.join('')
+      },
+      name: '=join(\' \', [customer.first, customer.last])',
+      biggest: '=max_by(orders, &total).id',
+      summary: {
+        srcPath: '={id: orders[0].id, paid: length(orders[?status == \'paid\'])}'
+      },
+      missing: {
+        srcPath: '=customer.middle',
+        defaultValue: 'none'
+      },
+      items: {
+        items: '=orders[?items][]',
+        schema: {
+          id: 'id',
+          skus: '=items[*].sku'
+        }
+      }
+    };
+    const expected = {
+      total: 39.5,
+      count: 3,
+      skus: 'abc',
+      name: 'Jane Doe',
+      biggest: 2,
+      summary: {id: 1, paid: 2},
+      missing: 'none',
+      items: [{id: 1, skus: ['a', 'b']}, {id: 2, skus: ['c']}]
+    };
+
+    it('should transform with expressions', () => {
+      expect(transform.compile(schema)(data)).to.deep.equal(expected);
+      expect(transform.compile(schema, undefined, {engine: 'codegen'})(data)).to.deep.equal(expected);
+    });
+
+    it('should transform with expressions with compileAsync', async () => {
+      expect(await transform.compileAsync(schema)(data)).to.deep.equal(expected);
+    });
+
+    it('should export expressions', () => {
+      let module = {exports: {}};
+      let exportSchema = _.omit(schema, 'skus');
+      new Function('module', 'exports', exporter.exportSchema(exportSchema))(module, module.exports);
+      expect(module.exports(data)).to.deep.equal(_.omit(expected, 'skus'));
+      expect(exporter.exportSchema({id: 'id'})).to.not.include('var expressions');
+    });
+
+    it('should throw an error when compiling an expression that is not valid', () => {
+      expect(() => {
+        transform.compile({total: '=sum(orders[].total'}, undefined, {validate: false});
+      }).to.throw('The expression sum(orders[].total is not valid, it ended early.');
+    });
+
+    it('should report expressions that are not valid when validating', () => {
+      let errors = validate.validateSchema({
+        a: '=length(',
+        b: {srcPath: '=a.'},
+        c: {items: '=[', schema: {}},
+        d: '=length(a)'
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a is not a valid expression: The expression length( is not valid, it ended early.',
+        'b.srcPath is not a valid expression: The expression a. is not valid, it ended early.',
+        'c.items is not a valid expression: The expression [ is not valid, it ended early.'
+      ]);
+    });
+
+    it('should report expressions that can\'t be inverted', () => {
+      let result = invert.invert({total: '=sum(orders[].total)', count: {srcPath: '=length(orders)', inverse: {path: 'count'}}});
+      expect(result.schema).to.deep.equal({count: 'count'});
+      expect(result.nonInvertible).to.deep.equal([{path: 'total', reason: 'Expressions can\'t be inverted without an inverse.'}]);
+    });
+  });
+});
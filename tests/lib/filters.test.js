@@ -0,0 +1,169 @@
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const filters = require('../../lib/filters');
+
+filters.registerFilter('stateCode', (value) => ({California: 'CA'})[value]);
+filters.registerFilter('fullName', (src) => `${src.firstName} ${src.lastName}`);
+filters.registerFilter('finished', (src, dst) => {
+  dst.finished = true;
+});
+
+// A schema that only contains JSON values, as if it was loaded from a file
+const jsonSchema = JSON.parse(JSON.stringify({
+  'name': {
+    srcPath: '$self',
+    filter: 'fullName'
+  },
+  'email': {
+    srcPath: 'email',
+    filter: ['trim', 'lowercase']
+  },
+  'address': {
+    srcPath: 'address',
+    schema: {
+      stateCode: {
+        srcPath: 'state',
+        filter: 'stateCode'
+      }
+    }
+  },
+  '_onFinished': 'finished'
+}));
+
+const src = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: '  Jane@Example.com ',
+  address: {
+    state: 'California'
+  }
+};
+
+describe('filters', () => {
+  describe('registerFilter', () => {
+    it('should register a filter by name', () => {
+      let filter = (value) => value;
+      filters.registerFilter('registered', filter);
+      expect(filters.hasFilter('registered')).to.be.true;
+      expect(filters.getFilter('registered')).to.equal(filter);
+      expect(filters.unregisterFilter('registered')).to.be.true;
+      expect(filters.hasFilter('registered')).to.be.false;
+      expect(filters.unregisterFilter('registered')).to.be.false;
+    });
+
+    it('should throw an error when the name is not a string', () => {
+      expect(() => {
+        filters.registerFilter('', () => 'value');
+      }).to.throw('The filter name must be a non-empty string.');
+      expect(() => {
+        filters.registerFilter(1, () => 'value');
+      }).to.throw('The filter name must be a non-empty string.');
+    });
+
+    it('should throw an error when the filter is not a function', () => {
+      expect(() => {
+        filters.registerFilter('notFunction', 'value');
+      }).to.throw('The filter must be a function.');
+    });
+  });
+
+  describe('built in filters', () => {
+    it('should change strings and ignore other values', () => {
+      expect(filters.getFilter('trim')(' a ')).to.equal('a');
+      expect(filters.getFilter('lowercase')('A')).to.equal('a');
+      expect(filters.getFilter('uppercase')('a')).to.equal('A');
+      expect(filters.getFilter('trim')(1)).to.equal(1);
+      expect(filters.getFilter('lowercase')(null)).to.be.null;
+      expect(filters.getFilter('uppercase')(undefined)).to.be.undefined;
+    });
+  });
+
+  describe('resolveFilter', () => {
+    it('should return a function unchanged', () => {
+      let filter = (value) => value;
+      expect(filters.resolveFilter(filter)).to.equal(filter);
+      expect(filters.resolveFilter([filter])).to.equal(filter);
+    });
+
+    it('should run an array of filters in order with the same arguments and context', () => {
+      let context = {};
+      let filter = filters.resolveFilter(['trim', function (value, src, dst) {
+        expect(this).to.equal(context);
+        expect(src).to.equal('src');
+        expect(dst).to.equal('dst');
+        return `${value}!`;
+      }, 'uppercase']);
+      expect(filter.call(context, ' a ', 'src', 'dst')).to.equal('A!');
+    });
+
+    it('should throw an error when a filter is not registered', () => {
+      expect(() => {
+        filters.resolveFilter(['trim', 'missingFilter']);
+      }).to.throw('The filter "missingFilter" was not found.');
+    });
+  });
+
+  describe('getMissingFilters', () => {
+    it('should return the names that are not registered', () => {
+      expect(filters.getMissingFilters(['trim', 'missingFilter', () => 'value'])).to.deep.equal(['missingFilter']);
+      expect(filters.getMissingFilters('trim')).to.deep.equal([]);
+    });
+  });
+
+  describe('compile', () => {
+    it('should resolve named filters in a JSON schema', () => {
+      let result = transform.compile(jsonSchema)(JSON.parse(JSON.stringify(src)));
+      expect(result).to.deep.equal({
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        address: {
+          stateCode: 'CA'
+        },
+        finished: true
+      });
+    });
+
+    it('should produce the same result as the schema with functions', () => {
+      let schema = {
+        'name': filters.getFilter('fullName'),
+        'email': {
+          srcPath: 'email',
+          filter: (value) => value.trim().toLowerCase()
+        },
+        'address': {
+          srcPath: 'address',
+          schema: {
+            stateCode: {
+              srcPath: 'state',
+              filter: filters.getFilter('stateCode')
+            }
+          }
+        },
+        '_onFinished': filters.getFilter('finished')
+      };
+      expect(transform.compile(jsonSchema)(src)).to.deep.equal(transform.compile(schema)(src));
+    });
+
+    it('should resolve named filters with the codegen engine', () => {
+      let result = transform.compile(jsonSchema, undefined, {engine: 'codegen'})(src);
+      expect(result).to.deep.equal(transform.compile(jsonSchema)(src));
+    });
+
+    it('should resolve a named custom filter', () => {
+      let func = transform.compile({foo: {srcPath: 'bar', customFilter: 'uppercase'}});
+      expect(func({bar: 'baz'})).to.deep.equal({foo: 'BAZ'});
+    });
+
+    it('should throw an error when a filter is not registered and validation is disabled', () => {
+      expect(() => {
+        transform.compile({foo: {srcPath: 'bar', filter: 'missingFilter'}}, undefined, {validate: false});
+      }).to.throw('The filter "missingFilter" was not found.');
+    });
+  });
+});
@@ -0,0 +1,287 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const invert = require('../../lib/invert');
+const registries = require('../../lib/registry');
+
+const toUpper = (value) => value.toUpperCase();
+const toLower = (value) => value.toLowerCase();
+
+transform.compile({
+  _name: 'invertedAddress',
+  deliveryLine: 'street',
+  postalCode: 'zip'
+});
+
+const schema = {
+  'id': 'userId',
+  'firstName': null,
+  'name.last': 'lastName',
+  'address': {
+    srcPath: 'address',
+    schema: {
+      street: 'street',
+      zip: null
+    }
+  },
+  'state': {
+    srcPath: 'address.state',
+    filter: toUpper,
+    inverse: toLower
+  },
+  'home': {
+    srcPath: 'home',
+    schema: 'invertedAddress'
+  },
+  'phones': {
+    srcPath: 'phones',
+    schema: {
+      number: 'phone',
+      type: '$self.kind'
+    }
+  },
+  'coordinates': {
+    srcPath: '$self',
+    schema: {
+      lat: 'location.latitude',
+      lon: 'location.longitude',
+      altitude: null,
+      nested: {
+        srcPath: 'location.nested',
+        schema: {
+          value: 'value'
+        }
+      }
+    }
+  },
+  'password': {
+    remove: true
+  }
+};
+
+const sourceObject = {
+  userId: '123',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  address: {
+    street: '1 Main St',
+    state: 'california',
+    zip: '95013'
+  },
+  home: {
+    street: '2 Main St',
+    zip: '95014'
+  },
+  phones: [
+    {
+      phone: '555-1234',
+      kind: 'home'
+    }
+  ],
+  altitude: 100,
+  location: {
+    latitude: 123.12345,
+    longitude: 85.89012,
+    nested: {
+      value: 'nested'
+    }
+  }
+};
+
+describe('invert', () => {
+  describe('invert', () => {
+    it('should invert a schema so the destination transforms back into the source', () => {
+      let inverted = invert.invert(schema);
+      expect(inverted.nonInvertible).to.deep.equal([]);
+
+      let dst = transform.compile(schema)(sourceObject);
+      let result = transform.compile(inverted.schema)(dst);
+      expect(result).to.deep.equal(sourceObject);
+    });
+
+    it('should invert the paths', () => {
+      let inverted = invert.invert(schema).schema;
+      expect(_.omit(inverted, ['address.state', 'address', 'home', 'phones'])).to.deep.equal({
+        'userId': 'id',
+        'firstName': null,
+        'lastName': 'name.last',
+        'location.latitude': 'coordinates.lat',
+        'location.longitude': 'coordinates.lon',
+        'altitude': 'coordinates.altitude',
+        'location.nested': {
+          srcPath: 'coordinates.nested',
+          schema: {
+            value: null
+          }
+        }
+      });
+      expect(inverted['address.state']).to.deep.equal({srcPath: 'state', filter: toLower});
+      expect(inverted.phones).to.deep.equal({srcPath: 'phones', schema: {phone: 'number', kind: 'type'}});
+    });
+
+    it('should invert a schema by name', () => {
+      expect(invert.invert('invertedAddress').schema).to.deep.equal({street: 'deliveryLine', zip: 'postalCode'});
+    });
+
+    it('should invert a compiled transformation function', () => {
+      let func = transform.compile({foo: 'bar'});
+      expect(invert.invert(func).schema).to.deep.equal({bar: 'foo'});
+    });
+
+    it('should report conditional fields and switches', () => {
+      let inverted = invert.invert({
+        id: 'userId',
+        name: {srcPath: 'name', when: 'active'},
+        payment: {srcPath: 'payment', switch: {path: 'type', cases: {card: {number: 'number'}}}}
+      });
+      expect(inverted.schema).to.deep.equal({userId: 'id'});
+      expect(inverted.nonInvertible).to.deep.equal([
+        {path: 'name', reason: 'Conditional fields can\'t be inverted.'},
+        {path: 'payment', reason: 'Switch schemas can\'t be inverted.'}
+      ]);
+    });
+
+    it('should throw an error when the schema does not exist', () => {
+      expect(() => {
+        invert.invert('inverted schema does not exist');
+      }).to.throw('The schema was not found.');
+    });
+
+    it('should use an inverse with a path', () => {
+      let forward = {
+        fullName: {
+          srcPath: (src) => `${src.first} ${src.last}`,
+          inverse: {
+            path: 'first',
+            filter: (value) => value.split(' ')[0]
+          }
+        },
+        literal: {
+          srcPath: 'foo',
+          filter: () => 'bar',
+          inverse: {
+            path: 'foo'
+          }
+        }
+      };
+      let inverted = invert.invert(forward);
+      expect(inverted.nonInvertible).to.deep.equal([]);
+      let dst = transform.compile(forward)({first: 'Jane', last: 'Doe', foo: 'foo'});
+      expect(dst).to.deep.equal({fullName: 'Jane Doe', literal: 'bar'});
+      expect(transform.compile(inverted.schema)(dst)).to.deep.equal({first: 'Jane', foo: 'bar'});
+    });
+
+    it('should report the fields that can\'t be inverted', () => {
+      let inverted = invert.invert({
+        'literal': '~literal',
+        'function': _.noop,
+        'colors[]': 'color',
+        'filtered': {
+          srcPath: 'filtered',
+          filter: toUpper
+        },
+        'sourceFunction': {
+          srcPath: _.noop
+        },
+        'sourceFunctionInverse': {
+          srcPath: _.noop,
+          inverse: toLower
+        },
+        'parent': '$parent.foo',
+        'top': {
+          srcPath: '$top',
+          schema: {
+            foo: 'bar'
+          }
+        },
+        'self': '$self',
+        'pushed': 'items[]',
+        'duplicate1': 'foo',
+        'duplicate2': 'foo',
+        'embedded': {
+          srcPath: 'embedded',
+          schema: _.noop
+        },
+        'nested': {
+          srcPath: 'nested',
+          schema: {
+            _onFinished: _.noop
+          }
+        },
+        '_onFinished': _.noop
+      });
+      expect(inverted.schema).to.deep.equal({foo: 'duplicate1', nested: {srcPath: 'nested', schema: {}}});
+      expect(inverted.nonInvertible).to.deep.equal([
+        {path: '_onFinished', reason: 'The _onFinished function can\'t be inverted.'},
+        {path: 'literal', reason: 'Literal values can\'t be inverted without an inverse.'},
+        {path: 'function', reason: 'Function fields can\'t be inverted.'},
+        {path: 'colors[]', reason: 'Destination arrays can\'t be inverted.'},
+        {path: 'filtered', reason: 'Filters can\'t be inverted without an inverse.'},
+        {path: 'sourceFunction', reason: 'Function source paths can\'t be inverted without an inverse.'},
+        {path: 'sourceFunctionInverse', reason: 'The inverse requires a path when the source is not a path.'},
+        {path: 'parent', reason: 'The source path $parent.foo can\'t be inverted.'},
+        {path: 'top', reason: 'The source path $top can\'t be inverted.'},
+        {path: 'self', reason: 'The source path $self can\'t be inverted.'},
+        {path: 'pushed', reason: 'The source path items[] can\'t be inverted.'},
+        {path: 'duplicate2', reason: 'The source path foo is already mapped by another field.'},
+        {path: 'embedded', reason: 'The embedded schema was not compiled and can\'t be inverted.'},
+        {path: 'nested.schema._onFinished', reason: 'The _onFinished function can\'t be inverted.'}
+      ]);
+    });
+
+    it('should invert the source paths that end in an index', () => {
+      let schema = {first: 'items[0]', last: 'items[2]', name: 'owners[1].name'};
+      let inverted = invert.invert(schema);
+      expect(inverted.nonInvertible).to.deep.equal([]);
+      expect(inverted.schema).to.deep.equal({'items[0]': 'first', 'items[2]': 'last', 'owners[1].name': 'name'});
+      let src = {items: ['a', 'b', 'c'], owners: [{name: 'x'}, {name: 'y'}]};
+      let dst = transform.compile(schema)(src);
+      expect(transform.compile(inverted.schema)(dst, {items: ['a', 'b', 'c']})).to.deep.equal({
+        items: ['a', 'b', 'c'],
+        owners: [undefined, {name: 'y'}]
+      });
+    });
+
+    it('should invert named child schemas that are resolved when first used', () => {
+      let registry = registries.createRegistry();
+      registry.register('invertedParent', {
+        address: {
+          srcPath: 'location',
+          schema: 'invertedAddress'
+        },
+        missing: {
+          srcPath: 'missing',
+          schema: 'invertedMissing'
+        }
+      });
+      registry.register('invertedAddress', {street: 'line1'});
+      let inverted = invert.invert('invertedParent', {registry});
+      expect(inverted.schema).to.deep.equal({location: {srcPath: 'address', schema: {line1: 'street'}}});
+      expect(inverted.nonInvertible).to.deep.equal([
+        {path: 'missing', reason: 'The child schema "invertedMissing" was not found.'}
+      ]);
+    });
+
+    it('should report recursive schemas', () => {
+      let registry = registries.createRegistry();
+      registry.register('invertedComment', {
+        text: 'body',
+        replies: {
+          srcPath: 'children',
+          schema: 'invertedComment'
+        }
+      });
+      let inverted = invert.invert('invertedComment', {registry});
+      expect(inverted.schema).to.deep.equal({body: 'text'});
+      expect(inverted.nonInvertible).to.deep.equal([
+        {path: 'replies', reason: 'Recursive schemas can\'t be inverted.'}
+      ]);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const exporter = require('../../lib/export');
+const invert = require('../../lib/invert');
+const paths = require('../../lib/paths');
+const validate = require('../../lib/validate');
+
+const src = {
+  orders: [
+    {id: 1, items: [{sku: 'a', status: 'active', price: 5}, {sku: 'b', status: 'deleted', price: 15}]},
+    {id: 2, items: [{sku: 'c', status: 'active', price: 20, tags: {primary: true}}]},
+    {id: 3}
+  ],
+  prices: {small: 1, large: 3},
+  tags: ['new', 'sale', 'clearance']
+};
+
+const schema = {
+  skus: 'orders[*].items[*].sku',
+  activeSkus: 'orders[*].items[?status==\'active\'].sku',
+  expensive: 'orders.*.items[?price>=15].sku',
+  primary: 'orders[*].items[?tags.primary].sku',
+  lastTag: 'tags[-1]',
+  lastItems: 'orders[*].items[-1].sku',
+  priceList: 'prices.*',
+  sale: 'tags[?@=="sale"]',
+  missing: 'customers[*].name',
+  count: {
+    srcPath: 'orders[*].id',
+    filter: _.size
+  },
+  fallback: {
+    srcPath: 'customers[*].name',
+    defaultValue: ['none']
+  },
+  'collected[]': 'orders[?id<2].id',
+  items: {
+    srcPath: 'orders[*].items[?status!="deleted"]',
+    schema: {
+      code: 'sku',
+      order: '$parent.orders[-1].id'
+    }
+  }
+};
+
+const expected = {
+  skus: ['a', 'b', 'c'],
+  activeSkus: ['a', 'c'],
+  expensive: ['b', 'c'],
+  primary: ['c'],
+  lastTag: 'clearance',
+  lastItems: ['b', 'c'],
+  priceList: [1, 3],
+  sale: ['sale'],
+  count: 3,
+  fallback: ['none'],
+  collected: [1],
+  items: [{code: 'a', order: 3}, {code: 'c', order: 3}]
+};
+
+describe('paths', () => {
+  describe('parsePath', () => {
+    it('should return null for paths that are not projections', () => {
+      expect(paths.parsePath('orders[0].items')).to.be.null;
+      expect(paths.parsePath('orders..items[*]')).to.be.null;
+      expect(paths.parsePath('orders[*')).to.be.null;
+      expect(paths.isProjection('orders.')).to.be.false;
+      expect(paths.isProjection(_.identity)).to.be.false;
+    });
+
+    it('should parse the segments of a projection', () => {
+      expect(paths.parsePath('orders[0]["first.name"][*].items[-2]')).to.deep.equal([
+        {key: 'orders'},
+        {key: '0'},
+        {key: 'first.name'},
+        {wildcard: true},
+        {key: 'items'},
+        {index: -2}
+      ]);
+      expect(paths.parsePath('items[?a.b >= 1.5][?@][?c == \'it\\\'s\'][?d != null][?e=="]"]')).to.deep.equal([
+        {key: 'items'},
+        {predicate: {keys: ['a', 'b'], operator: '>=', value: 1.5}},
+        {predicate: {keys: []}},
+        {predicate: {keys: ['c'], operator: '==', value: 'it\'s'}},
+        {predicate: {keys: ['d'], operator: '!=', value: null}},
+        {predicate: {keys: ['e'], operator: '==', value: ']'}}
+      ]);
+    });
+
+    it('should throw an error when a predicate is not valid', () => {
+      expect(() => {
+        paths.parsePath('items[?status==active]');
+      }).to.throw('The predicate status==active of the path items[?status==active] is not valid.');
+      expect(() => {
+        paths.parsePath('items[?]');
+      }).to.throw('The predicate  of the path items[?] is not valid.');
+    });
+  });
+
+  describe('project', () => {
+    it('should read the values of a projection', () => {
+      let read = (path) => paths.project(src, paths.parsePath(path));
+      expect(read('orders[*].items[*].sku')).to.deep.equal(['a', 'b', 'c']);
+      expect(read('orders[*].missing')).to.deep.equal([]);
+      expect(read('orders[-1].id')).to.equal(3);
+      expect(read('prices[-1]')).to.be.undefined;
+      expect(read('missing[-1]')).to.be.undefined;
+      expect(read('missing[*]')).to.be.undefined;
+      expect(read('tags[0][*]')).to.deep.equal([]);
+      expect(read('orders[?items.0.price < 10].id')).to.deep.equal([1]);
+      expect(read('orders[?items.0.price > 10].id')).to.deep.equal([2]);
+      expect(read('orders[?id <= 1].id')).to.deep.equal([1]);
+      expect(read('orders[?id == true].id')).to.deep.equal([]);
+      let format = () => null;
+      format.id = 1;
+      expect(paths.project({format}, paths.parsePath('format.*'))).to.deep.equal([1]);
+    });
+  });
+
+  describe('compile', () => {
+    it('should transform with projections', () => {
+      expect(transform.compile(schema)(src)).to.deep.equal(expected);
+      expect(transform.compile(schema)({})).to.deep.equal({count: 0, fallback: ['none']});
+    });
+
+    it('should transform with projections with the codegen engine', () => {
+      let func = transform.compile(schema, undefined, {engine: 'codegen'});
+      expect(func(src)).to.deep.equal(expected);
+      expect(func({})).to.deep.equal({count: 0, fallback: ['none']});
+    });
+
+    it('should transform with projections with compileAsync', async () => {
+      expect(await transform.compileAsync(schema)(src)).to.deep.equal(expected);
+    });
+
+    it('should use projections in conditions and switches', () => {
+      let func = transform.compile({
+        skus: {
+          srcPath: 'orders[*].items[*].sku',
+          when: 'orders[?id==3]'
+        },
+        none: {
+          srcPath: 'orders[*].id',
+          when: {path: 'orders[?id==4]', exists: true}
+        },
+        last: {
+          srcPath: '$self',
+          switch: {
+            path: 'orders[-1].id',
+            cases: {
+              3: {id: 'orders[-1].id'}
+            }
+          }
+        }
+      });
+      expect(func(src)).to.deep.equal({skus: ['a', 'b', 'c'], none: [1, 2, 3], last: {id: 3}});
+    });
+
+    it('should export projections', () => {
+      let module = {exports: {}};
+      let exportSchema = _.omit(schema, 'count');
+      new Function('module', 'exports', exporter.exportSchema(exportSchema))(module, module.exports);
+      let compiled = transform.compile(exportSchema);
+      _.each([src, {}, {orders: [null, {items: {first: {sku: 'd', tags: null}}}]}, {tags: 'none', prices: 'none'}], (value) => {
+        expect(module.exports(value)).to.deep.equal(compiled(value));
+      });
+    });
+  });
+
+  describe('invert', () => {
+    it('should report projections that can\'t be inverted', () => {
+      let result = invert.invert({skus: 'orders[*].sku', id: 'id'});
+      expect(result.nonInvertible).to.deep.equal([{path: 'skus', reason: 'The source path orders[*].sku can\'t be inverted.'}]);
+    });
+  });
+
+  describe('destination selectors', () => {
+    const order = {first: 'a', second: 'b', note: 'gift', code: '7', sizes: ['m'], lines: [{sku: 'x', qty: 1}, {sku: 'y', qty: 2}]};
+    const multiply = (value) => value * 10;
+    const computed = () => 'c';
+    const selectorSchema = {
+      'slots[1]': 'first',
+      'slots[-1]': 'second',
+      'slots[-2]': {remove: true},
+      'lines[sku=x].qty': {srcPath: 'lines[0].qty', filter: multiply},
+      'lines[sku=z].qty': 'lines[1].qty',
+      'lines[sku="w"]': {srcPath: '$self', schema: {sku: '~w', note: 'note'}},
+      'lines[sku=x].tags[]': 'note',
+      'lines[sku=x].sizes': {srcPath: 'sizes', arrayMerge: 'append'},
+      'lines[-1].last': '~yes',
+      'codes[id=7].value': 'code',
+      'empty[-1]': '~z',
+      'missing[id=1].value': {remove: true},
+      'lines[sku=y].items': {srcPath: 'lines', schema: {sku: 'sku'}},
+      'computed[-1]': computed,
+      'extra[id=1].tags[]': 'note'
+    };
+    const getDestination = () => ({slots: ['p', 'q', 'r'], lines: [{sku: 'x', qty: 0, sizes: ['s']}]});
+    const expected = {
+      slots: ['p', undefined, 'b'],
+      lines: [
+        {sku: 'x', qty: 10, tags: ['gift'], sizes: ['s', 'm']},
+        {sku: 'z', qty: 2},
+        {sku: 'w', note: 'gift', last: 'yes'},
+        {sku: 'y', items: [{sku: 'x'}, {sku: 'y'}]}
+      ],
+      codes: [{id: 7, value: '7'}],
+      empty: ['z'],
+      computed: ['c'],
+      extra: [{id: 1, tags: ['gift']}]
+    };
+
+    it('should parse the segments of a destination path that selects an item', () => {
+      expect(paths.parseDestinationPath('items[2].name')).to.be.null;
+      expect(paths.parseDestinationPath('items[]')).to.be.null;
+      expect(paths.parseDestinationPath('items["a.b"][-1]')).to.deep.equal([{key: 'items'}, {key: 'a.b'}, {index: -1}]);
+      expect(paths.parseDestinationPath('items[meta.id = \'a\'][0]')).to.deep.equal([
+        {key: 'items'},
+        {select: {keys: ['meta', 'id'], value: 'a'}},
+        {index: 0}
+      ]);
+      expect(paths.parseDestinationPath('items[-1].')).to.be.null;
+      expect(paths.parseDestinationPath('items[sku=a b]')).to.deep.equal([{key: 'items'}, {select: {keys: ['sku'], value: 'a b'}}]);
+      expect(() => {
+        paths.parseDestinationPath('items[id=]');
+      }).to.throw('The key selector id= of the path items[id=] is not valid.');
+    });
+
+    it('should resolve the items without creating them', () => {
+      let resolve = (object, path, create) => paths.resolveDestination(object, paths.parseDestinationPath(path), create);
+      expect(resolve({items: [{id: 5}]}, 'items[id=5].name')).to.deep.equal({object: {id: 5}, key: 'name'});
+      expect(resolve({items: [{id: 5}]}, 'items[id=6].name')).to.be.undefined;
+      expect(resolve({items: {id: 5}}, 'items[-1].name')).to.be.undefined;
+      expect(resolve({}, '[-1]', true)).to.be.undefined;
+      let dst = {};
+      expect(resolve(dst, 'items[meta.id=5].name', true)).to.deep.equal({object: {meta: {id: 5}}, key: 'name'});
+      expect(dst).to.deep.equal({items: [{meta: {id: 5}}]});
+      expect(resolve(dst, 'items[-1].tags[0]', true)).to.deep.equal({object: [], key: 0});
+      expect(resolve(dst, 'meta.list[-1]', true)).to.deep.equal({object: [], key: 0});
+      expect(dst).to.deep.equal({items: [{meta: {id: 5}, tags: []}], meta: {list: []}});
+      expect(resolve(dst, 'codes[ids.0=5].name', true)).to.deep.equal({object: {ids: [5]}, key: 'name'});
+      expect(dst.codes).to.deep.equal(_.set([{}], '0.ids.0', 5));
+    });
+
+    it('should write the selected items', () => {
+      expect(transform.compile(selectorSchema)(order, getDestination())).to.deep.equal(expected);
+      expect(transform.compile({'[-1]': 'first', 'items[2]': 'first'})(order)).to.deep.equal({items: [undefined, undefined, 'a']});
+    });
+
+    it('should write the selected items with the codegen engine', () => {
+      expect(transform.compile(selectorSchema, undefined, {engine: 'codegen'})(order, getDestination())).to.deep.equal(expected);
+    });
+
+    it('should write the selected items with compileAsync', async () => {
+      expect(await transform.compileAsync(selectorSchema)(order, getDestination())).to.deep.equal(expected);
+    });
+
+    it('should write the selected items when tracing', () => {
+      let traced = transform.compile(selectorSchema, undefined, {trace: true})(order, getDestination());
+      expect(traced.result).to.deep.equal(expected);
+      expect(_.find(traced.trace, {path: 'lines[sku=y].items'})).to.not.have.property('skipped');
+    });
+
+    it('should export the selected items', () => {
+      let module = {exports: {}};
+      let filters = {multiply, computed};
+      new Function('require', 'module', 'exports', exporter.exportSchema(selectorSchema, {filtersPath: './filters', filters}))(() => filters, module, module.exports);
+      expect(module.exports(order, getDestination())).to.deep.equal(expected);
+      let sparse = {lines: [{sku: 'y', qty: 2}]};
+      expect(module.exports(sparse, {lines: {}})).to.deep.equal(transform.compile(selectorSchema)(sparse, {lines: {}}));
+    });
+
+    it('should report the key selectors that are not valid or can\'t be inverted', () => {
+      expect(validate.validateSchema({'items[id=].name': 'name', 'tags[id=][]': 'tag'})).to.deep.equal([
+        {path: 'items[id=].name', message: 'items[id=].name has a key selector that is not valid.'},
+        {path: 'tags[id=][]', message: 'tags[id=][] has a key selector that is not valid.'}
+      ]);
+      let result = invert.invert({'lines[sku=x].qty': 'qty', 'slots[-1]': 'first'});
+      expect(result.schema).to.deep.equal({first: 'slots[-1]'});
+      expect(result.nonInvertible).to.deep.equal([{path: 'lines[sku=x].qty', reason: 'Destination key selectors can\'t be inverted.'}]);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+const {Readable} = require('stream');
+
+const transform = require('../../lib/transform');
+const registries = require('../../lib/registry');
+const exporter = require('../../lib/export');
+const inverter = require('../../lib/invert');
+const stream = require('../../lib/stream');
+const validator = require('../../lib/validate');
+
+describe('registry', () => {
+  describe('createRegistry', () => {
+    it('should register, get, list and delete named schemas', () => {
+      let registry = registries.createRegistry();
+      let func = registry.register('user', {id: 'userId'});
+      expect(func({userId: '1'})).to.deep.equal({id: '1'});
+      expect(registry.has('user')).to.be.true;
+      expect(registry.get('user')).to.equal(func);
+      expect(registry.list()).to.deep.equal(['user']);
+      expect(registry.delete('user')).to.be.true;
+      expect(registry.has('user')).to.be.false;
+      expect(registry.get('user')).to.be.undefined;
+      expect(registry.delete('user')).to.be.false;
+    });
+
+    it('should replace a schema that is registered again', () => {
+      let registry = registries.createRegistry();
+      registry.register('user', {id: 'userId'});
+      let func = registry.register('user', {name: 'userName'});
+      expect(registry.get('user')).to.equal(func);
+      expect(func({userId: '1', userName: 'Jane'})).to.deep.equal({name: 'Jane'});
+    });
+
+    it('should delete and register again a schema compiled by the codegen engine', () => {
+      let registry = registries.createRegistry();
+      registry.register('user', {id: 'userId'}, {engine: 'codegen'});
+      expect(registry.delete('user')).to.be.true;
+      expect(registry.has('user')).to.be.false;
+      expect(registry.list()).to.deep.equal([]);
+      let func = registry.register('user', {name: 'userName'}, {engine: 'codegen'});
+      expect(func({userId: '1', userName: 'Jane'})).to.deep.equal({name: 'Jane'});
+    });
+
+    it('should keep names separate from other registries', () => {
+      let first = registries.createRegistry();
+      let second = registries.createRegistry();
+      first.register('registryUser', {id: 'userId'});
+      second.register('registryUser', {id: 'id'});
+      expect(first.get('registryUser')({userId: '1'})).to.deep.equal({id: '1'});
+      expect(second.get('registryUser')({id: '2'})).to.deep.equal({id: '2'});
+      expect(transform.getDefinition('registryUser')).to.be.undefined;
+    });
+
+    it('should find named child schemas in the registry', () => {
+      let registry = registries.createRegistry();
+      registry.register('registryAddress', {street: 'line1'});
+      let schema = {
+        address: {
+          srcPath: 'address',
+          schema: 'registryAddress'
+        }
+      };
+      let func = transform.compile(schema, undefined, {registry});
+      expect(func({address: {line1: '1 Main St'}})).to.deep.equal({address: {street: '1 Main St'}});
+      let defaultFunc = transform.compile({address: {srcPath: 'address', schema: 'registryAddress'}});
+      expect(() => {
+        defaultFunc({address: {line1: '1 Main St'}});
+      }).to.throw('The child schema "registryAddress" was not found.');
+    });
+
+    it('should store the schemas compiled by each engine separately', () => {
+      let registry = registries.createRegistry();
+      let schema = {_name: 'registryEngine', id: 'userId'};
+      let generated = transform.compile(schema, undefined, {registry, engine: 'codegen'});
+      expect(registry.get('registryEngine')).to.equal(generated);
+      let compiled = transform.compile(schema, undefined, {registry});
+      expect(compiled).to.not.equal(generated);
+      expect(registry.get('registryEngine')).to.equal(compiled);
+      expect(registry.list()).to.deep.equal(['registryEngine']);
+      expect(transform.getDefinition('registryEngine', registry).schema).to.equal(schema);
+    });
+
+    it('should cache anonymous schemas by the schema object', () => {
+      let registry = registries.createRegistry();
+      let schema = {id: 'userId'};
+      let func = transform.compile(schema, undefined, {registry});
+      expect(transform.compile(schema, undefined, {registry})).to.equal(func);
+      expect(transform.compile(schema)).to.not.equal(func);
+      expect(registry.list()).to.deep.equal([]);
+    });
+
+    it('should remove every schema when cleared', () => {
+      let registry = registries.createRegistry();
+      let schema = {id: 'userId'};
+      let func = transform.compile(schema, undefined, {registry});
+      registry.register('user', {id: 'userId'});
+      registry.clear();
+      expect(registry.list()).to.deep.equal([]);
+      expect(transform.compile(schema, undefined, {registry})).to.not.equal(func);
+    });
+
+    it('should keep the most recently used anonymous schemas when there is a limit', () => {
+      let registry = registries.createRegistry({limit: 2});
+      let schemas = [{a: 'a'}, {b: 'b'}, {c: 'c'}];
+      let first = transform.compile(schemas[0], undefined, {registry});
+      let second = transform.compile(schemas[1], undefined, {registry});
+      // Use the first schema so the second one is removed
+      expect(transform.compile(schemas[0], undefined, {registry})).to.equal(first);
+      transform.compile(schemas[2], undefined, {registry});
+      expect(transform.compile(schemas[0], undefined, {registry})).to.equal(first);
+      expect(transform.compile(schemas[1], undefined, {registry})).to.not.equal(second);
+
+      registry.clear();
+      expect(transform.compile(schemas[0], undefined, {registry})).to.not.equal(first);
+    });
+
+    it('should throw an error when the limit is not valid', () => {
+      expect(() => {
+        registries.createRegistry({limit: 0});
+      }).to.throw('The limit must be a positive integer.');
+      expect(() => {
+        registries.createRegistry({limit: 1.5});
+      }).to.throw('The limit must be a positive integer.');
+    });
+
+    it('should throw an error when the name is not valid', () => {
+      expect(() => {
+        registries.createRegistry().register('', {id: 'userId'});
+      }).to.throw('The schema name must be a non-empty string.');
+      expect(() => {
+        registries.createRegistry().register(1, {id: 'userId'});
+      }).to.throw('The schema name must be a non-empty string.');
+    });
+  });
+
+  describe('registry option', () => {
+    let registry = registries.createRegistry();
+    registry.register('registryOption', {id: 'userId'});
+
+    it('should be used by transform', () => {
+      expect(transform.transform({userId: '1'}, null, {_name: 'registryTransform', id: 'userId'}, null, {registry})).to.deep.equal({id: '1'});
+      expect(registry.has('registryTransform')).to.be.true;
+    });
+
+    it('should be used by exportSchema', () => {
+      let source = exporter.exportSchema('registryOption', {registry});
+      expect(source).to.include('module.exports = transform;');
+      expect(exporter.exportSchema({user: {srcPath: '$self', schema: 'registryOption'}}, {registry})).to.include('schema1');
+    });
+
+    it('should be used by invert', () => {
+      expect(inverter.invert('registryOption', {registry}).schema).to.deep.equal({userId: 'id'});
+      expect(inverter.invert({user: {srcPath: 'user', schema: 'registryOption'}}, {registry}).schema).to.deep.equal({
+        user: {
+          srcPath: 'user',
+          schema: {userId: 'id'}
+        }
+      });
+    });
+
+    it('should be used by createTransformStream', async () => {
+      let results = await Readable.from([{userId: '1'}]).pipe(stream.createTransformStream('registryOption', {registry})).toArray();
+      expect(results).to.deep.equal([{id: '1'}]);
+    });
+  });
+
+  describe('_extends', () => {
+    let registry = registries.createRegistry();
+    let onFinished = (src, dst) => {
+      dst.finished = true;
+    };
+    registry.register('userSummary', {id: 'userId', name: 'fullName', email: 'email', _onFinished: onFinished});
+    registry.register('audited', {_name: 'audited', createdAt: 'created', id: 'uuid', updatedAt: 'updated'});
+    registry.register('userDetail', {
+      _extends: ['userSummary', 'audited'],
+      name: 'displayName',
+      email: {remove: true},
+      phone: 'phone'
+    });
+    const user = {userId: '1', uuid: 'u1', fullName: 'Jane Doe', displayName: 'Jane', email: 'jane@example.com', phone: '555', created: 1, updated: 2};
+    const expected = {id: 'u1', name: 'Jane', createdAt: 1, updatedAt: 2, phone: '555', finished: true};
+
+    it('should merge the fields of the base schemas in order', () => {
+      let result = registry.get('userDetail')(user);
+      expect(result).to.deep.equal(expected);
+      expect(Object.keys(result)).to.deep.equal(['id', 'name', 'createdAt', 'updatedAt', 'phone', 'finished']);
+      expect(Object.keys(transform.getDefinition('userDetail', registry).schema)).to.deep.equal(['id', 'name', '_onFinished', 'createdAt', 'updatedAt', 'phone']);
+    });
+
+    it('should extend schemas that extend other schemas', () => {
+      let func = transform.compile({_extends: 'userDetail', email: 'email', phone: {remove: true}}, null, {registry});
+      expect(func(user)).to.deep.equal({id: 'u1', name: 'Jane', createdAt: 1, updatedAt: 2, email: 'jane@example.com', finished: true});
+      expect(transform.compile({_extends: 'audited', extra: {remove: true}}, null, {registry})({extra: 1, uuid: 'u1'})).to.deep.equal({id: 'u1', extra: undefined});
+    });
+
+    it('should extend embedded schemas', () => {
+      let func = transform.compile({user: {srcPath: 'user', schema: {_extends: 'userSummary', email: {remove: true}}}}, null, {registry});
+      expect(func({user})).to.deep.equal({user: {id: '1', name: 'Jane Doe', finished: true}});
+    });
+
+    it('should extend schemas with every engine', async () => {
+      let schema = {_extends: 'userDetail', nickname: {srcPath: 'displayName'}};
+      let withNickname = Object.assign({nickname: 'Jane'}, expected);
+      let func = transform.compile(schema, null, {registry, engine: 'codegen'});
+      expect(func(user)).to.deep.equal(withNickname);
+      expect(transform.compile(schema, null, {registry, engine: 'codegen'})).to.equal(func);
+      expect(await transform.compileAsync(schema, null, {registry})(user)).to.deep.equal(withNickname);
+      let module = {exports: {}};
+      let require = () => ({onFinished});
+      let source = exporter.exportSchema(schema, {registry, filtersPath: './filters', filters: {onFinished}});
+      new Function('require', 'module', 'exports', source)(require, module, module.exports);
+      expect(module.exports(user)).to.deep.equal(withNickname);
+      expect(inverter.invert('audited', {registry}).schema).to.deep.equal({created: 'createdAt', uuid: 'id', updated: 'updatedAt'});
+      expect(inverter.invert({_extends: 'audited', updatedAt: {remove: true}}, {registry}).schema).to.deep.equal({created: 'createdAt', uuid: 'id'});
+    });
+
+    it('should throw an error when a base schema is not registered', () => {
+      expect(() => {
+        transform.compile({_extends: ['userSummary', 'missing']}, null, {registry});
+      }).to.throw('The base schema "missing" is not in the registry.');
+    });
+
+    it('should report base schemas that are not valid', () => {
+      let errors = validator.validateSchema({
+        _extends: ['userSummary', ''],
+        user: {srcPath: 'user', schema: {_extends: 1}},
+        account: {srcPath: 'account', schema: {_extends: [2]}}
+      });
+      expect(errors.map((error) => error.message)).to.deep.equal([
+        '_extends must only contain schema names.',
+        'user.schema._extends must be a string or an array.',
+        'account.schema._extends must only contain schema names.'
+      ]);
+      errors = validator.validateSchema({_extends: ['userSummary', 'missing']}, {resolveNames: true, registry});
+      expect(errors.map((error) => error.message)).to.deep.equal(['_extends references the unknown schema missing.']);
+      expect(validator.validateSchema({_extends: 'missing'}, {registry})).to.deep.equal([]);
+    });
+  });
+});
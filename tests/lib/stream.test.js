@@ -0,0 +1,195 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+const {Readable} = require('stream');
+const {pipeline} = require('stream/promises');
+
+const transform = require('../../lib/transform');
+const stream = require('../../lib/stream');
+
+const schema = {
+  id: 'userId',
+  name: {
+    srcPath: 'name',
+    filter: (value, src, dst, data) => `${value}${data ? data.suffix : ''}`
+  }
+};
+
+const idSchema = {
+  id: 'userId'
+};
+
+const records = [
+  {userId: '1', name: 'Jane'},
+  {userId: '2', name: 'John'},
+  {userId: '3', name: 'Jim'}
+];
+
+/**
+ *  Writes the chunks into a transform stream and returns everything it emitted.
+ *
+ * @method run
+ * @param {Transform} transformStream The transform stream.
+ * @param {Array} chunks The chunks to write.
+ * @return {Promise<Array>}
+ */
+async function run(transformStream, chunks) {
+  let results = [];
+  await pipeline(Readable.from(chunks), transformStream, async function (source) {
+    for await (let chunk of source) {
+      results.push(chunk);
+    }
+  });
+  return results;
+}
+
+describe('stream', () => {
+  describe('createTransformStream', () => {
+    it('should transform objects', async () => {
+      let results = await run(stream.createTransformStream(schema), records);
+      expect(results).to.deep.equal([
+        {id: '1', name: 'Jane'},
+        {id: '2', name: 'John'},
+        {id: '3', name: 'Jim'}
+      ]);
+    });
+
+    it('should pass the data to the transformation function', async () => {
+      let results = await run(stream.createTransformStream(schema, {data: {suffix: '!'}}), records.slice(0, 1));
+      expect(results).to.deep.equal([{id: '1', name: 'Jane!'}]);
+    });
+
+    it('should transform NDJSON that is split across chunks', async () => {
+      let text = `${_.map(records, (record) => JSON.stringify(record)).join('\r\n')}\n\n`;
+      let buffer = Buffer.from(text.replace('Jane', 'Jäne'));
+      // Split the buffer in the middle of the multi-byte character and in the middle of the lines
+      let index = buffer.indexOf(0xa4);
+      let chunks = [buffer.subarray(0, index), buffer.subarray(index, index + 30), buffer.subarray(index + 30)];
+      let results = await run(stream.createTransformStream(schema, {input: 'ndjson', output: 'ndjson'}), chunks);
+      expect(results.join('')).to.equal([
+        '{"id":"1","name":"Jäne"}',
+        '{"id":"2","name":"John"}',
+        '{"id":"3","name":"Jim"}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should transform the last NDJSON line without a newline', async () => {
+      let results = await run(stream.createTransformStream(idSchema, {input: 'ndjson'}), ['{"userId":"1"}\n{"userId"', ':"2"}']);
+      expect(results).to.deep.equal([{id: '1'}, {id: '2'}]);
+    });
+
+    it('should write NDJSON from objects', async () => {
+      let results = await run(stream.createTransformStream(schema, {output: 'ndjson'}), records.slice(0, 1));
+      expect(results.join('')).to.equal('{"id":"1","name":"Jane"}\n');
+    });
+
+    it('should drop records that transform into nothing', async () => {
+      let transformFunc = (src) => src.skip ? null : {id: src.userId};
+      let results = await run(stream.createTransformStream(transformFunc), [{userId: '1'}, {skip: true}]);
+      expect(results).to.deep.equal([{id: '1'}]);
+    });
+
+    it('should use a schema by name', async () => {
+      transform.compile({_name: 'streamSchema', id: 'userId'});
+      let results = await run(stream.createTransformStream('streamSchema'), records.slice(0, 1));
+      expect(results).to.deep.equal([{id: '1'}]);
+    });
+
+    it('should await asynchronous transformations', async () => {
+      let asyncSchema = {
+        id: {
+          srcPath: 'userId',
+          filter: async (value) => `user${value}`
+        }
+      };
+      let results = await run(stream.createTransformStream(asyncSchema, {async: true}), records.slice(0, 2));
+      expect(results).to.deep.equal([{id: 'user1'}, {id: 'user2'}]);
+      results = await run(stream.createTransformStream(transform.compile(asyncSchema), {async: true}), records.slice(0, 1));
+      expect(results).to.deep.equal([{id: 'user1'}]);
+    });
+
+    it('should fail on the first error by default', async () => {
+      let transformFunc = (src) => {
+        if (src.userId === '2') {
+          throw new Error('Record failed');
+        }
+        return src;
+      };
+      let error = await run(stream.createTransformStream(transformFunc), records).catch((err) => err);
+      expect(error).to.be.an('error');
+      expect(error.message).to.equal('Record failed');
+    });
+
+    it('should fail when the NDJSON is not valid', async () => {
+      let error = await run(stream.createTransformStream(schema, {input: 'ndjson', onError: 'fail'}), ['{"userId":"1"}\n{']).catch((err) => err);
+      expect(error).to.be.an.instanceOf(SyntaxError);
+    });
+
+    it('should skip records that fail', async () => {
+      let results = await run(stream.createTransformStream(idSchema, {input: 'ndjson', onError: 'skip'}), ['{"userId":"1"}\nnot json\n{"userId":"3"}\n']);
+      expect(results).to.deep.equal([{id: '1'}, {id: '3'}]);
+    });
+
+    it('should handle the results that can\'t be written as NDJSON like the failed records', async () => {
+      let bigIntSchema = {
+        id: 'userId',
+        count: {srcPath: 'userId', filter: (value) => (value === '2' ? BigInt(value) : Number(value))}
+      };
+      let results = await run(stream.createTransformStream(bigIntSchema, {output: 'ndjson', onError: 'skip'}), records);
+      expect(results.join('')).to.equal('{"id":"1","count":1}\n{"id":"3","count":3}\n');
+      let onError = (error, record, index) => ({error: error.name, index});
+      results = await run(stream.createTransformStream(bigIntSchema, {output: 'ndjson', onError}), records);
+      expect(results.join('')).to.equal('{"id":"1","count":1}\n{"error":"TypeError","index":1}\n{"id":"3","count":3}\n');
+    });
+
+    it('should emit the value returned by the error handler', async () => {
+      let transformFunc = (src) => {
+        if (src.userId === '2') {
+          throw new Error('Record failed');
+        }
+        return {id: src.userId};
+      };
+      let onError = (error, record, index) => {
+        if (index === 3) {
+          return undefined;
+        }
+        return {error: error.message, record, index};
+      };
+      let results = await run(stream.createTransformStream(transformFunc, {onError}), [...records, {userId: '2'}]);
+      expect(results).to.deep.equal([
+        {id: '1'},
+        {error: 'Record failed', record: {userId: '2', name: 'John'}, index: 1},
+        {id: '3'}
+      ]);
+    });
+
+    it('should apply backpressure', () => {
+      let transformStream = stream.createTransformStream(schema, {highWaterMark: 1});
+      expect(transformStream.write(records[0])).to.be.false;
+      transformStream.destroy();
+    });
+
+    it('should throw an error when the options are not valid', () => {
+      expect(() => {
+        stream.createTransformStream(schema, {input: 'csv'});
+      }).to.throw('The input option must be object or ndjson.');
+      expect(() => {
+        stream.createTransformStream(schema, {output: 'csv'});
+      }).to.throw('The output option must be object or ndjson.');
+      expect(() => {
+        stream.createTransformStream(schema, {onError: 'ignore'});
+      }).to.throw('The onError option must be fail, skip or a function.');
+    });
+
+    it('should throw an error when the schema name does not exist', () => {
+      expect(() => {
+        stream.createTransformStream('stream schema does not exist');
+      }).to.throw('The schema was not found.');
+    });
+  });
+});
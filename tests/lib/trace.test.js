@@ -0,0 +1,277 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const tracer = require('../../lib/trace');
+const filters = require('../../lib/filters');
+const registries = require('../../lib/registry');
+
+const src = {
+  userId: '5',
+  currency: 'EUR',
+  email: ' JANE@EXAMPLE.COM ',
+  orders: [
+    {id: 1, type: 'online', lines: [{sku: 'a', price: '5'}]},
+    {id: 2, type: 'store', lines: []}
+  ],
+  flags: {darkMode: {enabled: true}},
+  settings: {theme: 'dark'}
+};
+
+const schema = {
+  id: {srcPath: 'userId', type: 'integer'},
+  nickname: {srcPath: 'profile.nickname', defaultValue: 'none'},
+  label: '~customer',
+  total: '=length(orders)',
+  email: {srcPath: 'email', filter: ['trim', 'lowercase']},
+  domain: {srcPath: 'profile.email', defaultValue: '@example.com', filter: function domain(value) {
+    return value.substr(value.indexOf('@') + 1);
+  }},
+  name: (src) => src.userId,
+  missing: {srcPath: 'missing', when: 'missing'},
+  orders: {
+    srcPath: 'orders',
+    schema: {
+      id: 'id',
+      currency: '$parent.currency',
+      user: '$top.userId',
+      index: '$key',
+      lines: {
+        srcPath: 'lines',
+        schema: {
+          price: {srcPath: 'price', type: 'number'}
+        }
+      }
+    }
+  },
+  byId: {srcPath: 'orders', keyBy: 'id', schema: {type: 'type'}},
+  sorted: {srcPath: 'orders', sortBy: '-id', schema: {id: 'id'}},
+  skus: {srcPath: 'orders[*].lines', flatten: true, schema: {sku: 'sku'}},
+  settings: {srcPath: 'settings', toEntries: {key: 'name', value: 'value'}, schema: {value: '$self'}},
+  flags: {srcPath: 'flags', mapValues: true, mapKeys: 'snakeCase', schema: {enabled: 'enabled'}},
+  online: {
+    srcPath: 'orders',
+    switch: {path: 'type', cases: {online: {id: 'id'}}}
+  },
+  customer: {srcPath: 'customer', schema: {name: 'name'}}
+};
+
+/**
+ *  Returns the entries of a trace without the durations, which change on every run.
+ *
+ * @param {Object[]} trace The trace.
+ * @return {Object[]}
+ */
+function withoutDurations(trace) {
+  return _.map(trace, (entry) => _.omit(entry, 'duration'));
+}
+
+describe('trace', () => {
+  describe('joinPath', () => {
+    it('should join paths to the path of the object', () => {
+      expect(tracer.internal._joinPath('', 'a')).to.equal('a');
+      expect(tracer.internal._joinPath('a', '[0]')).to.equal('a[0]');
+      expect(tracer.internal._joinPath('a', 'b')).to.equal('a.b');
+      expect(tracer.internal._joinPath('a', '')).to.equal('a');
+      expect(tracer.internal._joinPath(undefined, 'b')).to.be.undefined;
+    });
+  });
+
+  describe('getFilterName', () => {
+    it('should return the names of the filters', () => {
+      expect(tracer.internal._getFilterName('trim')).to.equal('trim');
+      expect(tracer.internal._getFilterName(['trim', function domain() {}, [(value) => value][0]])).to.deep.equal(['trim', 'domain', 'anonymous']);
+    });
+  });
+
+  describe('compile', () => {
+    it('should return the result and the trace', () => {
+      let traced = transform.compile(schema, undefined, {trace: true});
+      let {result, trace} = traced(src);
+      expect(result).to.deep.equal(transform.compile(schema)(src));
+      expect(_.every(trace, (entry) => entry.duration >= 0)).to.be.true;
+      let entries = _.keyBy(withoutDurations(trace), 'path');
+      expect(entries.id).to.deep.equal({
+        path: 'id',
+        srcPath: 'userId',
+        resolvedPath: 'userId',
+        kind: 'value',
+        srcType: 'simple',
+        rawValue: '5',
+        coercedValue: 5,
+        defaultUsed: false,
+        value: 5
+      });
+      expect(entries.nickname).to.include({rawValue: undefined, defaultUsed: true, value: 'none'});
+      expect(entries.label).to.include({srcPath: undefined, srcType: 'literal', rawValue: 'customer', value: 'customer'});
+      expect(entries.total).to.include({srcPath: '=length(orders)', resolvedPath: undefined, srcType: 'expression', value: 2});
+      expect(entries.email).to.include({kind: 'filter', rawValue: ' JANE@EXAMPLE.COM ', value: 'jane@example.com'});
+      expect(entries.email.filter).to.deep.equal(['trim', 'lowercase']);
+      expect(entries.domain).to.include({filter: 'domain', defaultUsed: true, coercedValue: '@example.com', value: 'example.com'});
+      expect(entries.name).to.include({kind: 'function', srcType: 'function', value: '5'});
+      expect(entries.missing).to.deep.equal({path: 'missing', srcPath: 'missing', resolvedPath: 'missing', kind: 'value', skipped: 'The condition of the field was not met.'});
+      expect(entries.customer).to.include({kind: 'schema', items: 0, skipped: 'The source value was null or undefined.'});
+    });
+
+    it('should trace the embedded objects', () => {
+      let trace = withoutDurations(transform.compile(schema, undefined, {trace: true})(src).trace);
+      let entries = _.keyBy(trace, 'path');
+      expect(entries.orders).to.include({kind: 'schema', items: 2});
+      expect(_.filter(_.map(trace, 'path'), (path) => _.startsWith(path, 'orders'))).to.deep.equal([
+        'orders', 'orders[0].id', 'orders[0].currency', 'orders[0].user', 'orders[0].index', 'orders[0].lines', 'orders[0].lines[0].price',
+        'orders[1].id', 'orders[1].currency', 'orders[1].user', 'orders[1].index', 'orders[1].lines'
+      ]);
+      expect(entries['orders[0].id']).to.include({resolvedPath: 'orders[0].id', value: 1});
+      expect(entries['orders[0].currency']).to.include({resolvedPath: 'currency', value: 'EUR'});
+      expect(entries['orders[0].user']).to.include({resolvedPath: 'userId', value: '5'});
+      expect(entries['orders[0].index']).to.include({resolvedPath: undefined, value: 0});
+      expect(entries['orders[0].lines[0].price']).to.include({resolvedPath: 'orders[0].lines[0].price', rawValue: '5', value: 5});
+      expect(entries['orders[1].lines']).to.include({items: 0});
+      expect(entries['orders[1].lines'].skipped).to.be.undefined;
+      expect(entries['byId.2.type']).to.include({resolvedPath: 'orders[1].type', value: 'store'});
+      // The source paths of objects that are reordered or selected by a projection are not known
+      expect(entries['sorted[0].id']).to.include({resolvedPath: undefined, value: 2});
+      expect(entries['skus[0].sku']).to.include({resolvedPath: undefined, value: 'a'});
+      expect(entries['settings[0].value']).to.include({resolvedPath: 'settings.theme', value: 'dark'});
+      expect(entries['flags.dark_mode.enabled']).to.include({resolvedPath: 'flags.darkMode.enabled', value: true});
+      let switches = _.filter(trace, {kind: 'switch'});
+      expect(switches).to.deep.equal([
+        {path: 'online[0]', kind: 'switch', srcPath: 'type', resolvedPath: 'orders[0].type', rawValue: 'online'},
+        {path: 'online[1]', kind: 'switch', srcPath: 'type', resolvedPath: 'orders[1].type', rawValue: 'store', skipped: 'No case of the switch matched the value.'}
+      ]);
+      expect(entries['online[0].id']).to.include({value: 1});
+    });
+
+    it('should trace wildcard fields, removed fields and _onFinished', () => {
+      let traced = transform.compile({
+        '*': {schema: {value: '$self'}},
+        theme: {remove: true},
+        _onFinished: (src, dst) => {
+          dst.finished = true;
+        }
+      }, undefined, {trace: true});
+      let {result, trace} = traced({theme: 'dark'});
+      expect(result).to.deep.equal({theme: undefined, finished: true});
+      expect(withoutDurations(trace)).to.deep.equal([
+        {path: '*', srcPath: '$self', resolvedPath: '', kind: 'schema', srcType: 'complex', items: 1},
+        {path: 'theme.value', srcPath: '$self', resolvedPath: 'theme', kind: 'value', srcType: 'simple', rawValue: 'dark', coercedValue: 'dark', defaultUsed: false, value: 'dark'},
+        {path: 'theme', srcPath: undefined, resolvedPath: undefined, kind: 'remove'},
+        {path: '', kind: 'onFinished'}
+      ]);
+      expect(traced({}).trace[0]).to.include({items: 0, skipped: 'The source value was null or undefined.'});
+      expect(traced(null)).to.deep.equal({result: undefined, trace: []});
+    });
+
+    it('should trace source functions, conditions, default cases and registered _onFinished filters', () => {
+      filters.registerFilter('traceFinished', (src, dst) => {
+        dst.finished = true;
+      });
+      let traced = transform.compile({
+        code: {defaultValue: 'none', filter: (value) => value},
+        shown: {srcPath: 'code', when: 'code'},
+        item: {srcPath: (src) => src.item, schema: {id: 'id'}},
+        kind: {srcPath: 'item', switch: {path: 'type', cases: {a: {a: 'id'}}, default: {other: 'id'}}},
+        note: {srcPath: 'profile.note', filter: (value) => value},
+        city: {srcPath: 'address.city', defaultValue: 'none', filter: (value) => value},
+        list: {srcPath: 'list', switch: {path: 'type', cases: {a: {a: 'id'}}}},
+        _onFinished: 'traceFinished'
+      }, undefined, {trace: true});
+      let dst = {};
+      let {result, trace} = traced({code: 'x', item: {id: 1, type: 'b'}, address: {city: 'Paris'}, list: [null]}, dst);
+      filters.unregisterFilter('traceFinished');
+      expect(result).to.equal(dst);
+      expect(result).to.deep.equal({code: 'x', shown: 'x', item: {id: 1}, kind: {other: 1}, city: 'Paris', list: [undefined], finished: true});
+      let entries = _.keyBy(withoutDurations(trace), 'path');
+      expect(entries.code).to.include({filter: 'filter', defaultUsed: false, value: 'x'});
+      expect(entries.shown).to.include({value: 'x'});
+      expect(entries.item).to.include({srcPath: undefined, resolvedPath: undefined, srcType: 'function', items: 1});
+      expect(entries['item.id']).to.include({resolvedPath: undefined, value: 1});
+      expect(entries.kind).to.include({kind: 'switch', resolvedPath: 'item.type', rawValue: 'b'});
+      expect(entries['kind.other']).to.include({resolvedPath: 'item.id', value: 1});
+      expect(entries.note).to.include({rawValue: undefined, defaultUsed: false});
+      expect(entries.city).to.include({rawValue: 'Paris', defaultUsed: false});
+      expect(entries.list).to.include({kind: 'schema', items: 1});
+      expect(entries['list[0]']).to.be.undefined;
+      expect(traced(undefined)).to.deep.equal({result: undefined, trace: []});
+    });
+
+    it('should trace named schemas and functions that were not compiled from a schema', () => {
+      let registry = registries.createRegistry();
+      registry.register('comment', {
+        text: 'body',
+        replies: {srcPath: 'children', schema: 'comment'},
+        author: {srcPath: 'author', schema: (author) => ({name: author})}
+      }, {maxDepth: 2});
+      let traced = transform.compile({comment: {srcPath: '$self', schema: 'comment'}}, undefined, {registry, trace: true, maxDepth: 2});
+      let trace = traced({body: 'a', author: 'jane', children: [{body: 'b'}]}).trace;
+      expect(_.map(trace, 'path')).to.deep.equal(['comment', 'comment.text', 'comment.replies', 'comment.replies[0].text', 'comment.replies[0].replies', 'comment.replies[0].author', 'comment.author']);
+      expect(_.find(trace, {path: 'comment.author'})).to.include({items: 1});
+      expect(transform.compile(null, undefined, {trace: true})({body: 'a'})).to.deep.equal({result: {body: 'a'}, trace: []});
+      expect(() => {
+        traced({body: 'a', children: [{body: 'b', children: [{body: 'c', children: [{body: 'd'}]}]}]});
+      }).to.throw('The child schema "comment" exceeded the maximum depth of 2.');
+    });
+
+    it('should trace the missing values', () => {
+      let traced = transform.compile({
+        skipped: {srcPath: 'missing', onMissing: 'skip'},
+        nulled: {srcPath: 'missing', onMissing: 'null'},
+        label: {srcPath: 'label', onMissing: 'default', defaultValue: (src) => `item ${src.id}`},
+        count: {srcPath: 'count', defaultValue: () => 0},
+        id: {srcPath: 'id', required: true}
+      }, undefined, {trace: true});
+      let {result, trace} = traced({id: 1});
+      expect(result).to.deep.equal({nulled: null, label: 'item 1', count: 0, id: 1});
+      let entries = _.keyBy(withoutDurations(trace), 'path');
+      expect(entries.skipped).to.deep.equal({path: 'skipped', srcPath: 'missing', resolvedPath: 'missing', kind: 'value', srcType: 'simple', rawValue: undefined, defaultUsed: false, skipped: 'The source value was missing.'});
+      expect(entries.nulled).to.include({rawValue: undefined, defaultUsed: false, value: null});
+      expect(entries.label).to.include({rawValue: undefined, defaultUsed: true, value: 'item 1'});
+      expect(entries.count).to.include({coercedValue: undefined, defaultUsed: true, value: 0});
+      expect(() => {
+        traced({});
+      }).to.throw('The value of id is required but missing.');
+    });
+
+    it('should omit the values from the traced result', () => {
+      let traced = transform.compile({id: 'id', note: 'note', _omit: {nulls: true}}, undefined, {trace: true});
+      let {result, trace} = traced({id: 1, note: null});
+      expect(result).to.deep.equal({id: 1});
+      expect(_.find(trace, {path: 'note'})).to.include({value: null});
+    });
+
+    it('should trace the fields that throw an error', () => {
+      let failing = {
+        name: {srcPath: 'name', filter: (value) => value.trim()},
+        orders: {srcPath: 'orders', schema: {id: {srcPath: 'id', filter: (value) => value.trim()}}}
+      };
+      let traced = transform.compile(failing, undefined, {errors: 'collect', trace: true});
+      let {result, errors, trace} = traced({orders: [{id: ' a '}, {}]});
+      expect(result).to.deep.equal({orders: [{id: 'a'}, {}]});
+      expect(_.map(errors, 'path')).to.deep.equal(['name', 'orders[1].id']);
+      let entries = _.keyBy(trace, 'path');
+      expect(entries.name).to.include({kind: 'filter', skipped: 'The field threw an error.', error: errors[0].error});
+      expect(entries['orders[1].id']).to.include({error: errors[1].error});
+
+      let traces = [];
+      let output = transform.compile(failing, undefined, {errors: 'collect', trace: (trace) => traces.push(trace)})({});
+      expect(output).to.deep.equal({result: {}, errors: [{path: 'name', srcPath: 'name', error: output.errors[0].error}]});
+      expect(traces).to.have.length(1);
+      expect(() => {
+        transform.compile(failing, undefined, {trace: true})({name: ' jane ', orders: [{}]});
+      }).to.throw(TypeError);
+    });
+
+    it('should call the trace function with the trace', () => {
+      let traces = [];
+      let traced = transform.compile({id: 'userId'}, undefined, {trace: (trace) => traces.push(trace), engine: 'codegen'});
+      expect(traced(src)).to.deep.equal({id: '5'});
+      expect(_.map(traces, (trace) => _.map(trace, 'path'))).to.deep.equal([['id']]);
+      expect(transform.compile({id: 'userId'}, undefined, {engine: 'codegen'})).to.not.have.property('trace');
+    });
+  });
+});
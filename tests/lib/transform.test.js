@@ -7,6 +7,10 @@ const it = lab.it;
 const describe = lab.describe;
 
 const transform = require('../../lib/transform');
+const filters = require('../../lib/filters');
+const registries = require('../../lib/registry');
+const {MissingValueError} = require('../../lib/types');
+const {SchemaValidationError} = require('../../lib/validate');
 
 const schema = {
   'fieldUndefined': null,
@@ -122,9 +126,11 @@ describe('transform', () => {
 
       expect(data).to.have.property('embeddedObjectToArray1').and.to.have.lengthOf(1);
       expect(data.embeddedObjectToArray1[0]).to.have.property('embeddedChild1', sourceObject.object1.child1);
-      expect(data).to.have.property('embeddedObjectToArray2').and.to.have.lengthOf(2);
+      // Each index is written, including the empty objects
+      expect(data).to.have.property('embeddedObjectToArray2').and.to.have.lengthOf(4);
       expect(data.embeddedObjectToArray2[0]).to.have.property('embeddedChild1', sourceObject.object1.child1);
       expect(data.embeddedObjectToArray2[1]).to.have.property('embeddedChild1', sourceObject.object1.child1);
+      expect(data.embeddedObjectToArray2[2]).to.deep.equal({});
 
       expect(data).to.have.property('embeddedArray').and.to.have.lengthOf(sourceObject.array1.length);
       // We want to remove all undefined for comparison since we don't care about those
@@ -167,9 +173,11 @@ describe('transform', () => {
 
       expect(data).to.have.property('embeddedObjectToArray1').and.to.have.lengthOf(1);
       expect(data.embeddedObjectToArray1[0]).to.have.property('embeddedChild1', sourceObject.object1.child1);
-      expect(data).to.have.property('embeddedObjectToArray2').and.to.have.lengthOf(2);
+      // Each index is written, including the empty objects
+      expect(data).to.have.property('embeddedObjectToArray2').and.to.have.lengthOf(4);
       expect(data.embeddedObjectToArray2[0]).to.have.property('embeddedChild1', sourceObject.object1.child1);
       expect(data.embeddedObjectToArray2[1]).to.have.property('embeddedChild1', sourceObject.object1.child1);
+      expect(data.embeddedObjectToArray2[2]).to.deep.equal({});
 
       expect(data).to.have.property('embeddedArray').and.to.have.lengthOf(sourceObject.array1.length);
       // We want to remove all undefined for comparison since we don't care about those
@@ -391,6 +399,15 @@ describe('transform', () => {
             'bar'
           ]);
         });
+
+        it('after the current values', () => {
+          let dst = {foo: ['boo']};
+
+          transform.internal._getSetValue('array', 'foo')({}, dst, ['baz', 'bar']);
+          transform.internal._getSetSchemaValue('array', 'foo')(dst, {id: 1}, false);
+
+          expect(dst.foo).to.deep.equal(['boo', 'baz', 'bar', {id: 1}]);
+        });
       });
     });
 
@@ -735,9 +752,11 @@ describe('transform', () => {
           schema: 'schema does not exist'
         }
       };
+      let func = transform.compile(schema2);
+      expect(func({bam: 'bam'})).to.deep.equal({baz: 'bam'});
       expect(() => {
-        transform.compile(schema2);
-      }).to.throw();
+        func({boo: {}});
+      }).to.throw('The child schema "schema does not exist" was not found.');
     });
 
     it('should return a simple merge transform when the schema is null and merge into the destination object', () => {
@@ -887,7 +906,7 @@ describe('transform', () => {
       let schema = {
         'foo.bar': 'bar',
         'baz': {
-          source: 'bam',
+          srcPath: 'bam',
           schema: {
             foo: 'bar'
           }
@@ -910,7 +929,7 @@ describe('transform', () => {
       let schema = {
         'foo.bar': 'bar',
         'baz': {
-          source: 'bam',
+          srcPath: 'bam',
           schema: {
             foo: 'bar'
           }
@@ -1222,16 +1241,41 @@ describe('transform', () => {
       });
     });
 
-    it('should ignore _onFinished if it is not a function', () => {
+    it('should throw an error if _onFinished is not a function', () => {
+      let schema = {
+        'foo.bar': 'bar',
+        '_onFinished': 123
+      };
+
+      expect(() => {
+        transform.compile(schema);
+      }).to.throw(SchemaValidationError, '_onFinished must be a function or a string.');
+    });
+
+    it('should throw an error if _onFinished is not a registered filter', () => {
       let schema = {
         'foo.bar': 'bar',
         '_onFinished': 'foo'
       };
+
+      expect(() => {
+        transform.compile(schema);
+      }).to.throw(SchemaValidationError, '_onFinished references the unknown filter foo.');
+      expect(() => {
+        transform.compile(schema, undefined, {validate: false});
+      }).to.throw('The filter "foo" was not found.');
+    });
+
+    it('should ignore _onFinished if it is not a function and validation is disabled', () => {
+      let schema = {
+        'foo.bar': 'bar',
+        '_onFinished': 123
+      };
       let src = {
         bar: 'foo'
       };
 
-      let func = transform.compile(schema);
+      let func = transform.compile(schema, undefined, {validate: false});
       let result = func(src);
       expect(result).to.deep.equal({
         foo: {
@@ -1323,7 +1367,598 @@ describe('transform', () => {
 
       expect(() => {
         transform.compile(schema);
-      }).to.throw();
+      }).to.throw(SchemaValidationError, 'foo.bar must be a string, null, object, or function.');
+    });
+
+    it('should throw an error if the source mapping is not valid and validation is disabled', () => {
+      let schema = {
+        'foo.baz': 1
+      };
+
+      expect(() => {
+        transform.compile(schema, undefined, {validate: false});
+      }).to.throw('The source must be a string, null, object, or function.');
+    });
+  });
+
+  describe('named child schemas', () => {
+    const commentSchema = {
+      _name: 'comment',
+      text: 'body',
+      replies: {
+        srcPath: 'children',
+        schema: 'comment'
+      }
+    };
+    const comments = {
+      body: 'first',
+      children: [
+        {
+          body: 'second',
+          children: [
+            {body: 'third'}
+          ]
+        },
+        {body: 'fourth'}
+      ]
+    };
+
+    it('should resolve a schema that is compiled after the parent schema', () => {
+      let registry = registries.createRegistry();
+      let func = transform.compile({address: {srcPath: 'address', schema: 'lateAddress'}}, undefined, {registry});
+      registry.register('lateAddress', {street: 'line1'});
+      expect(func({address: {line1: '1 Main St'}})).to.deep.equal({address: {street: '1 Main St'}});
+    });
+
+    it('should transform a recursive schema', () => {
+      let func = transform.compile(commentSchema, undefined, {registry: registries.createRegistry()});
+      expect(func(comments)).to.deep.equal({
+        text: 'first',
+        replies: [
+          {
+            text: 'second',
+            replies: [
+              {text: 'third'}
+            ]
+          },
+          {text: 'fourth'}
+        ]
+      });
+    });
+
+    it('should transform a recursive schema with the codegen engine', () => {
+      let registry = registries.createRegistry();
+      let func = transform.compile(commentSchema, undefined, {registry, engine: 'codegen'});
+      expect(func(comments)).to.deep.equal(transform.compile(commentSchema, undefined, {registry})(comments));
+    });
+
+    it('should transform schemas that refer to each other', () => {
+      let registry = registries.createRegistry();
+      registry.register('employee', {name: 'name', team: {srcPath: 'team', schema: 'team'}});
+      registry.register('team', {title: 'title', members: {srcPath: 'members', schema: 'employee'}});
+      let result = registry.get('employee')({name: 'Jane', team: {title: 'Sales', members: [{name: 'John'}]}});
+      expect(result).to.deep.equal({name: 'Jane', team: {title: 'Sales', members: [{name: 'John'}]}});
+    });
+
+    it('should throw an error when the maximum depth is exceeded', () => {
+      let func = transform.compile(commentSchema, undefined, {registry: registries.createRegistry(), maxDepth: 1});
+      expect(() => {
+        func(comments);
+      }).to.throw('The child schema "comment" exceeded the maximum depth of 1.');
+      // The depth is reset after an error
+      expect(func({body: 'first', children: [{body: 'second'}]})).to.deep.equal({text: 'first', replies: [{text: 'second'}]});
+    });
+
+    it('should compile the schema again when the maximum depth is different', () => {
+      let registry = registries.createRegistry();
+      let func = transform.compile(commentSchema, undefined, {registry});
+      expect(func(comments).replies).to.have.length(2);
+      let limited = transform.compile(commentSchema, undefined, {registry, maxDepth: 1});
+      expect(limited).to.not.equal(func);
+      expect(() => {
+        limited(comments);
+      }).to.throw('The child schema "comment" exceeded the maximum depth of 1.');
+      expect(transform.compile(commentSchema, undefined, {registry, maxDepth: 1})).to.equal(limited);
+      expect(transform.getDefinition(limited).maxDepth).to.equal(1);
+    });
+
+    it('should throw an error when the maximum depth is not valid', () => {
+      expect(() => {
+        transform.compile(commentSchema, undefined, {maxDepth: 0});
+      }).to.throw('The maxDepth option must be a number greater than 0.');
+      expect(() => {
+        transform.compile(commentSchema, undefined, {maxDepth: '1'});
+      }).to.throw('The maxDepth option must be a number greater than 0.');
+    });
+  });
+
+  describe('conditional fields', () => {
+    const payments = [
+      {type: 'card', number: '4111', expires: '12/30'},
+      {type: 'bank', iban: 'DE89', owner: {name: 'Jane'}},
+      {type: 'cash', amount: 10},
+      null
+    ];
+
+    it('should only apply a field when the function returns true', () => {
+      let func = transform.compile({
+        name: {
+          srcPath: 'name',
+          when: (src, dst, data) => data.showName
+        },
+        id: 'id'
+      });
+      expect(func({id: '1', name: 'Jane'}, null, {showName: true})).to.deep.equal({id: '1', name: 'Jane'});
+      expect(func({id: '1', name: 'Jane'}, null, {showName: false})).to.deep.equal({id: '1'});
+    });
+
+    it('should only apply a field when the value of the path is truthy', () => {
+      let func = transform.compile({
+        email: {
+          srcPath: 'email',
+          when: 'consent'
+        }
+      });
+      expect(func({email: 'jane@example.com', consent: true})).to.deep.equal({email: 'jane@example.com'});
+      expect(func({email: 'jane@example.com', consent: 0})).to.deep.equal({});
+    });
+
+    it('should check the value of the path against equals, in and exists', () => {
+      let func = transform.compile({
+        card: {srcPath: 'number', when: {path: 'type', equals: 'card'}},
+        electronic: {srcPath: 'type', when: {path: 'type', in: ['card', 'bank']}},
+        owner: {srcPath: 'type', when: {path: 'owner.name', exists: true}},
+        noOwner: {srcPath: 'type', when: {path: 'owner', exists: false}}
+      });
+      expect(func(payments[0])).to.deep.equal({card: '4111', electronic: 'card', noOwner: 'card'});
+      expect(func(payments[1])).to.deep.equal({electronic: 'bank', owner: 'bank'});
+      expect(func(payments[2])).to.deep.equal({noOwner: 'cash'});
+    });
+
+    it('should check the conditions of embedded schemas against the embedded object', () => {
+      let func = transform.compile({
+        items: {
+          srcPath: 'items',
+          schema: {
+            name: 'name',
+            price: {
+              srcPath: 'price',
+              when: '$parent.showPrices'
+            }
+          }
+        },
+        total: {
+          srcPath: 'total',
+          when: {path: '$self.showPrices', equals: true}
+        }
+      });
+      let src = {items: [{name: 'pen', price: 1}], total: 1};
+      expect(func(src)).to.deep.equal({items: [{name: 'pen'}]});
+      src.showPrices = true;
+      expect(func(src)).to.deep.equal({items: [{name: 'pen', price: 1}], total: 1});
+    });
+
+    it('should only remove a field when the condition is met', () => {
+      let func = transform.compile({
+        password: {
+          remove: true,
+          when: {path: 'public', equals: true}
+        }
+      });
+      expect(func({public: true}, {password: 'secret'})).to.deep.equal({password: undefined});
+      expect(func({public: false}, {password: 'secret'})).to.deep.equal({password: 'secret'});
+    });
+
+    it('should transform each embedded object with the schema of the matching case', () => {
+      let registry = registries.createRegistry();
+      registry.register('bankPayment', {iban: 'iban', owner: 'owner.name'});
+      let func = transform.compile({
+        payments: {
+          srcPath: 'payments',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number', expires: 'expires'},
+              bank: 'bankPayment',
+              cash: (src) => ({cash: src.amount})
+            }
+          }
+        }
+      }, undefined, {registry});
+      expect(func({payments}).payments).to.deep.equal([
+        {number: '4111', expires: '12/30'},
+        {iban: 'DE89', owner: 'Jane'},
+        {cash: 10},
+        undefined
+      ]);
+      expect(func({payments: payments[0]})).to.deep.equal({payments: {number: '4111', expires: '12/30'}});
+      expect(func({payments: {type: 'unknown'}})).to.deep.equal({});
+    });
+
+    it('should use the default case when no case matches', () => {
+      let func = transform.compile({
+        'payment': {
+          srcPath: '$self',
+          when: 'type',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number'}
+            },
+            default: {type: 'type', user: '$parent.user'}
+          }
+        },
+        'kind': {
+          srcPath: '$self',
+          switch: {
+            path: 'type',
+            cases: {},
+            default: {type: 'type'}
+          }
+        }
+      });
+      expect(func(payments[0])).to.deep.equal({payment: {number: '4111'}, kind: {type: 'card'}});
+      expect(func(payments[2])).to.deep.equal({payment: {type: 'cash'}, kind: {type: 'cash'}});
+      // Only the cases that were defined are used
+      expect(func({type: 'constructor'}).kind).to.deep.equal({type: 'constructor'});
+      expect(func({})).to.deep.equal({kind: {}});
+    });
+
+    it('should throw an error when a switch is not valid', () => {
+      expect(() => {
+        transform.compile({payment: {srcPath: 'payment', switch: {path: 'type'}}});
+      }).to.throw(SchemaValidationError, 'payment.switch.cases must be an object.');
+    });
+  });
+
+  describe('missing values', () => {
+    const src = {id: 7, name: null, note: '', tags: [], orders: [{id: 1}, {total: 2}]};
+
+    it('should use falsy default values', () => {
+      let func = transform.compile({
+        count: {srcPath: 'count', defaultValue: 0},
+        active: {srcPath: 'active', defaultValue: false},
+        note: {srcPath: 'note', defaultValue: ''},
+        label: {srcPath: 'label', filter: (value) => `${value}`, defaultValue: ''}
+      });
+      expect(func(src)).to.deep.equal({count: 0, active: false, note: '', label: ''});
+    });
+
+    it('should call a default value function for each object', () => {
+      let calls = [];
+      let defaultValue = (src, dst, data, parent, top, key) => {
+        calls.push({dst: _.clone(dst), data, parent, top, key});
+        return `order ${src.id || src.total}`;
+      };
+      let func = transform.compile({
+        orders: {
+          srcPath: 'orders',
+          schema: {
+            name: {srcPath: 'name', defaultValue},
+            code: {filter: (value) => value.toUpperCase(), defaultValue}
+          }
+        }
+      });
+      expect(func(src, null, 'data')).to.deep.equal({
+        orders: [{name: 'order 1', code: 'ORDER 1'}, {name: 'order 2', code: 'ORDER 2'}]
+      });
+      expect(calls).to.have.length(4);
+      expect(calls[3]).to.deep.equal({dst: {name: 'order 2'}, data: 'data', parent: src, top: src, key: 1});
+    });
+
+    it('should throw a MissingValueError when a required value is missing', () => {
+      let func = transform.compile({
+        id: {srcPath: 'id', required: true},
+        name: {srcPath: 'name', required: true},
+        note: {srcPath: 'note', required: true, filter: (value) => `${value}!`},
+        tags: {srcPath: 'tags', required: true}
+      });
+      // Null and empty values are not missing
+      expect(func(src)).to.deep.equal({id: 7, name: null, note: '!', tags: []});
+      let error = (() => {
+        try {
+          return func({});
+        } catch (err) {
+          return err;
+        }
+      })();
+      expect(error).to.be.an.instanceof(MissingValueError);
+      expect(error).to.have.property('path', 'id');
+      expect(error.message).to.equal('The value of id is required but missing.');
+    });
+
+    it('should report the path of a required value of an embedded object', () => {
+      let schema = {orders: {srcPath: 'orders', schema: {id: {srcPath: 'id', required: true}}}};
+      expect(() => {
+        transform.compile(schema)(src);
+      }).to.throw(MissingValueError, 'The value of orders[1].id is required but missing.');
+      let {result, errors} = transform.compile(schema, undefined, {errors: 'collect'})(src);
+      expect(result).to.deep.equal({orders: [{id: 1}, {}]});
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({path: 'orders[1].id', srcPath: 'id'});
+      expect(errors[0].error).to.be.an.instanceof(MissingValueError);
+    });
+
+    it('should skip a missing value, set it to null or set it to the default value', () => {
+      let filter = (value) => `${value}!`;
+      let func = transform.compile({
+        skipped: {srcPath: 'missing', onMissing: 'skip', filter},
+        nulled: {srcPath: 'missing', onMissing: 'null'},
+        nulledFilter: {srcPath: 'missing', onMissing: 'null', filter},
+        defaulted: {srcPath: 'missing', onMissing: 'default', defaultValue: 'none'},
+        // Only a missing value uses the default value
+        name: {srcPath: 'name', onMissing: 'default', defaultValue: 'none'},
+        note: {srcPath: 'note', onMissing: 'null', type: 'number'},
+        id: {srcPath: 'id', onMissing: 'skip', filter}
+      });
+      expect(func(src)).to.deep.equal({nulled: null, nulledFilter: 'null!', defaulted: 'none', name: null, note: 0, id: '7!'});
+      expect(transform.compile({skipped: {srcPath: 'missing', onMissing: 'skip'}})(src, {skipped: 1})).to.deep.equal({skipped: 1});
+    });
+
+    it('should not handle a missing value without a policy', () => {
+      expect(transform.internal._getMissingValueHandler('foo', false)).to.equal(null);
+      expect(transform.internal._getMissingValueHandler('foo', false, 'keep')).to.equal(null);
+      expect(transform.internal._getMissingValueHandler('foo', false, 'null')()).to.equal(null);
+    });
+  });
+
+  describe('omitted values', () => {
+    const src = {id: 1, note: null, secret: 's', tags: [], address: {city: null, zip: '1'}, lines: [{sku: 'a', price: null}, {sku: null}]};
+    const omitSchema = {
+      id: 'id',
+      note: 'note',
+      secret: 'secret',
+      tags: 'tags',
+      address: {srcPath: 'address', schema: {city: 'city', secret: '~hidden'}},
+      lines: {srcPath: 'lines', schema: {sku: 'sku', price: 'price'}},
+      _onFinished: (src, dst) => {
+        dst.finished = null;
+      },
+      _omit: {nulls: true, emptyObjects: true, emptyArrays: true, keys: ['secret']}
+    };
+
+    it('should omit the values from the finished destination at every nesting level', () => {
+      let dst = {};
+      let result = transform.compile(omitSchema)(src, dst);
+      expect(result).to.equal(dst);
+      expect(result).to.deep.equal({id: 1, lines: [{sku: 'a'}]});
+      expect(transform.compile(omitSchema, undefined, {engine: 'codegen'})(src)).to.deep.equal({id: 1, lines: [{sku: 'a'}]});
+    });
+
+    it('should only omit the selected values', () => {
+      let schema = _.assign({}, omitSchema, {_omit: {nulls: true}});
+      expect(transform.compile(schema)(src)).to.deep.equal({
+        id: 1,
+        secret: 's',
+        tags: [],
+        address: {secret: 'hidden'},
+        lines: [{sku: 'a'}, {}]
+      });
+      schema = {id: 'id', note: 'note', address: {srcPath: 'address', schema: {city: 'city'}}, _omit: {emptyObjects: true}};
+      expect(transform.compile(schema)(src)).to.deep.equal({id: 1, note: null, address: {city: null}});
+      expect(transform.internal._getOmitValues()).to.equal(null);
+    });
+  });
+
+  describe('error handling', () => {
+    const failing = (value) => {
+      if (value === 'bad') {
+        throw new Error('The value is bad.');
+      }
+      return value;
+    };
+    const src = {
+      name: 'bad',
+      code: 'ok',
+      orders: [{id: 1, status: 'ok'}, {id: 2, status: 'bad'}],
+      settings: {theme: 'ok', mode: 'bad'}
+    };
+
+    it('should throw the error of a field by default', () => {
+      let func = transform.compile({name: {srcPath: 'name', filter: failing}});
+      expect(() => {
+        func(src);
+      }).to.throw('The value is bad.');
+      expect(() => {
+        transform.compile({name: 'name'}, undefined, {errors: 'ignore'});
+      }).to.throw('The errors option must be throw, collect or skipItem.');
+    });
+
+    it('should collect the errors of the fields and the embedded objects', () => {
+      let registry = registries.createRegistry();
+      registry.register('order', {id: 'id', status: {srcPath: 'status', filter: failing}});
+      let schema = {
+        name: {srcPath: 'name', filter: failing},
+        code: {srcPath: 'code', filter: failing},
+        orders: {srcPath: 'orders', schema: {id: 'id', status: {srcPath: 'status', filter: failing}}},
+        byId: {srcPath: 'orders', keyBy: 'id', schema: {status: {srcPath: 'status', filter: failing}}},
+        named: {srcPath: 'orders', schema: 'order'},
+        count: {srcPath: 'orders', type: {name: 'number'}, filter: () => {
+          throw new TypeError('The orders can\'t be counted.');
+        }}
+      };
+      let func = transform.compile(schema, undefined, {registry, errors: 'collect'});
+      let {result, errors} = func(src);
+      expect(result).to.deep.equal({code: 'ok', orders: [{id: 1, status: 'ok'}, {id: 2}], byId: {1: {status: 'ok'}, 2: {}}});
+      expect(_.map(errors, (error) => _.assign({}, error, {error: error.error.message}))).to.deep.equal([
+        {path: 'name', srcPath: 'name', error: 'The value is bad.'},
+        {path: 'orders[1].status', srcPath: 'status', error: 'The value is bad.'},
+        {path: 'byId.2.status', srcPath: 'status', error: 'The value is bad.'},
+        // A named schema compiled separately throws its errors to the field that embeds it
+        {path: 'named', srcPath: 'orders', error: 'The value is bad.'},
+        {path: 'count', srcPath: 'orders', error: 'The orders can\'t be counted.'}
+      ]);
+      // The schema compiled with a different errors option is compiled again
+      expect(() => {
+        transform.compile(schema, undefined, {registry})(src);
+      }).to.throw('The value is bad.');
+      expect(transform.compile(schema, undefined, {registry, errors: 'collect', engine: 'codegen'})(src).errors).to.have.length(5);
+      expect(func(null)).to.deep.equal({result: undefined, errors: []});
+      expect(transform.getDefinition(func).errors).to.equal('collect');
+      // Only the function returned by compile collects the errors
+      transform.compile({name: {srcPath: 'name', filter: failing}}, 'collected', {registry, errors: 'collect'});
+      expect(() => {
+        registry.get('collected')(src);
+      }).to.throw('The value is bad.');
+    });
+
+    it('should leave out the embedded objects that fail with skipItem', () => {
+      let itemSchema = {status: {srcPath: 'status', filter: failing}};
+      let func = transform.compile({
+        orders: {srcPath: 'orders', schema: itemSchema},
+        byId: {srcPath: 'orders', keyBy: 'id', schema: itemSchema},
+        settings: {srcPath: 'settings', toEntries: {key: 'name', value: 'value'}, schema: {value: {srcPath: '$self', filter: failing}}},
+        values: {srcPath: 'settings', mapValues: true, schema: {value: {srcPath: '$self', filter: failing}}},
+        first: {srcPath: 'orders[0]', schema: itemSchema}
+      }, undefined, {errors: 'skipItem', engine: 'codegen'});
+      expect(func(src)).to.deep.equal({
+        orders: [{status: 'ok'}],
+        byId: {1: {status: 'ok'}},
+        settings: [{name: 'theme', value: {value: 'ok'}}],
+        values: {theme: {value: 'ok'}},
+        first: {status: 'ok'}
+      });
+      // Only the embedded objects of arrays and objects are left out
+      expect(() => {
+        func({orders: {status: 'bad'}});
+      }).to.throw('The value is bad.');
+    });
+
+    it('should call _onError with the error of the field', () => {
+      let calls = [];
+      let func = transform.compile({
+        name: {srcPath: 'name', filter: failing},
+        code: 'code',
+        _onError: (fieldError, src, dst, data) => {
+          calls.push(_.assign({}, fieldError, {error: fieldError.error.message}));
+          dst[fieldError.path] = data.fallback;
+        }
+      }, undefined, {engine: 'codegen'});
+      expect(func(src, null, {fallback: 'unknown'})).to.deep.equal({name: 'unknown', code: 'ok'});
+      expect(calls).to.deep.equal([{path: 'name', srcPath: 'name', error: 'The value is bad.'}]);
+    });
+
+    it('should handle the errors thrown by _onError with the errors option', () => {
+      filters.registerFilter('rethrow', (fieldError) => {
+        throw new Error(`${fieldError.path} failed.`);
+      });
+      let schema = {
+        name: {srcPath: 'name', filter: failing},
+        code: 'code',
+        _onError: 'rethrow'
+      };
+      let collected = transform.compile(schema, undefined, {errors: 'collect'})(src);
+      let thrown = transform.compile(schema);
+      filters.unregisterFilter('rethrow');
+      expect(collected.result).to.deep.equal({code: 'ok'});
+      expect(collected.errors[0].error.message).to.equal('name failed.');
+      expect(() => {
+        thrown(src);
+      }).to.throw('name failed.');
+    });
+
+    it('should return the source path of a field', () => {
+      let fields = transform.getDefinition(transform.compile({a: 'b', c: '~literal', d: '=length(e)', f: () => 1})).fields;
+      expect(_.map(fields, transform.internal._getFieldSourcePath)).to.deep.equal(['b', undefined, '=length(e)', undefined]);
+    });
+  });
+
+  describe('copied output', () => {
+    const src = () => ({
+      address: {city: 'Paris', lines: ['1 rue']},
+      created: new Date(0),
+      photo: Buffer.from('ab'),
+      tags: new Set(['a']),
+      prices: new Map([['eur', {amount: 1}]]),
+      format: _.toUpper
+    });
+    const schema = {address: null, created: 'created', photo: 'photo', tags: 'tags', prices: 'prices', format: 'format'};
+
+    it('should share the values of the source by default', () => {
+      let source = src();
+      let result = transform.compile(schema)(source);
+      expect(result.address).to.equal(source.address);
+      expect(transform.compile(schema, undefined, {clone: 'none'})(source).photo).to.equal(source.photo);
+    });
+
+    it('should deep clone the output and leave the given destination unchanged', () => {
+      let source = src();
+      let dst = {owner: {name: 'a'}};
+      let result = transform.compile(schema, undefined, {clone: 'deep'})(source, dst);
+      expect(dst).to.deep.equal({owner: {name: 'a'}});
+      expect(result.owner).to.deep.equal(dst.owner);
+      expect(result.owner).to.not.equal(dst.owner);
+      expect(result.address).to.deep.equal(source.address);
+      expect(result.address).to.not.equal(source.address);
+      expect(result.created).to.deep.equal(source.created);
+      expect(result.created).to.not.equal(source.created);
+      expect(result.tags).to.deep.equal(source.tags);
+      expect(result.tags).to.not.equal(source.tags);
+      expect(result.prices.get('eur')).to.deep.equal({amount: 1});
+      expect(result.prices.get('eur')).to.not.equal(source.prices.get('eur'));
+      expect(result.format).to.equal(_.toUpper);
+      result.photo[0] = 0;
+      expect(source.photo.toString()).to.equal('ab');
+      result = transform.compile(null, undefined, {clone: 'deep'})(source, dst);
+      expect(dst).to.deep.equal({owner: {name: 'a'}});
+      expect(result.address.lines).to.deep.equal(['1 rue']);
+      expect(result.address.lines).to.not.equal(source.address.lines);
+    });
+
+    it('should deep freeze the output', () => {
+      let source = _.assign(src(), {lines: [{prices: {eur: 1}}]});
+      let freezableSchema = {address: null, lines: 'lines', format: 'format'};
+      let result = transform.compile(freezableSchema, undefined, {freeze: true})(source);
+      expect(Object.isFrozen(result)).to.equal(true);
+      expect(Object.isFrozen(result.address.lines)).to.equal(true);
+      expect(Object.isFrozen(result.lines[0].prices)).to.equal(true);
+      expect(Object.isFrozen(result.format)).to.equal(false);
+      expect(Object.isFrozen(source.address)).to.equal(false);
+      expect(result.address).to.not.equal(source.address);
+      expect(transform.compile(freezableSchema, undefined, {freeze: true, clone: 'deep'})(source)).to.deep.equal(result);
+    });
+
+    it('should throw an error when the output has values that can\'t be frozen', () => {
+      let source = _.assign(src(), {lines: [{created: new Date(0)}]});
+      _.each({
+        created: 'The Date at created can\'t be frozen.',
+        photo: 'The Buffer at photo can\'t be frozen.',
+        tags: 'The Set at tags can\'t be frozen.',
+        prices: 'The Map at prices can\'t be frozen.',
+        lines: 'The Date at lines[0].created can\'t be frozen.'
+      }, (message, key) => {
+        expect(() => {
+          transform.compile({[key]: key}, undefined, {freeze: true})(source);
+        }).to.throw(TypeError, message);
+      });
+    });
+
+    it('should copy the result when it is returned with the errors or the trace', () => {
+      let source = src();
+      let func = transform.compile({address: null}, undefined, {freeze: true, errors: 'collect', trace: true});
+      let output = func(source);
+      expect(output.errors).to.deep.equal([]);
+      expect(output.trace).to.have.length(1);
+      expect(output.result.address).to.deep.equal(source.address);
+      expect(output.result.address).to.not.equal(source.address);
+      expect(Object.isFrozen(output.result)).to.equal(true);
+      expect(transform.getDefinition(transform.compile({address: null}, undefined, {freeze: true})).fields).to.have.length(1);
+      expect(transform.transform(source, undefined, {address: null}, undefined, {clone: 'deep'}).address).to.not.equal(source.address);
+    });
+
+    it('should check the options', () => {
+      expect(() => {
+        transform.compile(schema, undefined, {clone: true});
+      }).to.throw('The clone option must be none or deep.');
+      expect(() => {
+        transform.compile(schema, undefined, {clone: 'shallow'});
+      }).to.throw('The clone option must be none or deep.');
+      expect(() => {
+        transform.compile(schema, undefined, {clone: 'none', freeze: true});
+      }).to.throw('The freeze option requires the deep clone option.');
+      expect(() => {
+        transform.compile(schema, undefined, {freeze: true, export: {}});
+      }).to.throw('The clone and freeze options can\'t be exported.');
     });
   });
 });
@@ -0,0 +1,398 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const exporter = require('../../lib/export');
+const types = require('../../lib/types');
+
+const money = (value) => {
+  let amount = Number(String(value).replace(/[$,]/g, ''));
+  if (_.isNaN(amount)) {
+    throw new TypeError('The value is not an amount.');
+  }
+  return Math.round(amount * 100);
+};
+types.registerType('money', money);
+
+/**
+ *  Coerces a value in strict mode.
+ *
+ * @method strict
+ * @param {*} value The value.
+ * @param {string|Object} type The type.
+ * @return {*}
+ */
+function strict(value, type) {
+  return types.coerce(value, type, {strict: true, path: 'field'});
+}
+
+const schema = {
+  id: {
+    srcPath: 'id',
+    type: 'integer'
+  },
+  price: {
+    srcPath: 'price',
+    type: 'money'
+  },
+  items: {
+    srcPath: 'items',
+    schema: {
+      quantity: {
+        srcPath: 'quantity',
+        type: 'integer'
+      }
+    }
+  },
+  address: {
+    srcPath: 'address',
+    schema: {
+      zip: {
+        srcPath: 'zip',
+        type: 'integer'
+      }
+    }
+  }
+};
+
+describe('types', () => {
+  describe('registerType', () => {
+    it('should register a type by name', () => {
+      let coercer = (value) => `${value}!`;
+      types.registerType('excited', coercer);
+      expect(types.hasType('excited')).to.be.true;
+      expect(types.getType('excited')).to.equal(coercer);
+      expect(transform.compile({foo: {srcPath: 'bar', type: 'excited'}})({bar: 'baz'})).to.deep.equal({foo: 'baz!'});
+      expect(types.unregisterType('excited')).to.be.true;
+      expect(types.hasType('excited')).to.be.false;
+      expect(types.unregisterType('excited')).to.be.false;
+    });
+
+    it('should pass the options of the type to the coercer', () => {
+      let options;
+      types.registerType('optionsType', (value, typeOptions) => {
+        options = typeOptions;
+        return value;
+      });
+      transform.compile({foo: {srcPath: 'bar', type: {name: 'optionsType', unit: 'cm'}}})({bar: 1});
+      expect(options).to.deep.equal({name: 'optionsType', unit: 'cm', strict: false});
+    });
+
+    it('should throw an error when the name or coercer is not valid', () => {
+      expect(() => {
+        types.registerType('', _.identity);
+      }).to.throw('The type name must be a non-empty string.');
+      expect(() => {
+        types.registerType(1, _.identity);
+      }).to.throw('The type name must be a non-empty string.');
+      expect(() => {
+        types.registerType('noCoercer');
+      }).to.throw('The type coercer must be a function.');
+    });
+
+    it('should throw an error when a built in type is replaced', () => {
+      let coercer = types.getType('number');
+      _.each(types.internal._builtInTypes, (name) => {
+        expect(types.isBuiltInType(name)).to.be.true;
+        expect(() => {
+          types.registerType(name, _.identity);
+        }).to.throw(`The built in type ${name} can't be replaced.`);
+      });
+      expect(types.getType('number')).to.equal(coercer);
+      expect(types.isBuiltInType('money')).to.be.false;
+    });
+
+    it('should throw an error when a built in type is removed', () => {
+      _.each(types.internal._builtInTypes, (name) => {
+        expect(() => {
+          types.unregisterType(name);
+        }).to.throw(`The built in type ${name} can't be removed.`);
+        expect(types.hasType(name)).to.be.true;
+      });
+    });
+  });
+
+  describe('coerce', () => {
+    it('should not coerce null, undefined or values without a known type', () => {
+      expect(types.coerce(null, 'number')).to.be.null;
+      expect(types.coerce(undefined, 'number')).to.be.undefined;
+      expect(types.coerce('1', undefined)).to.equal('1');
+      expect(types.coerce('1', 'unknownType')).to.equal('1');
+    });
+
+    it('should coerce numbers, returning NaN unless strict', () => {
+      expect(types.coerce('1.5', 'number')).to.equal(1.5);
+      expect(types.coerce('abc', 'number')).to.be.NaN;
+      expect(strict('1.5', 'number')).to.equal(1.5);
+      expect(strict(2, 'number')).to.equal(2);
+      expect(() => {
+        strict('abc', 'number');
+      }).to.throw(types.CoercionError, 'The value of field can\'t be coerced into number.');
+      expect(() => {
+        strict(' ', 'number');
+      }).to.throw(types.CoercionError);
+    });
+
+    it('should coerce integers', () => {
+      expect(types.coerce('12.7', 'integer')).to.equal(12);
+      expect(types.coerce('abc', 'integer')).to.be.NaN;
+      expect(strict('12', 'integer')).to.equal(12);
+      expect(() => {
+        strict('12.7', 'integer');
+      }).to.throw(types.CoercionError);
+    });
+
+    it('should coerce floats with a precision', () => {
+      expect(types.coerce('1.005', {name: 'float', precision: 2})).to.equal(1.01);
+      expect(types.coerce('1.005', 'float')).to.equal(1.005);
+      expect(() => {
+        strict('abc', {name: 'float', precision: 2});
+      }).to.throw('The value of field can\'t be coerced into float.');
+    });
+
+    it('should coerce strings', () => {
+      expect(types.coerce(1, 'string')).to.equal('1');
+      expect(types.coerce({}, 'string')).to.equal('[object Object]');
+      expect(strict(true, 'string')).to.equal('true');
+      expect(() => {
+        strict({}, 'string');
+      }).to.throw(types.CoercionError);
+      expect(() => {
+        strict([], 'string');
+      }).to.throw(types.CoercionError);
+    });
+
+    it('should coerce booleans with configurable strings', () => {
+      expect(types.coerce(true, 'boolean')).to.be.true;
+      expect(types.coerce(0, 'boolean')).to.be.false;
+      expect(types.coerce(' Yes ', 'boolean')).to.be.true;
+      expect(types.coerce('off', 'boolean')).to.be.false;
+      expect(types.coerce('maybe', 'boolean')).to.be.undefined;
+      expect(types.coerce({}, 'boolean')).to.be.undefined;
+      expect(types.coerce('si', {name: 'boolean', truthy: ['si'], falsy: ['no']})).to.be.true;
+      expect(types.coerce('yes', {name: 'boolean', truthy: ['si'], falsy: ['no']})).to.be.undefined;
+      expect(types.coerce('no', {name: 'boolean', truthy: ['si'], falsy: ['no']})).to.be.false;
+      expect(() => {
+        strict('maybe', 'boolean');
+      }).to.throw('The value of field can\'t be coerced into boolean.');
+    });
+
+    it('should coerce dates', () => {
+      let date = new Date('2024-01-02T03:04:05.000Z');
+      expect(types.coerce('2024-01-02T03:04:05.000Z', 'date')).to.deep.equal(date);
+      expect(types.coerce(date.getTime(), 'date')).to.deep.equal(date);
+      expect(types.coerce(String(date.getTime()), 'date')).to.deep.equal(date);
+      expect(types.coerce(date, 'date')).to.not.equal(date);
+      expect(types.coerce(date.getTime(), {name: 'date', format: 'iso'})).to.equal('2024-01-02T03:04:05.000Z');
+      expect(types.coerce('not a date', 'date')).to.be.undefined;
+      expect(types.coerce('', 'date')).to.be.undefined;
+      expect(() => {
+        strict(true, 'date');
+      }).to.throw('The value of field can\'t be coerced into date.');
+    });
+
+    it('should coerce bigints', () => {
+      expect(types.coerce(' 12 ', 'bigint')).to.equal(12n);
+      expect(types.coerce(12, 'bigint')).to.equal(12n);
+      expect(types.coerce(12n, 'bigint')).to.equal(12n);
+      expect(types.coerce(true, 'bigint')).to.equal(1n);
+      expect(types.coerce(1.5, 'bigint')).to.be.undefined;
+      expect(() => {
+        strict('1.5', 'bigint');
+      }).to.throw(types.CoercionError);
+    });
+
+    it('should wrap values that are not arrays', () => {
+      expect(types.coerce('a', 'array')).to.deep.equal(['a']);
+      expect(types.coerce(['a'], 'array')).to.deep.equal(['a']);
+    });
+
+    it('should keep the error thrown by the coercer as the cause', () => {
+      let error = _.attempt(strict, 'abc', 'money');
+      expect(error).to.be.an.instanceOf(types.CoercionError);
+      expect(error).to.include({path: 'field', type: 'money', value: 'abc'});
+      expect(error.cause).to.be.an.instanceOf(TypeError);
+    });
+  });
+
+  describe('round', () => {
+    it('should round like lodash', () => {
+      let values = [1.005, 1.5, -1.5, 2.675, 1234.5678, 1e21, 1.23e-7, -0.5, NaN, Infinity];
+      _.each(values, (value) => {
+        _.each([-2, 0, 1, 2, 5, 300], (precision) => {
+          expect(String(types.internal._round(value, precision)), `${value} ${precision}`).to.equal(String(_.round(value, precision)));
+        });
+      });
+    });
+  });
+
+  describe('isPlainObject', () => {
+    it('should only accept the objects created by the Object constructor or with a null prototype', () => {
+      class Point {}
+      let values = [{}, Object.create(null), new Point(), [], null, 'text', new Date(0), Object.create({})];
+      _.each(values, (value, index) => {
+        expect(types.internal._isPlainObject(value), `value ${index}`).to.equal(_.isPlainObject(value));
+      });
+    });
+  });
+
+  describe('prefixError', () => {
+    it('should only prefix coercion and missing value errors', () => {
+      let error = new Error('Failed');
+      expect(types.prefixError(error, 'items[0]')).to.equal(error);
+      expect(types.prefixError(new types.CoercionError('zip', 'integer', 'a'), 'address').path).to.equal('address.zip');
+      expect(types.prefixError(new types.MissingValueError('zip'), 'address')).to.include({name: 'MissingValueError', path: 'address.zip'});
+    });
+  });
+
+  describe('compile', () => {
+    const src = {id: '1', price: '$1,234.50', items: [{quantity: '2'}], address: {zip: '95013'}};
+
+    it('should coerce values into registered types, including embedded schema results', () => {
+      expect(transform.compile(schema)(src)).to.deep.equal({id: 1, price: 123450, items: [{quantity: 2}], address: {zip: 95013}});
+      types.registerType('totalType', (value) => value.total);
+      let func = transform.compile({total: {srcPath: '$self', type: 'totalType', schema: {total: 'total'}}});
+      expect(func({total: '3'})).to.deep.equal({total: '3'});
+      types.unregisterType('totalType');
+    });
+
+    it('should leave the values that can\'t be coerced undefined unless strict', () => {
+      let result = transform.compile(schema)({id: 'a', price: 'free', items: [{quantity: 'a'}]});
+      expect(result).to.deep.equal({id: NaN, items: [{quantity: NaN}]});
+    });
+
+    it('should throw an error with the path of the field in strict mode', () => {
+      let func = transform.compile(schema, undefined, {strict: true});
+      expect(func(src)).to.deep.equal(transform.compile(schema)(src));
+      expect(() => {
+        func(_.assign({}, src, {price: 'free'}));
+      }).to.throw(types.CoercionError, 'The value of price can\'t be coerced into money.');
+      expect(() => {
+        func(_.assign({}, src, {items: [{quantity: '1'}, {quantity: 'a'}]}));
+      }).to.throw('The value of items[1].quantity can\'t be coerced into integer.');
+      expect(() => {
+        func(_.assign({}, src, {address: {zip: 'a'}}));
+      }).to.throw('The value of address.zip can\'t be coerced into integer.');
+    });
+
+    it('should compile the schema again when the strict option changes', () => {
+      let strictSchema = {id: {srcPath: 'id', type: 'integer'}};
+      let func = transform.compile(strictSchema);
+      let strictFunc = transform.compile(strictSchema, undefined, {strict: true});
+      expect(strictFunc).to.not.equal(func);
+      expect(transform.compile(strictSchema, undefined, {strict: true})).to.equal(strictFunc);
+      expect(() => {
+        strictFunc({id: 'a'});
+      }).to.throw(types.CoercionError);
+    });
+
+    it('should throw the same errors with the codegen engine', () => {
+      let func = transform.compile(schema, undefined, {strict: true, engine: 'codegen'});
+      expect(func(src)).to.deep.equal(transform.compile(schema)(src));
+      expect(() => {
+        func({id: 'a'});
+      }).to.throw('The value of id can\'t be coerced into integer.');
+      expect(() => {
+        func({items: [{quantity: 'a'}]});
+      }).to.throw('The value of items[0].quantity can\'t be coerced into integer.');
+      expect(transform.compile(schema, undefined, {engine: 'codegen'})({id: 'a'})).to.deep.equal({id: NaN});
+    });
+
+    it('should throw the same errors with compileAsync', async () => {
+      let func = transform.compileAsync(schema, undefined, {strict: true});
+      expect(await func(src)).to.deep.equal(transform.compile(schema)(src));
+      let error = await func({items: [{quantity: '1'}, {quantity: 'a'}]}).catch((err) => err);
+      expect(error.message).to.equal('The value of items[1].quantity can\'t be coerced into integer.');
+      error = await func({address: {zip: 'a'}}).catch((err) => err);
+      expect(error.message).to.equal('The value of address.zip can\'t be coerced into integer.');
+      error = await transform.compileAsync({items: {srcPath: 'items', schema: () => {
+        throw new Error('Failed');
+      }}})({items: [{}]}).catch((err) => err);
+      expect(error.message).to.equal('Failed');
+    });
+  });
+
+  describe('exportSchema', () => {
+    /**
+     *  Loads an exported module that imports the money type from the filters module.
+     *
+     * @method load
+     * @param {string} source The source of the module.
+     * @return {function}
+     */
+    function load(source) {
+      let module = {exports: {}};
+      new Function('require', 'module', 'exports', source)(() => ({money}), module, module.exports);
+      return module.exports;
+    }
+
+    it('should export the built in and registered types', () => {
+      let typesSchema = {
+        number: {srcPath: 'value', type: 'number'},
+        integer: {srcPath: 'value', type: 'integer'},
+        float: {srcPath: 'value', type: {name: 'float', precision: 1}},
+        string: {srcPath: 'value', type: 'string'},
+        boolean: {srcPath: 'flag', type: {name: 'boolean', truthy: ['si']}},
+        defaultBoolean: {srcPath: 'flag', type: 'boolean'},
+        date: {srcPath: 'date', type: 'date'},
+        iso: {srcPath: 'date', type: {name: 'date', format: 'iso'}},
+        bigint: {srcPath: 'value', type: 'bigint'},
+        array: {srcPath: 'value', type: 'array'},
+        money: {srcPath: 'price', type: 'money'}
+      };
+      let source = exporter.exportSchema(typesSchema, {filtersPath: './filters', filters: {money}});
+      expect(source).to.include('types.registerType("money", filters.money);');
+      let exported = load(source);
+      let expected = transform.compile(typesSchema, undefined, {validate: false});
+      let sources = [
+        {value: '12', flag: 'si', date: '2024-01-02', price: '$1'},
+        {value: 12.25, flag: 'yes', date: 1704153600000, price: '1'},
+        {value: true, flag: 1, date: '1704153600000'},
+        {value: 'abc', flag: false, date: new Date(0)},
+        {value: [1], flag: {}, date: ''},
+        {value: {}, date: 'not a date'},
+        {value: ' ', date: true}
+      ];
+      _.each(sources, (src) => {
+        expect(exported(src)).to.deep.equal(expected(src));
+      });
+    });
+
+    it('should export strict schemas', () => {
+      let exported = load(exporter.exportSchema(transform.compile(schema, undefined, {strict: true}), {filtersPath: './filters', filters: {money}}));
+      let src = {id: '1', price: '$1', items: [{quantity: '2'}], address: {zip: '95013'}};
+      expect(exported(src)).to.deep.equal(transform.compile(schema)(src));
+      expect(() => {
+        exported({id: '1.5'});
+      }).to.throw('The value of id can\'t be coerced into integer.');
+      expect(() => {
+        exported({price: 'free'});
+      }).to.throw('The value of price can\'t be coerced into money.');
+      expect(() => {
+        exported({items: [{quantity: '1'}, {quantity: 'a'}]});
+      }).to.throw('The value of items[1].quantity can\'t be coerced into integer.');
+      expect(() => {
+        exported({address: {zip: 'a'}});
+      }).to.throw('The value of address.zip can\'t be coerced into integer.');
+      let strictTypes = {
+        number: {srcPath: 'number', type: 'number'},
+        string: {srcPath: 'string', type: 'string'},
+        date: {srcPath: 'date', type: 'date'},
+        bigint: {srcPath: 'bigint', type: 'bigint'},
+        boolean: {srcPath: 'boolean', type: 'boolean'}
+      };
+      exported = load(exporter.exportSchema(transform.compile(strictTypes, undefined, {strict: true})));
+      expect(exported({number: '1', string: 1, date: 0, bigint: '1', boolean: 'y'})).to.deep.equal({number: 1, string: '1', date: new Date(0), bigint: 1n, boolean: true});
+      _.each([{number: ' '}, {string: {}}, {string: []}, {date: 'a'}, {bigint: 1.5}, {boolean: 'a'}], (src) => {
+        expect(() => {
+          exported(src);
+        }).to.throw(/can't be coerced into/);
+      });
+    });
+  });
+});
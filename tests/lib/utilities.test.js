@@ -0,0 +1,116 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const utilities = require('../../lib/utilities');
+const index = require('../../index');
+
+describe('utilities', () => {
+  describe('omitDeep', () => {
+    const orders = [
+      {id: 1, note: null, lines: [{sku: 'a', note: null}, {sku: null}], meta: {}},
+      {id: 2, note: 'gift', lines: [], meta: {source: null}}
+    ];
+
+    it('should be exported by the library', () => {
+      expect(index.omitDeep).to.equal(utilities.omitDeep);
+    });
+
+    it('should remove the values that match the predicate from an array of objects', () => {
+      let result = utilities.omitDeep(orders, _.isNull);
+      expect(result).to.deep.equal([
+        {id: 1, lines: [{sku: 'a'}, {}], meta: {}},
+        {id: 2, note: 'gift', lines: [], meta: {}}
+      ]);
+      // The collection is not changed
+      expect(orders[0]).to.have.property('note', null);
+    });
+
+    it('should call the predicate with the cleaned value and the key', () => {
+      let calls = [];
+      let isEmpty = (value, key) => {
+        calls.push(key);
+        return _.isNil(value) || (_.isObject(value) && _.isEmpty(value));
+      };
+      expect(utilities.omitDeep(orders, isEmpty)).to.deep.equal([
+        {id: 1, lines: [{sku: 'a'}]},
+        {id: 2, note: 'gift'}
+      ]);
+      expect(calls).to.include.members([0, 1, 'id', 'lines', 'sku']);
+    });
+
+    it('should remove the keys at every nesting level', () => {
+      expect(utilities.omitDeep(orders, ['note', 'meta'])).to.deep.equal([
+        {id: 1, lines: [{sku: 'a'}, {sku: null}]},
+        {id: 2, lines: []}
+      ]);
+      expect(utilities.omitDeep({id: 1, note: 'a', child: {note: 'b'}}, 'note')).to.deep.equal({id: 1, child: {}});
+    });
+
+    it('should not copy values that are not plain objects or arrays', () => {
+      let date = new Date(0);
+      let result = utilities.omitDeep({date, id: null}, _.isNull);
+      expect(result).to.deep.equal({date});
+      expect(result.date).to.equal(date);
+      expect(utilities.omitDeep('value', _.isNull)).to.equal('value');
+    });
+  });
+
+  describe('cloneDeep', () => {
+    it('should copy Buffers instead of sharing their memory', () => {
+      let value = {photo: Buffer.from('ab'), bytes: new Uint8Array([1])};
+      let result = utilities.cloneDeep(value);
+      result.photo[0] = 0;
+      result.bytes[0] = 0;
+      expect(value.photo.toString()).to.equal('ab');
+      expect(value.bytes[0]).to.equal(1);
+    });
+
+    it('should keep functions', () => {
+      expect(utilities.cloneDeep(_.noop)).to.equal(_.noop);
+      expect(utilities.cloneDeep({format: _.noop}).format).to.equal(_.noop);
+    });
+  });
+
+  describe('freezeDeep', () => {
+    it('should freeze the nested objects and arrays', () => {
+      let value = {list: [{id: 1}], nested: {ids: [1]}, empty: Object.create(null)};
+      value.self = value;
+      expect(utilities.freezeDeep(value)).to.equal(value);
+      expect(Object.isFrozen(value.list[0])).to.equal(true);
+      expect(Object.isFrozen(value.nested.ids)).to.equal(true);
+      expect(Object.isFrozen(value.empty)).to.equal(true);
+    });
+
+    it('should leave functions and the values that are not objects', () => {
+      let value = {format: _.noop, id: 1};
+      utilities.freezeDeep(value);
+      expect(Object.isFrozen(value.format)).to.equal(false);
+      expect(utilities.freezeDeep('value')).to.equal('value');
+    });
+
+    it('should throw an error for the values that can still be changed once frozen', () => {
+      let values = [
+        [{list: [new Map()]}, 'The Map at list[0] can\'t be frozen.'],
+        [{tags: new Set()}, 'The Set at tags can\'t be frozen.'],
+        [{a: {created: new Date(0)}}, 'The Date at a.created can\'t be frozen.'],
+        [{photo: Buffer.from('ab')}, 'The Buffer at photo can\'t be frozen.'],
+        [[new Uint8Array(1)], 'The Uint8Array at [0] can\'t be frozen.'],
+        [new ArrayBuffer(1), 'The ArrayBuffer at the top level can\'t be frozen.'],
+        [{refs: new WeakMap()}, 'The WeakMap at refs can\'t be frozen.']
+      ];
+      _.each(values, ([value, message]) => {
+        expect(() => {
+          utilities.freezeDeep(value);
+        }).to.throw(TypeError, message);
+      });
+      expect(() => {
+        utilities.freezeDeep(Object.freeze({created: new Date(0)}));
+      }).to.throw(TypeError, 'The Date at created can\'t be frozen.');
+    });
+  });
+});
@@ -0,0 +1,347 @@
+const _ = require('lodash');
+const chai = require('chai');
+const Lab = require('@hapi/lab');
+const expect = chai.expect;
+const lab = exports.lab = Lab.script();
+const it = lab.it;
+const describe = lab.describe;
+
+const transform = require('../../lib/transform');
+const validate = require('../../lib/validate');
+const registries = require('../../lib/registry');
+
+describe('validate', () => {
+  describe('validateSchema', () => {
+    it('should return no errors for a valid schema', () => {
+      let errors = validate.validateSchema({
+        '_name': 'validSchema',
+        '_onFinished': _.noop,
+        '_onError': 'trim',
+        'id': 'userId',
+        'name': _.identity,
+        'missing': null,
+        'removed': {
+          remove: true
+        },
+        'count': {
+          srcPath: 'total',
+          type: 'number',
+          defaultValue: 0
+        },
+        'code': {
+          srcPath: 'code',
+          required: true
+        },
+        'label': {
+          srcPath: 'label',
+          onMissing: 'default',
+          defaultValue: 'none'
+        },
+        'address': {
+          items: 'addresses',
+          schema: {
+            stateCode: {
+              srcPath: 'state',
+              filter: (value) => value
+            }
+          }
+        },
+        'named': {
+          srcPath: 'child',
+          schema: 'childSchema'
+        },
+        'conditional': {
+          srcPath: 'name',
+          when: {path: 'type', in: ['card', 'bank']}
+        },
+        'payment': {
+          srcPath: 'payment',
+          when: 'payment',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {number: 'number'},
+              bank: 'bankSchema',
+              cash: _.identity
+            },
+            default: {type: 'type'}
+          }
+        }
+      });
+      expect(errors).to.deep.equal([]);
+    });
+
+    it('should accept a null schema', () => {
+      expect(validate.validateSchema(null)).to.deep.equal([]);
+    });
+
+    it('should reject a schema that is not an object', () => {
+      expect(validate.validateSchema('schema')).to.deep.equal([{
+        path: '',
+        message: 'The schema must be an object or null.'
+      }]);
+    });
+
+    it('should report an _onError that is not a function or a registered filter', () => {
+      expect(validate.validateSchema({id: 'userId', _onError: 'unknownErrorHandler'})).to.deep.equal([{
+        path: '_onError',
+        message: '_onError references the unknown filter unknownErrorHandler.'
+      }]);
+    });
+
+    it('should report missing-source policies that are not valid', () => {
+      expect(validate.validateSchema({
+        a: {srcPath: 'a', onMissing: 'keep'},
+        b: {srcPath: 'b', onMissing: 'default'},
+        c: {srcPath: 'c', required: true, onMissing: 'null'},
+        d: {srcPath: 'd', required: 'yes'}
+      })).to.deep.equal([
+        {path: 'a.onMissing', message: 'a.onMissing must be skip, null or default.'},
+        {path: 'b.onMissing', message: 'b.onMissing requires defaultValue.'},
+        {path: 'c.required', message: 'c.required can\'t be used together with onMissing.'},
+        {path: 'd.required', message: 'd.required must be a boolean.'}
+      ]);
+    });
+
+    it('should report an _omit that is not valid', () => {
+      expect(validate.validateSchema({_omit: {nulls: true, emptyObjects: false, emptyArrays: true, keys: ['secret']}})).to.deep.equal([]);
+      expect(validate.validateSchema({a: {srcPath: 'a', schema: {_omit: {nulls: 'yes'}}}, _omit: {empty: true}})).to.deep.equal([
+        {path: 'a.schema._omit', message: 'a.schema._omit.nulls must be a boolean.'},
+        {path: '_omit', message: '_omit.empty is not a supported key.'}
+      ]);
+      expect(validate.validateSchema({_omit: {keys: 'secret'}})).to.deep.equal([
+        {path: '_omit', message: '_omit.keys must be a list of keys.'}
+      ]);
+    });
+
+    it('should report the full path of nested errors', () => {
+      let errors = validate.validateSchema({
+        address: {
+          srcPath: 'address',
+          schema: {
+            stateCode: {
+              srcPath: 'state',
+              filter: 'unknownStateCode'
+            }
+          }
+        }
+      });
+      expect(errors).to.deep.equal([{
+        path: 'address.schema.stateCode.filter',
+        message: 'address.schema.stateCode.filter references the unknown filter unknownStateCode.'
+      }]);
+    });
+
+    it('should report every error', () => {
+      let errors = validate.validateSchema({
+        'number': 1,
+        'srcPath': {
+          srcPath: 123
+        },
+        'misspelled': {
+          filtr: () => {}
+        },
+        'type': {
+          type: 'currency'
+        },
+        'conflict': {
+          schema: {},
+          filter: () => {}
+        },
+        'items': {
+          items: 'foo'
+        },
+        'filters': {
+          filter: ['trim', 1]
+        },
+        '_name': 1
+      });
+      expect(errors).to.deep.equal([
+        {path: 'number', message: 'number must be a string, null, object, or function.'},
+        {path: 'srcPath.srcPath', message: 'srcPath.srcPath must be a string, a function or null.'},
+        {path: 'misspelled.filtr', message: 'misspelled.filtr is not a supported key.'},
+        {path: 'type.type', message: 'type.type references the unknown type currency.'},
+        {path: 'conflict.schema', message: 'conflict.schema can\'t be used together with filter.'},
+        {path: 'items.items', message: 'items.items requires schema.'},
+        {path: 'filters.filter', message: 'filters.filter must only contain filter names and functions.'},
+        {path: '_name', message: '_name must be a string.'}
+      ]);
+    });
+
+    it('should report named child schemas that can\'t be resolved', () => {
+      let registry = registries.createRegistry();
+      registry.register('validatedAddress', {street: 'line1'});
+      let schema = {
+        '_name': 'validatedUser',
+        'address': {
+          srcPath: 'address',
+          schema: 'validatedAddress'
+        },
+        'manager': {
+          srcPath: 'manager',
+          schema: 'validatedUser'
+        },
+        'contact': {
+          srcPath: 'contact',
+          schema: {
+            phone: 'phone'
+          }
+        },
+        'team': {
+          srcPath: 'team',
+          schema: {
+            _name: 'validatedTeam',
+            parent: {
+              srcPath: 'parent',
+              schema: 'validatedTeam'
+            },
+            members: {
+              srcPath: 'members',
+              schema: 'validatedMember'
+            }
+          }
+        }
+      };
+      expect(validate.validateSchema(schema, {resolveNames: true, registry})).to.deep.equal([{
+        path: 'team.schema.members.schema',
+        message: 'team.schema.members.schema references the unknown schema validatedMember.'
+      }]);
+      expect(validate.validateSchema(schema, {resolveNames: true})).to.have.length(2);
+      expect(validate.validateSchema(schema)).to.deep.equal([]);
+      expect(validate.validateSchema(null, {resolveNames: true})).to.deep.equal([]);
+    });
+  });
+
+  describe('conditions and switches', () => {
+    it('should report conditions that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {when: 1},
+        b: {when: {equals: 'card'}},
+        c: {when: {path: 'type', matches: 'card'}},
+        d: {when: {path: 'type', equals: 'card', exists: true}},
+        e: {when: {path: 'type', in: 'card'}},
+        f: {when: {path: ''}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.when must be a function, a string or an object.',
+        'b.when.path must be a string.',
+        'c.when.matches is not a supported key.',
+        'd.when can only use one of equals, in or exists.',
+        'e.when.in must be an array.',
+        'f.when.path must be a string.'
+      ]);
+    });
+
+    it('should report switches that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {srcPath: 'a', switch: {cases: {}}},
+        b: {srcPath: 'b', switch: {path: 'type', case: {}}},
+        c: {srcPath: 'c', switch: {path: 'type', cases: []}},
+        d: {srcPath: 'd', switch: {path: 'type', cases: {card: 1}}},
+        e: {srcPath: 'e', switch: {path: 'type', cases: {}, default: 1}},
+        f: {srcPath: 'f', schema: {}, switch: {path: 'type', cases: {}}},
+        g: {srcPath: 'g', switch: {path: 'type', cases: {card: {number: {srcPath: 1}}}, default: {type: {when: 1}}}},
+        h: {srcPath: 'h', switch: {path: '', cases: {}}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.switch.path must be a string.',
+        'b.switch.case is not a supported key.',
+        'c.switch.cases must be an object.',
+        'd.switch.cases.card must be a string, object or function.',
+        'e.switch.default must be a string, object or function.',
+        'f.switch can\'t be used together with schema.',
+        'g.switch.cases.card.number.srcPath must be a string, a function or null.',
+        'g.switch.default.type.when must be a function, a string or an object.',
+        'h.switch.path must be a string.'
+      ]);
+    });
+
+    it('should resolve the names of the schemas of a switch', () => {
+      let schema = {
+        payment: {
+          srcPath: 'payment',
+          switch: {
+            path: 'type',
+            cases: {
+              card: {_name: 'validatedCard', number: 'number'},
+              saved: 'validatedCard'
+            },
+            default: 'validatedUnknown'
+          }
+        }
+      };
+      expect(validate.validateSchema(schema, {resolveNames: true})).to.deep.equal([{
+        path: 'payment.switch.default',
+        message: 'payment.switch.default references the unknown schema validatedUnknown.'
+      }]);
+    });
+  });
+
+  describe('paths', () => {
+    it('should report source paths with predicates that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: 'items[?status==active].sku',
+        b: {srcPath: 'items[?status==]'},
+        c: {items: 'items[?]', schema: {}},
+        d: '~items[?status==active]',
+        e: {srcPath: 'items[?status==\'active\'].sku'}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a has a predicate that is not valid.',
+        'b.srcPath has a predicate that is not valid.',
+        'c.items has a predicate that is not valid.'
+      ]);
+    });
+  });
+
+  describe('types', () => {
+    it('should report types that are not valid', () => {
+      let errors = validate.validateSchema({
+        a: {srcPath: 'a', type: {precision: 2}},
+        b: {srcPath: 'b', type: {name: 'float', precision: -1}},
+        c: {srcPath: 'c', type: {name: 'date', format: 'epoch'}},
+        d: {srcPath: 'd', type: {name: 'boolean', truthy: 'si'}},
+        e: {srcPath: 'e', type: {name: 'boolean', falsy: [0]}},
+        f: {srcPath: 'f', type: {name: 'currency'}},
+        g: {srcPath: 'g', type: {name: 'boolean', truthy: ['si'], falsy: ['no']}},
+        h: {srcPath: 'h', type: {name: 'date', format: 'iso'}},
+        i: {srcPath: 'i', type: {name: 'float', precision: 0}},
+        j: {srcPath: 'j', type: {name: 'float', precision: 1.5}}
+      });
+      expect(_.map(errors, 'message')).to.deep.equal([
+        'a.type.name must be a string.',
+        'b.type.precision must be an integer greater than or equal to 0.',
+        'c.type.format must be date or iso.',
+        'd.type.truthy must be an array of strings.',
+        'e.type.falsy must be an array of strings.',
+        'f.type references the unknown type currency.',
+        'j.type.precision must be an integer greater than or equal to 0.'
+      ]);
+    });
+  });
+
+  describe('compile', () => {
+    it('should throw a SchemaValidationError with every error', () => {
+      let error;
+      try {
+        transform.compile({
+          foo: {
+            filtr: () => {}
+          },
+          bar: {
+            schema: {
+              baz: {
+                remove: 'yes'
+              }
+            }
+          }
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceof(validate.SchemaValidationError);
+      expect(error.message).to.equal('The schema is not valid:\nfoo.filtr is not a supported key.\nbar.schema.baz.remove must be a boolean.');
+      expect(error.errors).to.have.lengthOf(2);
+    });
+  });
+});